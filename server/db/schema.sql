@@ -16,6 +16,12 @@ EXCEPTION
     WHEN duplicate_object THEN null;
 END $$;
 
+DO $$ BEGIN
+    CREATE TYPE user_role AS ENUM ('admin', 'member', 'viewer');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
 -- =============================================
 -- Users Table
 -- =============================================
@@ -24,15 +30,79 @@ CREATE TABLE IF NOT EXISTS users (
     name VARCHAR(100) NOT NULL,
     email VARCHAR(255) NOT NULL UNIQUE,
     password_hash VARCHAR(255) NOT NULL,
+    role user_role NOT NULL DEFAULT 'member',
+    tokens_valid_after TIMESTAMP,
+    email_verified_at TIMESTAMP,
+    totp_secret VARCHAR(64),
+    totp_enabled_at TIMESTAMP,
+    totp_last_used_step BIGINT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     is_enabled BOOLEAN DEFAULT TRUE
 );
 
+-- Columns added after the initial release (safe to re-run on existing databases)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role user_role NOT NULL DEFAULT 'member';
+-- Access tokens issued before this time are rejected (password change, log out everywhere)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMP;
+-- Accounts created before email verification existed are treated as verified
+DO $$ BEGIN
+    ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+    UPDATE users SET email_verified_at = created_at;
+EXCEPTION
+    WHEN duplicate_column THEN null;
+END $$;
+-- TOTP two-factor authentication (secret is pending until totp_enabled_at is set)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
 -- Indexes for users
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_is_enabled ON users(is_enabled);
 
+-- =============================================
+-- Projects Table (issues are numbered per project: KEY-42)
+-- =============================================
+CREATE TABLE IF NOT EXISTS projects (
+    project_id SERIAL PRIMARY KEY,
+    project_key VARCHAR(10) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    -- Number given to the most recent issue of the project (no updated_at
+    -- trigger on this table, so taking a number does not touch updated_at)
+    last_issue_number INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_projects_key CHECK (project_key ~ '^[A-Z][A-Z0-9]{1,9}$'),
+
+    -- Foreign Keys
+    CONSTRAINT fk_projects_created_by FOREIGN KEY (created_by)
+        REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS project_members (
+    project_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    added_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (project_id, user_id),
+
+    -- Foreign Keys
+    CONSTRAINT fk_project_members_project FOREIGN KEY (project_id)
+        REFERENCES projects(project_id) ON DELETE CASCADE,
+    CONSTRAINT fk_project_members_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE,
+    CONSTRAINT fk_project_members_added_by FOREIGN KEY (added_by)
+        REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Indexes for project members
+CREATE INDEX IF NOT EXISTS idx_project_members_user_id ON project_members(user_id);
+
 -- =============================================
 -- Issues Table
 -- =============================================
@@ -56,6 +126,49 @@ CREATE TABLE IF NOT EXISTS issues (
         REFERENCES users(user_id) ON DELETE SET NULL
 );
 
+-- Project and per-project number (issues created before projects have neither)
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS project_id INTEGER;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS issue_number INTEGER;
+DO $$ BEGIN
+    ALTER TABLE issues ADD CONSTRAINT fk_issues_project FOREIGN KEY (project_id)
+        REFERENCES projects(project_id) ON DELETE RESTRICT;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Why a resolved/closed issue was closed (required by the workflow, cleared on reopen)
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS resolution VARCHAR(50);
+-- Updates used to leave resolved_at set on reopened issues
+UPDATE issues SET resolved_at = NULL
+WHERE status IN ('Open', 'In Progress') AND resolved_at IS NOT NULL;
+
+-- Date the issue should be done by (overdue once passed while still open)
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS due_date DATE;
+
+-- Time estimates in minutes (the remaining estimate goes down as work is logged)
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS original_estimate_minutes INTEGER;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS remaining_estimate_minutes INTEGER;
+DO $$ BEGIN
+    ALTER TABLE issues ADD CONSTRAINT chk_issues_estimates
+        CHECK (original_estimate_minutes >= 0 AND remaining_estimate_minutes >= 0);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Parent issue of a sub-task (sub-tasks become top-level when the parent is deleted)
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS parent_id INTEGER;
+DO $$ BEGIN
+    ALTER TABLE issues ADD CONSTRAINT fk_issues_parent FOREIGN KEY (parent_id)
+        REFERENCES issues(issue_id) ON DELETE SET NULL;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+DO $$ BEGIN
+    ALTER TABLE issues ADD CONSTRAINT chk_issues_parent_not_self CHECK (parent_id <> issue_id);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_issues_status ON issues(status);
 CREATE INDEX IF NOT EXISTS idx_issues_priority ON issues(priority);
@@ -63,6 +176,537 @@ CREATE INDEX IF NOT EXISTS idx_issues_severity ON issues(severity);
 CREATE INDEX IF NOT EXISTS idx_issues_created_by ON issues(created_by);
 CREATE INDEX IF NOT EXISTS idx_issues_assigned_to ON issues(assigned_to);
 CREATE INDEX IF NOT EXISTS idx_issues_created_at ON issues(created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_issues_project_number ON issues(project_id, issue_number);
+CREATE INDEX IF NOT EXISTS idx_issues_parent_id ON issues(parent_id);
+CREATE INDEX IF NOT EXISTS idx_issues_due_date ON issues(due_date);
+
+-- =============================================
+-- Attachments Table (file contents live in the storage backend)
+-- =============================================
+CREATE TABLE IF NOT EXISTS attachments (
+    attachment_id SERIAL PRIMARY KEY,
+    issue_id INTEGER NOT NULL,
+    uploaded_by INTEGER NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    storage_key VARCHAR(255) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_attachments_issue FOREIGN KEY (issue_id)
+        REFERENCES issues(issue_id) ON DELETE CASCADE,
+    CONSTRAINT fk_attachments_uploaded_by FOREIGN KEY (uploaded_by)
+        REFERENCES users(user_id) ON DELETE RESTRICT
+);
+
+-- Indexes for attachments
+CREATE INDEX IF NOT EXISTS idx_attachments_issue_id ON attachments(issue_id);
+
+-- =============================================
+-- Labels Table (colored tags, many-to-many with issues)
+-- =============================================
+CREATE TABLE IF NOT EXISTS labels (
+    label_id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    color CHAR(7) NOT NULL DEFAULT '#6b7280',
+    description VARCHAR(255),
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_labels_created_by FOREIGN KEY (created_by)
+        REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Label names are unique regardless of case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_name_lower ON labels(LOWER(name));
+
+CREATE TABLE IF NOT EXISTS issue_labels (
+    issue_id INTEGER NOT NULL,
+    label_id INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (issue_id, label_id),
+
+    -- Foreign Keys
+    CONSTRAINT fk_issue_labels_issue FOREIGN KEY (issue_id)
+        REFERENCES issues(issue_id) ON DELETE CASCADE,
+    CONSTRAINT fk_issue_labels_label FOREIGN KEY (label_id)
+        REFERENCES labels(label_id) ON DELETE CASCADE
+);
+
+-- Indexes for issue labels
+CREATE INDEX IF NOT EXISTS idx_issue_labels_label_id ON issue_labels(label_id);
+
+-- =============================================
+-- Milestones Table (sprints / releases issues are planned into)
+-- =============================================
+CREATE TABLE IF NOT EXISTS milestones (
+    milestone_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    start_date DATE NOT NULL,
+    due_date DATE NOT NULL,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_milestones_dates CHECK (due_date >= start_date),
+
+    -- Foreign Keys
+    CONSTRAINT fk_milestones_created_by FOREIGN KEY (created_by)
+        REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Indexes for milestones
+CREATE INDEX IF NOT EXISTS idx_milestones_due_date ON milestones(due_date);
+
+-- Milestone an issue is planned into (issues go back to the backlog when it is deleted)
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS milestone_id INTEGER;
+DO $$ BEGIN
+    ALTER TABLE issues ADD CONSTRAINT fk_issues_milestone FOREIGN KEY (milestone_id)
+        REFERENCES milestones(milestone_id) ON DELETE SET NULL;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+CREATE INDEX IF NOT EXISTS idx_issues_milestone_id ON issues(milestone_id);
+
+-- =============================================
+-- Issue Links Table (A blocks B, A duplicates B, A relates to B)
+-- =============================================
+CREATE TABLE IF NOT EXISTS issue_links (
+    link_id SERIAL PRIMARY KEY,
+    source_issue_id INTEGER NOT NULL,
+    target_issue_id INTEGER NOT NULL,
+    link_type VARCHAR(20) NOT NULL,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_issue_links_type CHECK (link_type IN ('blocks', 'duplicates', 'relates_to')),
+    CONSTRAINT chk_issue_links_not_self CHECK (source_issue_id <> target_issue_id),
+    CONSTRAINT uq_issue_links UNIQUE (source_issue_id, target_issue_id, link_type),
+
+    -- Foreign Keys
+    CONSTRAINT fk_issue_links_source FOREIGN KEY (source_issue_id)
+        REFERENCES issues(issue_id) ON DELETE CASCADE,
+    CONSTRAINT fk_issue_links_target FOREIGN KEY (target_issue_id)
+        REFERENCES issues(issue_id) ON DELETE CASCADE,
+    CONSTRAINT fk_issue_links_created_by FOREIGN KEY (created_by)
+        REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Indexes for issue links (source side is covered by the unique constraint)
+CREATE INDEX IF NOT EXISTS idx_issue_links_target ON issue_links(target_issue_id, link_type);
+
+-- =============================================
+-- Issue Watchers Table (users notified of changes to an issue)
+-- =============================================
+-- Issues created before watchers existed are watched by their creator and assignee
+-- (only when the table is first created, so later unwatches survive a re-run)
+DO $$ BEGIN
+    CREATE TABLE issue_watchers (
+        issue_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (issue_id, user_id),
+
+        -- Foreign Keys
+        CONSTRAINT fk_issue_watchers_issue FOREIGN KEY (issue_id)
+            REFERENCES issues(issue_id) ON DELETE CASCADE,
+        CONSTRAINT fk_issue_watchers_user FOREIGN KEY (user_id)
+            REFERENCES users(user_id) ON DELETE CASCADE
+    );
+
+    INSERT INTO issue_watchers (issue_id, user_id)
+    SELECT issue_id, created_by FROM issues WHERE created_by IS NOT NULL
+    UNION
+    SELECT issue_id, assigned_to FROM issues WHERE assigned_to IS NOT NULL;
+EXCEPTION
+    WHEN duplicate_table THEN null;
+END $$;
+
+-- Indexes for issue watchers (issue side is covered by the primary key)
+CREATE INDEX IF NOT EXISTS idx_issue_watchers_user_id ON issue_watchers(user_id);
+
+-- =============================================
+-- Issue Events Table (audit trail of every change to an issue)
+-- =============================================
+-- No foreign key on issue_id: the history outlives a deleted issue
+CREATE TABLE IF NOT EXISTS issue_events (
+    event_id SERIAL PRIMARY KEY,
+    issue_id INTEGER NOT NULL,
+    actor_id INTEGER,
+    event_type VARCHAR(30) NOT NULL,
+    field VARCHAR(50),
+    old_value TEXT,
+    new_value TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_issue_events_actor FOREIGN KEY (actor_id)
+        REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Indexes for issue events
+CREATE INDEX IF NOT EXISTS idx_issue_events_issue_id ON issue_events(issue_id, created_at);
+
+-- =============================================
+-- Worklogs Table (time spent on issues, for billing and reports)
+-- =============================================
+CREATE TABLE IF NOT EXISTS worklogs (
+    worklog_id SERIAL PRIMARY KEY,
+    issue_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    work_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_worklogs_duration CHECK (duration_minutes > 0),
+
+    -- Foreign Keys
+    CONSTRAINT fk_worklogs_issue FOREIGN KEY (issue_id)
+        REFERENCES issues(issue_id) ON DELETE CASCADE,
+    CONSTRAINT fk_worklogs_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE RESTRICT
+);
+
+-- Indexes for worklogs
+CREATE INDEX IF NOT EXISTS idx_worklogs_issue_id ON worklogs(issue_id);
+CREATE INDEX IF NOT EXISTS idx_worklogs_user_date ON worklogs(user_id, work_date);
+CREATE INDEX IF NOT EXISTS idx_worklogs_work_date ON worklogs(work_date);
+
+-- =============================================
+-- Comments Table (threaded discussion on issues)
+-- =============================================
+CREATE TABLE IF NOT EXISTS comments (
+    comment_id SERIAL PRIMARY KEY,
+    issue_id INTEGER NOT NULL,
+    parent_id INTEGER,
+    author_id INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    edited_at TIMESTAMP,
+    -- Comments with replies are blanked instead of removed to keep the thread
+    deleted_at TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_comments_issue FOREIGN KEY (issue_id)
+        REFERENCES issues(issue_id) ON DELETE CASCADE,
+    CONSTRAINT fk_comments_parent FOREIGN KEY (parent_id)
+        REFERENCES comments(comment_id) ON DELETE CASCADE,
+    CONSTRAINT fk_comments_author FOREIGN KEY (author_id)
+        REFERENCES users(user_id) ON DELETE RESTRICT
+);
+
+-- Indexes for comments
+CREATE INDEX IF NOT EXISTS idx_comments_issue_id ON comments(issue_id);
+CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id);
+
+-- =============================================
+-- Notifications Table (in-app notifications for issue watchers)
+-- =============================================
+CREATE TABLE IF NOT EXISTS notifications (
+    notification_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    issue_id INTEGER NOT NULL,
+    actor_id INTEGER,
+    event_type VARCHAR(30) NOT NULL,
+    -- What changed (fields, old/new status or assignee, comment ID)
+    details JSONB,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_notifications_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE,
+    CONSTRAINT fk_notifications_issue FOREIGN KEY (issue_id)
+        REFERENCES issues(issue_id) ON DELETE CASCADE,
+    CONSTRAINT fk_notifications_actor FOREIGN KEY (actor_id)
+        REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Indexes for notifications
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- =============================================
+-- Notification Preferences Table (event types a user has turned off or on)
+-- =============================================
+-- No row for an event type means it is enabled
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER NOT NULL,
+    event_type VARCHAR(30) NOT NULL,
+    enabled BOOLEAN NOT NULL,
+
+    PRIMARY KEY (user_id, event_type),
+
+    -- Foreign Keys
+    CONSTRAINT fk_notification_preferences_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- =============================================
+-- Email Preferences Table (assignment emails and daily digest, per user)
+-- =============================================
+-- No row means the defaults: assignment emails on, daily digest off
+CREATE TABLE IF NOT EXISTS email_preferences (
+    user_id INTEGER PRIMARY KEY,
+    assignment_emails BOOLEAN NOT NULL DEFAULT TRUE,
+    daily_digest BOOLEAN NOT NULL DEFAULT FALSE,
+    -- End of the period covered by the last digest sent
+    digest_sent_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_email_preferences_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Indexes for email preferences
+CREATE INDEX IF NOT EXISTS idx_email_preferences_daily_digest ON email_preferences(daily_digest) WHERE daily_digest = TRUE;
+
+-- =============================================
+-- Sessions Table (one row per login / device)
+-- =============================================
+CREATE TABLE IF NOT EXISTS sessions (
+    session_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_sessions_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Indexes for sessions
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+-- =============================================
+-- Refresh Tokens Table
+-- =============================================
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    session_id INTEGER,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE,
+    CONSTRAINT fk_refresh_tokens_replaced_by FOREIGN KEY (replaced_by)
+        REFERENCES refresh_tokens(token_id) ON DELETE SET NULL,
+    CONSTRAINT fk_refresh_tokens_session FOREIGN KEY (session_id)
+        REFERENCES sessions(session_id) ON DELETE CASCADE
+);
+
+-- Columns added after the table was introduced
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS session_id INTEGER
+    REFERENCES sessions(session_id) ON DELETE CASCADE;
+
+-- Indexes for refresh tokens
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+
+-- =============================================
+-- Password Reset Tokens Table
+-- =============================================
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    token_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_password_reset_tokens_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Indexes for password reset tokens
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+-- =============================================
+-- Email Verification Tokens Table
+-- =============================================
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    token_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_email_verification_tokens_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Indexes for email verification tokens
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+
+-- =============================================
+-- Login Throttles Table (failed logins per account / IP)
+-- =============================================
+CREATE TABLE IF NOT EXISTS login_throttles (
+    throttle_key VARCHAR(320) PRIMARY KEY,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    first_failed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_failed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMP
+);
+
+-- Indexes for login throttles
+CREATE INDEX IF NOT EXISTS idx_login_throttles_locked_until ON login_throttles(locked_until);
+
+-- =============================================
+-- Personal Access Tokens Table
+-- =============================================
+CREATE TABLE IF NOT EXISTS personal_access_tokens (
+    token_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(16) NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_personal_access_tokens_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Indexes for personal access tokens
+CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
+
+-- =============================================
+-- Two-Factor Recovery Codes Table
+-- =============================================
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    code_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_two_factor_recovery_codes_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Indexes for recovery codes
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
+
+-- =============================================
+-- OIDC Login States Table (pending single sign-on attempts)
+-- =============================================
+CREATE TABLE IF NOT EXISTS oidc_login_states (
+    state_id SERIAL PRIMARY KEY,
+    state_hash VARCHAR(64) NOT NULL UNIQUE,
+    code_verifier VARCHAR(128) NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for OIDC login states
+CREATE INDEX IF NOT EXISTS idx_oidc_login_states_expires_at ON oidc_login_states(expires_at);
+
+-- =============================================
+-- User Identities Table (accounts linked from an identity provider)
+-- =============================================
+CREATE TABLE IF NOT EXISTS user_identities (
+    identity_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    issuer VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_user_identities_user FOREIGN KEY (user_id)
+        REFERENCES users(user_id) ON DELETE CASCADE,
+
+    -- One local user per provider account
+    CONSTRAINT uq_user_identities_issuer_subject UNIQUE (issuer, subject)
+);
+
+-- Indexes for user identities
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+
+-- =============================================
+-- Webhooks Table (outgoing HTTP callbacks for issue events)
+-- =============================================
+CREATE TABLE IF NOT EXISTS webhooks (
+    webhook_id SERIAL PRIMARY KEY,
+    url VARCHAR(2048) NOT NULL,
+    -- Kept in plain text: it is needed to sign every delivery
+    secret VARCHAR(255) NOT NULL,
+    event_types TEXT[] NOT NULL DEFAULT '{}',
+    description VARCHAR(255),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign Keys
+    CONSTRAINT fk_webhooks_created_by FOREIGN KEY (created_by)
+        REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- Webhook Deliveries Table (delivery queue and log)
+-- =============================================
+-- Pending deliveries are sent when next_attempt_at is due; a redelivery is a
+-- new row with the same payload that points to the delivery it repeats
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    delivery_id SERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    event_id UUID NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    redelivery_of INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_webhook_deliveries_status CHECK (status IN ('pending', 'succeeded', 'failed')),
+
+    -- Foreign Keys
+    CONSTRAINT fk_webhook_deliveries_webhook FOREIGN KEY (webhook_id)
+        REFERENCES webhooks(webhook_id) ON DELETE CASCADE,
+    CONSTRAINT fk_webhook_deliveries_redelivery_of FOREIGN KEY (redelivery_of)
+        REFERENCES webhook_deliveries(delivery_id) ON DELETE SET NULL
+);
+
+-- Indexes for webhook deliveries
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_created ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
 
 -- =============================================
 -- Create function to auto-update updated_at
@@ -88,3 +732,38 @@ CREATE TRIGGER update_issues_updated_at
     BEFORE UPDATE ON issues
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to labels table
+DROP TRIGGER IF EXISTS update_labels_updated_at ON labels;
+CREATE TRIGGER update_labels_updated_at
+    BEFORE UPDATE ON labels
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to milestones table
+DROP TRIGGER IF EXISTS update_milestones_updated_at ON milestones;
+CREATE TRIGGER update_milestones_updated_at
+    BEFORE UPDATE ON milestones
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to comments table
+DROP TRIGGER IF EXISTS update_comments_updated_at ON comments;
+CREATE TRIGGER update_comments_updated_at
+    BEFORE UPDATE ON comments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to email_preferences table
+DROP TRIGGER IF EXISTS update_email_preferences_updated_at ON email_preferences;
+CREATE TRIGGER update_email_preferences_updated_at
+    BEFORE UPDATE ON email_preferences
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to webhooks table
+DROP TRIGGER IF EXISTS update_webhooks_updated_at ON webhooks;
+CREATE TRIGGER update_webhooks_updated_at
+    BEFORE UPDATE ON webhooks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,171 @@
+/**
+ * Mock OIDC Provider
+ * ==================
+ * Minimal local OpenID Connect provider for developing and testing single
+ * sign-on without a real identity provider. Every authorization request is
+ * approved straight away for the configured user (or the login_hint email)
+ * and redirected back with a code. PKCE (S256) is enforced.
+ *
+ * Usage: npm run mock:oidc
+ *   MOCK_OIDC_PORT=4010                  Port to listen on
+ *   MOCK_OIDC_CLIENT_ID=issue-tracker    Accepted client ID
+ *   MOCK_OIDC_CLIENT_SECRET=             Required client secret (optional)
+ *   MOCK_OIDC_EMAIL=sso.user@example.com Signed-in user's email
+ *   MOCK_OIDC_NAME="SSO User"            Signed-in user's name
+ *   MOCK_OIDC_EMAIL_VERIFIED=true        email_verified claim: true, false or omit
+ *
+ * Point the API at it with OIDC_ISSUER_URL=http://localhost:4010
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'issue-tracker';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || '';
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com';
+const DEFAULT_NAME = process.env.MOCK_OIDC_NAME || 'SSO User';
+const EMAIL_VERIFIED = process.env.MOCK_OIDC_EMAIL_VERIFIED || 'true';
+
+const KEY_ID = 'mock-key-1';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Issued authorization codes: code -> { clientId, redirectUri, codeChallenge, nonce, email, name, expiresAt }
+const codes = new Map();
+
+const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+    req.on('error', reject);
+});
+
+// Stable subject per email, like a real provider's user ID
+const subjectFor = (email) => crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+
+const handleAuthorize = (url, res) => {
+    const params = url.searchParams;
+    const redirectUri = params.get('redirect_uri');
+
+    if (params.get('client_id') !== CLIENT_ID || !redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+    }
+
+    if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+        return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE with S256 is required' });
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    const email = params.get('login_hint') || DEFAULT_EMAIL;
+
+    codes.set(code, {
+        clientId: CLIENT_ID,
+        redirectUri,
+        codeChallenge: params.get('code_challenge'),
+        nonce: params.get('nonce'),
+        email,
+        name: params.get('login_hint') ? email.split('@')[0] : DEFAULT_NAME,
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set('code', code);
+    location.searchParams.set('state', params.get('state') || '');
+
+    res.writeHead(302, { Location: location.toString() });
+    res.end();
+};
+
+const handleToken = async (req, res) => {
+    const form = await readBody(req);
+    const grant = codes.get(form.get('code'));
+
+    // Codes are single use
+    codes.delete(form.get('code'));
+
+    if (form.get('grant_type') !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid or expired code' });
+    }
+
+    if (form.get('client_id') !== grant.clientId || (CLIENT_SECRET && form.get('client_secret') !== CLIENT_SECRET)) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+    }
+
+    if (form.get('redirect_uri') !== grant.redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign({
+        sub: subjectFor(grant.email),
+        email: grant.email,
+        ...(EMAIL_VERIFIED === 'omit' ? {} : { email_verified: EMAIL_VERIFIED === 'true' }),
+        name: grant.name,
+        nonce: grant.nonce
+    }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: grant.clientId,
+        expiresIn: '5m'
+    });
+
+    return sendJson(res, 200, {
+        access_token: crypto.randomBytes(24).toString('base64url'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: idToken
+    });
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, ISSUER);
+
+    try {
+        if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer: ISSUER,
+                authorization_endpoint: `${ISSUER}/authorize`,
+                token_endpoint: `${ISSUER}/token`,
+                jwks_uri: `${ISSUER}/jwks`,
+                response_types_supported: ['code'],
+                subject_types_supported: ['public'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                code_challenge_methods_supported: ['S256']
+            });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/jwks') {
+            const jwk = publicKey.export({ format: 'jwk' });
+            return sendJson(res, 200, { keys: [{ ...jwk, kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/authorize') {
+            return handleAuthorize(url, res);
+        }
+
+        if (req.method === 'POST' && url.pathname === '/token') {
+            return await handleToken(req, res);
+        }
+
+        sendJson(res, 404, { error: 'not_found' });
+    } catch (error) {
+        sendJson(res, 500, { error: 'server_error', error_description: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+    console.log(`   Client ID: ${CLIENT_ID}, user: ${DEFAULT_EMAIL}`);
+});
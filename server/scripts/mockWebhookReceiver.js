@@ -0,0 +1,102 @@
+/**
+ * Mock Webhook Receiver
+ * =====================
+ * Minimal local HTTP receiver for developing and testing webhooks. Every
+ * POST is logged with its event and checked against the shared secret;
+ * requests with a bad signature or a stale timestamp get 401. Received
+ * deliveries can be listed with GET /deliveries.
+ *
+ * Usage: npm run mock:webhooks
+ *   MOCK_WEBHOOK_PORT=4020       Port to listen on
+ *   MOCK_WEBHOOK_SECRET=         Webhook secret to verify signatures with (optional)
+ *   MOCK_WEBHOOK_STATUS=200      Status to answer with (e.g. 500 to see retries)
+ *   MOCK_WEBHOOK_TOLERANCE=300   Oldest X-Webhook-Timestamp accepted, in seconds
+ *
+ * Create a webhook with url http://localhost:4020/webhook and the same secret
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_WEBHOOK_PORT) || 4020;
+const SECRET = process.env.MOCK_WEBHOOK_SECRET || '';
+const STATUS = parseInt(process.env.MOCK_WEBHOOK_STATUS) || 200;
+const TOLERANCE_SECONDS = parseInt(process.env.MOCK_WEBHOOK_TOLERANCE) || 300;
+
+// Received deliveries, oldest first: { receivedAt, path, event, delivery, timestamp, signatureValid, payload }
+const deliveries = [];
+
+const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+// Same scheme as the API: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>",
+// and the timestamp must be recent so an old delivery cannot be replayed
+const isSignatureValid = (body, timestamp, header) => {
+    if (!/^\d+$/.test(timestamp || '') || Math.abs(Date.now() / 1000 - parseInt(timestamp)) > TOLERANCE_SECONDS) {
+        return false;
+    }
+
+    const signed = Buffer.concat([Buffer.from(`${timestamp}.`), body]);
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', SECRET).update(signed).digest('hex')}`);
+    const received = Buffer.from(header || '');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const server = http.createServer(async (req, res) => {
+    try {
+        if (req.method === 'GET' && req.url === '/deliveries') {
+            return sendJson(res, 200, deliveries);
+        }
+
+        if (req.method !== 'POST') {
+            return sendJson(res, 404, { error: 'not_found' });
+        }
+
+        const body = await readBody(req);
+        const timestamp = req.headers['x-webhook-timestamp'];
+        const signatureValid = SECRET ? isSignatureValid(body, timestamp, req.headers['x-webhook-signature-256']) : null;
+
+        let payload = null;
+        try {
+            payload = JSON.parse(body.toString('utf8'));
+        } catch (parseError) {
+            payload = body.toString('utf8');
+        }
+
+        const delivery = {
+            receivedAt: new Date().toISOString(),
+            path: req.url,
+            event: req.headers['x-webhook-event'],
+            delivery: req.headers['x-webhook-delivery'],
+            timestamp,
+            signatureValid,
+            payload
+        };
+        deliveries.push(delivery);
+
+        const signatureNote = signatureValid === null ? 'unchecked' : (signatureValid ? 'valid' : 'INVALID');
+        console.log(`📨 ${delivery.event} (delivery ${delivery.delivery}, signature ${signatureNote})`);
+
+        if (signatureValid === false) {
+            return sendJson(res, 401, { error: 'invalid_signature' });
+        }
+
+        sendJson(res, STATUS, { received: true });
+    } catch (error) {
+        sendJson(res, 500, { error: 'server_error', error_description: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🪝 Mock webhook receiver running at http://localhost:${PORT}/webhook`);
+    console.log(`   Signatures: ${SECRET ? 'verified' : 'not checked (set MOCK_WEBHOOK_SECRET)'}, answering ${STATUS}`);
+});
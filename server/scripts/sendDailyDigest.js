@@ -0,0 +1,26 @@
+/**
+ * Send Daily Digest
+ * =================
+ * Emails the daily digest to every user who turned it on and is due one
+ * (at most one every 20 hours), then exits. Meant to be run once a day,
+ * e.g. from cron, as an alternative to DAILY_DIGEST_HOUR.
+ *
+ * Usage: npm run digest
+ * Mail goes through the configured MAIL_TRANSPORT (file outbox by default)
+ */
+
+require('dotenv').config();
+
+const { pool } = require('../src/config/database');
+const { sendDailyDigests } = require('../src/modules/notifications/dailyDigest');
+
+sendDailyDigests()
+    .then(summary => {
+        console.log(`Daily digest: ${summary.sent} sent, ${summary.empty} without activity, ${summary.failed} failed`);
+        process.exitCode = summary.failed > 0 ? 1 : 0;
+    })
+    .catch(error => {
+        console.error('Daily digest run failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
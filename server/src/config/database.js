@@ -4,15 +4,20 @@
  * PostgreSQL connection pool using pg driver
  */
 
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 
-// Create connection pool (reusable connections)
-const pool = new Pool({
+// Connection settings shared by the pool and dedicated connections
+const connectionConfig = {
     host: process.env.DB_HOST,
     port: process.env.DB_PORT || 5432,
     user: process.env.DB_USER,
     password: process.env.DB_PASS,
-    database: process.env.DB_NAME,
+    database: process.env.DB_NAME
+};
+
+// Create connection pool (reusable connections)
+const pool = new Pool({
+    ...connectionConfig,
     max: 10,                    // Maximum number of connections
     idleTimeoutMillis: 30000,   // Close idle connections after 30 seconds
     connectionTimeoutMillis: 2000, // Return an error after 2 seconds if connection cannot be established
@@ -53,9 +58,43 @@ const getConnection = async () => {
     return await pool.connect();
 };
 
+/**
+ * Create a dedicated connection outside the pool
+ * For LISTEN, which needs one connection for as long as it listens.
+ * The caller connects it and ends it.
+ * @returns {Client} - Unconnected database client
+ */
+const createDedicatedClient = () => {
+    return new Client(connectionConfig);
+};
+
+/**
+ * Run a callback inside a transaction
+ * Commits when the callback resolves and rolls back when it throws
+ * @param {Function} callback - async (client) => result, run queries on client
+ * @returns {Promise<*>} - Callback result
+ */
+const withTransaction = async (callback) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
 module.exports = {
     pool,
     query,
     getConnection,
+    createDedicatedClient,
+    withTransaction,
     testConnection
 };
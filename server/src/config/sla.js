@@ -0,0 +1,30 @@
+/**
+ * SLA Configuration
+ * =================
+ * Service level targets for issues, in hours from creation. Replace it without
+ * code changes by pointing SLA_FILE at a JSON file with the same shape.
+ *
+ * targets.priority / targets.severity: per value, any of
+ *   - firstResponseHours  until someone other than the reporter comments,
+ *                         or the status first changes
+ *   - resolveHours        until the issue is resolved or closed
+ * When both the priority and the severity set a target, the shorter one applies.
+ *
+ * atRiskRatio: share of a target's time after which an unmet target is "at-risk"
+ */
+
+module.exports = {
+    atRiskRatio: 0.75,
+
+    targets: {
+        priority: {
+            Critical: { firstResponseHours: 4, resolveHours: 24 },
+            High: { firstResponseHours: 8, resolveHours: 72 },
+            Medium: { firstResponseHours: 24, resolveHours: 168 },
+            Low: { firstResponseHours: 72 }
+        },
+        severity: {
+            Critical: { firstResponseHours: 4, resolveHours: 48 }
+        }
+    }
+};
@@ -0,0 +1,61 @@
+/**
+ * Issue Workflow Configuration
+ * ============================
+ * Declares how issues move between statuses. Replace it without code changes
+ * by pointing WORKFLOW_FILE at a JSON file with the same shape.
+ *
+ * initialStatuses: statuses a new issue may start in
+ * transitions: allowed moves, each with
+ *   - name            label shown to users
+ *   - from / to       source statuses and target status
+ *   - requiredFields  fields that must have a value after the move (optional),
+ *                     e.g. resolution, assignedTo
+ *   - allowedRoles    who may perform it (optional, default: anyone who can edit
+ *                     issues): user roles plus "assignee" and "creator" of the issue
+ */
+
+module.exports = {
+    initialStatuses: ['Open', 'In Progress'],
+
+    transitions: [
+        {
+            name: 'Start progress',
+            from: ['Open'],
+            to: 'In Progress'
+        },
+        {
+            name: 'Stop progress',
+            from: ['In Progress'],
+            to: 'Open'
+        },
+        {
+            name: 'Resolve',
+            from: ['Open', 'In Progress'],
+            to: 'Resolved',
+            requiredFields: ['resolution']
+        },
+        {
+            name: 'Close',
+            from: ['Resolved'],
+            to: 'Closed'
+        },
+        {
+            name: 'Close without resolving',
+            from: ['Open', 'In Progress'],
+            to: 'Closed',
+            requiredFields: ['resolution'],
+            allowedRoles: ['admin']
+        },
+        {
+            name: 'Reopen',
+            from: ['Resolved'],
+            to: 'Open'
+        },
+        {
+            name: 'Reopen closed issue',
+            from: ['Closed'],
+            to: 'Open',
+            allowedRoles: ['admin', 'creator']
+        }
+    ]
+};
@@ -1,22 +1,38 @@
 /**
  * Authentication Middleware
  * =========================
- * JWT authentication and authorization middleware
+ * JWT / personal access token authentication and authorization middleware
  * 
  * Adapted from: olympus-backend-services/express-server/middleware/auth.js
  * Key difference: Using real JWT verification instead of mock auth
  */
 
 const jwt = require('jsonwebtoken');
-const { UnauthorizedError } = require('./errorHandler');
+const { UnauthorizedError, ForbiddenError } = require('./errorHandler');
+const AuthModel = require('../modules/auth/authModel');
+const PersonalAccessTokenModel = require('../modules/auth/personalAccessTokenModel');
+const SessionModel = require('../modules/auth/sessionModel');
+const { hashToken } = require('../shared/utils/tokenHelper');
+const {
+    PERSONAL_ACCESS_TOKEN_PREFIX,
+    IMPLIED_SCOPES
+} = require('../shared/constants/tokenConstants');
+
+// "purpose" claim of two-factor challenge tokens
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
 
 /**
  * Authenticate User Middleware
- * Verifies JWT token and attaches user to request
+ * Verifies the bearer token and attaches user to request
+ * 
+ * Accepts JWT access tokens, and personal access tokens ("itp_...") on
+ * routes that opted in with acceptPersonalAccessTokens.
+ * Rejects tokens of disabled users and JWTs issued before the user's
+ * last password change or "log out everywhere"
  * 
  * Usage: router.get('/protected', authenticate, controller.method)
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
     try {
         // Get token from Authorization header
         const authHeader = req.headers.authorization;
@@ -34,15 +50,14 @@ const authenticate = (req, res, next) => {
 
         const token = parts[1];
 
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Attach user info to request object
-        req.user = {
-            userId: decoded.userId,
-            email: decoded.email,
-            name: decoded.name
-        };
+        if (token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+            if (!req.acceptsPersonalAccessTokens) {
+                throw new UnauthorizedError('Personal access tokens are not accepted for this endpoint');
+            }
+            req.user = await verifyPersonalAccessToken(token);
+        } else {
+            req.user = await verifyAccessToken(token);
+        }
 
         next();
     } catch (error) {
@@ -56,65 +71,320 @@ const authenticate = (req, res, next) => {
     }
 };
 
+/**
+ * Verify a JWT access token against the current account state
+ * @param {string} token - JWT
+ * @returns {Promise<Object>} - req.user object
+ */
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) {
+        throw new UnauthorizedError('Invalid token');
+    }
+
+    const authState = await AuthModel.findAuthState(decoded.userId);
+
+    if (!authState || !authState.is_enabled) {
+        throw new UnauthorizedError('User account not found or disabled');
+    }
+
+    if (isTokenRevoked(decoded, authState.tokens_valid_after)) {
+        throw new UnauthorizedError('Token has been revoked');
+    }
+
+    // Every access token belongs to a login session that can be revoked remotely
+    const session = decoded.sid
+        ? await SessionModel.findActiveSession(decoded.sid, decoded.userId)
+        : null;
+
+    if (!session) {
+        throw new UnauthorizedError('Session has ended. Please log in again');
+    }
+
+    if (session.is_stale) {
+        await SessionModel.touchSession(session.session_id);
+    }
+
+    // Role is read fresh from the database; JWTs carry no scope limits
+    return {
+        userId: decoded.userId,
+        email: decoded.email,
+        name: decoded.name,
+        role: authState.role,
+        emailVerified: Boolean(authState.email_verified_at),
+        scopes: null,
+        sessionId: decoded.sid
+    };
+};
+
+/**
+ * Verify a personal access token
+ * @param {string} token - Plain personal access token
+ * @returns {Promise<Object>} - req.user object limited to the token's scopes
+ */
+const verifyPersonalAccessToken = async (token) => {
+    const accessToken = await PersonalAccessTokenModel.findActiveByHash(hashToken(token));
+
+    if (!accessToken) {
+        throw new UnauthorizedError('Invalid, expired or revoked personal access token');
+    }
+
+    if (!accessToken.is_enabled) {
+        throw new UnauthorizedError('User account not found or disabled');
+    }
+
+    await PersonalAccessTokenModel.touchLastUsed(accessToken.token_id);
+
+    return {
+        userId: accessToken.user_id,
+        email: accessToken.email,
+        name: accessToken.name,
+        role: accessToken.role,
+        emailVerified: Boolean(accessToken.email_verified_at),
+        scopes: accessToken.scopes,
+        accessTokenId: accessToken.token_id
+    };
+};
+
+/**
+ * Accept Personal Access Tokens Middleware
+ * Opts a route in to personal access token authentication
+ * Must be placed BEFORE authenticate; pair it with requireScope
+ * 
+ * Usage: router.use(acceptPersonalAccessTokens, authenticate, requireScope('issues:read'))
+ */
+const acceptPersonalAccessTokens = (req, res, next) => {
+    req.acceptsPersonalAccessTokens = true;
+    next();
+};
+
+/**
+ * Accept Query Token Middleware
+ * Uses the access_token query parameter as the bearer token when there is no
+ * Authorization header, for clients that cannot send headers (browser
+ * EventSource). Only for long-lived GET streams: URLs end up in logs.
+ * Must be placed BEFORE authenticate
+ * 
+ * Usage: router.get('/stream', acceptQueryToken, authenticate, controller.method)
+ */
+const acceptQueryToken = (req, res, next) => {
+    const token = req.query.access_token;
+
+    if (!req.headers.authorization && typeof token === 'string' && token) {
+        req.headers.authorization = `Bearer ${token}`;
+    }
+
+    next();
+};
+
+/**
+ * Require Scope Middleware
+ * Personal access tokens must carry the scope (directly or implied);
+ * JWT sessions are not scope limited and always pass
+ * Must be placed AFTER authenticate in the middleware chain
+ * 
+ * @param {string} scope - Required scope (see TOKEN_SCOPE)
+ * @returns {Function} - Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+    if (!req.user) {
+        return next(new UnauthorizedError('Authentication required'));
+    }
+
+    if (!req.user.scopes) {
+        return next();
+    }
+
+    const granted = req.user.scopes.some(tokenScope =>
+        tokenScope === scope || (IMPLIED_SCOPES[tokenScope] || []).includes(scope)
+    );
+
+    if (!granted) {
+        return next(new ForbiddenError(`Personal access token is missing the "${scope}" scope`));
+    }
+
+    next();
+};
+
 /**
  * Optional Authentication Middleware
- * Verifies JWT if present, but doesn't require it
+ * Verifies the JWT if present, but doesn't require it
  * Useful for routes that work differently for authenticated vs anonymous users
+ * 
+ * A token that authenticate would reject (invalid, expired, 2FA challenge,
+ * revoked session, disabled user) leaves the request anonymous
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
+        const parts = authHeader ? authHeader.split(' ') : [];
 
-        if (!authHeader) {
-            // No token provided, but that's okay for this route
-            req.user = null;
-            return next();
-        }
-
-        const parts = authHeader.split(' ');
+        // No usable token, but that's okay for this route
+        req.user = null;
 
         if (parts.length === 2 && parts[0] === 'Bearer') {
-            const token = parts[1];
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            req.user = {
-                userId: decoded.userId,
-                email: decoded.email,
-                name: decoded.name
-            };
-        } else {
-            req.user = null;
+            req.user = await verifyAccessToken(parts[1]);
         }
 
         next();
     } catch (error) {
-        // If token is invalid, treat as anonymous user
-        req.user = null;
-        next();
+        if (error instanceof jwt.JsonWebTokenError || error instanceof UnauthorizedError) {
+            req.user = null;
+            return next();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Authorize Roles Middleware
+ * Allows the request through only if the authenticated user has one of the given roles
+ * Must be placed AFTER authenticate in the middleware chain
+ * 
+ * Usage: router.delete('/:id', authenticate, authorize('admin', 'member'), controller.method)
+ * 
+ * @param {...string} roles - Allowed roles (see USER_ROLE)
+ * @returns {Function} - Express middleware
+ */
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return next(new UnauthorizedError('Authentication required'));
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return next(new ForbiddenError('You do not have permission to perform this action'));
     }
+
+    next();
+};
+
+/**
+ * Require Verified Email Middleware
+ * Blocks users whose email address is not verified yet, when
+ * REQUIRE_EMAIL_VERIFICATION=true. Otherwise it lets every request through.
+ * Must be placed AFTER authenticate in the middleware chain
+ * 
+ * Usage: router.post('/', authenticate, requireVerifiedEmail, controller.method)
+ */
+const requireVerifiedEmail = (req, res, next) => {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+        return next();
+    }
+
+    if (!req.user) {
+        return next(new UnauthorizedError('Authentication required'));
+    }
+
+    if (!req.user.emailVerified) {
+        return next(new ForbiddenError('Please verify your email address to perform this action'));
+    }
+
+    next();
+};
+
+/**
+ * Require Password Login Middleware
+ * Blocks the local email/password endpoints when PASSWORD_LOGIN_ENABLED=false,
+ * for deployments where everyone signs in through single sign-on (OIDC)
+ * 
+ * Usage: router.post('/login', requirePasswordLogin, controller.method)
+ */
+const requirePasswordLogin = (req, res, next) => {
+    if (process.env.PASSWORD_LOGIN_ENABLED === 'false') {
+        return next(new ForbiddenError('Password login is disabled. Please sign in with single sign-on'));
+    }
+
+    next();
 };
 
 /**
  * Generate JWT Token
- * Creates a new JWT token for a user
+ * Creates a new short-lived JWT access token for a user
+ * Long-lived sessions are kept alive with refresh tokens (see authController)
  * 
- * @param {Object} user - User object with userId, email, name
+ * @param {Object} user - User object with user_id, email, name, role
+ * @param {number} sessionId - Login session the token belongs to
  * @returns {string} - JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
     const payload = {
         userId: user.user_id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        role: user.role,
+        sid: sessionId
     };
 
     return jwt.sign(
         payload,
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+        { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
     );
 };
 
+/**
+ * Generate Two-Factor Challenge Token
+ * Short-lived token proving the password step of a login succeeded.
+ * It cannot be used as an access token.
+ * 
+ * @param {Object} user - User object with user_id
+ * @returns {string} - JWT challenge token
+ */
+const generateTwoFactorChallenge = (user) => {
+    return jwt.sign(
+        { userId: user.user_id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+    );
+};
+
+/**
+ * Verify Two-Factor Challenge Token
+ * 
+ * @param {string} token - JWT challenge token
+ * @returns {Promise<number>} - User ID the challenge was issued for
+ */
+const verifyTwoFactorChallenge = async (token) => {
+    let decoded;
+
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new UnauthorizedError('Invalid or expired two-factor challenge');
+    }
+
+    if (decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+        throw new UnauthorizedError('Invalid or expired two-factor challenge');
+    }
+
+    const authState = await AuthModel.findAuthState(decoded.userId);
+
+    if (!authState || !authState.is_enabled || isTokenRevoked(decoded, authState.tokens_valid_after)) {
+        throw new UnauthorizedError('Invalid or expired two-factor challenge');
+    }
+
+    return decoded.userId;
+};
+
+/**
+ * Check whether a token was issued before the user's tokens were invalidated
+ * JWT "iat" has second precision, so the cut-off is compared in whole seconds
+ * 
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Date|null} tokensValidAfter - Cut-off timestamp from the users table
+ * @returns {boolean} - True if the token must be rejected
+ */
+const isTokenRevoked = (decoded, tokensValidAfter) => {
+    if (!tokensValidAfter) {
+        return false;
+    }
+
+    const cutOffSeconds = Math.floor(new Date(tokensValidAfter).getTime() / 1000);
+    return decoded.iat < cutOffSeconds;
+};
+
 /**
  * Decode Token (without verification)
  * Useful for getting user info even from expired tokens
@@ -133,6 +403,14 @@ const decodeToken = (token) => {
 module.exports = {
     authenticate,
     optionalAuth,
+    authorize,
+    requireVerifiedEmail,
+    requirePasswordLogin,
+    acceptPersonalAccessTokens,
+    acceptQueryToken,
+    requireScope,
     generateToken,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge,
     decodeToken
 };
@@ -0,0 +1,95 @@
+/**
+ * Upload Middleware
+ * =================
+ * Parses multipart/form-data uploads (multer, files kept in memory until
+ * they are handed to the storage backend) and enforces the attachment
+ * size and MIME type limits
+ */
+
+const multer = require('multer');
+const { ApiError, ValidationError } = require('./errorHandler');
+
+// MIME types accepted when ATTACHMENT_ALLOWED_TYPES is not set ("type/*" wildcards allowed)
+const DEFAULT_ALLOWED_TYPES = [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'text/plain',
+    'text/csv',
+    'application/pdf',
+    'application/json',
+    'application/zip',
+    'application/gzip'
+];
+
+/**
+ * Read the attachment limits from the environment
+ * @returns {Object} - { maxFileSizeMb, allowedTypes }
+ */
+const getUploadLimits = () => ({
+    maxFileSizeMb: parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10,
+    allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+        ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_ALLOWED_TYPES
+});
+
+/**
+ * Check a MIME type against the allow list
+ * @param {string} mimeType - Declared MIME type of the upload
+ * @param {Array<string>} allowedTypes - Allowed types / wildcards
+ * @returns {boolean}
+ */
+const isAllowedType = (mimeType, allowedTypes) => {
+    const type = String(mimeType).toLowerCase();
+
+    return allowedTypes.some(allowed => allowed === type
+        || (allowed.endsWith('/*') && type.startsWith(allowed.slice(0, -1))));
+};
+
+/**
+ * Single File Upload Middleware
+ * Accepts exactly one file in the given form field and puts it on req.file
+ * Too large files get 413, disallowed types and missing files get 400
+ * 
+ * Usage: router.post('/:id/attachments', singleFileUpload('file'), controller.method)
+ */
+const singleFileUpload = (fieldName) => (req, res, next) => {
+    const { maxFileSizeMb, allowedTypes } = getUploadLimits();
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        defParamCharset: 'utf8',
+        limits: { fileSize: Math.floor(maxFileSizeMb * 1024 * 1024), files: 1 },
+        fileFilter: (req, file, callback) => {
+            if (!isAllowedType(file.mimetype, allowedTypes)) {
+                return callback(new ValidationError(`File type "${file.mimetype}" is not allowed`));
+            }
+            callback(null, true);
+        }
+    }).single(fieldName);
+
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return next(new ApiError(`File exceeds the ${maxFileSizeMb} MB limit`, 413));
+            }
+            return next(new ValidationError(error.message));
+        }
+
+        if (error) {
+            return next(error);
+        }
+
+        if (!req.file) {
+            return next(new ValidationError(`A file is required in the "${fieldName}" field`));
+        }
+
+        next();
+    });
+};
+
+module.exports = {
+    singleFileUpload,
+    getUploadLimits
+};
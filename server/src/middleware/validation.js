@@ -7,6 +7,23 @@
 
 const { validationResult, body, param, query } = require('express-validator');
 const { badRequestResponse } = require('../shared/utils/responseHelper');
+const { VALID_ROLES } = require('../shared/constants/userConstants');
+const { VALID_TOKEN_SCOPES } = require('../shared/constants/tokenConstants');
+const {
+    VALID_RESOLUTIONS,
+    VALID_LINK_TYPES,
+    VALID_ISSUE_ACTIVITY_TYPES
+} = require('../shared/constants/issueConstants');
+const { VALID_NOTIFICATION_TYPES } = require('../shared/constants/notificationConstants');
+const {
+    VALID_WEBHOOK_EVENTS,
+    VALID_WEBHOOK_DELIVERY_STATUSES
+} = require('../shared/constants/webhookConstants');
+const {
+    PROJECT_KEY_PATTERN,
+    ISSUE_KEY_PATTERN,
+    PROJECT_REF_PATTERN
+} = require('../shared/constants/projectConstants');
 
 /**
  * Validate Request Middleware
@@ -69,6 +86,108 @@ const loginValidation = [
         .notEmpty().withMessage('Password is required')
 ];
 
+const forgotPasswordValidation = [
+    body('email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Please enter a valid email address')
+        .normalizeEmail()
+];
+
+const resetPasswordValidation = [
+    body('token')
+        .trim()
+        .notEmpty().withMessage('Reset token is required'),
+
+    body('newPassword')
+        .notEmpty().withMessage('New password is required')
+        .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+        .matches(/\d/).withMessage('Password must contain at least one number')
+];
+
+const verifyEmailValidation = [
+    query('token')
+        .trim()
+        .notEmpty().withMessage('Verification token is required')
+];
+
+const refreshTokenValidation = [
+    body('refreshToken')
+        .trim()
+        .notEmpty().withMessage('Refresh token is required')
+];
+
+const oidcCallbackValidation = [
+    body('code')
+        .trim()
+        .notEmpty().withMessage('Authorization code is required'),
+
+    body('state')
+        .trim()
+        .notEmpty().withMessage('State is required')
+];
+
+const twoFactorCodeValidation = [
+    body('code')
+        .trim()
+        .notEmpty().withMessage('Two-factor code is required')
+        .matches(/^\d{6}$/).withMessage('Two-factor code must be 6 digits')
+];
+
+const twoFactorVerifyValidation = [
+    body('challengeToken')
+        .trim()
+        .notEmpty().withMessage('Challenge token is required'),
+
+    body('code')
+        .optional()
+        .trim()
+        .matches(/^\d{6}$/).withMessage('Two-factor code must be 6 digits'),
+
+    body('recoveryCode')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Recovery code cannot be empty'),
+
+    body()
+        .custom(value => Boolean(value.code || value.recoveryCode))
+        .withMessage('Either code or recoveryCode is required')
+];
+
+const twoFactorDisableValidation = [
+    body('password')
+        .notEmpty().withMessage('Password is required'),
+
+    ...twoFactorCodeValidation
+];
+
+const createAccessTokenValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Token name is required')
+        .isLength({ max: 100 }).withMessage('Token name cannot exceed 100 characters'),
+
+    body('scopes')
+        .isArray({ min: 1 }).withMessage('At least one scope is required'),
+
+    body('scopes.*')
+        .isIn(VALID_TOKEN_SCOPES).withMessage(`Scopes must be one of: ${VALID_TOKEN_SCOPES.join(', ')}`),
+
+    body('expiresInDays')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 365 }).withMessage('expiresInDays must be between 1 and 365')
+];
+
+const tokenIdValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid token ID')
+];
+
+const sessionIdValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid session ID')
+];
+
 // ========================================
 // Issue Validation Rules
 // ========================================
@@ -94,7 +213,39 @@ const createIssueValidation = [
 
     body('status')
         .optional()
-        .isIn(['Open', 'In Progress', 'Resolved', 'Closed']).withMessage('Invalid status value')
+        .isIn(['Open', 'In Progress', 'Resolved', 'Closed']).withMessage('Invalid status value'),
+
+    body('labelIds')
+        .optional()
+        .isArray({ max: 50 }).withMessage('labelIds must be an array of label IDs'),
+
+    body('labelIds.*')
+        .isInt({ min: 1 }).withMessage('Invalid label ID'),
+
+    body('projectId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Invalid project ID'),
+
+    body('parentId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Invalid parent issue ID'),
+
+    body('milestoneId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Invalid milestone ID'),
+
+    body('dueDate')
+        .optional({ nullable: true })
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('dueDate must be a date like 2024-01-31')
+        .isISO8601({ strict: true }).withMessage('dueDate is not a valid date'),
+
+    body('originalEstimateMinutes')
+        .optional({ nullable: true })
+        .isInt({ min: 0, max: 1000000 }).withMessage('originalEstimateMinutes must be a whole number of minutes'),
+
+    body('remainingEstimateMinutes')
+        .optional({ nullable: true })
+        .isInt({ min: 0, max: 1000000 }).withMessage('remainingEstimateMinutes must be a whole number of minutes')
 ];
 
 const updateIssueValidation = [
@@ -121,7 +272,43 @@ const updateIssueValidation = [
 
     body('status')
         .optional()
-        .isIn(['Open', 'In Progress', 'Resolved', 'Closed']).withMessage('Invalid status value')
+        .isIn(['Open', 'In Progress', 'Resolved', 'Closed']).withMessage('Invalid status value'),
+
+    body('resolution')
+        .optional()
+        .isIn(VALID_RESOLUTIONS).withMessage(`Resolution must be one of: ${VALID_RESOLUTIONS.join(', ')}`),
+
+    body('labelIds')
+        .optional()
+        .isArray({ max: 50 }).withMessage('labelIds must be an array of label IDs'),
+
+    body('labelIds.*')
+        .isInt({ min: 1 }).withMessage('Invalid label ID'),
+
+    body('projectId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Invalid project ID'),
+
+    body('parentId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Invalid parent issue ID'),
+
+    body('milestoneId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Invalid milestone ID'),
+
+    body('dueDate')
+        .optional({ nullable: true })
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('dueDate must be a date like 2024-01-31')
+        .isISO8601({ strict: true }).withMessage('dueDate is not a valid date'),
+
+    body('originalEstimateMinutes')
+        .optional({ nullable: true })
+        .isInt({ min: 0, max: 1000000 }).withMessage('originalEstimateMinutes must be a whole number of minutes'),
+
+    body('remainingEstimateMinutes')
+        .optional({ nullable: true })
+        .isInt({ min: 0, max: 1000000 }).withMessage('remainingEstimateMinutes must be a whole number of minutes')
 ];
 
 const updateStatusValidation = [
@@ -130,7 +317,11 @@ const updateStatusValidation = [
 
     body('status')
         .notEmpty().withMessage('Status is required')
-        .isIn(['Open', 'In Progress', 'Resolved', 'Closed']).withMessage('Invalid status value')
+        .isIn(['Open', 'In Progress', 'Resolved', 'Closed']).withMessage('Invalid status value'),
+
+    body('resolution')
+        .optional()
+        .isIn(VALID_RESOLUTIONS).withMessage(`Resolution must be one of: ${VALID_RESOLUTIONS.join(', ')}`)
 ];
 
 const issueIdValidation = [
@@ -138,11 +329,191 @@ const issueIdValidation = [
         .isInt({ min: 1 }).withMessage('Invalid issue ID')
 ];
 
+const getIssueValidation = [
+    param('id')
+        .custom(value => /^[1-9]\d*$/.test(value) || ISSUE_KEY_PATTERN.test(value))
+        .withMessage('Invalid issue ID or key'),
+
+    query('include')
+        .optional()
+        .custom(value => String(value).split(',').every(item => ['commentCount', 'links'].includes(item.trim())))
+        .withMessage('include may only contain: commentCount, links')
+];
+
+const issueHistoryValidation = [
+    ...issueIdValidation,
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// ========================================
+// Comment Validation Rules
+// ========================================
+
+const commentIdValidation = [
+    ...issueIdValidation,
+
+    param('commentId')
+        .isInt({ min: 1 }).withMessage('Invalid comment ID')
+];
+
+const listCommentsValidation = [
+    ...issueIdValidation,
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const createCommentValidation = [
+    ...issueIdValidation,
+
+    body('body')
+        .trim()
+        .notEmpty().withMessage('Comment body is required')
+        .isLength({ max: 10000 }).withMessage('Comment cannot exceed 10000 characters'),
+
+    body('parentId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Invalid parent comment ID')
+];
+
+const updateCommentValidation = [
+    ...commentIdValidation,
+
+    body('body')
+        .trim()
+        .notEmpty().withMessage('Comment body is required')
+        .isLength({ max: 10000 }).withMessage('Comment cannot exceed 10000 characters')
+];
+
+// ========================================
+// Attachment Validation Rules
+// ========================================
+
+const attachmentIdValidation = [
+    ...issueIdValidation,
+
+    param('attachmentId')
+        .isInt({ min: 1 }).withMessage('Invalid attachment ID')
+];
+
+// ========================================
+// Worklog Validation Rules
+// ========================================
+
+const worklogIdValidation = [
+    ...issueIdValidation,
+
+    param('worklogId')
+        .isInt({ min: 1 }).withMessage('Invalid worklog ID')
+];
+
+const createWorklogValidation = [
+    ...issueIdValidation,
+
+    body('durationMinutes')
+        .isInt({ min: 1, max: 1440 }).withMessage('durationMinutes must be between 1 and 1440 (one day)'),
+
+    body('date')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('date must be a date like 2024-01-31')
+        .isISO8601({ strict: true }).withMessage('date is not a valid date'),
+
+    body('note')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+];
+
+// ========================================
+// Watcher Validation Rules
+// ========================================
+
+const watcherUserIdValidation = [
+    ...issueIdValidation,
+
+    param('userId')
+        .isInt({ min: 1 }).withMessage('Invalid user ID')
+];
+
+const addWatcherValidation = [
+    ...issueIdValidation,
+
+    body('userId')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Invalid user ID')
+];
+
+// ========================================
+// Issue Link Validation Rules
+// ========================================
+
+const linkIdValidation = [
+    ...issueIdValidation,
+
+    param('linkId')
+        .isInt({ min: 1 }).withMessage('Invalid link ID')
+];
+
+const createLinkValidation = [
+    ...issueIdValidation,
+
+    body('type')
+        .isIn(VALID_LINK_TYPES).withMessage(`Link type must be one of: ${VALID_LINK_TYPES.join(', ')}`),
+
+    body('targetIssueId')
+        .isInt({ min: 1 }).withMessage('Invalid target issue ID'),
+
+    body('closeDuplicate')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('closeDuplicate must be true or false')
+];
+
 // ========================================
 // Query Validation Rules (for list/search)
 // ========================================
 
+const projectFilterValidation = [
+    query('project')
+        .optional()
+        .matches(PROJECT_REF_PATTERN).withMessage('project must be a project ID or key')
+];
+
+const exportIssuesValidation = [
+    ...projectFilterValidation,
+
+    query('worklogs')
+        .optional()
+        .isIn(['true', 'false']).withMessage('worklogs must be true or false')
+];
+
 const listIssuesValidation = [
+    ...projectFilterValidation,
+
+    query('parent')
+        .optional()
+        .custom(value => value === 'none' || /^[1-9]\d*$/.test(value) || ISSUE_KEY_PATTERN.test(value))
+        .withMessage('parent must be "none" or an issue ID or key'),
+
+    query('milestone')
+        .optional()
+        .matches(/^(none|[1-9]\d*)$/).withMessage('milestone must be "none" or a milestone ID'),
+
+    query('overdue')
+        .optional()
+        .isIn(['true', 'false']).withMessage('overdue must be true or false'),
+
     query('page')
         .optional()
         .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -159,24 +530,514 @@ const listIssuesValidation = [
         .optional()
         .isIn(['Low', 'Medium', 'High', 'Critical']).withMessage('Invalid priority filter'),
 
+    query('labels')
+        .optional()
+        .isString().withMessage('labels must be a comma-separated list of label names')
+        .isLength({ max: 500 }).withMessage('labels cannot exceed 500 characters'),
+
+    query('labelMatch')
+        .optional()
+        .isIn(['any', 'all']).withMessage('labelMatch must be any or all'),
+
     query('sortBy')
         .optional()
-        .isIn(['created_at', 'updated_at', 'title', 'priority', 'status']).withMessage('Invalid sort field'),
+        .isIn(['created_at', 'updated_at', 'title', 'priority', 'status', 'due_date']).withMessage('Invalid sort field'),
 
     query('sortOrder')
         .optional()
         .isIn(['asc', 'desc', 'ASC', 'DESC']).withMessage('Sort order must be asc or desc')
 ];
 
+// ========================================
+// Label Validation Rules
+// ========================================
+
+const labelIdValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid label ID')
+];
+
+const createLabelValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Label name is required')
+        .isLength({ max: 50 }).withMessage('Label name cannot exceed 50 characters')
+        .not().contains(',').withMessage('Label name cannot contain commas'),
+
+    body('color')
+        .optional()
+        .matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex color like #1f883d'),
+
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Description cannot exceed 255 characters')
+];
+
+const updateLabelValidation = [
+    ...labelIdValidation,
+
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Label name cannot be empty')
+        .isLength({ max: 50 }).withMessage('Label name cannot exceed 50 characters')
+        .not().contains(',').withMessage('Label name cannot contain commas'),
+
+    body('color')
+        .optional()
+        .matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex color like #1f883d'),
+
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Description cannot exceed 255 characters')
+];
+
+// ========================================
+// Notification Validation Rules
+// ========================================
+
+const notificationIdValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid notification ID')
+];
+
+const listNotificationsValidation = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+    query('unread')
+        .optional()
+        .isIn(['true', 'false']).withMessage('unread must be true or false')
+];
+
+const updateNotificationPreferencesValidation = [
+    body()
+        .custom(value => value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0)
+        .withMessage(`Preferences must be an object like { "${VALID_NOTIFICATION_TYPES[0]}": false }`)
+        .bail()
+        .custom(value => Object.keys(value).every(type => VALID_NOTIFICATION_TYPES.includes(type)))
+        .withMessage(`Notification types must be one of: ${VALID_NOTIFICATION_TYPES.join(', ')}`)
+        .bail()
+        .custom(value => Object.values(value).every(enabled => typeof enabled === 'boolean'))
+        .withMessage('Each notification type must be set to true or false')
+];
+
+const updateEmailPreferencesValidation = [
+    body()
+        .custom(value => value && (value.assignmentEmails !== undefined || value.dailyDigest !== undefined))
+        .withMessage('Set assignmentEmails and/or dailyDigest'),
+
+    body('assignmentEmails')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('assignmentEmails must be true or false'),
+
+    body('dailyDigest')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('dailyDigest must be true or false')
+];
+
+const unsubscribeValidation = [
+    query('token')
+        .notEmpty().withMessage('Unsubscribe token is required')
+];
+
+// ========================================
+// Report Validation Rules
+// ========================================
+
+const timeReportValidation = [
+    ...projectFilterValidation,
+
+    query('groupBy')
+        .optional()
+        .isIn(['user', 'issue', 'date']).withMessage('groupBy must be user, issue or date'),
+
+    query('from')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('from must be a date like 2024-01-31')
+        .isISO8601({ strict: true }).withMessage('from is not a valid date'),
+
+    query('to')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('to must be a date like 2024-01-31')
+        .isISO8601({ strict: true }).withMessage('to is not a valid date'),
+
+    query('userId')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Invalid user ID'),
+
+    query('issueId')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Invalid issue ID')
+];
+
+// ========================================
+// Milestone Validation Rules
+// ========================================
+
+const milestoneIdValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid milestone ID')
+];
+
+const listMilestonesValidation = [
+    query('state')
+        .optional()
+        .isIn(['active', 'upcoming', 'past']).withMessage('state must be active, upcoming or past')
+];
+
+const createMilestoneValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Milestone name is required')
+        .isLength({ max: 100 }).withMessage('Milestone name cannot exceed 100 characters'),
+
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 5000 }).withMessage('Description cannot exceed 5000 characters'),
+
+    body('startDate')
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('startDate must be a date like 2024-01-31')
+        .isISO8601({ strict: true }).withMessage('startDate is not a valid date'),
+
+    body('dueDate')
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('dueDate must be a date like 2024-01-31')
+        .isISO8601({ strict: true }).withMessage('dueDate is not a valid date')
+];
+
+const updateMilestoneValidation = [
+    ...milestoneIdValidation,
+
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Milestone name cannot be empty')
+        .isLength({ max: 100 }).withMessage('Milestone name cannot exceed 100 characters'),
+
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 5000 }).withMessage('Description cannot exceed 5000 characters'),
+
+    body('startDate')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('startDate must be a date like 2024-01-31')
+        .isISO8601({ strict: true }).withMessage('startDate is not a valid date'),
+
+    body('dueDate')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('dueDate must be a date like 2024-01-31')
+        .isISO8601({ strict: true }).withMessage('dueDate is not a valid date')
+];
+
+// ========================================
+// Project Validation Rules
+// ========================================
+
+const projectIdValidation = [
+    param('id')
+        .matches(PROJECT_REF_PATTERN).withMessage('Invalid project ID or key')
+];
+
+const createProjectValidation = [
+    body('key')
+        .trim()
+        .toUpperCase()
+        .matches(PROJECT_KEY_PATTERN).withMessage('Key must be 2-10 letters or digits, starting with a letter'),
+
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Project name is required')
+        .isLength({ max: 100 }).withMessage('Project name cannot exceed 100 characters'),
+
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 5000 }).withMessage('Description cannot exceed 5000 characters')
+];
+
+const updateProjectValidation = [
+    ...projectIdValidation,
+
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Project name cannot be empty')
+        .isLength({ max: 100 }).withMessage('Project name cannot exceed 100 characters'),
+
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 5000 }).withMessage('Description cannot exceed 5000 characters')
+];
+
+const addProjectMemberValidation = [
+    ...projectIdValidation,
+
+    body('userId')
+        .isInt({ min: 1 }).withMessage('Invalid user ID')
+];
+
+const projectMemberValidation = [
+    ...projectIdValidation,
+
+    param('userId')
+        .isInt({ min: 1 }).withMessage('Invalid user ID')
+];
+
+// ========================================
+// Webhook Validation Rules
+// ========================================
+
+const webhookIdValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid webhook ID')
+];
+
+const webhookDeliveryIdValidation = [
+    ...webhookIdValidation,
+
+    param('deliveryId')
+        .isInt({ min: 1 }).withMessage('Invalid delivery ID')
+];
+
+// Local receivers (http://localhost:...) are allowed, for testing
+const createWebhookValidation = [
+    body('url')
+        .trim()
+        .notEmpty().withMessage('URL is required')
+        .isLength({ max: 2048 }).withMessage('URL cannot exceed 2048 characters')
+        .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+        .withMessage('URL must be an http(s) URL'),
+
+    body('secret')
+        .optional()
+        .isString().withMessage('Secret must be a string')
+        .isLength({ min: 16, max: 255 }).withMessage('Secret must be between 16 and 255 characters'),
+
+    body('events')
+        .isArray({ min: 1 }).withMessage('At least one event is required'),
+
+    body('events.*')
+        .isIn(VALID_WEBHOOK_EVENTS).withMessage(`Events must be one of: ${VALID_WEBHOOK_EVENTS.join(', ')}`),
+
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Description cannot exceed 255 characters'),
+
+    body('active')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('active must be true or false')
+];
+
+const updateWebhookValidation = [
+    ...webhookIdValidation,
+
+    body('url')
+        .optional()
+        .trim()
+        .isLength({ max: 2048 }).withMessage('URL cannot exceed 2048 characters')
+        .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+        .withMessage('URL must be an http(s) URL'),
+
+    body('secret')
+        .optional()
+        .isString().withMessage('Secret must be a string')
+        .isLength({ min: 16, max: 255 }).withMessage('Secret must be between 16 and 255 characters'),
+
+    body('events')
+        .optional()
+        .isArray({ min: 1 }).withMessage('At least one event is required'),
+
+    body('events.*')
+        .isIn(VALID_WEBHOOK_EVENTS).withMessage(`Events must be one of: ${VALID_WEBHOOK_EVENTS.join(', ')}`),
+
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Description cannot exceed 255 characters'),
+
+    body('active')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('active must be true or false')
+];
+
+const listWebhookDeliveriesValidation = [
+    ...webhookIdValidation,
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+    query('status')
+        .optional()
+        .isIn(VALID_WEBHOOK_DELIVERY_STATUSES)
+        .withMessage(`Status must be one of: ${VALID_WEBHOOK_DELIVERY_STATUSES.join(', ')}`),
+
+    query('event')
+        .optional()
+        .trim()
+        .isLength({ max: 50 }).withMessage('Event cannot exceed 50 characters')
+];
+
+// ========================================
+// Stream Validation Rules
+// ========================================
+
+const streamIssuesValidation = [
+    ...projectFilterValidation,
+
+    query('issueId')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Invalid issue ID'),
+
+    query('events')
+        .optional()
+        .custom(value => String(value).split(',').every(type => VALID_ISSUE_ACTIVITY_TYPES.includes(type.trim())))
+        .withMessage(`events must be a comma-separated list of: ${VALID_ISSUE_ACTIVITY_TYPES.join(', ')}`)
+];
+
+// ========================================
+// User Management Validation Rules
+// ========================================
+
+const userIdValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid user ID')
+];
+
+const listUsersValidation = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+    query('role')
+        .optional()
+        .isIn(VALID_ROLES).withMessage('Invalid role filter'),
+
+    query('status')
+        .optional()
+        .isIn(['enabled', 'disabled', 'all']).withMessage('Status must be enabled, disabled or all'),
+
+    query('search')
+        .optional()
+        .trim()
+        .isLength({ max: 255 }).withMessage('Search cannot exceed 255 characters')
+];
+
+const updateUserStatusValidation = [
+    ...userIdValidation,
+
+    body('enabled')
+        .exists().withMessage('Enabled is required')
+        .isBoolean({ strict: true }).withMessage('Enabled must be true or false'),
+
+    body('reassignTo')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Invalid reassignTo user ID')
+];
+
+const updateUserRoleValidation = [
+    ...userIdValidation,
+
+    body('role')
+        .notEmpty().withMessage('Role is required')
+        .isIn(VALID_ROLES).withMessage('Invalid role value')
+];
+
 module.exports = {
     validateRequest,
     // Auth validations
     registerValidation,
     loginValidation,
+    refreshTokenValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
+    verifyEmailValidation,
+    oidcCallbackValidation,
+    twoFactorCodeValidation,
+    twoFactorVerifyValidation,
+    twoFactorDisableValidation,
+    createAccessTokenValidation,
+    tokenIdValidation,
+    sessionIdValidation,
     // Issue validations
     createIssueValidation,
     updateIssueValidation,
     updateStatusValidation,
     issueIdValidation,
-    listIssuesValidation
+    getIssueValidation,
+    issueHistoryValidation,
+    listIssuesValidation,
+    projectFilterValidation,
+    exportIssuesValidation,
+    // Comment validations
+    commentIdValidation,
+    listCommentsValidation,
+    createCommentValidation,
+    updateCommentValidation,
+    // Attachment validations
+    attachmentIdValidation,
+    // Worklog validations
+    worklogIdValidation,
+    createWorklogValidation,
+    // Watcher validations
+    watcherUserIdValidation,
+    addWatcherValidation,
+    // Issue link validations
+    linkIdValidation,
+    createLinkValidation,
+    // Label validations
+    labelIdValidation,
+    createLabelValidation,
+    updateLabelValidation,
+    // Notification validations
+    notificationIdValidation,
+    listNotificationsValidation,
+    updateNotificationPreferencesValidation,
+    updateEmailPreferencesValidation,
+    unsubscribeValidation,
+    // Report validations
+    timeReportValidation,
+    // Milestone validations
+    milestoneIdValidation,
+    listMilestonesValidation,
+    createMilestoneValidation,
+    updateMilestoneValidation,
+    // Project validations
+    projectIdValidation,
+    createProjectValidation,
+    updateProjectValidation,
+    addProjectMemberValidation,
+    projectMemberValidation,
+    // Webhook validations
+    webhookIdValidation,
+    webhookDeliveryIdValidation,
+    createWebhookValidation,
+    updateWebhookValidation,
+    listWebhookDeliveriesValidation,
+    // Stream validations
+    streamIssuesValidation,
+    // User management validations
+    userIdValidation,
+    listUsersValidation,
+    updateUserStatusValidation,
+    updateUserRoleValidation
 };
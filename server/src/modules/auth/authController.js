@@ -9,18 +9,41 @@
 
 const bcrypt = require('bcryptjs');
 const AuthModel = require('./authModel');
-const { generateToken } = require('../../middleware/auth');
+const RefreshTokenModel = require('./refreshTokenModel');
+const PasswordResetModel = require('./passwordResetModel');
+const EmailVerificationModel = require('./emailVerificationModel');
+const RecoveryCodeModel = require('./recoveryCodeModel');
+const SessionModel = require('./sessionModel');
+const {
+    SALT_ROUNDS,
+    startSession,
+    issueTokens,
+    revokeSession,
+    revokeAllSessions,
+    startEmailVerification,
+    startPasswordReset,
+    checkLoginThrottle,
+    recordFailedLogin,
+    clearAccountLockout,
+    consumeRecoveryCode
+} = require('./authService');
+const { generateTwoFactorChallenge, verifyTwoFactorChallenge } = require('../../middleware/auth');
 const {
     successResponse,
     createdResponse,
     badRequestResponse,
     unauthorizedResponse,
-    notFoundResponse
+    notFoundResponse,
+    lockedResponse,
+    tooManyRequestsResponse
 } = require('../../shared/utils/responseHelper');
+const { hashToken } = require('../../shared/utils/tokenHelper');
+const { verifyTotp } = require('../../shared/utils/totpHelper');
 const { ValidationError, UnauthorizedError } = require('../../middleware/errorHandler');
 
-// Number of salt rounds for bcrypt (10-12 is recommended)
-const SALT_ROUNDS = 10;
+// Unknown emails are checked against this hash so they take as long to
+// refuse as a wrong password (response time must not reveal accounts)
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password', SALT_ROUNDS);
 
 class AuthController {
     /**
@@ -47,8 +70,11 @@ class AuthController {
                 passwordHash
             });
 
-            // Generate JWT token
-            const token = generateToken(createdUser);
+            // Send the email verification link
+            await startEmailVerification(createdUser);
+
+            // Start a session and generate access and refresh tokens
+            const tokens = await startSession(createdUser, req);
 
             // Return success response
             return createdResponse(res, {
@@ -56,9 +82,11 @@ class AuthController {
                     userId: createdUser.user_id,
                     name: createdUser.name,
                     email: createdUser.email,
+                    role: createdUser.role,
+                    emailVerified: Boolean(createdUser.email_verified_at),
                     createdAt: createdUser.created_at
                 },
-                token
+                ...tokens
             }, 'User registered successfully');
 
         } catch (error) {
@@ -74,31 +102,51 @@ class AuthController {
         try {
             const { email, password } = req.body;
 
+            // Refuse locked accounts / throttled IPs before doing any password work
+            const activeLock = await checkLoginThrottle(email, req.ip);
+            if (activeLock) {
+                return throttledLoginResponse(res, activeLock);
+            }
+
             // Find user by email
             const user = await AuthModel.findByEmail(email);
 
-            if (!user) {
+            // Compare passwords (against the dummy hash for unknown emails)
+            const passwordMatches = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+            const isPasswordValid = Boolean(user) && passwordMatches;
+
+            if (!isPasswordValid) {
+                const newLock = await recordFailedLogin(email, req.ip);
+                if (newLock) {
+                    return throttledLoginResponse(res, newLock);
+                }
                 return unauthorizedResponse(res, 'Invalid email or password');
             }
 
-            // Compare passwords
-            const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+            // Successful login resets the account's failure counter
+            await clearAccountLockout(email);
 
-            if (!isPasswordValid) {
-                return unauthorizedResponse(res, 'Invalid email or password');
+            // With 2FA on, the password alone only earns a short-lived challenge
+            if (user.totp_enabled_at) {
+                return successResponse(res, {
+                    twoFactorRequired: true,
+                    challengeToken: generateTwoFactorChallenge(user)
+                }, 'Two-factor authentication required');
             }
 
-            // Generate JWT token
-            const token = generateToken(user);
+            // Start a session and generate access and refresh tokens
+            const tokens = await startSession(user, req);
 
             // Return success response
             return successResponse(res, {
                 user: {
                     userId: user.user_id,
                     name: user.name,
-                    email: user.email
+                    email: user.email,
+                    role: user.role,
+                    emailVerified: Boolean(user.email_verified_at)
                 },
-                token
+                ...tokens
             }, 'Login successful');
 
         } catch (error) {
@@ -106,6 +154,76 @@ class AuthController {
         }
     }
 
+    /**
+     * POST /api/auth/2fa/verify
+     * Second login step for users with 2FA: exchange the challenge token and
+     * a TOTP code (or a one-time recovery code) for the real tokens
+     */
+    static async verifyTwoFactor(req, res, next) {
+        try {
+            const { challengeToken, code, recoveryCode } = req.body;
+
+            const userId = await verifyTwoFactorChallenge(challengeToken);
+
+            const user = await AuthModel.findById(userId);
+            const twoFactorState = await AuthModel.findTwoFactorState(userId);
+
+            if (!user || !twoFactorState || !twoFactorState.totp_enabled_at) {
+                return unauthorizedResponse(res, 'Invalid or expired two-factor challenge');
+            }
+
+            // Wrong codes count towards the same lockout as wrong passwords
+            const activeLock = await checkLoginThrottle(user.email, req.ip);
+            if (activeLock) {
+                return throttledLoginResponse(res, activeLock);
+            }
+
+            let isCodeValid = false;
+            let usedRecoveryCode = false;
+
+            if (code) {
+                const step = verifyTotp(twoFactorState.totp_secret, code);
+                isCodeValid = step !== null && await AuthModel.markTotpStepUsed(userId, step);
+            } else if (recoveryCode) {
+                isCodeValid = await consumeRecoveryCode(userId, recoveryCode);
+                usedRecoveryCode = isCodeValid;
+            }
+
+            if (!isCodeValid) {
+                const newLock = await recordFailedLogin(user.email, req.ip);
+                if (newLock) {
+                    return throttledLoginResponse(res, newLock);
+                }
+                return unauthorizedResponse(res, 'Invalid two-factor code');
+            }
+
+            await clearAccountLockout(user.email);
+
+            // Start a session and generate access and refresh tokens
+            const tokens = await startSession(user, req);
+
+            const responseData = {
+                user: {
+                    userId: user.user_id,
+                    name: user.name,
+                    email: user.email,
+                    role: user.role,
+                    emailVerified: Boolean(user.email_verified_at)
+                },
+                ...tokens
+            };
+
+            if (usedRecoveryCode) {
+                responseData.remainingRecoveryCodes = await RecoveryCodeModel.countRemaining(userId);
+            }
+
+            return successResponse(res, responseData, 'Login successful');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * GET /api/auth/profile
      * Get authenticated user's profile
@@ -127,6 +245,8 @@ class AuthController {
                 userId: user.user_id,
                 name: user.name,
                 email: user.email,
+                role: user.role,
+                emailVerified: Boolean(user.email_verified_at),
                 createdAt: user.created_at,
                 updatedAt: user.updated_at
             }, 'Profile retrieved successfully');
@@ -155,6 +275,7 @@ class AuthController {
                 userId: user.user_id,
                 name: user.name,
                 email: user.email,
+                role: user.role,
                 updatedAt: user.updated_at
             }, 'Profile updated successfully');
 
@@ -185,10 +306,277 @@ class AuthController {
             // Hash new password
             const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
 
-            // Update password
+            // Update password (invalidates existing access tokens)
             await AuthModel.updatePassword(userId, passwordHash);
 
-            return successResponse(res, null, 'Password changed successfully');
+            // Sign out every other session and keep the current client signed in
+            await SessionModel.revokeAllForUser(userId, req.user.sessionId);
+            await RefreshTokenModel.revokeAllForUser(userId);
+            const tokens = await issueTokens(user, req.user.sessionId);
+
+            return successResponse(res, tokens, 'Password changed successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/auth/sessions
+     * List the authenticated user's active sessions
+     */
+    static async getSessions(req, res, next) {
+        try {
+            const sessions = await SessionModel.getActiveSessionsByUser(req.user.userId);
+
+            return successResponse(res, sessions.map(session => ({
+                id: session.session_id,
+                userAgent: session.user_agent,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastSeenAt: session.last_seen_at,
+                current: session.session_id === req.user.sessionId
+            })), 'Sessions retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/auth/sessions/:id
+     * Sign out one of the authenticated user's sessions
+     */
+    static async revokeSession(req, res, next) {
+        try {
+            const revoked = await revokeSession(req.params.id, req.user.userId);
+
+            if (!revoked) {
+                return notFoundResponse(res, 'Session not found or already ended');
+            }
+
+            return successResponse(res, null, 'Session revoked successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/forgot-password
+     * Send a password reset link to the given email
+     * Responds identically whether or not the account exists
+     */
+    static async forgotPassword(req, res, next) {
+        try {
+            const { email } = req.body;
+
+            const user = await AuthModel.findByEmail(email);
+
+            if (user) {
+                // Delivery problems are not reported to avoid revealing account existence
+                await startPasswordReset(user);
+            }
+
+            return successResponse(
+                res,
+                null,
+                'If an account with that email exists, a password reset link has been sent'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/reset-password
+     * Reset password using a single-use reset token
+     */
+    static async resetPassword(req, res, next) {
+        try {
+            const { token, newPassword } = req.body;
+
+            const resetToken = await PasswordResetModel.consumeToken(hashToken(token));
+
+            if (!resetToken) {
+                return badRequestResponse(res, 'Invalid or expired reset token');
+            }
+
+            const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+            const updated = await AuthModel.updatePassword(resetToken.user_id, passwordHash);
+
+            if (!updated) {
+                return badRequestResponse(res, 'Invalid or expired reset token');
+            }
+
+            // A reset means the old credentials may be compromised - end every session
+            await revokeAllSessions(resetToken.user_id);
+
+            // The owner proved access to the mailbox - lift any login lockout
+            const user = await AuthModel.findById(resetToken.user_id);
+            if (user) {
+                await clearAccountLockout(user.email);
+            }
+
+            return successResponse(res, null, 'Password has been reset successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/auth/verify-email
+     * Verify email address using the token from the verification link
+     */
+    static async verifyEmail(req, res, next) {
+        try {
+            const { token } = req.query;
+
+            const verificationToken = await EmailVerificationModel.consumeToken(hashToken(token));
+
+            if (!verificationToken) {
+                return badRequestResponse(res, 'Invalid or expired verification token');
+            }
+
+            const updated = await AuthModel.markEmailVerified(verificationToken.user_id);
+
+            if (!updated) {
+                return badRequestResponse(res, 'Invalid or expired verification token');
+            }
+
+            return successResponse(res, {
+                emailVerified: true,
+                emailVerifiedAt: updated.email_verified_at
+            }, 'Email verified successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/resend-verification
+     * Send a new verification link to the authenticated user
+     */
+    static async resendVerification(req, res, next) {
+        try {
+            const user = await AuthModel.findById(req.user.userId);
+
+            if (!user) {
+                return notFoundResponse(res, 'User not found');
+            }
+
+            if (user.email_verified_at) {
+                return badRequestResponse(res, 'Email is already verified');
+            }
+
+            await startEmailVerification(user);
+
+            return successResponse(res, null, 'Verification email sent');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/refresh
+     * Exchange a refresh token for a new access/refresh token pair
+     * The presented refresh token is revoked (rotation). Presenting a token that
+     * was already rotated is treated as theft and revokes every session of the
+     * user; tokens of a session that was logged out or revoked are just refused.
+     */
+    static async refresh(req, res, next) {
+        try {
+            const { refreshToken } = req.body;
+
+            const storedToken = await RefreshTokenModel.findByHash(hashToken(refreshToken));
+
+            if (!storedToken) {
+                return unauthorizedResponse(res, 'Invalid refresh token');
+            }
+
+            if (storedToken.revoked_at) {
+                // Reuse of a rotated token means it was copied - end every session
+                if (storedToken.replaced_by) {
+                    await revokeAllSessions(storedToken.user_id);
+                }
+                return unauthorizedResponse(res, 'Refresh token has been revoked');
+            }
+
+            if (new Date(storedToken.expires_at) <= new Date()) {
+                return unauthorizedResponse(res, 'Refresh token has expired');
+            }
+
+            const user = await AuthModel.findById(storedToken.user_id);
+
+            if (!user) {
+                return unauthorizedResponse(res, 'User account not found or disabled');
+            }
+
+            // Retire the old token first so concurrent reuse is detected
+            const revoked = await RefreshTokenModel.revokeToken(storedToken.token_id);
+
+            if (!revoked) {
+                // Someone else is rotating the same token right now
+                await revokeAllSessions(storedToken.user_id);
+                return unauthorizedResponse(res, 'Refresh token has been revoked');
+            }
+
+            const session = await SessionModel.findActiveSession(storedToken.session_id, user.user_id);
+
+            if (!session) {
+                return unauthorizedResponse(res, 'Session has ended. Please log in again');
+            }
+
+            await SessionModel.touchSession(session.session_id, req.ip || null);
+
+            const tokens = await issueTokens(user, session.session_id, storedToken.token_id);
+
+            return successResponse(res, tokens, 'Token refreshed successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/logout
+     * End the session the given refresh token belongs to
+     */
+    static async logout(req, res, next) {
+        try {
+            const { refreshToken } = req.body;
+
+            const storedToken = await RefreshTokenModel.findByHash(hashToken(refreshToken));
+
+            if (storedToken && storedToken.session_id) {
+                await revokeSession(storedToken.session_id);
+            } else if (storedToken) {
+                await RefreshTokenModel.revokeToken(storedToken.token_id);
+            }
+
+            return successResponse(res, null, 'Logged out successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/logout-all
+     * Revoke every session, refresh token and access token of the authenticated user
+     */
+    static async logoutAll(req, res, next) {
+        try {
+            const userId = req.user.userId;
+
+            await revokeAllSessions(userId);
+
+            return successResponse(res, null, 'Logged out from all sessions successfully');
 
         } catch (error) {
             next(error);
@@ -196,4 +584,26 @@ class AuthController {
     }
 }
 
+/**
+ * Helper function to respond to a blocked login attempt
+ * Locked accounts get 423, throttled IP addresses get 429; both set Retry-After
+ * @param {Object} res - Express response object
+ * @param {Object} lock - { scope: 'account' | 'ip', retryAfterSeconds }
+ */
+function throttledLoginResponse(res, lock) {
+    if (lock.scope === 'account') {
+        return lockedResponse(
+            res,
+            'Account temporarily locked due to too many failed login attempts',
+            lock.retryAfterSeconds
+        );
+    }
+
+    return tooManyRequestsResponse(
+        res,
+        'Too many failed login attempts from this address. Please try again later',
+        lock.retryAfterSeconds
+    );
+}
+
 module.exports = AuthController;
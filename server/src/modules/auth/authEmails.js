@@ -0,0 +1,88 @@
+/**
+ * Auth Emails
+ * ===========
+ * Builds and sends authentication-related emails through the mailer
+ */
+
+const { sendMail, getAppUrl } = require('../../shared/mail/mailer');
+
+/**
+ * Email a password reset link
+ * @param {Object} user - User row with name, email
+ * @param {string} resetToken - Plain reset token
+ * @param {number} expiresInMinutes - Link lifetime shown to the user
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendPasswordResetEmail = async (user, resetToken, expiresInMinutes) => {
+    const resetLink = `${getAppUrl()}/reset-password?token=${resetToken}`;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your Issue Tracker password',
+        text: [
+            `Hi ${user.name},`,
+            '',
+            'We received a request to reset your password. Use the link below to choose a new one:',
+            resetLink,
+            '',
+            `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+            'If you did not request a password reset, you can ignore this email.'
+        ].join('\n'),
+        html: `
+            <p>Hi ${escapeHtml(user.name)},</p>
+            <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+            <p><a href="${resetLink}">Reset password</a></p>
+            <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+            <p>If you did not request a password reset, you can ignore this email.</p>
+        `
+    });
+};
+
+/**
+ * Email an address verification link
+ * @param {Object} user - User row with name, email
+ * @param {string} verificationToken - Plain verification token
+ * @param {number} expiresInHours - Link lifetime shown to the user
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendVerificationEmail = async (user, verificationToken, expiresInHours) => {
+    const verifyLink = `${getAppUrl()}/verify-email?token=${verificationToken}`;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your Issue Tracker email address',
+        text: [
+            `Hi ${user.name},`,
+            '',
+            'Please confirm your email address by opening the link below:',
+            verifyLink,
+            '',
+            `This link expires in ${expiresInHours} hours.`
+        ].join('\n'),
+        html: `
+            <p>Hi ${escapeHtml(user.name)},</p>
+            <p>Please confirm your email address by opening the link below:</p>
+            <p><a href="${verifyLink}">Verify email address</a></p>
+            <p>This link expires in ${expiresInHours} hours.</p>
+        `
+    });
+};
+
+/**
+ * Escape user-provided text for HTML emails
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+module.exports = {
+    sendPasswordResetEmail,
+    sendVerificationEmail
+};
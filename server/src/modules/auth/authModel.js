@@ -16,7 +16,7 @@ class AuthModel {
         const sql = `
             INSERT INTO users (name, email, password_hash, created_at, updated_at)
             VALUES ($1, $2, $3, NOW(), NOW())
-            RETURNING user_id, name, email, created_at
+            RETURNING user_id, name, email, role, email_verified_at, created_at
         `;
 
         const results = await query(sql, [
@@ -40,6 +40,9 @@ class AuthModel {
                 name,
                 email,
                 password_hash,
+                role,
+                email_verified_at,
+                totp_enabled_at,
                 created_at,
                 updated_at,
                 is_enabled
@@ -63,6 +66,8 @@ class AuthModel {
                 user_id,
                 name,
                 email,
+                role,
+                email_verified_at,
                 created_at,
                 updated_at
             FROM users
@@ -101,15 +106,165 @@ class AuthModel {
             UPDATE users
             SET name = $1, updated_at = NOW()
             WHERE user_id = $2 AND is_enabled = true
-            RETURNING user_id, name, email, updated_at
+            RETURNING user_id, name, email, role, updated_at
         `;
 
         const results = await query(sql, [userData.name, userId]);
         return results[0];
     }
 
+    /**
+     * Get the fields needed to validate an access token
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} - { user_id, role, is_enabled, tokens_valid_after, email_verified_at } or null
+     */
+    static async findAuthState(userId) {
+        const sql = `
+            SELECT 
+                user_id,
+                role,
+                is_enabled,
+                tokens_valid_after,
+                email_verified_at
+            FROM users
+            WHERE user_id = $1
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [userId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Invalidate all access tokens issued to a user up to now
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - Update result
+     */
+    static async invalidateTokens(userId) {
+        const sql = `
+            UPDATE users
+            SET tokens_valid_after = NOW(), updated_at = NOW()
+            WHERE user_id = $1
+            RETURNING user_id
+        `;
+
+        const results = await query(sql, [userId]);
+        return results[0];
+    }
+
+    /**
+     * Mark user's email address as verified
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - Updated user
+     */
+    static async markEmailVerified(userId) {
+        const sql = `
+            UPDATE users
+            SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+            WHERE user_id = $1 AND is_enabled = true
+            RETURNING user_id, email_verified_at
+        `;
+
+        const results = await query(sql, [userId]);
+        return results[0];
+    }
+
+    /**
+     * Get a user's two-factor authentication state
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} - { user_id, email, totp_secret, totp_enabled_at, totp_last_used_step } or null
+     */
+    static async findTwoFactorState(userId) {
+        const sql = `
+            SELECT 
+                user_id,
+                email,
+                totp_secret,
+                totp_enabled_at,
+                totp_last_used_step
+            FROM users
+            WHERE user_id = $1 AND is_enabled = true
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [userId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Store a pending (not yet confirmed) TOTP secret
+     * @param {number} userId - User ID
+     * @param {string} secret - Base32 TOTP secret
+     * @returns {Promise<Object>} - Update result
+     */
+    static async setPendingTotpSecret(userId, secret) {
+        const sql = `
+            UPDATE users
+            SET totp_secret = $1, totp_enabled_at = NULL, totp_last_used_step = NULL, updated_at = NOW()
+            WHERE user_id = $2 AND is_enabled = true
+            RETURNING user_id
+        `;
+
+        const results = await query(sql, [secret, userId]);
+        return results[0];
+    }
+
+    /**
+     * Turn on two-factor authentication with the pending secret
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - Update result
+     */
+    static async enableTotp(userId) {
+        const sql = `
+            UPDATE users
+            SET totp_enabled_at = NOW(), updated_at = NOW()
+            WHERE user_id = $1 AND totp_secret IS NOT NULL
+            RETURNING user_id, totp_enabled_at
+        `;
+
+        const results = await query(sql, [userId]);
+        return results[0];
+    }
+
+    /**
+     * Turn off two-factor authentication and forget the secret
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - Update result
+     */
+    static async disableTotp(userId) {
+        const sql = `
+            UPDATE users
+            SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL, updated_at = NOW()
+            WHERE user_id = $1
+            RETURNING user_id
+        `;
+
+        const results = await query(sql, [userId]);
+        return results[0];
+    }
+
+    /**
+     * Record the time step of an accepted TOTP code
+     * Fails if that step (or a later one) was already used, preventing code replay
+     * @param {number} userId - User ID
+     * @param {number} step - TOTP time step
+     * @returns {Promise<boolean>} - True if the step was not used before
+     */
+    static async markTotpStepUsed(userId, step) {
+        const sql = `
+            UPDATE users
+            SET totp_last_used_step = $1
+            WHERE user_id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+            RETURNING user_id
+        `;
+
+        const results = await query(sql, [step, userId]);
+        return results.length > 0;
+    }
+
     /**
      * Update user password
+     * Also invalidates every access token issued before the change
      * @param {number} userId - User ID
      * @param {string} passwordHash - New password hash
      * @returns {Promise<Object>} - Update result
@@ -117,7 +272,7 @@ class AuthModel {
     static async updatePassword(userId, passwordHash) {
         const sql = `
             UPDATE users
-            SET password_hash = $1, updated_at = NOW()
+            SET password_hash = $1, tokens_valid_after = NOW(), updated_at = NOW()
             WHERE user_id = $2 AND is_enabled = true
             RETURNING user_id
         `;
@@ -127,14 +282,33 @@ class AuthModel {
     }
 
     /**
-     * Soft delete user (disable account)
+     * Soft delete user (disable account) inside a transaction
+     * Access tokens issued so far stop working as well
+     * @param {Object} client - Transaction client (from withTransaction)
      * @param {number} userId - User ID
      * @returns {Promise<Object>} - Update result
      */
-    static async deleteUser(userId) {
+    static async deleteUser(client, userId) {
         const sql = `
             UPDATE users
-            SET is_enabled = false, updated_at = NOW()
+            SET is_enabled = false, tokens_valid_after = NOW(), updated_at = NOW()
+            WHERE user_id = $1
+            RETURNING user_id
+        `;
+
+        const results = await client.query(sql, [userId]);
+        return results.rows[0];
+    }
+
+    /**
+     * Re-enable a disabled user account
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - Update result
+     */
+    static async enableUser(userId) {
+        const sql = `
+            UPDATE users
+            SET is_enabled = true, updated_at = NOW()
             WHERE user_id = $1
             RETURNING user_id
         `;
@@ -144,24 +318,140 @@ class AuthModel {
     }
 
     /**
-     * Get all users (for admin purposes)
-     * @returns {Promise<Array>} - Array of user objects
+     * Change user role inside a transaction
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {number} userId - User ID
+     * @param {string} role - New role (see USER_ROLE)
+     * @returns {Promise<Object>} - Update result
+     */
+    static async updateRole(client, userId, role) {
+        const sql = `
+            UPDATE users
+            SET role = $1, updated_at = NOW()
+            WHERE user_id = $2
+            RETURNING user_id, role
+        `;
+
+        const results = await client.query(sql, [role, userId]);
+        return results.rows[0];
+    }
+
+    /**
+     * Lock the enabled admin accounts until the transaction ends, so
+     * concurrent changes cannot both count the same admins
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @returns {Promise<Array<number>>} - User IDs of the enabled admins
+     */
+    static async lockActiveAdmins(client) {
+        const sql = `
+            SELECT user_id
+            FROM users
+            WHERE role = 'admin' AND is_enabled = true
+            FOR UPDATE
+        `;
+
+        const results = await client.query(sql);
+        return results.rows.map(row => row.user_id);
+    }
+
+    /**
+     * Get user by ID regardless of account status (for admin purposes)
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} - User object (without password) or null
+     */
+    static async getUserById(userId) {
+        const sql = `
+            SELECT 
+                user_id,
+                name,
+                email,
+                role,
+                is_enabled,
+                email_verified_at,
+                created_at,
+                updated_at
+            FROM users
+            WHERE user_id = $1
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [userId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Get all users with pagination and filters (for admin purposes)
+     * @param {Object} options - { page, limit, search, role, status }
+     *   status: 'enabled' (default), 'disabled' or 'all'
+     * @returns {Promise<Object>} - { users, total, totalPages, currentPage, perPage }
      */
-    static async getAllUsers() {
+    static async getAllUsers(options = {}) {
+        const {
+            page = 1,
+            limit = 10,
+            search,
+            role,
+            status = 'enabled'
+        } = options;
+
+        const offset = (page - 1) * limit;
+
+        let conditions = ['1=1'];
+        let params = [];
+        let paramIndex = 1;
+
+        if (status === 'enabled') {
+            conditions.push('is_enabled = true');
+        } else if (status === 'disabled') {
+            conditions.push('is_enabled = false');
+        }
+
+        if (role) {
+            conditions.push(`role = $${paramIndex++}`);
+            params.push(role);
+        }
+
+        if (search) {
+            conditions.push(`(name ILIKE $${paramIndex} OR email ILIKE $${paramIndex})`);
+            paramIndex++;
+            params.push(`%${search}%`);
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countSql = `
+            SELECT COUNT(*) as total
+            FROM users
+            WHERE ${whereClause}
+        `;
+        const countResult = await query(countSql, params);
+        const total = parseInt(countResult[0].total);
+
         const sql = `
             SELECT 
                 user_id,
                 name,
                 email,
+                role,
+                is_enabled,
+                email_verified_at,
                 created_at,
                 updated_at
             FROM users
-            WHERE is_enabled = true
+            WHERE ${whereClause}
             ORDER BY created_at DESC
+            LIMIT $${paramIndex++} OFFSET $${paramIndex++}
         `;
 
-        const results = await query(sql);
-        return results;
+        const users = await query(sql, [...params, parseInt(limit), parseInt(offset)]);
+
+        return {
+            users,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            perPage: parseInt(limit)
+        };
     }
 }
 
@@ -9,11 +9,25 @@
 const express = require('express');
 const router = express.Router();
 const AuthController = require('./authController');
-const { authenticate } = require('../../middleware/auth');
+const PersonalAccessTokenController = require('./personalAccessTokenController');
+const TwoFactorController = require('./twoFactorController');
+const OidcController = require('./oidcController');
+const { authenticate, requirePasswordLogin } = require('../../middleware/auth');
 const {
     validateRequest,
     registerValidation,
-    loginValidation
+    loginValidation,
+    refreshTokenValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
+    verifyEmailValidation,
+    oidcCallbackValidation,
+    createAccessTokenValidation,
+    tokenIdValidation,
+    sessionIdValidation,
+    twoFactorCodeValidation,
+    twoFactorVerifyValidation,
+    twoFactorDisableValidation
 } = require('../../middleware/validation');
 const { asyncHandler } = require('../../middleware/errorHandler');
 
@@ -29,6 +43,7 @@ const { asyncHandler } = require('../../middleware/errorHandler');
  */
 router.post(
     '/register',
+    requirePasswordLogin,
     registerValidation,
     validateRequest,
     asyncHandler(AuthController.register)
@@ -42,15 +57,156 @@ router.post(
  */
 router.post(
     '/login',
+    requirePasswordLogin,
     loginValidation,
     validateRequest,
     asyncHandler(AuthController.login)
 );
 
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a 2FA login with a TOTP code or a recovery code
+ * @access  Public (requires the challenge token returned by login)
+ * @body    { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post(
+    '/2fa/verify',
+    requirePasswordLogin,
+    twoFactorVerifyValidation,
+    validateRequest,
+    asyncHandler(AuthController.verifyTwoFactor)
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and return a new access token
+ * @access  Public
+ * @body    { refreshToken }
+ */
+router.post(
+    '/refresh',
+    refreshTokenValidation,
+    validateRequest,
+    asyncHandler(AuthController.refresh)
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the session the given refresh token belongs to
+ * @access  Public
+ * @body    { refreshToken }
+ */
+router.post(
+    '/logout',
+    refreshTokenValidation,
+    validateRequest,
+    asyncHandler(AuthController.logout)
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link (always responds the same to prevent email enumeration)
+ * @access  Public
+ * @body    { email }
+ */
+router.post(
+    '/forgot-password',
+    requirePasswordLogin,
+    forgotPasswordValidation,
+    validateRequest,
+    asyncHandler(AuthController.forgotPassword)
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ * @body    { token, newPassword }
+ */
+router.post(
+    '/reset-password',
+    requirePasswordLogin,
+    resetPasswordValidation,
+    validateRequest,
+    asyncHandler(AuthController.resetPassword)
+);
+
+/**
+ * @route   GET /api/auth/verify-email
+ * @desc    Verify email address from the emailed link
+ * @access  Public
+ * @query   token
+ */
+router.get(
+    '/verify-email',
+    verifyEmailValidation,
+    validateRequest,
+    asyncHandler(AuthController.verifyEmail)
+);
+
+// ========================================
+// Single Sign-On (OpenID Connect)
+// ========================================
+
+/**
+ * @route   GET /api/auth/oidc
+ * @desc    Available login methods (SSO provider, whether password login is on)
+ * @access  Public
+ */
+router.get(
+    '/oidc',
+    asyncHandler(OidcController.getConfig)
+);
+
+/**
+ * @route   POST /api/auth/oidc/authorize
+ * @desc    Start an SSO login and get the identity provider URL to redirect to
+ * @access  Public
+ */
+router.post(
+    '/oidc/authorize',
+    asyncHandler(OidcController.authorize)
+);
+
+/**
+ * @route   POST /api/auth/oidc/callback
+ * @desc    Finish an SSO login with the code and state from the provider redirect
+ * @access  Public
+ * @body    { code, state }
+ */
+router.post(
+    '/oidc/callback',
+    oidcCallbackValidation,
+    validateRequest,
+    asyncHandler(OidcController.callback)
+);
+
 // ========================================
 // Protected Routes (authentication required)
 // ========================================
 
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post(
+    '/resend-verification',
+    authenticate,
+    asyncHandler(AuthController.resendVerification)
+);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out everywhere (revoke all refresh and access tokens)
+ * @access  Private
+ */
+router.post(
+    '/logout-all',
+    authenticate,
+    asyncHandler(AuthController.logoutAll)
+);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get authenticated user's profile
@@ -84,7 +240,146 @@ router.put(
 router.put(
     '/change-password',
     authenticate,
+    requirePasswordLogin,
     asyncHandler(AuthController.changePassword)
 );
 
+// ========================================
+// Sessions (signed-in devices)
+// ========================================
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (the calling one is marked current)
+ * @access  Private
+ */
+router.get(
+    '/sessions',
+    authenticate,
+    asyncHandler(AuthController.getSessions)
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out a session (its access and refresh tokens stop working)
+ * @access  Private
+ */
+router.delete(
+    '/sessions/:id',
+    authenticate,
+    sessionIdValidation,
+    validateRequest,
+    asyncHandler(AuthController.revokeSession)
+);
+
+// ========================================
+// Two-Factor Authentication (TOTP)
+// ========================================
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get 2FA status
+ * @access  Private
+ */
+router.get(
+    '/2fa',
+    authenticate,
+    asyncHandler(TwoFactorController.getStatus)
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post(
+    '/2fa/setup',
+    authenticate,
+    asyncHandler(TwoFactorController.setup)
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm 2FA enrollment with a code (returns recovery codes)
+ * @access  Private
+ * @body    { code }
+ */
+router.post(
+    '/2fa/enable',
+    authenticate,
+    twoFactorCodeValidation,
+    validateRequest,
+    asyncHandler(TwoFactorController.enable)
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off 2FA
+ * @access  Private
+ * @body    { password, code }
+ */
+router.post(
+    '/2fa/disable',
+    authenticate,
+    twoFactorDisableValidation,
+    validateRequest,
+    asyncHandler(TwoFactorController.disable)
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ * @body    { code }
+ */
+router.post(
+    '/2fa/recovery-codes',
+    authenticate,
+    twoFactorCodeValidation,
+    validateRequest,
+    asyncHandler(TwoFactorController.regenerateRecoveryCodes)
+);
+
+// ========================================
+// Personal Access Tokens (session login required - tokens cannot manage tokens)
+// ========================================
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    List personal access tokens
+ * @access  Private
+ */
+router.get(
+    '/tokens',
+    authenticate,
+    asyncHandler(PersonalAccessTokenController.getTokens)
+);
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create a personal access token (returned once)
+ * @access  Private
+ * @body    { name, scopes: ['issues:read' | 'issues:write'], expiresInDays? }
+ */
+router.post(
+    '/tokens',
+    authenticate,
+    createAccessTokenValidation,
+    validateRequest,
+    asyncHandler(PersonalAccessTokenController.createToken)
+);
+
+/**
+ * @route   DELETE /api/auth/tokens/:id
+ * @desc    Revoke a personal access token
+ * @access  Private
+ */
+router.delete(
+    '/tokens/:id',
+    authenticate,
+    tokenIdValidation,
+    validateRequest,
+    asyncHandler(PersonalAccessTokenController.revokeToken)
+);
+
 module.exports = router;
@@ -0,0 +1,351 @@
+/**
+ * Auth Service - Shared Authentication Workflows
+ * ===============================================
+ * Token issuing, session revocation and emailed-link workflows that are
+ * used by more than one controller (auth and admin user management)
+ */
+
+const bcrypt = require('bcryptjs');
+const AuthModel = require('./authModel');
+const RefreshTokenModel = require('./refreshTokenModel');
+const SessionModel = require('./sessionModel');
+const PasswordResetModel = require('./passwordResetModel');
+const EmailVerificationModel = require('./emailVerificationModel');
+const LoginThrottleModel = require('./loginThrottleModel');
+const RecoveryCodeModel = require('./recoveryCodeModel');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('./authEmails');
+const IssueModel = require('../issues/issueModel');
+const { withTransaction } = require('../../config/database');
+const { generateToken } = require('../../middleware/auth');
+const { ValidationError } = require('../../middleware/errorHandler');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+const { generateRandomToken, hashToken, getExpiryDate } = require('../../shared/utils/tokenHelper');
+
+// Number of salt rounds for bcrypt (10-12 is recommended)
+const SALT_ROUNDS = 10;
+
+// Refresh token lifetime in days
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Password reset link lifetime in minutes
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Email verification link lifetime in hours
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+
+// Failed login limits (per account and per IP address)
+const ACCOUNT_LOGIN_LIMITS = {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+};
+const IP_LOGIN_LIMITS = {
+    maxAttempts: parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20,
+    windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+};
+
+// Number of two-factor recovery codes issued at a time
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Start a new login session and issue its first tokens
+ * @param {Object} user - User row with user_id, email, name, role
+ * @param {Object} req - Express request (user agent and IP are recorded)
+ * @returns {Promise<Object>} - { token, refreshToken }
+ */
+const startSession = async (user, req) => {
+    const session = await SessionModel.createSession({
+        userId: user.user_id,
+        userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+        ipAddress: req.ip || null
+    });
+
+    return issueTokens(user, session.session_id);
+};
+
+/**
+ * Issue an access token and a stored refresh token for a session
+ * @param {Object} user - User row with user_id, email, name, role
+ * @param {number} sessionId - Session the tokens belong to
+ * @param {number|null} replacesTokenId - Refresh token being rotated (optional)
+ * @returns {Promise<Object>} - { token, refreshToken }
+ */
+const issueTokens = async (user, sessionId, replacesTokenId = null) => {
+    const token = generateToken(user, sessionId);
+    const refreshToken = generateRandomToken(48);
+
+    const storedToken = await RefreshTokenModel.createToken({
+        userId: user.user_id,
+        sessionId,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: getExpiryDate(REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    if (replacesTokenId) {
+        await RefreshTokenModel.setReplacedBy(replacesTokenId, storedToken.token_id);
+    }
+
+    return { token, refreshToken };
+};
+
+/**
+ * Revoke one session and its refresh tokens
+ * Its access tokens stop working immediately (authenticate checks the session)
+ * @param {number} sessionId - Session ID
+ * @param {number|null} userId - Only revoke if owned by this user (optional)
+ * @returns {Promise<boolean>} - True if an active session was revoked
+ */
+const revokeSession = async (sessionId, userId = null) => {
+    const revoked = await SessionModel.revokeSession(sessionId, userId);
+    await RefreshTokenModel.revokeAllForSession(sessionId);
+    return Boolean(revoked);
+};
+
+/**
+ * Revoke every session, refresh token and access token of a user
+ * @param {number} userId - User ID
+ */
+const revokeAllSessions = async (userId) => {
+    await SessionModel.revokeAllForUser(userId);
+    await RefreshTokenModel.revokeAllForUser(userId);
+    await AuthModel.invalidateTokens(userId);
+};
+
+/**
+ * Create a verification token and email it to the user
+ * Delivery errors are logged, not thrown, so registration still succeeds
+ * @param {Object} user - User row with user_id, name, email
+ * @returns {Promise<boolean>} - True if the email was handed to the transport
+ */
+const startEmailVerification = async (user) => {
+    // Only the most recent link should work
+    await EmailVerificationModel.invalidateForUser(user.user_id);
+
+    const verificationToken = generateRandomToken();
+
+    await EmailVerificationModel.createToken({
+        userId: user.user_id,
+        tokenHash: hashToken(verificationToken),
+        expiresAt: getExpiryDate(EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000)
+    });
+
+    try {
+        await sendVerificationEmail(user, verificationToken, EMAIL_VERIFICATION_EXPIRES_HOURS);
+        return true;
+    } catch (mailError) {
+        console.error('Failed to send verification email:', mailError.message);
+        return false;
+    }
+};
+
+/**
+ * Create a password reset token and email it to the user
+ * Delivery errors are logged, not thrown, so callers can answer uniformly
+ * @param {Object} user - User row with user_id, name, email
+ * @returns {Promise<boolean>} - True if the email was handed to the transport
+ */
+const startPasswordReset = async (user) => {
+    // Only the most recent link should work
+    await PasswordResetModel.invalidateForUser(user.user_id);
+
+    const resetToken = generateRandomToken();
+
+    await PasswordResetModel.createToken({
+        userId: user.user_id,
+        tokenHash: hashToken(resetToken),
+        expiresAt: getExpiryDate(PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000)
+    });
+
+    try {
+        await sendPasswordResetEmail(user, resetToken, PASSWORD_RESET_EXPIRES_MINUTES);
+        return true;
+    } catch (mailError) {
+        console.error('Failed to send password reset email:', mailError.message);
+        return false;
+    }
+};
+
+/**
+ * Force a user to choose a new password
+ * Replaces the password with an unusable random one, ends every session
+ * and emails a reset link
+ * @param {Object} user - User row with user_id, name, email
+ * @returns {Promise<boolean>} - True if the reset email was handed to the transport
+ */
+const forcePasswordReset = async (user) => {
+    const passwordHash = await bcrypt.hash(generateRandomToken(), SALT_ROUNDS);
+
+    await AuthModel.updatePassword(user.user_id, passwordHash);
+    await SessionModel.revokeAllForUser(user.user_id);
+    await RefreshTokenModel.revokeAllForUser(user.user_id);
+
+    return startPasswordReset(user);
+};
+
+/**
+ * Disable a user account: end every session and hand the user's open
+ * issues to another user (or unassign them), all in one transaction.
+ * The enabled admins stay locked while they are counted, so two admins
+ * disabling each other at once cannot leave no admin behind.
+ * @param {number} userId - User to disable
+ * @param {number|null} reassignTo - New assignee of the open issues, or null to unassign
+ * @param {number} actorId - Admin making the change
+ * @returns {Promise<Object>} - Reassignment result { affectedRows, issueIds }
+ * @throws {ValidationError} - The user is the last active admin
+ */
+const disableUser = async (userId, reassignTo, actorId) => {
+    return withTransaction(async (client) => {
+        const activeAdmins = await AuthModel.lockActiveAdmins(client);
+        if (activeAdmins.includes(userId) && activeAdmins.length <= 1) {
+            throw new ValidationError('Cannot disable the last active admin');
+        }
+
+        await AuthModel.deleteUser(client, userId);
+        await SessionModel.revokeAllForUserInTransaction(client, userId);
+
+        return IssueModel.reassignOpenIssues(client, userId, reassignTo, actorId);
+    });
+};
+
+/**
+ * Change a user's role in one transaction. Taking the admin role away
+ * counts the enabled admins under lock, like disableUser, so two admins
+ * demoting each other at once cannot leave no admin behind.
+ * @param {number} userId - User to change
+ * @param {string} role - New role (see USER_ROLE)
+ * @returns {Promise<Object>} - Update result
+ * @throws {ValidationError} - The user is the last active admin
+ */
+const changeRole = async (userId, role) => {
+    return withTransaction(async (client) => {
+        const activeAdmins = await AuthModel.lockActiveAdmins(client);
+        if (role !== USER_ROLE.ADMIN && activeAdmins.includes(userId) && activeAdmins.length <= 1) {
+            throw new ValidationError('Cannot change the role of the last active admin');
+        }
+
+        return AuthModel.updateRole(client, userId, role);
+    });
+};
+
+/**
+ * Build the login throttle key for an account
+ * Keyed by email so unknown addresses are throttled the same as real accounts
+ * @param {string} email - Normalized email
+ * @returns {string} - Throttle key
+ */
+const accountThrottleKey = (email) => `account:${String(email).toLowerCase()}`;
+
+/**
+ * Build the login throttle key for a client IP address
+ * @param {string} ip - Client IP
+ * @returns {string} - Throttle key
+ */
+const ipThrottleKey = (ip) => `ip:${ip}`;
+
+/**
+ * Check whether a login attempt is currently blocked
+ * @param {string} email - Normalized email
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} - { scope: 'account' | 'ip', retryAfterSeconds } or null if allowed
+ */
+const checkLoginThrottle = async (email, ip) => {
+    const accountKey = accountThrottleKey(email);
+    const locks = await LoginThrottleModel.getActiveLocks([accountKey, ipThrottleKey(ip)]);
+
+    if (locks.length === 0) {
+        return null;
+    }
+
+    // Report the account lock first - it is the one an admin can lift
+    const lock = locks.find(row => row.throttle_key === accountKey) || locks[0];
+
+    return {
+        scope: lock.throttle_key === accountKey ? 'account' : 'ip',
+        retryAfterSeconds: lock.retry_after_seconds
+    };
+};
+
+/**
+ * Record a failed login against both the account and the client IP
+ * @param {string} email - Normalized email
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} - { scope, retryAfterSeconds } if this failure caused a lockout, else null
+ */
+const recordFailedLogin = async (email, ip) => {
+    const accountResult = await LoginThrottleModel.recordFailure(accountThrottleKey(email), ACCOUNT_LOGIN_LIMITS);
+    const ipResult = await LoginThrottleModel.recordFailure(ipThrottleKey(ip), IP_LOGIN_LIMITS);
+
+    if (accountResult.locked) {
+        return { scope: 'account', retryAfterSeconds: accountResult.retry_after_seconds };
+    }
+    if (ipResult.locked) {
+        return { scope: 'ip', retryAfterSeconds: ipResult.retry_after_seconds };
+    }
+
+    return null;
+};
+
+/**
+ * Clear failed login counters and any lockout for an account
+ * @param {string} email - User email
+ * @returns {Promise<boolean>} - True if the account had a counter or lock
+ */
+const clearAccountLockout = async (email) => {
+    const result = await LoginThrottleModel.clear(accountThrottleKey(email));
+    return result.affectedRows > 0;
+};
+
+/**
+ * Normalize a recovery code as typed by the user ("ABCD-1234 " -> "abcd1234")
+ * @param {string} code - Recovery code
+ * @returns {string} - Normalized code
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Generate a fresh set of recovery codes, replacing any previous ones
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} - Plain codes (shown to the user once)
+ */
+const regenerateRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = generateRandomToken(5);
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await RecoveryCodeModel.replaceCodes(
+        userId,
+        codes.map(code => hashToken(normalizeRecoveryCode(code)))
+    );
+
+    return codes;
+};
+
+/**
+ * Use up a recovery code
+ * @param {number} userId - User ID
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {Promise<boolean>} - True if the code was valid and unused
+ */
+const consumeRecoveryCode = async (userId, code) => {
+    return RecoveryCodeModel.consumeCode(userId, hashToken(normalizeRecoveryCode(code)));
+};
+
+module.exports = {
+    SALT_ROUNDS,
+    startSession,
+    issueTokens,
+    revokeSession,
+    revokeAllSessions,
+    startEmailVerification,
+    startPasswordReset,
+    forcePasswordReset,
+    disableUser,
+    changeRole,
+    checkLoginThrottle,
+    recordFailedLogin,
+    clearAccountLockout,
+    regenerateRecoveryCodes,
+    consumeRecoveryCode
+};
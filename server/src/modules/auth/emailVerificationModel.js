@@ -0,0 +1,68 @@
+/**
+ * Email Verification Model - Verification Token Database Operations (PostgreSQL)
+ * ==============================================================================
+ * Stores hashed, single-use, expiring email verification tokens
+ */
+
+const { query } = require('../../config/database');
+
+class EmailVerificationModel {
+    /**
+     * Store a new verification token
+     * @param {Object} tokenData - { userId, tokenHash, expiresAt }
+     * @returns {Promise<Object>} - Created token row
+     */
+    static async createToken(tokenData) {
+        const sql = `
+            INSERT INTO email_verification_tokens (user_id, token_hash, expires_at, created_at)
+            VALUES ($1, $2, $3, NOW())
+            RETURNING token_id, user_id, expires_at
+        `;
+
+        const results = await query(sql, [
+            tokenData.userId,
+            tokenData.tokenHash,
+            tokenData.expiresAt
+        ]);
+
+        return results[0];
+    }
+
+    /**
+     * Mark a valid token as used
+     * Atomic, so a token can only ever be consumed once
+     * @param {string} tokenHash - SHA-256 hash of the token
+     * @returns {Promise<Object|null>} - { token_id, user_id } or null if invalid, used or expired
+     */
+    static async consumeToken(tokenHash) {
+        const sql = `
+            UPDATE email_verification_tokens
+            SET used_at = NOW()
+            WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+            RETURNING token_id, user_id
+        `;
+
+        const results = await query(sql, [tokenHash]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Invalidate all unused tokens of a user
+     * Called when a new token is sent so only the latest link works
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - Update result
+     */
+    static async invalidateForUser(userId) {
+        const sql = `
+            UPDATE email_verification_tokens
+            SET used_at = NOW()
+            WHERE user_id = $1 AND used_at IS NULL
+            RETURNING token_id
+        `;
+
+        const results = await query(sql, [userId]);
+        return { affectedRows: results.length };
+    }
+}
+
+module.exports = EmailVerificationModel;
@@ -0,0 +1,81 @@
+/**
+ * Login Throttle Model - Failed Login Tracking (PostgreSQL)
+ * ==========================================================
+ * Counts failed logins per key (account or IP) and stores temporary lockouts.
+ * Kept in Postgres so every server instance sees the same counters.
+ */
+
+const { query } = require('../../config/database');
+
+class LoginThrottleModel {
+    /**
+     * Get active lockouts for the given keys
+     * @param {Array<string>} throttleKeys - Keys such as "account:<email>" or "ip:<address>"
+     * @returns {Promise<Array>} - [{ throttle_key, retry_after_seconds }]
+     */
+    static async getActiveLocks(throttleKeys) {
+        const sql = `
+            SELECT 
+                throttle_key,
+                CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int as retry_after_seconds
+            FROM login_throttles
+            WHERE throttle_key = ANY($1) AND locked_until > NOW()
+        `;
+
+        return query(sql, [throttleKeys]);
+    }
+
+    /**
+     * Record a failed login for a key and lock it once the limit is reached
+     * The counter starts over when the window has passed or a previous lock has expired
+     * @param {string} throttleKey - Key to count against
+     * @param {Object} limits - { maxAttempts, windowMinutes, lockoutMinutes }
+     * @returns {Promise<Object>} - { failed_count, locked, retry_after_seconds }
+     */
+    static async recordFailure(throttleKey, limits) {
+        const { maxAttempts, windowMinutes, lockoutMinutes } = limits;
+
+        // Existing counter is stale: outside the window, or its lock already expired
+        const isStale = `(
+            login_throttles.first_failed_at < NOW() - make_interval(mins => $3::int)
+            OR login_throttles.locked_until <= NOW()
+        )`;
+        const nextCount = `CASE WHEN ${isStale} THEN 1 ELSE login_throttles.failed_count + 1 END`;
+
+        const sql = `
+            INSERT INTO login_throttles (throttle_key, failed_count, first_failed_at, last_failed_at, locked_until)
+            VALUES (
+                $1, 1, NOW(), NOW(),
+                CASE WHEN 1 >= $2::int THEN NOW() + make_interval(mins => $4::int) ELSE NULL END
+            )
+            ON CONFLICT (throttle_key) DO UPDATE SET
+                failed_count = ${nextCount},
+                first_failed_at = CASE WHEN ${isStale} THEN NOW() ELSE login_throttles.first_failed_at END,
+                last_failed_at = NOW(),
+                locked_until = CASE
+                    WHEN ${nextCount} >= $2::int THEN NOW() + make_interval(mins => $4::int)
+                    ELSE NULL
+                END
+            RETURNING
+                failed_count,
+                locked_until IS NOT NULL as locked,
+                COALESCE(CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int, 0) as retry_after_seconds
+        `;
+
+        const results = await query(sql, [throttleKey, maxAttempts, windowMinutes, lockoutMinutes]);
+        return results[0];
+    }
+
+    /**
+     * Clear the counter and any lock for a key
+     * @param {string} throttleKey - Key to clear
+     * @returns {Promise<Object>} - Delete result
+     */
+    static async clear(throttleKey) {
+        const sql = `DELETE FROM login_throttles WHERE throttle_key = $1 RETURNING throttle_key`;
+        const results = await query(sql, [throttleKey]);
+        return { affectedRows: results.length };
+    }
+}
+
+module.exports = LoginThrottleModel;
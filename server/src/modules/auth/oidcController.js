@@ -0,0 +1,223 @@
+/**
+ * OIDC Controller
+ * ===============
+ * Single sign-on through an OpenID Connect provider (authorization code
+ * flow with PKCE). The provider redirects the browser back to the frontend
+ * (OIDC_REDIRECT_URI), which posts the code and state to the callback here
+ * and receives the app's normal access and refresh tokens.
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const bcrypt = require('bcryptjs');
+const AuthModel = require('./authModel');
+const OidcStateModel = require('./oidcStateModel');
+const UserIdentityModel = require('./userIdentityModel');
+const { SALT_ROUNDS, startSession, revokeAllSessions } = require('./authService');
+const {
+    getOidcConfig,
+    isOidcEnabled,
+    generatePkcePair,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+} = require('./oidcProvider');
+const {
+    successResponse,
+    notFoundResponse,
+    unauthorizedResponse
+} = require('../../shared/utils/responseHelper');
+const { generateRandomToken, hashToken, getExpiryDate } = require('../../shared/utils/tokenHelper');
+const { ForbiddenError } = require('../../middleware/errorHandler');
+
+// How long a started SSO login may take before the callback is refused
+const OIDC_STATE_EXPIRES_MINUTES = 10;
+
+class OidcController {
+    /**
+     * GET /api/auth/oidc
+     * Tell the frontend which login methods this deployment offers
+     */
+    static async getConfig(req, res, next) {
+        try {
+            return successResponse(res, {
+                enabled: isOidcEnabled(),
+                providerName: isOidcEnabled() ? getOidcConfig().providerName : null,
+                passwordLoginEnabled: process.env.PASSWORD_LOGIN_ENABLED !== 'false'
+            }, 'Login options retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/oidc/authorize
+     * Start a single sign-on login and return the provider URL to redirect to
+     */
+    static async authorize(req, res, next) {
+        try {
+            if (!isOidcEnabled()) {
+                return notFoundResponse(res, 'Single sign-on is not configured');
+            }
+
+            const state = generateRandomToken();
+            const nonce = generateRandomToken();
+            const { codeVerifier, codeChallenge } = generatePkcePair();
+
+            await OidcStateModel.createState({
+                stateHash: hashToken(state),
+                codeVerifier,
+                nonce,
+                expiresAt: getExpiryDate(OIDC_STATE_EXPIRES_MINUTES * 60 * 1000)
+            });
+
+            const authorizationUrl = await buildAuthorizationUrl({ state, nonce, codeChallenge });
+
+            // The client keeps the state and checks it against the callback's state
+            return successResponse(res, { authorizationUrl, state }, 'Authorization URL created');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/oidc/callback
+     * Finish a single sign-on login: redeem the code, verify the ID token,
+     * find or provision the user and issue the app's tokens
+     */
+    static async callback(req, res, next) {
+        try {
+            if (!isOidcEnabled()) {
+                return notFoundResponse(res, 'Single sign-on is not configured');
+            }
+
+            const { code, state } = req.body;
+
+            const loginState = await OidcStateModel.consumeState(hashToken(state));
+
+            if (!loginState) {
+                return unauthorizedResponse(res, 'Invalid or expired login attempt. Please try again');
+            }
+
+            const providerTokens = await exchangeCode(code, loginState.code_verifier);
+            const claims = await verifyIdToken(providerTokens.id_token, loginState.nonce);
+
+            const user = await findOrProvisionUser(claims);
+
+            // Second factors are the identity provider's job for SSO logins
+            const tokens = await startSession(user, req);
+
+            return successResponse(res, {
+                user: {
+                    userId: user.user_id,
+                    name: user.name,
+                    email: user.email,
+                    role: user.role,
+                    emailVerified: Boolean(user.email_verified_at)
+                },
+                ...tokens
+            }, 'Login successful');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Find the local user for verified ID token claims
+ * Matches a linked identity first, then links an existing account with the
+ * same email, and finally creates a new account (unless OIDC_AUTO_PROVISION=false).
+ * Linking an account whose email was never verified resets its password and
+ * ends its sessions.
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} - User row
+ */
+async function findOrProvisionUser(claims) {
+    const { issuer } = getOidcConfig();
+    const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+
+    const identity = await UserIdentityModel.findByProviderSubject(issuer, claims.sub);
+
+    if (identity) {
+        const linkedUser = await AuthModel.findById(identity.user_id);
+
+        if (!linkedUser) {
+            throw new ForbiddenError('Your account has been disabled');
+        }
+
+        await UserIdentityModel.touchLogin(identity.identity_id, email);
+        return linkedUser;
+    }
+
+    // Linking and provisioning go by email, so it must be one the provider
+    // explicitly vouches for (a missing email_verified claim is not enough)
+    if (!email || claims.email_verified !== true) {
+        throw new ForbiddenError('Your identity provider did not supply a verified email address');
+    }
+
+    let user = await AuthModel.findByEmail(email);
+
+    if (!user) {
+        if (await AuthModel.emailExists(email)) {
+            throw new ForbiddenError('Your account has been disabled');
+        }
+
+        if (process.env.OIDC_AUTO_PROVISION === 'false') {
+            throw new ForbiddenError('No account exists for this email address. Please ask an administrator');
+        }
+
+        // SSO users get an unusable random password; they can set one via forgot-password
+        const passwordHash = await bcrypt.hash(generateRandomToken(), SALT_ROUNDS);
+        const name = String(claims.name || claims.preferred_username || email.split('@')[0]).slice(0, 100);
+
+        try {
+            user = await AuthModel.createUser({ name, email, passwordHash });
+        } catch (error) {
+            // A concurrent callback for the same person created the account first
+            if (error.code !== '23505') {
+                throw error;
+            }
+            user = await AuthModel.findByEmail(email);
+            if (!user) {
+                throw error;
+            }
+        }
+    } else if (!user.email_verified_at) {
+        // Whoever registered this unverified address never proved they own it:
+        // their password and sessions must not survive the link (account pre-hijacking)
+        const passwordHash = await bcrypt.hash(generateRandomToken(), SALT_ROUNDS);
+        await AuthModel.updatePassword(user.user_id, passwordHash);
+        await revokeAllSessions(user.user_id);
+    }
+
+    const createdIdentity = await UserIdentityModel.createIdentity({
+        userId: user.user_id,
+        issuer,
+        subject: claims.sub,
+        email
+    });
+
+    // A concurrent callback linked this provider account first: sign in as that link
+    if (!createdIdentity) {
+        const existingIdentity = await UserIdentityModel.findByProviderSubject(issuer, claims.sub);
+        const linkedUser = existingIdentity ? await AuthModel.findById(existingIdentity.user_id) : null;
+
+        if (!linkedUser) {
+            throw new ForbiddenError('Your account has been disabled');
+        }
+
+        return linkedUser;
+    }
+
+    // The provider has verified the address
+    if (!user.email_verified_at) {
+        await AuthModel.markEmailVerified(user.user_id);
+    }
+
+    return AuthModel.findById(user.user_id);
+}
+
+module.exports = OidcController;
@@ -0,0 +1,227 @@
+/**
+ * OIDC Provider - OpenID Connect Client
+ * ======================================
+ * Talks to the configured identity provider: discovery, PKCE authorization
+ * URLs, the authorization code exchange and ID token verification (JWKS).
+ * Works against any standard provider, including the local mock in
+ * scripts/mockOidcProvider.js.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ApiError, UnauthorizedError } = require('../../middleware/errorHandler');
+
+// Signature algorithms accepted on ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+// How long discovery metadata and signing keys are cached
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+let metadataCache = null;
+let jwksCache = null;
+
+/**
+ * Read the OIDC settings from the environment
+ * @returns {Object} - { issuer, clientId, clientSecret, redirectUri, scopes, providerName }
+ */
+const getOidcConfig = () => ({
+    issuer: (process.env.OIDC_ISSUER_URL || '').replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    providerName: process.env.OIDC_PROVIDER_NAME || 'Single sign-on'
+});
+
+/**
+ * Check whether single sign-on is configured
+ * @returns {boolean}
+ */
+const isOidcEnabled = () => {
+    const config = getOidcConfig();
+    return Boolean(config.issuer && config.clientId && config.redirectUri);
+};
+
+/**
+ * Call the identity provider and parse its JSON response
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} - Parsed body
+ */
+const fetchJson = async (url, options = {}) => {
+    let response;
+
+    try {
+        response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+    } catch (error) {
+        throw new ApiError(`Identity provider is unreachable: ${error.message}`, 502);
+    }
+
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body) {
+        const reason = body && (body.error_description || body.error);
+        throw new ApiError(`Identity provider request failed${reason ? `: ${reason}` : ''}`, 502);
+    }
+
+    return body;
+};
+
+/**
+ * Load the provider's discovery document (cached)
+ * @returns {Promise<Object>} - OpenID provider metadata
+ */
+const getProviderMetadata = async () => {
+    if (metadataCache && metadataCache.expiresAt > Date.now()) {
+        return metadataCache.metadata;
+    }
+
+    const { issuer } = getOidcConfig();
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== issuer) {
+        throw new ApiError('Identity provider issuer does not match OIDC_ISSUER_URL', 502);
+    }
+
+    metadataCache = { metadata, expiresAt: Date.now() + METADATA_CACHE_MS };
+    return metadata;
+};
+
+/**
+ * Find the provider's public key for an ID token
+ * The key set is re-fetched once when an unknown key ID shows up (key rotation)
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} - Public key
+ */
+const getSigningKey = async (kid) => {
+    const findKey = () => jwksCache && jwksCache.keys.find(key => !kid || key.kid === kid);
+
+    if (!findKey() || jwksCache.expiresAt <= Date.now()) {
+        const metadata = await getProviderMetadata();
+        const jwks = await fetchJson(metadata.jwks_uri);
+        jwksCache = { keys: jwks.keys || [], expiresAt: Date.now() + METADATA_CACHE_MS };
+    }
+
+    const jwk = findKey();
+
+    if (!jwk) {
+        throw new UnauthorizedError('ID token is signed with an unknown key');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge
+ * @returns {Object} - { codeVerifier, codeChallenge }
+ */
+const generatePkcePair = () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Build the provider URL the browser is sent to for signing in
+ * @param {Object} params - { state, nonce, codeChallenge }
+ * @returns {Promise<string>} - Authorization URL
+ */
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+    const config = getOidcConfig();
+    const metadata = await getProviderMetadata();
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', config.clientId);
+    url.searchParams.set('redirect_uri', config.redirectUri);
+    url.searchParams.set('scope', config.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return url.toString();
+};
+
+/**
+ * Exchange an authorization code for the provider's tokens
+ * @param {string} code - Authorization code from the callback
+ * @param {string} codeVerifier - PKCE verifier created for this login
+ * @returns {Promise<Object>} - Token response (id_token, access_token, ...)
+ */
+const exchangeCode = async (code, codeVerifier) => {
+    const config = getOidcConfig();
+    const metadata = await getProviderMetadata();
+
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: config.redirectUri,
+        client_id: config.clientId,
+        code_verifier: codeVerifier
+    });
+
+    if (config.clientSecret) {
+        form.set('client_secret', config.clientSecret);
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: form.toString()
+    });
+
+    if (!tokens.id_token) {
+        throw new ApiError('Identity provider did not return an ID token', 502);
+    }
+
+    return tokens;
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} - Verified claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+    const config = getOidcConfig();
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+        throw new UnauthorizedError('Invalid ID token');
+    }
+
+    const key = await getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: config.issuer,
+            audience: config.clientId
+        });
+    } catch (error) {
+        throw new UnauthorizedError(`Invalid ID token: ${error.message}`);
+    }
+
+    if (claims.nonce !== nonce) {
+        throw new UnauthorizedError('Invalid ID token: nonce mismatch');
+    }
+
+    if (!claims.sub) {
+        throw new UnauthorizedError('Invalid ID token: missing subject');
+    }
+
+    return claims;
+};
+
+module.exports = {
+    getOidcConfig,
+    isOidcEnabled,
+    generatePkcePair,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+};
@@ -0,0 +1,53 @@
+/**
+ * OIDC State Model - Pending SSO Login Database Operations (PostgreSQL)
+ * ======================================================================
+ * Keeps the state, nonce and PKCE code verifier of a single sign-on attempt
+ * between the redirect to the identity provider and the callback.
+ * States are stored hashed, expire quickly and can only be used once.
+ */
+
+const { query } = require('../../config/database');
+
+class OidcStateModel {
+    /**
+     * Store a new login state
+     * @param {Object} stateData - { stateHash, codeVerifier, nonce, expiresAt }
+     * @returns {Promise<Object>} - Created state row
+     */
+    static async createState(stateData) {
+        const sql = `
+            INSERT INTO oidc_login_states (state_hash, code_verifier, nonce, expires_at, created_at)
+            VALUES ($1, $2, $3, $4, NOW())
+            RETURNING state_id, expires_at
+        `;
+
+        const results = await query(sql, [
+            stateData.stateHash,
+            stateData.codeVerifier,
+            stateData.nonce,
+            stateData.expiresAt
+        ]);
+
+        return results[0];
+    }
+
+    /**
+     * Mark a valid state as used and return what the callback needs
+     * Atomic, so an authorization response can only be redeemed once
+     * @param {string} stateHash - SHA-256 hash of the state
+     * @returns {Promise<Object|null>} - { code_verifier, nonce } or null if invalid, used or expired
+     */
+    static async consumeState(stateHash) {
+        const sql = `
+            UPDATE oidc_login_states
+            SET used_at = NOW()
+            WHERE state_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+            RETURNING state_id, code_verifier, nonce
+        `;
+
+        const results = await query(sql, [stateHash]);
+        return results.length > 0 ? results[0] : null;
+    }
+}
+
+module.exports = OidcStateModel;
@@ -0,0 +1,107 @@
+/**
+ * Personal Access Token Controller
+ * =================================
+ * Lets users create, list and revoke scoped tokens for scripts and CI
+ * 
+ * Pattern: Class with static methods for request handling
+ */
+
+const PersonalAccessTokenModel = require('./personalAccessTokenModel');
+const {
+    successResponse,
+    createdResponse,
+    notFoundResponse
+} = require('../../shared/utils/responseHelper');
+const { generateRandomToken, hashToken, getExpiryDate } = require('../../shared/utils/tokenHelper');
+const { PERSONAL_ACCESS_TOKEN_PREFIX } = require('../../shared/constants/tokenConstants');
+
+class PersonalAccessTokenController {
+    /**
+     * GET /api/auth/tokens
+     * List the authenticated user's personal access tokens
+     */
+    static async getTokens(req, res, next) {
+        try {
+            const tokens = await PersonalAccessTokenModel.getTokensByUser(req.user.userId);
+
+            return successResponse(
+                res,
+                tokens.map(token => formatTokenResponse(token)),
+                'Personal access tokens retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/tokens
+     * Create a personal access token
+     * The plain token is returned only in this response
+     */
+    static async createToken(req, res, next) {
+        try {
+            const { name, scopes, expiresInDays } = req.body;
+
+            const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateRandomToken(20)}`;
+
+            const createdToken = await PersonalAccessTokenModel.createToken({
+                userId: req.user.userId,
+                name,
+                tokenHash: hashToken(token),
+                tokenPrefix: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6),
+                scopes: [...new Set(scopes)],
+                expiresAt: expiresInDays
+                    ? getExpiryDate(parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+                    : null
+            });
+
+            return createdResponse(res, {
+                ...formatTokenResponse(createdToken),
+                token
+            }, 'Personal access token created successfully. Copy it now - it will not be shown again');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/auth/tokens/:id
+     * Revoke one of the authenticated user's tokens
+     */
+    static async revokeToken(req, res, next) {
+        try {
+            const revoked = await PersonalAccessTokenModel.revokeToken(req.params.id, req.user.userId);
+
+            if (!revoked) {
+                return notFoundResponse(res, 'Personal access token not found or already revoked');
+            }
+
+            return successResponse(res, null, 'Personal access token revoked successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to format token response
+ * Transforms database row to API response format (never includes the secret)
+ */
+function formatTokenResponse(token) {
+    return {
+        id: token.token_id,
+        name: token.name,
+        tokenPrefix: token.token_prefix,
+        scopes: token.scopes,
+        expiresAt: token.expires_at,
+        lastUsedAt: token.last_used_at,
+        revokedAt: token.revoked_at || null,
+        createdAt: token.created_at
+    };
+}
+
+module.exports = PersonalAccessTokenController;
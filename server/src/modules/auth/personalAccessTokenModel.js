@@ -0,0 +1,116 @@
+/**
+ * Personal Access Token Model - PAT Database Operations (PostgreSQL)
+ * ===================================================================
+ * Stores hashed, named, scoped personal access tokens for scripts and CI
+ */
+
+const { query } = require('../../config/database');
+
+class PersonalAccessTokenModel {
+    /**
+     * Store a new personal access token
+     * @param {Object} tokenData - { userId, name, tokenHash, tokenPrefix, scopes, expiresAt }
+     * @returns {Promise<Object>} - Created token row (without hash)
+     */
+    static async createToken(tokenData) {
+        const sql = `
+            INSERT INTO personal_access_tokens
+            (user_id, name, token_hash, token_prefix, scopes, expires_at, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, NOW())
+            RETURNING token_id, name, token_prefix, scopes, expires_at, last_used_at, created_at
+        `;
+
+        const results = await query(sql, [
+            tokenData.userId,
+            tokenData.name,
+            tokenData.tokenHash,
+            tokenData.tokenPrefix,
+            tokenData.scopes,
+            tokenData.expiresAt
+        ]);
+
+        return results[0];
+    }
+
+    /**
+     * Find a usable token by hash, together with its owner
+     * Revoked and expired tokens are not returned
+     * @param {string} tokenHash - SHA-256 hash of the token
+     * @returns {Promise<Object|null>} - Token row with owner fields or null
+     */
+    static async findActiveByHash(tokenHash) {
+        const sql = `
+            SELECT 
+                t.token_id,
+                t.user_id,
+                t.scopes,
+                u.name,
+                u.email,
+                u.role,
+                u.is_enabled,
+                u.email_verified_at
+            FROM personal_access_tokens t
+            INNER JOIN users u ON t.user_id = u.user_id
+            WHERE t.token_hash = $1
+                AND t.revoked_at IS NULL
+                AND (t.expires_at IS NULL OR t.expires_at > NOW())
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [tokenHash]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Get all tokens of a user (never includes the hash)
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - Token rows, newest first
+     */
+    static async getTokensByUser(userId) {
+        const sql = `
+            SELECT 
+                token_id,
+                name,
+                token_prefix,
+                scopes,
+                expires_at,
+                last_used_at,
+                revoked_at,
+                created_at
+            FROM personal_access_tokens
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+        `;
+
+        return query(sql, [userId]);
+    }
+
+    /**
+     * Revoke a token owned by the given user
+     * @param {number} tokenId - Token ID
+     * @param {number} userId - Owner user ID
+     * @returns {Promise<Object|null>} - Revoked token or null if not found / already revoked
+     */
+    static async revokeToken(tokenId, userId) {
+        const sql = `
+            UPDATE personal_access_tokens
+            SET revoked_at = NOW()
+            WHERE token_id = $1 AND user_id = $2 AND revoked_at IS NULL
+            RETURNING token_id
+        `;
+
+        const results = await query(sql, [tokenId, userId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Record that a token was just used
+     * @param {number} tokenId - Token ID
+     */
+    static async touchLastUsed(tokenId) {
+        const sql = `UPDATE personal_access_tokens SET last_used_at = NOW() WHERE token_id = $1`;
+        await query(sql, [tokenId]);
+    }
+}
+
+module.exports = PersonalAccessTokenModel;
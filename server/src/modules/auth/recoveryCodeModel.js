@@ -0,0 +1,82 @@
+/**
+ * Recovery Code Model - Two-Factor Recovery Codes (PostgreSQL)
+ * =============================================================
+ * Stores hashed one-time recovery codes for users with 2FA enabled
+ */
+
+const { query, getConnection } = require('../../config/database');
+
+class RecoveryCodeModel {
+    /**
+     * Replace all recovery codes of a user
+     * @param {number} userId - User ID
+     * @param {Array<string>} codeHashes - SHA-256 hashes of the new codes
+     */
+    static async replaceCodes(userId, codeHashes) {
+        const client = await getConnection();
+
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+            await client.query(
+                `INSERT INTO two_factor_recovery_codes (user_id, code_hash, created_at)
+                 SELECT $1, UNNEST($2::varchar[]), NOW()`,
+                [userId, codeHashes]
+            );
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Use up a recovery code
+     * @param {number} userId - User ID
+     * @param {string} codeHash - SHA-256 hash of the code
+     * @returns {Promise<boolean>} - True if an unused matching code was found
+     */
+    static async consumeCode(userId, codeHash) {
+        const sql = `
+            UPDATE two_factor_recovery_codes
+            SET used_at = NOW()
+            WHERE code_id = (
+                SELECT code_id FROM two_factor_recovery_codes
+                WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+                LIMIT 1
+            ) AND used_at IS NULL
+            RETURNING code_id
+        `;
+
+        const results = await query(sql, [userId, codeHash]);
+        return results.length > 0;
+    }
+
+    /**
+     * Count unused recovery codes
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} - Remaining codes
+     */
+    static async countRemaining(userId) {
+        const sql = `
+            SELECT COUNT(*) as count
+            FROM two_factor_recovery_codes
+            WHERE user_id = $1 AND used_at IS NULL
+        `;
+
+        const results = await query(sql, [userId]);
+        return parseInt(results[0].count);
+    }
+
+    /**
+     * Delete all recovery codes of a user
+     * @param {number} userId - User ID
+     */
+    static async deleteAllForUser(userId) {
+        await query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    }
+}
+
+module.exports = RecoveryCodeModel;
@@ -0,0 +1,127 @@
+/**
+ * Refresh Token Model - Refresh Token Database Operations (PostgreSQL)
+ * =====================================================================
+ * Stores hashed refresh tokens so they can be rotated and revoked server-side
+ */
+
+const { query } = require('../../config/database');
+
+class RefreshTokenModel {
+    /**
+     * Store a new refresh token
+     * @param {Object} tokenData - { userId, sessionId, tokenHash, expiresAt }
+     * @returns {Promise<Object>} - Created token row
+     */
+    static async createToken(tokenData) {
+        const sql = `
+            INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at, created_at)
+            VALUES ($1, $2, $3, $4, NOW())
+            RETURNING token_id, user_id, session_id, expires_at, created_at
+        `;
+
+        const results = await query(sql, [
+            tokenData.userId,
+            tokenData.sessionId,
+            tokenData.tokenHash,
+            tokenData.expiresAt
+        ]);
+
+        return results[0];
+    }
+
+    /**
+     * Find refresh token by hash
+     * @param {string} tokenHash - SHA-256 hash of the token
+     * @returns {Promise<Object|null>} - Token row or null
+     */
+    static async findByHash(tokenHash) {
+        const sql = `
+            SELECT 
+                token_id,
+                user_id,
+                session_id,
+                expires_at,
+                revoked_at,
+                replaced_by,
+                created_at
+            FROM refresh_tokens
+            WHERE token_hash = $1
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [tokenHash]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Revoke a single refresh token
+     * Only succeeds once, so concurrent use of the same token is detected
+     * @param {number} tokenId - Token ID
+     * @returns {Promise<Object|null>} - Revoked token or null if it was already revoked
+     */
+    static async revokeToken(tokenId) {
+        const sql = `
+            UPDATE refresh_tokens
+            SET revoked_at = NOW()
+            WHERE token_id = $1 AND revoked_at IS NULL
+            RETURNING token_id
+        `;
+
+        const results = await query(sql, [tokenId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Record which token replaced a rotated token
+     * @param {number} tokenId - Rotated token ID
+     * @param {number} replacedBy - New token ID
+     * @returns {Promise<Object>} - Update result
+     */
+    static async setReplacedBy(tokenId, replacedBy) {
+        const sql = `
+            UPDATE refresh_tokens
+            SET replaced_by = $1
+            WHERE token_id = $2
+            RETURNING token_id
+        `;
+
+        const results = await query(sql, [replacedBy, tokenId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Revoke all active refresh tokens of a session
+     * @param {number} sessionId - Session ID
+     * @returns {Promise<Object>} - Update result
+     */
+    static async revokeAllForSession(sessionId) {
+        const sql = `
+            UPDATE refresh_tokens
+            SET revoked_at = NOW()
+            WHERE session_id = $1 AND revoked_at IS NULL
+            RETURNING token_id
+        `;
+
+        const results = await query(sql, [sessionId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Revoke all active refresh tokens of a user
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - Update result
+     */
+    static async revokeAllForUser(userId) {
+        const sql = `
+            UPDATE refresh_tokens
+            SET revoked_at = NOW()
+            WHERE user_id = $1 AND revoked_at IS NULL
+            RETURNING token_id
+        `;
+
+        const results = await query(sql, [userId]);
+        return { affectedRows: results.length };
+    }
+}
+
+module.exports = RefreshTokenModel;
@@ -0,0 +1,154 @@
+/**
+ * Session Model - Login Session Database Operations (PostgreSQL)
+ * ===============================================================
+ * One row per login (device). Access tokens carry the session ID and
+ * refresh tokens belong to a session, so revoking a session signs that
+ * device out everywhere.
+ */
+
+const { query } = require('../../config/database');
+
+// Minimum time between last_seen_at writes for the same session
+const LAST_SEEN_RESOLUTION_SECONDS = 60;
+
+class SessionModel {
+    /**
+     * Create a new session
+     * @param {Object} sessionData - { userId, userAgent, ipAddress }
+     * @returns {Promise<Object>} - Created session
+     */
+    static async createSession(sessionData) {
+        const sql = `
+            INSERT INTO sessions (user_id, user_agent, ip_address, created_at, last_seen_at)
+            VALUES ($1, $2, $3, NOW(), NOW())
+            RETURNING session_id, user_id, user_agent, ip_address, created_at, last_seen_at
+        `;
+
+        const results = await query(sql, [
+            sessionData.userId,
+            sessionData.userAgent,
+            sessionData.ipAddress
+        ]);
+
+        return results[0];
+    }
+
+    /**
+     * Find an active (not revoked) session of a user
+     * @param {number} sessionId - Session ID
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} - Session or null
+     */
+    static async findActiveSession(sessionId, userId) {
+        const sql = `
+            SELECT 
+                session_id,
+                user_id,
+                last_seen_at,
+                last_seen_at < NOW() - make_interval(secs => $3) as is_stale
+            FROM sessions
+            WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [sessionId, userId, LAST_SEEN_RESOLUTION_SECONDS]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Record activity on a session
+     * @param {number} sessionId - Session ID
+     * @param {string|null} ipAddress - Latest client IP (kept unchanged if null)
+     */
+    static async touchSession(sessionId, ipAddress = null) {
+        const sql = `
+            UPDATE sessions
+            SET last_seen_at = NOW(), ip_address = COALESCE($2, ip_address)
+            WHERE session_id = $1
+        `;
+
+        await query(sql, [sessionId, ipAddress]);
+    }
+
+    /**
+     * Get active sessions of a user
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - Sessions, most recently used first
+     */
+    static async getActiveSessionsByUser(userId) {
+        const sql = `
+            SELECT 
+                session_id,
+                user_agent,
+                ip_address,
+                created_at,
+                last_seen_at
+            FROM sessions
+            WHERE user_id = $1 AND revoked_at IS NULL
+            ORDER BY last_seen_at DESC
+        `;
+
+        return query(sql, [userId]);
+    }
+
+    /**
+     * Revoke a session
+     * @param {number} sessionId - Session ID
+     * @param {number|null} userId - Only revoke if owned by this user (optional)
+     * @returns {Promise<Object|null>} - Revoked session or null if not found / already revoked
+     */
+    static async revokeSession(sessionId, userId = null) {
+        const sql = `
+            UPDATE sessions
+            SET revoked_at = NOW()
+            WHERE session_id = $1
+                AND ($2::int IS NULL OR user_id = $2)
+                AND revoked_at IS NULL
+            RETURNING session_id
+        `;
+
+        const results = await query(sql, [sessionId, userId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Revoke all sessions of a user
+     * @param {number} userId - User ID
+     * @param {number|null} exceptSessionId - Session to keep (optional)
+     * @returns {Promise<Object>} - Update result
+     */
+    static async revokeAllForUser(userId, exceptSessionId = null) {
+        const sql = `
+            UPDATE sessions
+            SET revoked_at = NOW()
+            WHERE user_id = $1
+                AND revoked_at IS NULL
+                AND ($2::int IS NULL OR session_id <> $2)
+            RETURNING session_id
+        `;
+
+        const results = await query(sql, [userId, exceptSessionId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Revoke all sessions of a user and their refresh tokens, inside a transaction
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - { affectedRows } (sessions)
+     */
+    static async revokeAllForUserInTransaction(client, userId) {
+        const sessions = await client.query(
+            'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+            [userId]
+        );
+        await client.query(
+            'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+            [userId]
+        );
+
+        return { affectedRows: sessions.rowCount };
+    }
+}
+
+module.exports = SessionModel;
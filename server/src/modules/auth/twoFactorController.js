@@ -0,0 +1,202 @@
+/**
+ * Two-Factor Controller - TOTP Enrollment and Management
+ * =======================================================
+ * Handles enrolling, confirming and disabling TOTP two-factor authentication
+ * The login-time verification step lives in AuthController.verifyTwoFactor
+ * 
+ * Pattern: Class with static methods for request handling
+ */
+
+const bcrypt = require('bcryptjs');
+const AuthModel = require('./authModel');
+const RecoveryCodeModel = require('./recoveryCodeModel');
+const { regenerateRecoveryCodes } = require('./authService');
+const {
+    successResponse,
+    badRequestResponse,
+    notFoundResponse
+} = require('../../shared/utils/responseHelper');
+const {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri
+} = require('../../shared/utils/totpHelper');
+
+// Issuer name shown in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Issue Tracker';
+
+class TwoFactorController {
+    /**
+     * GET /api/auth/2fa
+     * Get the authenticated user's 2FA status
+     */
+    static async getStatus(req, res, next) {
+        try {
+            const state = await AuthModel.findTwoFactorState(req.user.userId);
+
+            if (!state) {
+                return notFoundResponse(res, 'User not found');
+            }
+
+            return successResponse(res, {
+                enabled: Boolean(state.totp_enabled_at),
+                enabledAt: state.totp_enabled_at,
+                remainingRecoveryCodes: state.totp_enabled_at
+                    ? await RecoveryCodeModel.countRemaining(req.user.userId)
+                    : 0
+            }, 'Two-factor status retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/2fa/setup
+     * Start enrollment: create a pending secret and return it with an otpauth URI
+     */
+    static async setup(req, res, next) {
+        try {
+            const userId = req.user.userId;
+
+            const state = await AuthModel.findTwoFactorState(userId);
+
+            if (!state) {
+                return notFoundResponse(res, 'User not found');
+            }
+
+            if (state.totp_enabled_at) {
+                return badRequestResponse(res, 'Two-factor authentication is already enabled');
+            }
+
+            const secret = generateTotpSecret();
+            await AuthModel.setPendingTotpSecret(userId, secret);
+
+            return successResponse(res, {
+                secret,
+                otpauthUri: buildOtpauthUri({
+                    secret,
+                    accountName: state.email,
+                    issuer: TOTP_ISSUER
+                })
+            }, 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/2fa/enable
+     * Confirm enrollment with a code from the authenticator app
+     * Returns one-time recovery codes (shown only once)
+     */
+    static async enable(req, res, next) {
+        try {
+            const userId = req.user.userId;
+            const { code } = req.body;
+
+            const state = await AuthModel.findTwoFactorState(userId);
+
+            if (!state || !state.totp_secret) {
+                return badRequestResponse(res, 'Start two-factor setup first');
+            }
+
+            if (state.totp_enabled_at) {
+                return badRequestResponse(res, 'Two-factor authentication is already enabled');
+            }
+
+            const step = verifyTotp(state.totp_secret, code);
+
+            if (step === null || !await AuthModel.markTotpStepUsed(userId, step)) {
+                return badRequestResponse(res, 'Invalid two-factor code');
+            }
+
+            await AuthModel.enableTotp(userId);
+            const recoveryCodes = await regenerateRecoveryCodes(userId);
+
+            return successResponse(
+                res,
+                { enabled: true, recoveryCodes },
+                'Two-factor authentication enabled. Store the recovery codes somewhere safe'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/2fa/disable
+     * Turn off 2FA (requires the password and a current code)
+     */
+    static async disable(req, res, next) {
+        try {
+            const userId = req.user.userId;
+            const { password, code } = req.body;
+
+            const user = await AuthModel.findByEmail(req.user.email);
+            const state = await AuthModel.findTwoFactorState(userId);
+
+            if (!user || !state || !state.totp_enabled_at) {
+                return badRequestResponse(res, 'Two-factor authentication is not enabled');
+            }
+
+            const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+
+            if (!isPasswordValid) {
+                return badRequestResponse(res, 'Password is incorrect');
+            }
+
+            const step = verifyTotp(state.totp_secret, code);
+
+            if (step === null || !await AuthModel.markTotpStepUsed(userId, step)) {
+                return badRequestResponse(res, 'Invalid two-factor code');
+            }
+
+            await AuthModel.disableTotp(userId);
+            await RecoveryCodeModel.deleteAllForUser(userId);
+
+            return successResponse(res, { enabled: false }, 'Two-factor authentication disabled');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/auth/2fa/recovery-codes
+     * Replace all recovery codes (requires a current code)
+     */
+    static async regenerateRecoveryCodes(req, res, next) {
+        try {
+            const userId = req.user.userId;
+            const { code } = req.body;
+
+            const state = await AuthModel.findTwoFactorState(userId);
+
+            if (!state || !state.totp_enabled_at) {
+                return badRequestResponse(res, 'Two-factor authentication is not enabled');
+            }
+
+            const step = verifyTotp(state.totp_secret, code);
+
+            if (step === null || !await AuthModel.markTotpStepUsed(userId, step)) {
+                return badRequestResponse(res, 'Invalid two-factor code');
+            }
+
+            const recoveryCodes = await regenerateRecoveryCodes(userId);
+
+            return successResponse(
+                res,
+                { recoveryCodes },
+                'Recovery codes regenerated. Previous codes no longer work'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = TwoFactorController;
@@ -0,0 +1,73 @@
+/**
+ * User Identity Model - Linked SSO Identities Database Operations (PostgreSQL)
+ * =============================================================================
+ * Links an identity provider account (issuer + subject) to a local user,
+ * so later logins match on the stable subject rather than the email address
+ */
+
+const { query } = require('../../config/database');
+
+class UserIdentityModel {
+    /**
+     * Find the identity linked to a provider account
+     * @param {string} issuer - Identity provider issuer URL
+     * @param {string} subject - Provider's user ID (sub claim)
+     * @returns {Promise<Object|null>} - Identity or null
+     */
+    static async findByProviderSubject(issuer, subject) {
+        const sql = `
+            SELECT 
+                identity_id,
+                user_id,
+                issuer,
+                subject,
+                email
+            FROM user_identities
+            WHERE issuer = $1 AND subject = $2
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [issuer, subject]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Link a provider account to a user
+     * @param {Object} identityData - { userId, issuer, subject, email }
+     * @returns {Promise<Object|null>} - Created identity, or null if the provider account is already linked
+     */
+    static async createIdentity(identityData) {
+        const sql = `
+            INSERT INTO user_identities (user_id, issuer, subject, email, created_at, last_login_at)
+            VALUES ($1, $2, $3, $4, NOW(), NOW())
+            ON CONFLICT (issuer, subject) DO NOTHING
+            RETURNING identity_id, user_id, issuer, subject, email
+        `;
+
+        const results = await query(sql, [
+            identityData.userId,
+            identityData.issuer,
+            identityData.subject,
+            identityData.email
+        ]);
+
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Record a login through a linked identity
+     * @param {number} identityId - Identity ID
+     * @param {string|null} email - Email currently reported by the provider
+     */
+    static async touchLogin(identityId, email) {
+        const sql = `
+            UPDATE user_identities
+            SET last_login_at = NOW(), email = COALESCE($2, email)
+            WHERE identity_id = $1
+        `;
+
+        await query(sql, [identityId, email]);
+    }
+}
+
+module.exports = UserIdentityModel;
@@ -0,0 +1,179 @@
+/**
+ * Attachment Controller
+ * =====================
+ * Handles file uploads, downloads and deletion for issue attachments
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const AttachmentModel = require('./attachmentModel');
+const IssueModel = require('./issueModel');
+const {
+    successResponse,
+    createdResponse,
+    notFoundResponse,
+    forbiddenResponse
+} = require('../../shared/utils/responseHelper');
+const { getStorage } = require('../../shared/storage/storage');
+const { generateRandomToken } = require('../../shared/utils/tokenHelper');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+
+class AttachmentController {
+    /**
+     * GET /api/issues/:id/attachments
+     * List the attachments of an issue
+     */
+    static async getAttachments(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const issueExists = await IssueModel.issueExists(id);
+            if (!issueExists) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            const attachments = await AttachmentModel.getAttachmentsByIssue(id);
+
+            return successResponse(
+                res,
+                attachments.map(attachment => AttachmentController.formatAttachmentResponse(attachment)),
+                'Attachments retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/issues/:id/attachments
+     * Upload a file (multipart/form-data, field "file")
+     */
+    static async uploadAttachment(req, res, next) {
+        try {
+            const { id } = req.params;
+            const file = req.file;
+
+            const issueExists = await IssueModel.issueExists(id);
+            if (!issueExists) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            // Keys never contain the client's file name
+            const storageKey = `issues/${id}/${generateRandomToken(16)}`;
+            const storage = getStorage();
+
+            await storage.save(storageKey, file.buffer);
+
+            let result;
+            try {
+                result = await AttachmentModel.createAttachment({
+                    issueId: id,
+                    uploadedBy: req.user.userId,
+                    originalName: file.originalname.slice(0, 255),
+                    mimeType: file.mimetype,
+                    sizeBytes: file.size,
+                    storageKey
+                });
+            } catch (error) {
+                await storage.remove(storageKey).catch(() => {});
+                throw error;
+            }
+
+            const attachment = await AttachmentModel.getAttachmentById(id, result.insertId);
+
+            return createdResponse(
+                res,
+                AttachmentController.formatAttachmentResponse(attachment),
+                'Attachment uploaded successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/issues/:id/attachments/:attachmentId
+     * Download an attachment
+     */
+    static async downloadAttachment(req, res, next) {
+        try {
+            const { id, attachmentId } = req.params;
+
+            const attachment = await AttachmentModel.getAttachmentById(id, attachmentId);
+            if (!attachment) {
+                return notFoundResponse(res, 'Attachment not found');
+            }
+
+            let stream;
+            try {
+                stream = await getStorage().read(attachment.storage_key);
+            } catch (error) {
+                return notFoundResponse(res, 'Attachment file is missing from storage');
+            }
+
+            // Always served as a download, never rendered by the browser
+            res.attachment(attachment.original_name);
+            res.setHeader('Content-Type', attachment.mime_type);
+            res.setHeader('Content-Length', attachment.size_bytes);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+
+            stream.on('error', next);
+            stream.pipe(res);
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/issues/:id/attachments/:attachmentId
+     * Delete an attachment (uploader or admin)
+     */
+    static async deleteAttachment(req, res, next) {
+        try {
+            const { id, attachmentId } = req.params;
+
+            const attachment = await AttachmentModel.getAttachmentById(id, attachmentId);
+            if (!attachment) {
+                return notFoundResponse(res, 'Attachment not found');
+            }
+
+            if (req.user.role !== USER_ROLE.ADMIN && attachment.uploaded_by !== req.user.userId) {
+                return forbiddenResponse(res, 'Only the uploader or an admin can delete this attachment');
+            }
+
+            await AttachmentModel.deleteAttachment(attachmentId);
+            await getStorage().remove(attachment.storage_key);
+
+            return successResponse(res, null, 'Attachment deleted successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Format an attachment row for API responses
+     * Also used by IssueController to embed attachments in the issue response
+     */
+    static formatAttachmentResponse(attachment) {
+        return {
+            id: attachment.attachment_id,
+            issueId: attachment.issue_id,
+            fileName: attachment.original_name,
+            mimeType: attachment.mime_type,
+            size: parseInt(attachment.size_bytes),
+            uploadedBy: {
+                id: attachment.uploaded_by,
+                name: attachment.uploader_name,
+                email: attachment.uploader_email
+            },
+            downloadUrl: `/api/issues/${attachment.issue_id}/attachments/${attachment.attachment_id}`,
+            createdAt: attachment.created_at
+        };
+    }
+}
+
+module.exports = AttachmentController;
@@ -0,0 +1,110 @@
+/**
+ * Attachment Model - Issue Attachment Database Operations (PostgreSQL)
+ * =====================================================================
+ * Metadata of files attached to issues. The file contents are kept by
+ * the storage backend under storage_key.
+ */
+
+const { query } = require('../../config/database');
+
+// Columns selected for every attachment (with uploader info)
+const ATTACHMENT_COLUMNS = `
+    a.attachment_id,
+    a.issue_id,
+    a.uploaded_by,
+    a.original_name,
+    a.mime_type,
+    a.size_bytes,
+    a.storage_key,
+    a.created_at,
+    uploader.name as uploader_name,
+    uploader.email as uploader_email
+`;
+
+class AttachmentModel {
+    /**
+     * Get the attachments of an issue, oldest first
+     * @param {number} issueId - Issue ID
+     * @returns {Promise<Array>} - Attachments
+     */
+    static async getAttachmentsByIssue(issueId) {
+        const sql = `
+            SELECT ${ATTACHMENT_COLUMNS}
+            FROM attachments a
+            LEFT JOIN users uploader ON a.uploaded_by = uploader.user_id
+            WHERE a.issue_id = $1
+            ORDER BY a.created_at ASC, a.attachment_id ASC
+        `;
+
+        return query(sql, [issueId]);
+    }
+
+    /**
+     * Get a single attachment of an issue
+     * @param {number} issueId - Issue ID
+     * @param {number} attachmentId - Attachment ID
+     * @returns {Promise<Object|null>} - Attachment or null
+     */
+    static async getAttachmentById(issueId, attachmentId) {
+        const sql = `
+            SELECT ${ATTACHMENT_COLUMNS}
+            FROM attachments a
+            LEFT JOIN users uploader ON a.uploaded_by = uploader.user_id
+            WHERE a.issue_id = $1 AND a.attachment_id = $2
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [issueId, attachmentId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Store attachment metadata
+     * @param {Object} attachmentData - { issueId, uploadedBy, originalName, mimeType, sizeBytes, storageKey }
+     * @returns {Promise<Object>} - { insertId }
+     */
+    static async createAttachment(attachmentData) {
+        const sql = `
+            INSERT INTO attachments
+            (issue_id, uploaded_by, original_name, mime_type, size_bytes, storage_key, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, NOW())
+            RETURNING attachment_id
+        `;
+
+        const results = await query(sql, [
+            attachmentData.issueId,
+            attachmentData.uploadedBy,
+            attachmentData.originalName,
+            attachmentData.mimeType,
+            attachmentData.sizeBytes,
+            attachmentData.storageKey
+        ]);
+
+        return { insertId: results[0].attachment_id };
+    }
+
+    /**
+     * Delete attachment metadata
+     * @param {number} attachmentId - Attachment ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    static async deleteAttachment(attachmentId) {
+        const sql = `DELETE FROM attachments WHERE attachment_id = $1 RETURNING attachment_id`;
+        const results = await query(sql, [attachmentId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Get the storage keys of all files attached to an issue
+     * Read before deleting the issue, since the rows cascade with it
+     * @param {number} issueId - Issue ID
+     * @returns {Promise<Array<string>>} - Storage keys
+     */
+    static async getStorageKeysByIssue(issueId) {
+        const sql = `SELECT storage_key FROM attachments WHERE issue_id = $1`;
+        const results = await query(sql, [issueId]);
+        return results.map(row => row.storage_key);
+    }
+}
+
+module.exports = AttachmentModel;
@@ -0,0 +1,219 @@
+/**
+ * Comment Controller
+ * ==================
+ * Handles threaded comments on issues
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const CommentModel = require('./commentModel');
+const IssueModel = require('./issueModel');
+const {
+    successResponse,
+    createdResponse,
+    paginatedResponse,
+    notFoundResponse,
+    badRequestResponse,
+    forbiddenResponse
+} = require('../../shared/utils/responseHelper');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+
+class CommentController {
+    /**
+     * GET /api/issues/:id/comments
+     * Get a page of comment threads (top-level comments with nested replies)
+     */
+    static async getComments(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { page = 1, limit = 20 } = req.query;
+
+            const issueExists = await IssueModel.issueExists(id);
+            if (!issueExists) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            const result = await CommentModel.getCommentsByIssue(id, {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            return paginatedResponse(
+                res,
+                buildCommentThreads(result.comments),
+                {
+                    page: result.currentPage,
+                    limit: result.perPage,
+                    total: result.total,
+                    totalPages: result.totalPages
+                },
+                'Comments retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/issues/:id/comments
+     * Add a comment, or a reply when parentId is given
+     */
+    static async createComment(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { body, parentId } = req.body;
+
+            const issueExists = await IssueModel.issueExists(id);
+            if (!issueExists) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            if (parentId) {
+                const parent = await CommentModel.getCommentById(id, parentId);
+
+                if (!parent) {
+                    return badRequestResponse(res, 'Parent comment not found on this issue');
+                }
+
+                if (parent.deleted_at) {
+                    return badRequestResponse(res, 'Cannot reply to a deleted comment');
+                }
+            }
+
+            const result = await CommentModel.createComment({
+                issueId: id,
+                parentId: parentId || null,
+                authorId: req.user.userId,
+                body
+            });
+
+            const comment = await CommentModel.getCommentById(id, result.insertId);
+
+            return createdResponse(
+                res,
+                formatCommentResponse(comment),
+                'Comment added successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/issues/:id/comments/:commentId
+     * Edit a comment (author or admin)
+     */
+    static async updateComment(req, res, next) {
+        try {
+            const { id, commentId } = req.params;
+            const { body } = req.body;
+
+            const comment = await CommentModel.getCommentById(id, commentId);
+            if (!comment || comment.deleted_at) {
+                return notFoundResponse(res, 'Comment not found');
+            }
+
+            if (!canModifyComment(comment, req.user)) {
+                return forbiddenResponse(res, 'Only the comment author or an admin can edit this comment');
+            }
+
+            await CommentModel.updateComment(commentId, body);
+
+            const updatedComment = await CommentModel.getCommentById(id, commentId);
+
+            return successResponse(
+                res,
+                formatCommentResponse(updatedComment),
+                'Comment updated successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/issues/:id/comments/:commentId
+     * Delete a comment (author or admin)
+     */
+    static async deleteComment(req, res, next) {
+        try {
+            const { id, commentId } = req.params;
+
+            const comment = await CommentModel.getCommentById(id, commentId);
+            if (!comment || comment.deleted_at) {
+                return notFoundResponse(res, 'Comment not found');
+            }
+
+            if (!canModifyComment(comment, req.user)) {
+                return forbiddenResponse(res, 'Only the comment author or an admin can delete this comment');
+            }
+
+            await CommentModel.deleteComment(commentId);
+
+            return successResponse(res, null, 'Comment deleted successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Only the author or an admin may edit or delete a comment
+ */
+function canModifyComment(comment, user) {
+    return user.role === USER_ROLE.ADMIN || comment.author_id === user.userId;
+}
+
+/**
+ * Helper function to format comment response
+ * Deleted comments keep their place in the thread but lose body and author
+ */
+function formatCommentResponse(comment) {
+    const isDeleted = Boolean(comment.deleted_at);
+
+    return {
+        id: comment.comment_id,
+        issueId: comment.issue_id,
+        parentId: comment.parent_id,
+        body: isDeleted ? null : comment.body,
+        author: isDeleted ? null : {
+            id: comment.author_id,
+            name: comment.author_name,
+            email: comment.author_email
+        },
+        deleted: isDeleted,
+        createdAt: comment.created_at,
+        updatedAt: comment.updated_at,
+        editedAt: comment.edited_at
+    };
+}
+
+/**
+ * Nest comment rows (ordered oldest first) into threads of replies
+ */
+function buildCommentThreads(comments) {
+    const byId = new Map();
+    const threads = [];
+
+    comments.forEach(comment => {
+        byId.set(comment.comment_id, { ...formatCommentResponse(comment), replies: [] });
+    });
+
+    byId.forEach(comment => {
+        const parent = comment.parentId ? byId.get(comment.parentId) : null;
+
+        if (parent) {
+            parent.replies.push(comment);
+        } else {
+            threads.push(comment);
+        }
+    });
+
+    return threads;
+}
+
+module.exports = CommentController;
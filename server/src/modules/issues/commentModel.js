@@ -0,0 +1,193 @@
+/**
+ * Comment Model - Issue Comment Database Operations (PostgreSQL)
+ * ===============================================================
+ * Threaded comments on issues. Top-level comments are paginated and
+ * each page is returned together with all of its replies.
+ */
+
+const { query, withTransaction } = require('../../config/database');
+const { notifyComment } = require('../notifications/notificationService');
+const { queueCommentWebhooks } = require('../webhooks/webhookService');
+
+// Columns selected for every comment (with author info)
+const COMMENT_COLUMNS = `
+    c.comment_id,
+    c.issue_id,
+    c.parent_id,
+    c.author_id,
+    c.body,
+    c.created_at,
+    c.updated_at,
+    c.edited_at,
+    c.deleted_at,
+    author.name as author_name,
+    author.email as author_email
+`;
+
+class CommentModel {
+    /**
+     * Get a page of top-level comments of an issue with all their replies
+     * @param {number} issueId - Issue ID
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} - { comments, total, totalPages, currentPage, perPage }
+     */
+    static async getCommentsByIssue(issueId, options = {}) {
+        const { page = 1, limit = 20 } = options;
+        const offset = (page - 1) * limit;
+
+        // Pagination counts top-level comments (threads)
+        const countSql = `
+            SELECT COUNT(*) as total
+            FROM comments
+            WHERE issue_id = $1 AND parent_id IS NULL
+        `;
+        const countResult = await query(countSql, [issueId]);
+        const total = parseInt(countResult[0].total);
+
+        const sql = `
+            WITH RECURSIVE threads AS (
+                SELECT comment_id
+                FROM (
+                    SELECT comment_id
+                    FROM comments
+                    WHERE issue_id = $1 AND parent_id IS NULL
+                    ORDER BY created_at ASC, comment_id ASC
+                    LIMIT $2 OFFSET $3
+                ) roots
+
+                UNION ALL
+
+                SELECT reply.comment_id
+                FROM comments reply
+                JOIN threads ON reply.parent_id = threads.comment_id
+            )
+            SELECT ${COMMENT_COLUMNS}
+            FROM comments c
+            JOIN threads ON c.comment_id = threads.comment_id
+            LEFT JOIN users author ON c.author_id = author.user_id
+            ORDER BY c.created_at ASC, c.comment_id ASC
+        `;
+
+        const comments = await query(sql, [issueId, parseInt(limit), parseInt(offset)]);
+
+        return {
+            comments,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            perPage: parseInt(limit)
+        };
+    }
+
+    /**
+     * Get a single comment of an issue
+     * @param {number} issueId - Issue ID
+     * @param {number} commentId - Comment ID
+     * @returns {Promise<Object|null>} - Comment or null
+     */
+    static async getCommentById(issueId, commentId) {
+        const sql = `
+            SELECT ${COMMENT_COLUMNS}
+            FROM comments c
+            LEFT JOIN users author ON c.author_id = author.user_id
+            WHERE c.issue_id = $1 AND c.comment_id = $2
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [issueId, commentId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Create a comment or reply, notify the issue's watchers and queue webhook deliveries
+     * @param {Object} commentData - { issueId, parentId, authorId, body }
+     * @returns {Promise<Object>} - { insertId }
+     */
+    static async createComment(commentData) {
+        const { issueId, parentId = null, authorId, body } = commentData;
+
+        const sql = `
+            INSERT INTO comments (issue_id, parent_id, author_id, body, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, NOW(), NOW())
+            RETURNING comment_id
+        `;
+
+        return withTransaction(async (client) => {
+            const results = await client.query(sql, [issueId, parentId, authorId, body]);
+            const commentId = results.rows[0].comment_id;
+
+            await notifyComment(client, { issueId, commentId, parentId, authorId });
+            await queueCommentWebhooks(client, { issueId, commentId, parentId, authorId, body });
+
+            return { insertId: commentId };
+        });
+    }
+
+    /**
+     * Edit a comment's body and record when it was edited
+     * @param {number} commentId - Comment ID
+     * @param {string} body - New body
+     * @returns {Promise<Object>} - Update result
+     */
+    static async updateComment(commentId, body) {
+        const sql = `
+            UPDATE comments
+            SET body = $1, edited_at = NOW(), updated_at = NOW()
+            WHERE comment_id = $2 AND deleted_at IS NULL
+            RETURNING comment_id
+        `;
+
+        const results = await query(sql, [body, commentId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Delete a comment
+     * A comment without replies is removed; one with replies is blanked
+     * and marked deleted so the rest of the thread stays readable
+     * @param {number} commentId - Comment ID
+     * @returns {Promise<Object>} - { affectedRows, softDeleted }
+     */
+    static async deleteComment(commentId) {
+        const deleteSql = `
+            DELETE FROM comments
+            WHERE comment_id = $1
+                AND NOT EXISTS (SELECT 1 FROM comments reply WHERE reply.parent_id = $1)
+            RETURNING comment_id
+        `;
+
+        const deleted = await query(deleteSql, [commentId]);
+
+        if (deleted.length > 0) {
+            return { affectedRows: deleted.length, softDeleted: false };
+        }
+
+        const softDeleteSql = `
+            UPDATE comments
+            SET body = '', deleted_at = NOW(), updated_at = NOW()
+            WHERE comment_id = $1 AND deleted_at IS NULL
+            RETURNING comment_id
+        `;
+
+        const results = await query(softDeleteSql, [commentId]);
+        return { affectedRows: results.length, softDeleted: true };
+    }
+
+    /**
+     * Count the comments of an issue (deleted ones excluded)
+     * @param {number} issueId - Issue ID
+     * @returns {Promise<number>} - Comment count
+     */
+    static async countByIssue(issueId) {
+        const sql = `
+            SELECT COUNT(*) as count
+            FROM comments
+            WHERE issue_id = $1 AND deleted_at IS NULL
+        `;
+
+        const results = await query(sql, [issueId]);
+        return parseInt(results[0].count);
+    }
+}
+
+module.exports = CommentModel;
@@ -0,0 +1,55 @@
+/**
+ * Issue Access
+ * ============
+ * Project membership rules for changing issues: only members of an issue's
+ * project (and admins) may file, edit, comment on, link or log time against
+ * it or change its watchers, and moving an issue needs access to both projects.
+ * Issues outside any project are open to every writer.
+ */
+
+const IssueModel = require('./issueModel');
+const ProjectModel = require('../projects/projectModel');
+const { ValidationError, ForbiddenError } = require('../../middleware/errorHandler');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+
+/**
+ * Ensure the project exists and the user may file issues in it
+ * (members of the project, and admins)
+ * @throws {ValidationError|ForbiddenError}
+ */
+const assertProjectAccess = async (projectId, user) => {
+    if (!projectId) {
+        return;
+    }
+
+    const project = await ProjectModel.findByIdOrKey(projectId);
+    if (!project) {
+        throw new ValidationError('Project not found');
+    }
+
+    if (user.role !== USER_ROLE.ADMIN && !(await ProjectModel.isMember(project.project_id, user.userId))) {
+        throw new ForbiddenError(`You are not a member of project ${project.project_key}`);
+    }
+};
+
+/**
+ * Require Issue Project Access Middleware
+ * Refuses changes to an issue (req.params.id) in a project the user is not
+ * a member of. Unknown issues pass through so the controller can answer 404.
+ *
+ * Usage: router.put('/:id', issueIdValidation, validateRequest, requireIssueProjectAccess, controller.method)
+ */
+const requireIssueProjectAccess = async (req, res, next) => {
+    try {
+        const projectId = await IssueModel.getProjectId(req.params.id);
+        await assertProjectAccess(projectId, req.user);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    assertProjectAccess,
+    requireIssueProjectAccess
+};
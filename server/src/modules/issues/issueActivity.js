@@ -0,0 +1,98 @@
+/**
+ * Issue Activity
+ * ==============
+ * Summarizes the events recorded for one change into activity messages
+ * (issue.created, issue.updated, issue.status_changed, issue.assigned,
+ * issue.deleted), the form in which issue changes are published to webhooks
+ * and the live issue stream.
+ *
+ * The history keeps one event per changed field; an activity message covers
+ * one kind of change to one issue.
+ */
+
+const { ISSUE_EVENT_TYPE, ISSUE_ACTIVITY } = require('../../shared/constants/issueConstants');
+
+// Fields reported with a status change rather than as an update
+const STATUS_FIELDS = ['status', 'resolution'];
+
+/**
+ * Describe a field change ({ field, from, to })
+ * @param {Object} event - Issue event
+ * @returns {Object}
+ */
+const toChange = (event) => ({
+    field: event.field,
+    from: event.oldValue === undefined ? null : event.oldValue,
+    to: event.newValue === undefined ? null : event.newValue
+});
+
+/**
+ * Build the activity messages for the events of one change
+ * Field values set when an issue is created are part of issue.created, and a
+ * resolution set or cleared by a status change is part of issue.status_changed.
+ * Link events are not published.
+ * @param {Array<Object>} events - Issue events (as passed to IssueEventModel.recordEvents)
+ * @returns {Array<Object>} - [{ type, issueId, actorId, changes }]; issue.deleted
+ *                            messages also carry the projectId and title of the deleted issue
+ */
+const buildIssueActivity = (events) => {
+    const eventsByIssue = new Map();
+
+    events.forEach(event => {
+        // Route handlers pass IDs from the URL as strings
+        const issueId = parseInt(event.issueId);
+
+        if (!eventsByIssue.has(issueId)) {
+            eventsByIssue.set(issueId, []);
+        }
+        eventsByIssue.get(issueId).push(event);
+    });
+
+    const activity = [];
+
+    eventsByIssue.forEach((issueEvents, issueId) => {
+        const actorId = issueEvents[0].actorId || null;
+        const message = (type, changes) => ({ type, issueId, actorId, changes });
+        const ofType = eventType => issueEvents.filter(event => event.eventType === eventType);
+
+        const deleted = ofType(ISSUE_EVENT_TYPE.DELETED)[0];
+        if (deleted) {
+            activity.push({
+                ...message(ISSUE_ACTIVITY.DELETED, []),
+                projectId: deleted.projectId || null,
+                title: deleted.oldValue
+            });
+            return;
+        }
+
+        if (ofType(ISSUE_EVENT_TYPE.CREATED).length > 0) {
+            activity.push(message(ISSUE_ACTIVITY.CREATED, []));
+            return;
+        }
+
+        const statusChanged = ofType(ISSUE_EVENT_TYPE.STATUS_CHANGED).length > 0;
+        const statusChanges = statusChanged
+            ? issueEvents.filter(event => STATUS_FIELDS.includes(event.field)).map(toChange)
+            : [];
+        const assignments = ofType(ISSUE_EVENT_TYPE.ASSIGNED).map(toChange);
+        const updates = ofType(ISSUE_EVENT_TYPE.UPDATED)
+            .filter(event => !(statusChanged && STATUS_FIELDS.includes(event.field)))
+            .map(toChange);
+
+        if (statusChanges.length > 0) {
+            activity.push(message(ISSUE_ACTIVITY.STATUS_CHANGED, statusChanges));
+        }
+        if (assignments.length > 0) {
+            activity.push(message(ISSUE_ACTIVITY.ASSIGNED, assignments));
+        }
+        if (updates.length > 0) {
+            activity.push(message(ISSUE_ACTIVITY.UPDATED, updates));
+        }
+    });
+
+    return activity;
+};
+
+module.exports = {
+    buildIssueActivity
+};
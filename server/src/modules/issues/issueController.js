@@ -1,14 +1,37 @@
 const IssueModel = require('./issueModel');
+const CommentModel = require('./commentModel');
+const IssueEventModel = require('./issueEventModel');
+const AttachmentModel = require('./attachmentModel');
+const AttachmentController = require('./attachmentController');
+const IssueLinkModel = require('./issueLinkModel');
+const IssueLinkController = require('./issueLinkController');
+const {
+    getAvailableTransitions,
+    assertInitialStatus,
+    assertTransition,
+    checkOpenBlockers,
+    assertChildrenDone
+} = require('./issueWorkflow');
+const { assertProjectAccess } = require('./issueAccess');
+const LabelModel = require('../labels/labelModel');
+const ProjectModel = require('../projects/projectModel');
+const MilestoneModel = require('../milestones/milestoneModel');
 const {
     successResponse,
     createdResponse,
     paginatedResponse,
     notFoundResponse,
     badRequestResponse,
+    forbiddenResponse,
     noContentResponse
 } = require('../../shared/utils/responseHelper');
 const { exportToCSV, exportToJSON, getExportFilename } = require('../../shared/utils/exportHelper');
-const { NotFoundError } = require('../../middleware/errorHandler');
+const { getIssueSla } = require('./issueSla');
+const { emailNewAssignee } = require('../notifications/notificationService');
+const { getStorage } = require('../../shared/storage/storage');
+const { NotFoundError, ValidationError } = require('../../middleware/errorHandler');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+const { ISSUE_KEY_PATTERN } = require('../../shared/constants/projectConstants');
 
 class IssueController {
     /**
@@ -24,10 +47,35 @@ class IssueController {
                 priority,
                 severity,
                 search,
+                labels,
+                labelMatch,
+                project,
+                parent,
+                milestone,
+                overdue,
                 sortBy = 'created_at',
                 sortOrder = 'desc'
             } = req.query;
 
+            const projectId = await resolveProjectFilter(project);
+            if (projectId === null) {
+                return notFoundResponse(res, 'Project not found');
+            }
+
+            // ?parent=none lists top-level issues, ?parent=<id or key> the sub-tasks of one issue
+            const topLevel = parent === 'none';
+            const parentId = topLevel ? undefined : await resolveParentFilter(parent);
+            if (parentId === null) {
+                return notFoundResponse(res, 'Parent issue not found');
+            }
+
+            // ?milestone=none lists the backlog (issues not planned into a milestone)
+            const withoutMilestone = milestone === 'none';
+            const milestoneId = milestone && !withoutMilestone ? parseInt(milestone) : undefined;
+            if (milestoneId && !(await MilestoneModel.milestoneExists(milestoneId))) {
+                return notFoundResponse(res, 'Milestone not found');
+            }
+
             const result = await IssueModel.getAllIssues({
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -35,6 +83,14 @@ class IssueController {
                 priority,
                 severity,
                 search,
+                labels,
+                labelMatch,
+                projectId,
+                parentId,
+                topLevel,
+                milestoneId,
+                withoutMilestone,
+                overdue: overdue === undefined ? undefined : overdue === 'true',
                 sortBy,
                 sortOrder
             });
@@ -65,7 +121,12 @@ class IssueController {
      */
     static async getStatusCounts(req, res, next) {
         try {
-            const counts = await IssueModel.getStatusCounts();
+            const projectId = await resolveProjectFilter(req.query.project);
+            if (projectId === null) {
+                return notFoundResponse(res, 'Project not found');
+            }
+
+            const counts = await IssueModel.getStatusCounts({ projectId });
 
             return successResponse(res, counts, 'Status counts retrieved successfully');
 
@@ -80,16 +141,26 @@ class IssueController {
      */
     static async exportCSV(req, res, next) {
         try {
-            const { status, priority, severity, search } = req.query;
+            const { status, priority, severity, search, labels, labelMatch, project, worklogs } = req.query;
+            const includeWorklogs = worklogs === 'true';
+
+            const projectId = await resolveProjectFilter(project);
+            if (projectId === null) {
+                return notFoundResponse(res, 'Project not found');
+            }
 
             const issues = await IssueModel.getIssuesForExport({
                 status,
                 priority,
                 severity,
-                search
+                search,
+                labels,
+                labelMatch,
+                projectId,
+                includeWorklogs
             });
 
-            const csv = exportToCSV(issues);
+            const csv = exportToCSV(issues, { worklogs: includeWorklogs });
             const filename = getExportFilename('csv');
 
             res.setHeader('Content-Type', 'text/csv');
@@ -108,13 +179,21 @@ class IssueController {
      */
     static async exportJSON(req, res, next) {
         try {
-            const { status, priority, severity, search } = req.query;
+            const { status, priority, severity, search, labels, labelMatch, project } = req.query;
+
+            const projectId = await resolveProjectFilter(project);
+            if (projectId === null) {
+                return notFoundResponse(res, 'Project not found');
+            }
 
             const issues = await IssueModel.getIssuesForExport({
                 status,
                 priority,
                 severity,
-                search
+                search,
+                labels,
+                labelMatch,
+                projectId
             });
 
             const jsonData = exportToJSON(issues);
@@ -132,21 +211,37 @@ class IssueController {
 
     /**
      * GET /api/issues/:id
-     * Get single issue by ID
+     * Get single issue by ID or project key (e.g. WEB-42)
+     * (?include=commentCount,links adds the comment count and linked issues)
      */
     static async getIssueById(req, res, next) {
         try {
-            const { id } = req.params;
+            const include = req.query.include ? String(req.query.include).split(',').map(item => item.trim()) : [];
 
-            const issue = await IssueModel.getIssueById(id);
+            const issueId = await resolveIssueId(req.params.id);
+            const issue = issueId ? await IssueModel.getIssueById(issueId) : null;
 
             if (!issue) {
                 return notFoundResponse(res, 'Issue not found');
             }
 
+            const formattedIssue = formatIssueResponse(issue);
+
+            const attachments = await AttachmentModel.getAttachmentsByIssue(issueId);
+            formattedIssue.attachments = attachments.map(attachment => AttachmentController.formatAttachmentResponse(attachment));
+
+            if (include.includes('commentCount')) {
+                formattedIssue.commentCount = await CommentModel.countByIssue(issueId);
+            }
+
+            if (include.includes('links')) {
+                const links = await IssueLinkModel.getLinksByIssue(issueId);
+                formattedIssue.links = links.map(link => IssueLinkController.formatLinkResponse(link));
+            }
+
             return successResponse(
                 res,
-                formatIssueResponse(issue),
+                formattedIssue,
                 'Issue retrieved successfully'
             );
 
@@ -161,9 +256,33 @@ class IssueController {
      */
     static async createIssue(req, res, next) {
         try {
-            const { title, description, status, priority, severity, assignedTo } = req.body;
+            const {
+                title,
+                description,
+                status,
+                priority,
+                severity,
+                assignedTo,
+                labelIds,
+                projectId,
+                parentId,
+                milestoneId,
+                dueDate,
+                originalEstimateMinutes,
+                remainingEstimateMinutes
+            } = req.body;
             const createdBy = req.user.userId;
 
+            const labelError = await validateLabelIds(labelIds);
+            if (labelError) {
+                return badRequestResponse(res, labelError);
+            }
+
+            await assertProjectAccess(projectId, req.user);
+            await assertValidParent(parentId);
+            await assertMilestoneExists(milestoneId);
+            assertInitialStatus(status);
+
             const result = await IssueModel.createIssue({
                 title,
                 description,
@@ -171,7 +290,15 @@ class IssueController {
                 priority,
                 severity,
                 createdBy,
-                assignedTo
+                assignedTo,
+                labelIds,
+                projectId,
+                parentId,
+                milestoneId,
+                dueDate,
+                originalEstimateMinutes,
+                // Nothing logged yet: the remaining estimate starts at the original one
+                remainingEstimateMinutes: remainingEstimateMinutes !== undefined ? remainingEstimateMinutes : originalEstimateMinutes
             });
 
             // Get the created issue with full details
@@ -195,7 +322,22 @@ class IssueController {
     static async updateIssue(req, res, next) {
         try {
             const { id } = req.params;
-            const { title, description, status, priority, severity, assignedTo } = req.body;
+            const {
+                title,
+                description,
+                status,
+                priority,
+                severity,
+                assignedTo,
+                labelIds,
+                projectId,
+                parentId,
+                milestoneId,
+                dueDate,
+                originalEstimateMinutes,
+                remainingEstimateMinutes,
+                resolution
+            } = req.body;
 
             // Check if issue exists
             const existingIssue = await IssueModel.getIssueById(id);
@@ -203,22 +345,57 @@ class IssueController {
                 return notFoundResponse(res, 'Issue not found');
             }
 
+            assertTransition(existingIssue, { status, resolution, assignedTo, description }, req.user);
+            await assertChildrenDone(existingIssue, status);
+            const warnings = await checkOpenBlockers(existingIssue, status);
+
+            const labelError = await validateLabelIds(labelIds);
+            if (labelError) {
+                return badRequestResponse(res, labelError);
+            }
+
+            // Access to the current project is checked by the route; a move also needs the target
+            if (projectId !== undefined && projectId !== existingIssue.project_id) {
+                await assertProjectAccess(projectId, req.user);
+            }
+
+            if (parentId !== undefined && parentId !== existingIssue.parent_id) {
+                await assertValidParent(parentId, existingIssue.issue_id);
+            }
+
+            if (milestoneId !== undefined && milestoneId !== existingIssue.milestone_id) {
+                await assertMilestoneExists(milestoneId);
+            }
+
             // Update the issue
-            await IssueModel.updateIssue(id, {
+            const { changes } = await IssueModel.updateIssue(id, {
                 title,
                 description,
                 status,
                 priority,
                 severity,
-                assignedTo
-            });
+                assignedTo,
+                labelIds,
+                projectId,
+                parentId,
+                milestoneId,
+                dueDate,
+                originalEstimateMinutes,
+                remainingEstimateMinutes,
+                resolution
+            }, req.user.userId);
 
             // Get updated issue
             const updatedIssue = await IssueModel.getIssueById(id);
 
+            const assignment = changes.find(change => change.field === 'assignedTo');
+            if (assignment) {
+                await emailNewAssignee(updatedIssue, assignment.newValue, req.user);
+            }
+
             return successResponse(
                 res,
-                formatIssueResponse(updatedIssue),
+                withWarnings(formatIssueResponse(updatedIssue), warnings),
                 'Issue updated successfully'
             );
 
@@ -234,7 +411,7 @@ class IssueController {
     static async updateStatus(req, res, next) {
         try {
             const { id } = req.params;
-            const { status } = req.body;
+            const { status, resolution } = req.body;
 
             // Check if issue exists
             const existingIssue = await IssueModel.getIssueById(id);
@@ -242,15 +419,19 @@ class IssueController {
                 return notFoundResponse(res, 'Issue not found');
             }
 
+            assertTransition(existingIssue, { status, resolution }, req.user);
+            await assertChildrenDone(existingIssue, status);
+            const warnings = await checkOpenBlockers(existingIssue, status);
+
             // Update status
-            await IssueModel.updateStatus(id, status);
+            await IssueModel.updateStatus(id, status, req.user.userId, resolution);
 
             // Get updated issue
             const updatedIssue = await IssueModel.getIssueById(id);
 
             return successResponse(
                 res,
-                formatIssueResponse(updatedIssue),
+                withWarnings(formatIssueResponse(updatedIssue), warnings),
                 `Issue status updated to "${status}"`
             );
 
@@ -259,6 +440,63 @@ class IssueController {
         }
     }
 
+    /**
+     * GET /api/issues/:id/children
+     * Get the sub-tasks of an issue
+     */
+    static async getChildren(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const issueExists = await IssueModel.issueExists(id);
+            if (!issueExists) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            const children = await IssueModel.getChildren(id);
+
+            return successResponse(
+                res,
+                children.map(child => formatIssueResponse(child)),
+                'Sub-tasks retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/issues/:id/transitions
+     * List the status changes the current user can make on an issue
+     */
+    static async getTransitions(req, res, next) {
+        try {
+            const issue = await IssueModel.getIssueById(req.params.id);
+            if (!issue) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            const transitions = getAvailableTransitions(issue, req.user);
+
+            return successResponse(
+                res,
+                {
+                    status: issue.status,
+                    transitions: transitions.map(transition => ({
+                        name: transition.name,
+                        to: transition.to,
+                        requiredFields: transition.requiredFields
+                    }))
+                },
+                'Transitions retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * DELETE /api/issues/:id
      * Delete issue
@@ -273,8 +511,21 @@ class IssueController {
                 return notFoundResponse(res, 'Issue not found');
             }
 
+            // Only the creator or an admin may delete an issue
+            if (req.user.role !== USER_ROLE.ADMIN) {
+                const isOwner = await IssueModel.isIssueOwner(id, req.user.userId);
+                if (!isOwner) {
+                    return forbiddenResponse(res, 'Only the issue creator or an admin can delete this issue');
+                }
+            }
+
+            // Attachment rows cascade with the issue; their files are removed afterwards
+            const storageKeys = await AttachmentModel.getStorageKeysByIssue(id);
+
             // Delete the issue
-            await IssueModel.deleteIssue(id);
+            await IssueModel.deleteIssue(id, req.user.userId);
+
+            await removeStoredFiles(storageKeys);
 
             return successResponse(res, null, 'Issue deleted successfully');
 
@@ -283,6 +534,41 @@ class IssueController {
         }
     }
 
+    /**
+     * GET /api/issues/:id/history
+     * Get the change history of an issue (still available after deletion)
+     */
+    static async getHistory(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { page = 1, limit = 50 } = req.query;
+
+            const result = await IssueEventModel.getEventsByIssue(id, {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            if (result.total === 0 && !(await IssueModel.issueExists(id))) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            return paginatedResponse(
+                res,
+                result.events.map(event => formatEventResponse(event)),
+                {
+                    page: result.currentPage,
+                    limit: result.perPage,
+                    total: result.total,
+                    totalPages: result.totalPages
+                },
+                'Issue history retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * GET /api/issues/my-issues
      * Get issues created by the authenticated user
@@ -290,13 +576,19 @@ class IssueController {
     static async getMyIssues(req, res, next) {
         try {
             const userId = req.user.userId;
-            const { page = 1, limit = 10, status, priority } = req.query;
+            const { page = 1, limit = 10, status, priority, project } = req.query;
+
+            const projectId = await resolveProjectFilter(project);
+            if (projectId === null) {
+                return notFoundResponse(res, 'Project not found');
+            }
 
             const result = await IssueModel.getAllIssues({
                 page: parseInt(page),
                 limit: parseInt(limit),
                 status,
                 priority,
+                projectId,
                 createdBy: userId
             });
 
@@ -325,11 +617,31 @@ class IssueController {
  * Transforms database row to API response format
  */
 function formatIssueResponse(issue) {
+    const sla = getIssueSla(issue);
+
     return {
         id: issue.issue_id,
+        key: issue.project_key ? `${issue.project_key}-${issue.issue_number}` : null,
+        project: issue.project_id ? {
+            id: issue.project_id,
+            key: issue.project_key,
+            name: issue.project_name
+        } : null,
+        parent: issue.parent_id ? {
+            id: issue.parent_id,
+            key: issue.parent_project_key ? `${issue.parent_project_key}-${issue.parent_issue_number}` : null,
+            title: issue.parent_title
+        } : null,
+        progress: formatProgress(issue),
+        milestone: issue.milestone_id ? {
+            id: issue.milestone_id,
+            name: issue.milestone_name,
+            dueDate: issue.milestone_due_date
+        } : null,
         title: issue.title,
         description: issue.description,
         status: issue.status,
+        resolution: issue.resolution,
         priority: issue.priority,
         severity: issue.severity,
         createdBy: {
@@ -342,10 +654,164 @@ function formatIssueResponse(issue) {
             name: issue.assignee_name,
             email: issue.assignee_email
         } : null,
+        labels: issue.labels || [],
+        dueDate: issue.due_date,
+        overdue: issue.overdue === true,
+        slaStatus: sla ? sla.status : null,
+        sla,
+        timeTracking: {
+            originalEstimateMinutes: issue.original_estimate_minutes,
+            remainingEstimateMinutes: issue.remaining_estimate_minutes,
+            timeSpentMinutes: parseInt(issue.time_spent_minutes) || 0
+        },
         createdAt: issue.created_at,
         updatedAt: issue.updated_at,
         resolvedAt: issue.resolved_at
     };
 }
 
+/**
+ * Roll-up of sub-tasks: { done, total, percent }, or null for issues without sub-tasks
+ */
+function formatProgress(issue) {
+    const total = parseInt(issue.children_total) || 0;
+    const done = parseInt(issue.children_done) || 0;
+
+    if (total === 0) {
+        return null;
+    }
+
+    return { done, total, percent: Math.round((done / total) * 100) };
+}
+
+/**
+ * Attach non-fatal warnings (e.g. open blockers) to a response payload
+ */
+function withWarnings(data, warnings) {
+    return warnings.length > 0 ? { ...data, warnings } : data;
+}
+
+/**
+ * Check that every requested label exists
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+async function validateLabelIds(labelIds) {
+    if (!labelIds || labelIds.length === 0) {
+        return null;
+    }
+
+    const missingIds = await LabelModel.findMissingIds(labelIds.map(Number));
+
+    return missingIds.length > 0 ? `Unknown label IDs: ${missingIds.join(', ')}` : null;
+}
+
+/**
+ * Resolve a route ID that is either numeric or an issue key (e.g. WEB-42)
+ * @returns {Promise<number|null>} - Issue ID, or null for an unknown key
+ */
+async function resolveIssueId(idOrKey) {
+    if (/^\d+$/.test(idOrKey)) {
+        return parseInt(idOrKey);
+    }
+
+    const match = ISSUE_KEY_PATTERN.exec(idOrKey);
+    return match ? IssueModel.findIdByKey(match[1], parseInt(match[2])) : null;
+}
+
+/**
+ * Resolve the ?project= filter (ID or key) to a project ID
+ * @returns {Promise<number|null|undefined>} - Project ID, undefined without a filter, null if unknown
+ */
+async function resolveProjectFilter(projectRef) {
+    if (!projectRef) {
+        return undefined;
+    }
+
+    const project = await ProjectModel.findByIdOrKey(projectRef);
+    return project ? project.project_id : null;
+}
+
+/**
+ * Resolve the ?parent= filter (ID or key) to an existing issue ID
+ * @returns {Promise<number|null|undefined>} - Issue ID, undefined without a filter, null if unknown
+ */
+async function resolveParentFilter(parentRef) {
+    if (!parentRef) {
+        return undefined;
+    }
+
+    const issueId = await resolveIssueId(parentRef);
+    return issueId && await IssueModel.issueExists(issueId) ? issueId : null;
+}
+
+/**
+ * Ensure a parent issue exists and would not make the hierarchy circular
+ * @param {number|null|undefined} parentId - Requested parent (null/undefined = none)
+ * @param {number} [issueId] - Issue being re-parented (omitted for new issues)
+ * @throws {ValidationError}
+ */
+async function assertValidParent(parentId, issueId) {
+    if (!parentId) {
+        return;
+    }
+
+    if (issueId && Number(parentId) === Number(issueId)) {
+        throw new ValidationError('An issue cannot be its own parent');
+    }
+
+    if (!(await IssueModel.issueExists(parentId))) {
+        throw new ValidationError('Parent issue not found');
+    }
+
+    if (issueId && await IssueModel.isDescendantOf(parentId, issueId)) {
+        throw new ValidationError('The parent issue cannot be one of this issue\'s sub-tasks');
+    }
+}
+
+/**
+ * Ensure a milestone an issue is planned into exists
+ * @throws {ValidationError}
+ */
+async function assertMilestoneExists(milestoneId) {
+    if (milestoneId && !(await MilestoneModel.milestoneExists(milestoneId))) {
+        throw new ValidationError('Milestone not found');
+    }
+}
+
+/**
+ * Remove files from storage, logging (not failing on) errors
+ * The database rows are already gone at this point
+ */
+async function removeStoredFiles(storageKeys) {
+    const storage = getStorage();
+
+    for (const storageKey of storageKeys) {
+        try {
+            await storage.remove(storageKey);
+        } catch (error) {
+            console.error(`Failed to remove stored file ${storageKey}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Helper function to format issue history event response
+ */
+function formatEventResponse(event) {
+    return {
+        id: event.event_id,
+        issueId: event.issue_id,
+        type: event.event_type,
+        field: event.field,
+        oldValue: event.old_value,
+        newValue: event.new_value,
+        actor: event.actor_id ? {
+            id: event.actor_id,
+            name: event.actor_name,
+            email: event.actor_email
+        } : null,
+        createdAt: event.created_at
+    };
+}
+
 module.exports = IssueController;
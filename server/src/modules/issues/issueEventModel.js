@@ -0,0 +1,115 @@
+/**
+ * Issue Event Model - Issue History Database Operations (PostgreSQL)
+ * ====================================================================
+ * Append-only audit trail: who changed which field of an issue, from
+ * what to what, and when. Events are written by IssueModel in the same
+ * transaction as the change they describe; the issue's watchers are
+ * notified of them, webhook deliveries are queued and live stream messages
+ * are published in that transaction too.
+ */
+
+const { query } = require('../../config/database');
+const { notifyIssueEvents } = require('../notifications/notificationService');
+const { queueIssueWebhooks } = require('../webhooks/webhookService');
+const { publishIssueActivity } = require('../stream/issueStream');
+const { ISSUE_EVENT_TYPE } = require('../../shared/constants/issueConstants');
+
+// Event type recorded for a change of each tracked field
+const FIELD_EVENT_TYPES = {
+    status: ISSUE_EVENT_TYPE.STATUS_CHANGED,
+    assignedTo: ISSUE_EVENT_TYPE.ASSIGNED
+};
+
+class IssueEventModel {
+    /**
+     * Get the event type for a changed field
+     * @param {string} field - API field name (e.g. 'status', 'assignedTo')
+     * @returns {string} - Event type
+     */
+    static eventTypeForField(field) {
+        return FIELD_EVENT_TYPES[field] || ISSUE_EVENT_TYPE.UPDATED;
+    }
+
+    /**
+     * Store events, notify the watchers of the issues concerned, queue webhook
+     * deliveries and publish the changes to live stream clients
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {Array<Object>} events - [{ issueId, actorId, eventType, field, oldValue, newValue }]
+     *                                 (deleted events also carry the projectId of the deleted issue)
+     * @returns {Promise<Object>} - Insert result
+     */
+    static async recordEvents(client, events) {
+        if (events.length === 0) {
+            return { affectedRows: 0 };
+        }
+
+        const toText = value => (value === null || value === undefined ? null : String(value));
+
+        const sql = `
+            INSERT INTO issue_events (issue_id, actor_id, event_type, field, old_value, new_value, created_at)
+            SELECT *, NOW()
+            FROM UNNEST($1::int[], $2::int[], $3::varchar[], $4::varchar[], $5::text[], $6::text[])
+        `;
+
+        const result = await client.query(sql, [
+            events.map(event => event.issueId),
+            events.map(event => event.actorId || null),
+            events.map(event => event.eventType),
+            events.map(event => event.field || null),
+            events.map(event => toText(event.oldValue)),
+            events.map(event => toText(event.newValue))
+        ]);
+
+        await notifyIssueEvents(client, events);
+        await queueIssueWebhooks(client, events);
+        await publishIssueActivity(client, events);
+
+        return { affectedRows: result.rowCount };
+    }
+
+    /**
+     * Get the history of an issue, oldest first
+     * @param {number} issueId - Issue ID
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} - { events, total, totalPages, currentPage, perPage }
+     */
+    static async getEventsByIssue(issueId, options = {}) {
+        const { page = 1, limit = 50 } = options;
+        const offset = (page - 1) * limit;
+
+        const countSql = `SELECT COUNT(*) as total FROM issue_events WHERE issue_id = $1`;
+        const countResult = await query(countSql, [issueId]);
+        const total = parseInt(countResult[0].total);
+
+        const sql = `
+            SELECT
+                e.event_id,
+                e.issue_id,
+                e.actor_id,
+                e.event_type,
+                e.field,
+                e.old_value,
+                e.new_value,
+                e.created_at,
+                actor.name as actor_name,
+                actor.email as actor_email
+            FROM issue_events e
+            LEFT JOIN users actor ON e.actor_id = actor.user_id
+            WHERE e.issue_id = $1
+            ORDER BY e.created_at ASC, e.event_id ASC
+            LIMIT $2 OFFSET $3
+        `;
+
+        const events = await query(sql, [issueId, parseInt(limit), parseInt(offset)]);
+
+        return {
+            events,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            perPage: parseInt(limit)
+        };
+    }
+}
+
+module.exports = IssueEventModel;
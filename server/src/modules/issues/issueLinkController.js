@@ -0,0 +1,204 @@
+/**
+ * Issue Link Controller
+ * =====================
+ * Handles links between issues (blocks, duplicates, relates to)
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const IssueLinkModel = require('./issueLinkModel');
+const IssueModel = require('./issueModel');
+const { assertTransition, checkOpenBlockers, assertChildrenDone } = require('./issueWorkflow');
+const {
+    successResponse,
+    createdResponse,
+    notFoundResponse,
+    badRequestResponse
+} = require('../../shared/utils/responseHelper');
+const {
+    ISSUE_STATUS,
+    ISSUE_RESOLUTION,
+    ISSUE_LINK_TYPE,
+    DONE_STATUSES
+} = require('../../shared/constants/issueConstants');
+
+// How each link type reads from the source (outward) and target (inward) side
+const LINK_LABELS = {
+    [ISSUE_LINK_TYPE.BLOCKS]: { outward: 'blocks', inward: 'is blocked by' },
+    [ISSUE_LINK_TYPE.DUPLICATES]: { outward: 'duplicates', inward: 'is duplicated by' },
+    [ISSUE_LINK_TYPE.RELATES_TO]: { outward: 'relates to', inward: 'relates to' }
+};
+
+class IssueLinkController {
+    /**
+     * GET /api/issues/:id/links
+     * List the links of an issue in both directions
+     */
+    static async getLinks(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const issueExists = await IssueModel.issueExists(id);
+            if (!issueExists) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            const links = await IssueLinkModel.getLinksByIssue(id);
+
+            return successResponse(
+                res,
+                links.map(link => IssueLinkController.formatLinkResponse(link)),
+                'Issue links retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/issues/:id/links
+     * Link this issue to another one (this issue is the source: "this blocks target")
+     * With closeDuplicate, a duplicates link also closes this issue as a duplicate
+     */
+    static async createLink(req, res, next) {
+        try {
+            const sourceIssueId = parseInt(req.params.id);
+            const targetIssueId = parseInt(req.body.targetIssueId);
+            const { type, closeDuplicate = false } = req.body;
+
+            const sourceIssue = await IssueModel.getIssueById(sourceIssueId);
+            if (!sourceIssue) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            if (targetIssueId === sourceIssueId) {
+                return badRequestResponse(res, 'An issue cannot be linked to itself');
+            }
+
+            const targetExists = await IssueModel.issueExists(targetIssueId);
+            if (!targetExists) {
+                return badRequestResponse(res, 'Target issue not found');
+            }
+
+            if (await IssueLinkModel.linkExists(sourceIssueId, targetIssueId, type)) {
+                return badRequestResponse(res, 'These issues are already linked this way');
+            }
+
+            if (type === ISSUE_LINK_TYPE.BLOCKS && await IssueLinkModel.wouldCreateBlockCycle(sourceIssueId, targetIssueId)) {
+                return badRequestResponse(res, 'This link would create a cycle: the target issue already blocks this issue');
+            }
+
+            // Check the status change up front so a refused close does not leave a half-done link
+            let closeStatus = null;
+            let warnings = [];
+            if (type === ISSUE_LINK_TYPE.DUPLICATES && closeDuplicate) {
+                closeStatus = chooseDuplicateCloseStatus(sourceIssue, req.user);
+                if (closeStatus) {
+                    await assertChildrenDone(sourceIssue, closeStatus);
+                    warnings = await checkOpenBlockers(sourceIssue, closeStatus);
+                }
+            }
+
+            // Link and close are written together, so a failed close leaves no link behind
+            const result = await IssueLinkModel.createLink({
+                sourceIssueId,
+                targetIssueId,
+                linkType: type,
+                createdBy: req.user.userId,
+                closeAs: closeStatus
+                    ? { status: closeStatus, resolution: ISSUE_RESOLUTION.DUPLICATE, expectedStatus: sourceIssue.status }
+                    : undefined
+            });
+
+            if (!result.insertId) {
+                return badRequestResponse(res, 'The issue changed status while it was being linked. Please try again');
+            }
+
+            const link = await IssueLinkModel.getLinkById(sourceIssueId, result.insertId);
+            const data = IssueLinkController.formatLinkResponse(link);
+
+            if (closeStatus) {
+                data.closedAs = closeStatus;
+            }
+            if (warnings.length > 0) {
+                data.warnings = warnings;
+            }
+
+            return createdResponse(res, data, 'Issues linked successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/issues/:id/links/:linkId
+     * Remove a link (from either of its issues)
+     */
+    static async deleteLink(req, res, next) {
+        try {
+            const { id, linkId } = req.params;
+
+            const link = await IssueLinkModel.getLinkById(id, linkId);
+            if (!link) {
+                return notFoundResponse(res, 'Link not found');
+            }
+
+            await IssueLinkModel.deleteLink(link, req.user.userId);
+
+            return successResponse(res, null, 'Link removed successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Format a link row for API responses, as seen from the requested issue
+     * Also used by IssueController to embed links in the issue response
+     */
+    static formatLinkResponse(link) {
+        return {
+            id: link.link_id,
+            type: link.link_type,
+            direction: link.direction,
+            label: LINK_LABELS[link.link_type][link.direction],
+            issue: {
+                id: link.other_issue_id,
+                key: link.other_project_key ? `${link.other_project_key}-${link.other_issue_number}` : null,
+                title: link.other_title,
+                status: link.other_status
+            },
+            createdBy: link.created_by,
+            createdAt: link.created_at
+        };
+    }
+}
+
+/**
+ * Pick the status a duplicate is closed with: Closed if the workflow lets the
+ * user close it directly, otherwise Resolved. Already resolved/closed issues
+ * are left alone (null).
+ * @throws {ValidationError|ForbiddenError} - Neither is allowed
+ */
+function chooseDuplicateCloseStatus(issue, user) {
+    if (DONE_STATUSES.includes(issue.status)) {
+        return null;
+    }
+
+    let firstError = null;
+
+    for (const status of [ISSUE_STATUS.CLOSED, ISSUE_STATUS.RESOLVED]) {
+        try {
+            assertTransition(issue, { status, resolution: ISSUE_RESOLUTION.DUPLICATE }, user);
+            return status;
+        } catch (error) {
+            firstError = firstError || error;
+        }
+    }
+
+    throw firstError;
+}
+
+module.exports = IssueLinkController;
@@ -0,0 +1,217 @@
+/**
+ * Issue Link Model - Issue Relationship Database Operations (PostgreSQL)
+ * =======================================================================
+ * Directed links between issues: A blocks B, A duplicates B, A relates to B.
+ * Each link is stored once (source -> target) and read from both sides.
+ * Creating or removing a link is recorded in the history of both issues.
+ */
+
+const { query, withTransaction } = require('../../config/database');
+const IssueEventModel = require('./issueEventModel');
+const IssueModel = require('./issueModel');
+const { ISSUE_EVENT_TYPE, ISSUE_LINK_TYPE, DONE_STATUSES } = require('../../shared/constants/issueConstants');
+
+// History field recorded on the target side of each link type
+const INWARD_FIELDS = {
+    [ISSUE_LINK_TYPE.BLOCKS]: 'blocked_by',
+    [ISSUE_LINK_TYPE.DUPLICATES]: 'duplicated_by',
+    [ISSUE_LINK_TYPE.RELATES_TO]: 'relates_to'
+};
+
+// Columns selected for every link, seen from issue $1 (with the issue at the other end)
+const LINK_COLUMNS = `
+    l.link_id,
+    l.link_type,
+    l.source_issue_id,
+    l.target_issue_id,
+    l.created_by,
+    l.created_at,
+    CASE WHEN l.source_issue_id = $1 THEN 'outward' ELSE 'inward' END as direction,
+    other.issue_id as other_issue_id,
+    other.title as other_title,
+    other.status as other_status,
+    other.issue_number as other_issue_number,
+    other_project.project_key as other_project_key
+`;
+
+const LINK_JOINS = `
+    JOIN issues other ON other.issue_id =
+        CASE WHEN l.source_issue_id = $1 THEN l.target_issue_id ELSE l.source_issue_id END
+    LEFT JOIN projects other_project ON other_project.project_id = other.project_id
+`;
+
+class IssueLinkModel {
+    /**
+     * Get all links of an issue, in both directions
+     * @param {number} issueId - Issue ID
+     * @returns {Promise<Array>} - Links grouped by type, oldest first
+     */
+    static async getLinksByIssue(issueId) {
+        const sql = `
+            SELECT ${LINK_COLUMNS}
+            FROM issue_links l
+            ${LINK_JOINS}
+            WHERE l.source_issue_id = $1 OR l.target_issue_id = $1
+            ORDER BY l.link_type ASC, l.created_at ASC, l.link_id ASC
+        `;
+
+        return query(sql, [issueId]);
+    }
+
+    /**
+     * Get a link of an issue (the issue may be either end)
+     * @param {number} issueId - Issue ID
+     * @param {number} linkId - Link ID
+     * @returns {Promise<Object|null>} - Link or null
+     */
+    static async getLinkById(issueId, linkId) {
+        const sql = `
+            SELECT ${LINK_COLUMNS}
+            FROM issue_links l
+            ${LINK_JOINS}
+            WHERE l.link_id = $2 AND (l.source_issue_id = $1 OR l.target_issue_id = $1)
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [issueId, linkId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Check if two issues are already linked with a type
+     * relates_to has no direction, so both directions count
+     * @param {number} sourceIssueId - Source issue ID
+     * @param {number} targetIssueId - Target issue ID
+     * @param {string} linkType - Link type
+     * @returns {Promise<boolean>} - True if linked
+     */
+    static async linkExists(sourceIssueId, targetIssueId, linkType) {
+        const sql = `
+            SELECT COUNT(*) as count
+            FROM issue_links
+            WHERE link_type = $3
+                AND ((source_issue_id = $1 AND target_issue_id = $2)
+                    OR ($3 = '${ISSUE_LINK_TYPE.RELATES_TO}' AND source_issue_id = $2 AND target_issue_id = $1))
+        `;
+
+        const results = await query(sql, [sourceIssueId, targetIssueId, linkType]);
+        return parseInt(results[0].count) > 0;
+    }
+
+    /**
+     * Check if "source blocks target" would close a loop of blocks links,
+     * i.e. target already blocks source directly or through other issues
+     * @param {number} sourceIssueId - Issue that would block
+     * @param {number} targetIssueId - Issue that would be blocked
+     * @returns {Promise<boolean>} - True if a cycle would be created
+     */
+    static async wouldCreateBlockCycle(sourceIssueId, targetIssueId) {
+        const sql = `
+            WITH RECURSIVE blocked_by_target (issue_id) AS (
+                SELECT target_issue_id
+                FROM issue_links
+                WHERE link_type = '${ISSUE_LINK_TYPE.BLOCKS}' AND source_issue_id = $1
+
+                UNION
+
+                SELECT l.target_issue_id
+                FROM issue_links l
+                JOIN blocked_by_target b ON l.source_issue_id = b.issue_id
+                WHERE l.link_type = '${ISSUE_LINK_TYPE.BLOCKS}'
+            )
+            SELECT EXISTS (SELECT 1 FROM blocked_by_target WHERE issue_id = $2) as cycle
+        `;
+
+        const results = await query(sql, [targetIssueId, sourceIssueId]);
+        return results[0].cycle;
+    }
+
+    /**
+     * Get the unresolved issues blocking an issue
+     * @param {number} issueId - Blocked issue ID
+     * @returns {Promise<Array>} - [{ issue_id, title, status, issue_number, project_key }]
+     */
+    static async getOpenBlockers(issueId) {
+        const sql = `
+            SELECT
+                i.issue_id,
+                i.title,
+                i.status,
+                i.issue_number,
+                p.project_key
+            FROM issue_links l
+            JOIN issues i ON i.issue_id = l.source_issue_id
+            LEFT JOIN projects p ON p.project_id = i.project_id
+            WHERE l.link_type = '${ISSUE_LINK_TYPE.BLOCKS}'
+                AND l.target_issue_id = $1
+                AND NOT (i.status = ANY($2::issue_status[]))
+            ORDER BY i.issue_id ASC
+        `;
+
+        return query(sql, [issueId, DONE_STATUSES]);
+    }
+
+    /**
+     * Create a link and record it in the history of both issues
+     * With closeAs, the source issue is also closed in the same transaction,
+     * provided it still has the status the close was checked against
+     * @param {Object} linkData - { sourceIssueId, targetIssueId, linkType, createdBy,
+     *                              closeAs? { status, resolution, expectedStatus } }
+     * @returns {Promise<Object>} - { insertId }, insertId null if the source issue changed status meanwhile
+     */
+    static async createLink(linkData) {
+        const { sourceIssueId, targetIssueId, linkType, createdBy, closeAs } = linkData;
+
+        const sql = `
+            INSERT INTO issue_links (source_issue_id, target_issue_id, link_type, created_by, created_at)
+            VALUES ($1, $2, $3, $4, NOW())
+            RETURNING link_id
+        `;
+
+        return withTransaction(async (client) => {
+            // Close first: when the issue moved on since the check, nothing is written
+            if (closeAs) {
+                const closed = await IssueModel.updateStatusInTransaction(
+                    client, sourceIssueId, closeAs.status, createdBy, closeAs.resolution, closeAs.expectedStatus
+                );
+                if (closed.affectedRows === 0) {
+                    return { insertId: null };
+                }
+            }
+
+            const results = await client.query(sql, [sourceIssueId, targetIssueId, linkType, createdBy]);
+
+            await IssueEventModel.recordEvents(client, [
+                { issueId: sourceIssueId, actorId: createdBy, eventType: ISSUE_EVENT_TYPE.LINKED, field: linkType, newValue: targetIssueId },
+                { issueId: targetIssueId, actorId: createdBy, eventType: ISSUE_EVENT_TYPE.LINKED, field: INWARD_FIELDS[linkType], newValue: sourceIssueId }
+            ]);
+
+            return { insertId: results.rows[0].link_id };
+        });
+    }
+
+    /**
+     * Delete a link and record it in the history of both issues
+     * @param {Object} link - Link row (from getLinkById)
+     * @param {number|null} actorId - User removing the link
+     * @returns {Promise<Object>} - Delete result
+     */
+    static async deleteLink(link, actorId = null) {
+        const sql = `DELETE FROM issue_links WHERE link_id = $1 RETURNING link_id`;
+
+        return withTransaction(async (client) => {
+            const results = await client.query(sql, [link.link_id]);
+
+            if (results.rowCount > 0) {
+                await IssueEventModel.recordEvents(client, [
+                    { issueId: link.source_issue_id, actorId, eventType: ISSUE_EVENT_TYPE.UNLINKED, field: link.link_type, oldValue: link.target_issue_id },
+                    { issueId: link.target_issue_id, actorId, eventType: ISSUE_EVENT_TYPE.UNLINKED, field: INWARD_FIELDS[link.link_type], oldValue: link.source_issue_id }
+                ]);
+            }
+
+            return { affectedRows: results.rowCount };
+        });
+    }
+}
+
+module.exports = IssueLinkModel;
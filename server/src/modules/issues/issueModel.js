@@ -4,13 +4,129 @@
  * Handles all issue-related database queries
  */
 
-const { query, getConnection } = require('../../config/database');
-const { ISSUE_STATUS } = require('../../shared/constants/issueConstants');
+const { query, getConnection, withTransaction } = require('../../config/database');
+const IssueEventModel = require('./issueEventModel');
+const { ISSUE_STATUS, ISSUE_EVENT_TYPE, DONE_STATUSES } = require('../../shared/constants/issueConstants');
+
+// Fields recorded in the issue history (API field name -> column)
+const TRACKED_FIELDS = {
+    title: 'title',
+    description: 'description',
+    status: 'status',
+    priority: 'priority',
+    severity: 'severity',
+    assignedTo: 'assigned_to',
+    projectId: 'project_id',
+    parentId: 'parent_id',
+    milestoneId: 'milestone_id',
+    dueDate: 'due_date',
+    originalEstimateMinutes: 'original_estimate_minutes',
+    remainingEstimateMinutes: 'remaining_estimate_minutes',
+    resolution: 'resolution'
+};
+
+// Tracked columns read as text so they compare with request values (YYYY-MM-DD dates)
+const TRACKED_COLUMN_EXPRESSIONS = {
+    due_date: `to_char(due_date, 'YYYY-MM-DD') as due_date`
+};
+
+// Labels of the issue as a JSON array of { id, name, color } (for issue selects)
+const LABELS_COLUMN = `
+    COALESCE((
+        SELECT json_agg(json_build_object('id', l.label_id, 'name', l.name, 'color', l.color) ORDER BY LOWER(l.name))
+        FROM issue_labels il
+        JOIN labels l ON l.label_id = il.label_id
+        WHERE il.issue_id = i.issue_id
+    ), '[]'::json) as labels
+`;
+
+// Sub-task roll-up: how many children the issue has and how many are resolved/closed
+const SUBTASK_COLUMNS = `
+    (SELECT COUNT(*) FROM issues child WHERE child.parent_id = i.issue_id) as children_total,
+    (SELECT COUNT(*) FROM issues child WHERE child.parent_id = i.issue_id
+        AND child.status = ANY('{${DONE_STATUSES.join(',')}}'::issue_status[])) as children_done
+`;
+
+// Worklogs of the issue as a JSON array of { date, user, minutes, note } (for exports)
+const WORKLOGS_COLUMN = `
+    COALESCE((
+        SELECT json_agg(json_build_object(
+            'date', to_char(w.work_date, 'YYYY-MM-DD'),
+            'user', u.name,
+            'minutes', w.duration_minutes,
+            'note', w.note
+        ) ORDER BY w.work_date, w.worklog_id)
+        FROM worklogs w
+        JOIN users u ON u.user_id = w.user_id
+        WHERE w.issue_id = i.issue_id
+    ), '[]'::json) as worklogs
+`;
+
+// Open issues whose due date has passed
+const OVERDUE_CONDITION = `(i.due_date IS NOT NULL AND i.due_date < CURRENT_DATE AND NOT (i.status = ANY('{${DONE_STATUSES.join(',')}}'::issue_status[])))`;
+
+// First response for the SLA: first comment by someone other than the reporter, or first status change
+const FIRST_RESPONSE_COLUMN = `
+    LEAST(
+        (SELECT MIN(c.created_at) FROM comments c WHERE c.issue_id = i.issue_id AND c.author_id <> i.created_by),
+        (SELECT MIN(e.created_at) FROM issue_events e WHERE e.issue_id = i.issue_id AND e.event_type = '${ISSUE_EVENT_TYPE.STATUS_CHANGED}')
+    ) as first_response_at
+`;
+
+// Columns and joins of a full issue row (for issue selects)
+const ISSUE_COLUMNS = `
+    i.issue_id,
+    i.title,
+    i.description,
+    i.status,
+    i.priority,
+    i.severity,
+    i.created_by,
+    i.assigned_to,
+    i.created_at,
+    i.updated_at,
+    i.resolved_at,
+    i.resolution,
+    i.project_id,
+    i.issue_number,
+    i.parent_id,
+    i.milestone_id,
+    to_char(i.due_date, 'YYYY-MM-DD') as due_date,
+    ${OVERDUE_CONDITION} as overdue,
+    ${FIRST_RESPONSE_COLUMN},
+    i.original_estimate_minutes,
+    i.remaining_estimate_minutes,
+    (SELECT COALESCE(SUM(w.duration_minutes), 0) FROM worklogs w WHERE w.issue_id = i.issue_id) as time_spent_minutes,
+    project.project_key,
+    project.name as project_name,
+    milestone.name as milestone_name,
+    to_char(milestone.due_date, 'YYYY-MM-DD') as milestone_due_date,
+    parent.title as parent_title,
+    parent.issue_number as parent_issue_number,
+    parent_project.project_key as parent_project_key,
+    creator.name as creator_name,
+    creator.email as creator_email,
+    assignee.name as assignee_name,
+    assignee.email as assignee_email,
+    ${LABELS_COLUMN},
+    ${SUBTASK_COLUMNS}
+`;
+
+const ISSUE_JOINS = `
+    FROM issues i
+    LEFT JOIN projects project ON i.project_id = project.project_id
+    LEFT JOIN milestones milestone ON i.milestone_id = milestone.milestone_id
+    LEFT JOIN issues parent ON i.parent_id = parent.issue_id
+    LEFT JOIN projects parent_project ON parent.project_id = parent_project.project_id
+    LEFT JOIN users creator ON i.created_by = creator.user_id
+    LEFT JOIN users assignee ON i.assigned_to = assignee.user_id
+`;
 
 class IssueModel {
     /**
      * Get all issues with pagination and filters
-     * @param {Object} options - { page, limit, status, priority, severity, search, sortBy, sortOrder, createdBy }
+     * @param {Object} options - { page, limit, status, priority, severity, search, labels, labelMatch, projectId, parentId, topLevel,
+     *                             milestoneId, withoutMilestone, overdue, sortBy, sortOrder, createdBy }
      * @returns {Promise<Object>} - { issues, total, totalPages }
      */
     static async getAllIssues(options = {}) {
@@ -23,7 +139,15 @@ class IssueModel {
             search,
             sortBy = 'created_at',
             sortOrder = 'DESC',
-            createdBy
+            createdBy,
+            labels,
+            labelMatch,
+            projectId,
+            parentId,
+            topLevel,
+            milestoneId,
+            withoutMilestone,
+            overdue
         } = options;
 
         // Calculate offset for pagination
@@ -54,6 +178,33 @@ class IssueModel {
             params.push(createdBy);
         }
 
+        if (projectId) {
+            conditions.push(`i.project_id = $${paramIndex++}`);
+            params.push(projectId);
+        }
+
+        if (parentId) {
+            conditions.push(`i.parent_id = $${paramIndex++}`);
+            params.push(parentId);
+        }
+
+        if (topLevel) {
+            conditions.push('i.parent_id IS NULL');
+        }
+
+        if (milestoneId) {
+            conditions.push(`i.milestone_id = $${paramIndex++}`);
+            params.push(milestoneId);
+        }
+
+        if (withoutMilestone) {
+            conditions.push('i.milestone_id IS NULL');
+        }
+
+        if (overdue !== undefined) {
+            conditions.push(overdue ? OVERDUE_CONDITION : `NOT ${OVERDUE_CONDITION}`);
+        }
+
         if (search) {
             conditions.push(`(i.title ILIKE $${paramIndex} OR i.description ILIKE $${paramIndex})`);
             paramIndex++;
@@ -61,10 +212,12 @@ class IssueModel {
             params.push(searchPattern);
         }
 
+        paramIndex = addLabelFilter(conditions, params, paramIndex, { labels, labelMatch });
+
         const whereClause = conditions.join(' AND ');
 
         // Validate sort field to prevent SQL injection
-        const validSortFields = ['created_at', 'updated_at', 'title', 'priority', 'status', 'severity'];
+        const validSortFields = ['created_at', 'updated_at', 'title', 'priority', 'status', 'severity', 'due_date'];
         const safeSortBy = validSortFields.includes(sortBy) ? sortBy : 'created_at';
         const safeSortOrder = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
@@ -79,25 +232,8 @@ class IssueModel {
 
         // Get paginated issues with user info
         const sql = `
-            SELECT 
-                i.issue_id,
-                i.title,
-                i.description,
-                i.status,
-                i.priority,
-                i.severity,
-                i.created_by,
-                i.assigned_to,
-                i.created_at,
-                i.updated_at,
-                i.resolved_at,
-                creator.name as creator_name,
-                creator.email as creator_email,
-                assignee.name as assignee_name,
-                assignee.email as assignee_email
-            FROM issues i
-            LEFT JOIN users creator ON i.created_by = creator.user_id
-            LEFT JOIN users assignee ON i.assigned_to = assignee.user_id
+            SELECT ${ISSUE_COLUMNS}
+            ${ISSUE_JOINS}
             WHERE ${whereClause}
             ORDER BY i.${safeSortBy} ${safeSortOrder}
             LIMIT $${paramIndex++} OFFSET $${paramIndex++}
@@ -121,25 +257,8 @@ class IssueModel {
      */
     static async getIssueById(issueId) {
         const sql = `
-            SELECT 
-                i.issue_id,
-                i.title,
-                i.description,
-                i.status,
-                i.priority,
-                i.severity,
-                i.created_by,
-                i.assigned_to,
-                i.created_at,
-                i.updated_at,
-                i.resolved_at,
-                creator.name as creator_name,
-                creator.email as creator_email,
-                assignee.name as assignee_name,
-                assignee.email as assignee_email
-            FROM issues i
-            LEFT JOIN users creator ON i.created_by = creator.user_id
-            LEFT JOIN users assignee ON i.assigned_to = assignee.user_id
+            SELECT ${ISSUE_COLUMNS}
+            ${ISSUE_JOINS}
             WHERE i.issue_id = $1
             LIMIT 1
         `;
@@ -148,9 +267,73 @@ class IssueModel {
         return results.length > 0 ? results[0] : null;
     }
 
+    /**
+     * Get the sub-tasks of an issue
+     * @param {number} parentId - Parent issue ID
+     * @returns {Promise<Array>} - Child issues, oldest first
+     */
+    static async getChildren(parentId) {
+        const sql = `
+            SELECT ${ISSUE_COLUMNS}
+            ${ISSUE_JOINS}
+            WHERE i.parent_id = $1
+            ORDER BY i.created_at ASC, i.issue_id ASC
+        `;
+
+        return query(sql, [parentId]);
+    }
+
+    /**
+     * Get the sub-tasks of an issue that are not resolved or closed
+     * @param {number} parentId - Parent issue ID
+     * @returns {Promise<Array>} - [{ issue_id, title, status, issue_number, project_key }]
+     */
+    static async getOpenChildren(parentId) {
+        const sql = `
+            SELECT
+                i.issue_id,
+                i.title,
+                i.status,
+                i.issue_number,
+                p.project_key
+            FROM issues i
+            LEFT JOIN projects p ON p.project_id = i.project_id
+            WHERE i.parent_id = $1
+                AND NOT (i.status = ANY($2::issue_status[]))
+            ORDER BY i.issue_id ASC
+        `;
+
+        return query(sql, [parentId, DONE_STATUSES]);
+    }
+
+    /**
+     * Check if an issue is a sub-task of another one, directly or further down
+     * @param {number} issueId - Possible descendant
+     * @param {number} ancestorId - Possible ancestor
+     * @returns {Promise<boolean>} - True if issueId is below ancestorId
+     */
+    static async isDescendantOf(issueId, ancestorId) {
+        const sql = `
+            WITH RECURSIVE descendants (issue_id) AS (
+                SELECT issue_id FROM issues WHERE parent_id = $1
+
+                UNION
+
+                SELECT child.issue_id
+                FROM issues child
+                JOIN descendants d ON child.parent_id = d.issue_id
+            )
+            SELECT EXISTS (SELECT 1 FROM descendants WHERE issue_id = $2) as descendant
+        `;
+
+        const results = await query(sql, [ancestorId, issueId]);
+        return results[0].descendant;
+    }
+
     /**
      * Create new issue
-     * @param {Object} issueData - { title, description, status, priority, severity, createdBy, assignedTo }
+     * @param {Object} issueData - { title, description, status, priority, severity, createdBy, assignedTo, labelIds, projectId, parentId, milestoneId, dueDate,
+     *                               originalEstimateMinutes, remainingEstimateMinutes }
      * @returns {Promise<Object>} - Created issue
      */
     static async createIssue(issueData) {
@@ -161,43 +344,84 @@ class IssueModel {
             priority = 'Medium',
             severity = 'Minor',
             createdBy,
-            assignedTo = null
+            assignedTo = null,
+            labelIds = [],
+            projectId = null,
+            parentId = null,
+            milestoneId = null,
+            dueDate = null,
+            originalEstimateMinutes = null,
+            remainingEstimateMinutes = null
         } = issueData;
 
         const sql = `
             INSERT INTO issues 
-            (title, description, status, priority, severity, created_by, assigned_to, created_at, updated_at)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+            (title, description, status, priority, severity, created_by, assigned_to, project_id, issue_number, parent_id, milestone_id, due_date,
+             original_estimate_minutes, remaining_estimate_minutes, created_at, updated_at, resolved_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW(), ${doneCase('$3', 'NOW()', 'NULL')})
             RETURNING issue_id
         `;
 
-        const results = await query(sql, [
-            title,
-            description,
-            status,
-            priority,
-            severity,
-            createdBy,
-            assignedTo
-        ]);
+        return withTransaction(async (client) => {
+            const issueNumber = projectId ? await allocateIssueNumber(client, projectId) : null;
 
-        return { insertId: results[0].issue_id };
+            const results = await client.query(sql, [
+                title,
+                description,
+                status,
+                priority,
+                severity,
+                createdBy,
+                assignedTo,
+                projectId,
+                issueNumber,
+                parentId,
+                milestoneId,
+                dueDate,
+                originalEstimateMinutes,
+                remainingEstimateMinutes
+            ]);
+
+            const issueId = results.rows[0].issue_id;
+
+            const events = [{ issueId, actorId: createdBy, eventType: ISSUE_EVENT_TYPE.CREATED, newValue: title }];
+            if (assignedTo) {
+                events.push({ issueId, actorId: createdBy, eventType: ISSUE_EVENT_TYPE.ASSIGNED, field: 'assignedTo', newValue: assignedTo });
+            }
+            if (labelIds.length > 0) {
+                await replaceIssueLabels(client, issueId, labelIds);
+                const labelNames = await getLabelNames(client, issueId);
+                events.push({ issueId, actorId: createdBy, eventType: ISSUE_EVENT_TYPE.UPDATED, field: 'labels', newValue: labelNames });
+            }
+            await IssueEventModel.recordEvents(client, events);
+
+            return { insertId: issueId };
+        });
     }
 
     /**
-     * Update issue
+     * Update issue and record the changed fields in its history
      * @param {number} issueId - Issue ID
      * @param {Object} issueData - Fields to update
-     * @returns {Promise<Object>} - Update result
+     * @param {number|null} actorId - User making the change
+     * @returns {Promise<Object>} - Update result { affectedRows, changes }
      */
-    static async updateIssue(issueId, issueData) {
+    static async updateIssue(issueId, issueData, actorId = null) {
         const {
             title,
             description,
             status,
             priority,
             severity,
-            assignedTo
+            assignedTo,
+            labelIds,
+            projectId,
+            parentId,
+            milestoneId,
+            dueDate,
+            originalEstimateMinutes,
+            remainingEstimateMinutes,
+            resolution
         } = issueData;
 
         // Build dynamic update query
@@ -214,14 +438,19 @@ class IssueModel {
             params.push(description);
         }
         if (status !== undefined) {
-            updateFields.push(`status = $${paramIndex++}`);
+            const statusParam = `$${paramIndex++}`;
+            updateFields.push(`status = ${statusParam}`);
             params.push(status);
 
-            // Set resolved_at if status is Resolved or Closed
-            if (status === ISSUE_STATUS.RESOLVED || status === ISSUE_STATUS.CLOSED) {
-                updateFields.push('resolved_at = NOW()');
+            updateFields.push(`resolved_at = ${doneCase(statusParam, 'COALESCE(resolved_at, NOW())', 'NULL')}`);
+            if (resolution === undefined) {
+                updateFields.push(`resolution = ${doneCase(statusParam, 'resolution', 'NULL')}`);
             }
         }
+        if (resolution !== undefined) {
+            updateFields.push(`resolution = $${paramIndex++}`);
+            params.push(resolution);
+        }
         if (priority !== undefined) {
             updateFields.push(`priority = $${paramIndex++}`);
             params.push(priority);
@@ -234,13 +463,33 @@ class IssueModel {
             updateFields.push(`assigned_to = $${paramIndex++}`);
             params.push(assignedTo);
         }
+        if (parentId !== undefined) {
+            updateFields.push(`parent_id = $${paramIndex++}`);
+            params.push(parentId);
+        }
+        if (milestoneId !== undefined) {
+            updateFields.push(`milestone_id = $${paramIndex++}`);
+            params.push(milestoneId);
+        }
+        if (dueDate !== undefined) {
+            updateFields.push(`due_date = $${paramIndex++}`);
+            params.push(dueDate);
+        }
+        if (originalEstimateMinutes !== undefined) {
+            updateFields.push(`original_estimate_minutes = $${paramIndex++}`);
+            params.push(originalEstimateMinutes);
+        }
+        if (remainingEstimateMinutes !== undefined) {
+            updateFields.push(`remaining_estimate_minutes = $${paramIndex++}`);
+            params.push(remainingEstimateMinutes);
+        }
 
         // Always update updated_at
         updateFields.push('updated_at = NOW()');
 
-        if (updateFields.length === 1) {
+        if (updateFields.length === 1 && labelIds === undefined && projectId === undefined) {
             // Only updated_at, nothing else to update
-            return { affectedRows: 0 };
+            return { affectedRows: 0, changes: [] };
         }
 
         const sql = `
@@ -251,64 +500,140 @@ class IssueModel {
         `;
 
         params.push(issueId);
-        const results = await query(sql, params);
-        return { affectedRows: results.length };
+
+        return withTransaction(async (client) => {
+            const before = await lockIssue(client, issueId);
+            if (!before) {
+                return { affectedRows: 0, changes: [] };
+            }
+
+            const results = await client.query(sql, params);
+
+            // The resolution may also have been cleared by a reopen
+            const after = await lockIssue(client, issueId);
+            const changes = diffTrackedFields(before, { ...issueData, resolution: after.resolution });
+
+            // Moving to another project gives the issue the next number there
+            if (changes.some(change => change.field === 'projectId')) {
+                const issueNumber = projectId ? await allocateIssueNumber(client, projectId) : null;
+                await client.query(
+                    'UPDATE issues SET project_id = $1, issue_number = $2 WHERE issue_id = $3',
+                    [projectId, issueNumber, issueId]
+                );
+            }
+
+            // Labels are replaced as a set and recorded as one change
+            if (labelIds !== undefined) {
+                const oldLabelNames = await getLabelNames(client, issueId);
+                await replaceIssueLabels(client, issueId, labelIds);
+                const newLabelNames = await getLabelNames(client, issueId);
+
+                if (oldLabelNames !== newLabelNames) {
+                    changes.push({
+                        eventType: ISSUE_EVENT_TYPE.UPDATED,
+                        field: 'labels',
+                        oldValue: oldLabelNames,
+                        newValue: newLabelNames
+                    });
+                }
+            }
+
+            await IssueEventModel.recordEvents(client, changes.map(change => ({ issueId, actorId, ...change })));
+
+            return { affectedRows: results.rowCount, changes };
+        });
     }
 
     /**
-     * Update issue status only
+     * Update issue status only and record the change in its history
      * @param {number} issueId - Issue ID
      * @param {string} status - New status
-     * @returns {Promise<Object>} - Update result
+     * @param {number|null} actorId - User making the change
+     * @param {string} [resolution] - Resolution to store (resolved/closed only)
+     * @returns {Promise<Object>} - Update result { affectedRows, changes }
      */
-    static async updateStatus(issueId, status) {
-        let sql;
-
-        if (status === ISSUE_STATUS.RESOLVED || status === ISSUE_STATUS.CLOSED) {
-            sql = `
-                UPDATE issues
-                SET status = $1, resolved_at = NOW(), updated_at = NOW()
-                WHERE issue_id = $2
-                RETURNING issue_id
-            `;
-        } else {
-            sql = `
-                UPDATE issues
-                SET status = $1, resolved_at = NULL, updated_at = NOW()
-                WHERE issue_id = $2
-                RETURNING issue_id
-            `;
+    static async updateStatus(issueId, status, actorId = null, resolution = undefined) {
+        return withTransaction(client => IssueModel.updateStatusInTransaction(client, issueId, status, actorId, resolution));
+    }
+
+    /**
+     * Update issue status only, inside a transaction (see updateStatus)
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {number} issueId - Issue ID
+     * @param {string} status - New status
+     * @param {number|null} actorId - User making the change
+     * @param {string} [resolution] - Resolution to store (resolved/closed only)
+     * @param {string} [expectedStatus] - Leave the issue alone unless it still has this status
+     * @returns {Promise<Object>} - Update result { affectedRows, changes }
+     */
+    static async updateStatusInTransaction(client, issueId, status, actorId = null, resolution = undefined, expectedStatus = undefined) {
+        const sql = `
+            UPDATE issues
+            SET status = $1,
+                resolved_at = ${doneCase('$1', 'COALESCE(resolved_at, NOW())', 'NULL')},
+                resolution = ${doneCase('$1', 'COALESCE($2, resolution)', 'NULL')},
+                updated_at = NOW()
+            WHERE issue_id = $3
+            RETURNING issue_id
+        `;
+
+        const before = await lockIssue(client, issueId);
+        if (!before || (expectedStatus !== undefined && before.status !== expectedStatus)) {
+            return { affectedRows: 0, changes: [] };
         }
 
-        const results = await query(sql, [status, issueId]);
-        return { affectedRows: results.length };
+        const results = await client.query(sql, [status, resolution || null, issueId]);
+
+        // The resolution may also have been cleared by a reopen
+        const after = await lockIssue(client, issueId);
+        const changes = diffTrackedFields(before, { status, resolution: after.resolution });
+        await IssueEventModel.recordEvents(client, changes.map(change => ({ issueId, actorId, ...change })));
+
+        return { affectedRows: results.rowCount, changes };
     }
 
     /**
-     * Delete issue
+     * Delete issue (the deletion is kept in its history)
      * @param {number} issueId - Issue ID
+     * @param {number|null} actorId - User deleting the issue
      * @returns {Promise<Object>} - Delete result
      */
-    static async deleteIssue(issueId) {
-        const sql = `DELETE FROM issues WHERE issue_id = $1 RETURNING issue_id`;
-        const results = await query(sql, [issueId]);
-        return { affectedRows: results.length };
+    static async deleteIssue(issueId, actorId = null) {
+        const sql = `DELETE FROM issues WHERE issue_id = $1 RETURNING issue_id, title, project_id`;
+
+        return withTransaction(async (client) => {
+            const results = await client.query(sql, [issueId]);
+
+            await IssueEventModel.recordEvents(client, results.rows.map(row => ({
+                issueId: row.issue_id,
+                actorId,
+                eventType: ISSUE_EVENT_TYPE.DELETED,
+                oldValue: row.title,
+                projectId: row.project_id
+            })));
+
+            return { affectedRows: results.rowCount };
+        });
     }
 
     /**
      * Get issue counts by status
+     * @param {Object} options - { projectId } (optional filter)
      * @returns {Promise<Object>} - { Open: n, 'In Progress': n, Resolved: n, Closed: n, total: n }
      */
-    static async getStatusCounts() {
+    static async getStatusCounts(options = {}) {
+        const { projectId } = options;
+
         const sql = `
             SELECT 
                 status,
                 COUNT(*) as count
             FROM issues
+            WHERE $1::int IS NULL OR project_id = $1
             GROUP BY status
         `;
 
-        const results = await query(sql);
+        const results = await query(sql, [projectId || null]);
 
         // Format results into an object
         const counts = {
@@ -338,6 +663,36 @@ class IssueModel {
         return parseInt(results[0].count) > 0;
     }
 
+    /**
+     * Get the project an issue belongs to
+     * @param {number} issueId - Issue ID
+     * @returns {Promise<number|null>} - Project ID, or null if the issue is unknown or has no project
+     */
+    static async getProjectId(issueId) {
+        const sql = `SELECT project_id FROM issues WHERE issue_id = $1`;
+        const results = await query(sql, [issueId]);
+        return results.length > 0 ? results[0].project_id : null;
+    }
+
+    /**
+     * Find an issue by its project key and per-project number (e.g. WEB-42)
+     * @param {string} projectKey - Project key (case-insensitive)
+     * @param {number} issueNumber - Number within the project
+     * @returns {Promise<number|null>} - Issue ID or null
+     */
+    static async findIdByKey(projectKey, issueNumber) {
+        const sql = `
+            SELECT i.issue_id
+            FROM issues i
+            JOIN projects p ON p.project_id = i.project_id
+            WHERE p.project_key = UPPER($1) AND i.issue_number = $2
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [projectKey, issueNumber]);
+        return results.length > 0 ? results[0].issue_id : null;
+    }
+
     /**
      * Check if user is the creator of the issue
      * @param {number} issueId - Issue ID
@@ -354,13 +709,53 @@ class IssueModel {
         return parseInt(results[0].count) > 0;
     }
 
+    /**
+     * Move a user's open assigned issues to another user, or unassign them,
+     * inside a transaction
+     * "Open" means any status that is not Resolved or Closed
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {number} fromUserId - Current assignee
+     * @param {number|null} toUserId - New assignee, or null to leave unassigned
+     * @param {number|null} actorId - User making the change
+     * @returns {Promise<Object>} - { affectedRows, issueIds }
+     */
+    static async reassignOpenIssues(client, fromUserId, toUserId = null, actorId = null) {
+        const sql = `
+            UPDATE issues
+            SET assigned_to = $1, updated_at = NOW()
+            WHERE assigned_to = $2 AND status IN ($3, $4)
+            RETURNING issue_id
+        `;
+
+        const results = await client.query(sql, [
+            toUserId,
+            fromUserId,
+            ISSUE_STATUS.OPEN,
+            ISSUE_STATUS.IN_PROGRESS
+        ]);
+
+        await IssueEventModel.recordEvents(client, results.rows.map(row => ({
+            issueId: row.issue_id,
+            actorId,
+            eventType: ISSUE_EVENT_TYPE.ASSIGNED,
+            field: 'assignedTo',
+            oldValue: fromUserId,
+            newValue: toUserId
+        })));
+
+        return {
+            affectedRows: results.rowCount,
+            issueIds: results.rows.map(row => row.issue_id)
+        };
+    }
+
     /**
      * Get all issues for export (no pagination)
-     * @param {Object} options - { status, priority, search }
+     * @param {Object} options - { status, priority, severity, search, labels, labelMatch, projectId, includeWorklogs }
      * @returns {Promise<Array>} - All matching issues
      */
     static async getIssuesForExport(options = {}) {
-        const { status, priority, severity, search } = options;
+        const { status, priority, severity, search, labels, labelMatch, projectId, includeWorklogs } = options;
 
         let conditions = ['1=1'];
         let params = [];
@@ -378,6 +773,10 @@ class IssueModel {
             conditions.push(`i.severity = $${paramIndex++}`);
             params.push(severity);
         }
+        if (projectId) {
+            conditions.push(`i.project_id = $${paramIndex++}`);
+            params.push(projectId);
+        }
         if (search) {
             conditions.push(`(i.title ILIKE $${paramIndex} OR i.description ILIKE $${paramIndex})`);
             paramIndex++;
@@ -385,11 +784,15 @@ class IssueModel {
             params.push(searchPattern);
         }
 
+        paramIndex = addLabelFilter(conditions, params, paramIndex, { labels, labelMatch });
+
         const whereClause = conditions.join(' AND ');
 
         const sql = `
             SELECT 
                 i.issue_id,
+                i.issue_number,
+                project.project_key,
                 i.title,
                 i.description,
                 i.status,
@@ -399,8 +802,21 @@ class IssueModel {
                 assignee.name as assigned_to_name,
                 i.created_at,
                 i.updated_at,
-                i.resolved_at
+                i.resolved_at,
+                i.resolution,
+                to_char(i.due_date, 'YYYY-MM-DD') as due_date,
+                i.original_estimate_minutes,
+                i.remaining_estimate_minutes,
+                (SELECT COALESCE(SUM(w.duration_minutes), 0) FROM worklogs w WHERE w.issue_id = i.issue_id) as time_spent_minutes,
+                ${includeWorklogs ? `${WORKLOGS_COLUMN},` : ''}
+                COALESCE((
+                    SELECT json_agg(l.name ORDER BY LOWER(l.name))
+                    FROM issue_labels il
+                    JOIN labels l ON l.label_id = il.label_id
+                    WHERE il.issue_id = i.issue_id
+                ), '[]'::json) as labels
             FROM issues i
+            LEFT JOIN projects project ON i.project_id = project.project_id
             LEFT JOIN users creator ON i.created_by = creator.user_id
             LEFT JOIN users assignee ON i.assigned_to = assignee.user_id
             WHERE ${whereClause}
@@ -412,4 +828,144 @@ class IssueModel {
     }
 }
 
+/**
+ * Add the labels filter to a WHERE clause being built
+ * labels is a comma-separated list of label names (case-insensitive);
+ * labelMatch 'any' (default) keeps issues with at least one of them, 'all' with every one
+ * @param {Array} conditions - WHERE conditions
+ * @param {Array} params - Query parameters
+ * @param {number} paramIndex - Next parameter index
+ * @param {Object} filter - { labels, labelMatch }
+ * @returns {number} - Next parameter index
+ */
+function addLabelFilter(conditions, params, paramIndex, { labels, labelMatch }) {
+    const names = [...new Set(String(labels || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean))];
+
+    if (names.length === 0) {
+        return paramIndex;
+    }
+
+    const matchingLabels = `
+        SELECT COUNT(DISTINCT il.label_id)
+        FROM issue_labels il
+        JOIN labels l ON l.label_id = il.label_id
+        WHERE il.issue_id = i.issue_id AND LOWER(l.name) = ANY($${paramIndex}::text[])
+    `;
+
+    const required = labelMatch === 'all' ? names.length : 1;
+    conditions.push(`(${matchingLabels}) >= ${required}`);
+    params.push(names);
+
+    return paramIndex + 1;
+}
+
+/**
+ * Replace the set of labels on an issue
+ * @param {Object} client - Transaction client
+ * @param {number} issueId - Issue ID
+ * @param {Array<number>} labelIds - Label IDs the issue should have
+ */
+async function replaceIssueLabels(client, issueId, labelIds) {
+    await client.query(
+        'DELETE FROM issue_labels WHERE issue_id = $1 AND NOT (label_id = ANY($2::int[]))',
+        [issueId, labelIds]
+    );
+    await client.query(
+        `INSERT INTO issue_labels (issue_id, label_id, created_at)
+         SELECT $1, UNNEST($2::int[]), NOW()
+         ON CONFLICT DO NOTHING`,
+        [issueId, labelIds]
+    );
+}
+
+/**
+ * Get an issue's label names as one sorted string (for the history)
+ * @param {Object} client - Transaction client
+ * @param {number} issueId - Issue ID
+ * @returns {Promise<string|null>} - e.g. "bug, ui", or null without labels
+ */
+async function getLabelNames(client, issueId) {
+    const results = await client.query(
+        `SELECT string_agg(l.name, ', ' ORDER BY LOWER(l.name)) as names
+         FROM issue_labels il
+         JOIN labels l ON l.label_id = il.label_id
+         WHERE il.issue_id = $1`,
+        [issueId]
+    );
+    return results.rows[0].names;
+}
+
+/**
+ * SQL CASE choosing a value by whether a status is Resolved/Closed
+ * Keeps resolved_at and resolution in line with the status on every write path:
+ * stamped when an issue is resolved or closed, kept while it stays so, cleared on reopen
+ * @param {string} statusExpression - SQL expression of the new status (e.g. '$1')
+ * @param {string} doneValue - SQL value for Resolved/Closed
+ * @param {string} openValue - SQL value for any other status
+ * @returns {string} - SQL expression
+ */
+function doneCase(statusExpression, doneValue, openValue) {
+    const doneStatuses = DONE_STATUSES.map(status => `'${status}'`).join(', ');
+    return `CASE WHEN ${statusExpression}::issue_status IN (${doneStatuses}) THEN ${doneValue} ELSE ${openValue} END`;
+}
+
+/**
+ * Take the next issue number of a project
+ * The row lock on the project serializes concurrent issue creation
+ * @param {Object} client - Transaction client
+ * @param {number} projectId - Project ID
+ * @returns {Promise<number>} - Issue number
+ */
+async function allocateIssueNumber(client, projectId) {
+    const results = await client.query(
+        `UPDATE projects
+         SET last_issue_number = last_issue_number + 1
+         WHERE project_id = $1
+         RETURNING last_issue_number`,
+        [projectId]
+    );
+    return results.rows[0].last_issue_number;
+}
+
+/**
+ * Lock an issue row for the rest of the transaction and return its tracked fields
+ * @param {Object} client - Transaction client
+ * @param {number} issueId - Issue ID
+ * @returns {Promise<Object|null>} - Current row or null
+ */
+async function lockIssue(client, issueId) {
+    const sql = `
+        SELECT issue_id, ${Object.values(TRACKED_FIELDS).map(column => TRACKED_COLUMN_EXPRESSIONS[column] || column).join(', ')}
+        FROM issues
+        WHERE issue_id = $1
+        FOR UPDATE
+    `;
+
+    const results = await client.query(sql, [issueId]);
+    return results.rows.length > 0 ? results.rows[0] : null;
+}
+
+/**
+ * Compare requested values with the current row
+ * @param {Object} before - Current row (from lockIssue)
+ * @param {Object} issueData - Requested values by API field name (undefined = unchanged)
+ * @returns {Array<Object>} - [{ eventType, field, oldValue, newValue }] for fields that really change
+ */
+function diffTrackedFields(before, issueData) {
+    const normalize = value => (value === null || value === undefined ? null : String(value));
+
+    return Object.entries(TRACKED_FIELDS)
+        .filter(([field, column]) => issueData[field] !== undefined
+            && normalize(issueData[field]) !== normalize(before[column]))
+        .map(([field, column]) => ({
+            eventType: IssueEventModel.eventTypeForField(field),
+            field,
+            oldValue: before[column],
+            newValue: issueData[field]
+        }));
+}
+
 module.exports = IssueModel;
@@ -9,21 +9,69 @@
 const express = require('express');
 const router = express.Router();
 const IssueController = require('./issueController');
-const { authenticate } = require('../../middleware/auth');
+const CommentController = require('./commentController');
+const AttachmentController = require('./attachmentController');
+const IssueLinkController = require('./issueLinkController');
+const WorklogController = require('./worklogController');
+const IssueWatcherController = require('./issueWatcherController');
+const {
+    authenticate,
+    authorize,
+    requireVerifiedEmail,
+    acceptPersonalAccessTokens,
+    requireScope
+} = require('../../middleware/auth');
+const { singleFileUpload } = require('../../middleware/upload');
+const { requireIssueProjectAccess } = require('./issueAccess');
 const {
     validateRequest,
     createIssueValidation,
     updateIssueValidation,
     updateStatusValidation,
     issueIdValidation,
-    listIssuesValidation
+    getIssueValidation,
+    issueHistoryValidation,
+    listIssuesValidation,
+    projectFilterValidation,
+    exportIssuesValidation,
+    commentIdValidation,
+    listCommentsValidation,
+    createCommentValidation,
+    updateCommentValidation,
+    attachmentIdValidation,
+    linkIdValidation,
+    createLinkValidation,
+    worklogIdValidation,
+    createWorklogValidation,
+    watcherUserIdValidation,
+    addWatcherValidation
 } = require('../../middleware/validation');
 const { asyncHandler } = require('../../middleware/errorHandler');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+const { TOKEN_SCOPE } = require('../../shared/constants/tokenConstants');
+
+// Create and modify issues: admins and members only (viewers are read-only),
+// only with a verified email when verification is required, and personal
+// access tokens need the issues:write scope
+const canWriteIssues = [
+    authorize(USER_ROLE.ADMIN, USER_ROLE.MEMBER),
+    requireVerifiedEmail,
+    requireScope(TOKEN_SCOPE.ISSUES_WRITE)
+];
+// Changing an existing issue, or its watchers, also takes membership of its
+// project (requireIssueProjectAccess, placed after the :id is validated)
+
+// Watch and unwatch issues: any role (viewers can follow issues too), but
+// personal access tokens need the issues:write scope
+const canWatchIssues = [
+    requireScope(TOKEN_SCOPE.ISSUES_WRITE)
+];
 
 // ========================================
 // All routes require authentication
+// (JWT, or personal access token with the issues:read scope)
 // ========================================
-router.use(authenticate);
+router.use(acceptPersonalAccessTokens, authenticate, requireScope(TOKEN_SCOPE.ISSUES_READ));
 
 // ========================================
 // Static routes (must come before /:id)
@@ -33,9 +81,12 @@ router.use(authenticate);
  * @route   GET /api/issues/stats/counts
  * @desc    Get issue counts grouped by status
  * @access  Private
+ * @query   project (optional, ID or key)
  */
 router.get(
     '/stats/counts',
+    projectFilterValidation,
+    validateRequest,
     asyncHandler(IssueController.getStatusCounts)
 );
 
@@ -43,10 +94,13 @@ router.get(
  * @route   GET /api/issues/export/csv
  * @desc    Export issues to CSV file
  * @access  Private
- * @query   status, priority, severity, search (optional filters)
+ * @query   status, priority, severity, search, labels, labelMatch, project (optional filters),
+ *          worklogs=true (optional, adds a column listing each issue's worklogs)
  */
 router.get(
     '/export/csv',
+    exportIssuesValidation,
+    validateRequest,
     asyncHandler(IssueController.exportCSV)
 );
 
@@ -54,10 +108,12 @@ router.get(
  * @route   GET /api/issues/export/json
  * @desc    Export issues to JSON file
  * @access  Private
- * @query   status, priority, severity, search (optional filters)
+ * @query   status, priority, severity, search, labels, labelMatch, project (optional filters)
  */
 router.get(
     '/export/json',
+    projectFilterValidation,
+    validateRequest,
     asyncHandler(IssueController.exportJSON)
 );
 
@@ -65,7 +121,7 @@ router.get(
  * @route   GET /api/issues/my-issues
  * @desc    Get issues created by the authenticated user
  * @access  Private
- * @query   page, limit, status, priority
+ * @query   page, limit, status, priority, project
  */
 router.get(
     '/my-issues',
@@ -82,7 +138,9 @@ router.get(
  * @route   GET /api/issues
  * @desc    Get all issues with pagination and filters
  * @access  Private
- * @query   page, limit, status, priority, severity, search, sortBy, sortOrder
+ * @query   page, limit, status, priority, severity, search, labels (comma-separated names), labelMatch (any | all),
+ *          project (ID or key), parent (none = top-level only, or ID/key = sub-tasks of that issue),
+ *          milestone (none = backlog, or milestone ID), overdue (true | false), sortBy, sortOrder
  */
 router.get(
     '/',
@@ -94,11 +152,13 @@ router.get(
 /**
  * @route   POST /api/issues
  * @desc    Create new issue
- * @access  Private
- * @body    { title, description?, status?, priority?, severity?, assignedTo? }
+ * @access  Private (admin, member)
+ * @body    { title, description?, status?, priority?, severity?, assignedTo?, labelIds?, projectId?, parentId?, milestoneId?, dueDate?,
+ *          originalEstimateMinutes?, remainingEstimateMinutes? }
  */
 router.post(
     '/',
+    canWriteIssues,
     createIssueValidation,
     validateRequest,
     asyncHandler(IssueController.createIssue)
@@ -106,12 +166,13 @@ router.post(
 
 /**
  * @route   GET /api/issues/:id
- * @desc    Get single issue by ID
+ * @desc    Get single issue by ID or project key (e.g. /api/issues/WEB-42)
  * @access  Private
+ * @query   include=commentCount,links (optional)
  */
 router.get(
     '/:id',
-    issueIdValidation,
+    getIssueValidation,
     validateRequest,
     asyncHandler(IssueController.getIssueById)
 );
@@ -119,39 +180,339 @@ router.get(
 /**
  * @route   PUT /api/issues/:id
  * @desc    Update issue
- * @access  Private
- * @body    { title?, description?, status?, priority?, severity?, assignedTo? }
+ * @access  Private (admin, member)
+ * @body    { title?, description?, status?, resolution?, priority?, severity?, assignedTo?, labelIds?, projectId?, parentId?, milestoneId?, dueDate?,
+ *          originalEstimateMinutes?, remainingEstimateMinutes? }
+ *          Status changes must follow the workflow (see GET /api/issues/:id/transitions);
+ *          an issue with open sub-tasks cannot be resolved or closed
  */
 router.put(
     '/:id',
+    canWriteIssues,
     updateIssueValidation,
     validateRequest,
+    requireIssueProjectAccess,
     asyncHandler(IssueController.updateIssue)
 );
 
 /**
  * @route   PATCH /api/issues/:id/status
- * @desc    Update issue status only
- * @access  Private
- * @body    { status }
+ * @desc    Update issue status only (must follow the workflow)
+ * @access  Private (admin, member)
+ * @body    { status, resolution? }
  */
 router.patch(
     '/:id/status',
+    canWriteIssues,
     updateStatusValidation,
     validateRequest,
+    requireIssueProjectAccess,
     asyncHandler(IssueController.updateStatus)
 );
 
+/**
+ * @route   GET /api/issues/:id/transitions
+ * @desc    List the status changes the current user can make on an issue
+ * @access  Private
+ */
+router.get(
+    '/:id/transitions',
+    issueIdValidation,
+    validateRequest,
+    asyncHandler(IssueController.getTransitions)
+);
+
+/**
+ * @route   GET /api/issues/:id/children
+ * @desc    Get the sub-tasks of an issue
+ * @access  Private
+ */
+router.get(
+    '/:id/children',
+    issueIdValidation,
+    validateRequest,
+    asyncHandler(IssueController.getChildren)
+);
+
 /**
  * @route   DELETE /api/issues/:id
  * @desc    Delete issue
- * @access  Private
+ * @access  Private (issue creator or admin)
  */
 router.delete(
     '/:id',
+    canWriteIssues,
     issueIdValidation,
     validateRequest,
+    requireIssueProjectAccess,
     asyncHandler(IssueController.deleteIssue)
 );
 
+/**
+ * @route   GET /api/issues/:id/history
+ * @desc    Get the change history (audit trail) of an issue
+ * @access  Private
+ * @query   page, limit
+ */
+router.get(
+    '/:id/history',
+    issueHistoryValidation,
+    validateRequest,
+    asyncHandler(IssueController.getHistory)
+);
+
+// ========================================
+// Comments
+// ========================================
+
+/**
+ * @route   GET /api/issues/:id/comments
+ * @desc    Get comment threads of an issue (paginated by top-level comment)
+ * @access  Private
+ * @query   page, limit
+ */
+router.get(
+    '/:id/comments',
+    listCommentsValidation,
+    validateRequest,
+    asyncHandler(CommentController.getComments)
+);
+
+/**
+ * @route   POST /api/issues/:id/comments
+ * @desc    Add a comment or reply to an issue
+ * @access  Private (admin, member)
+ * @body    { body, parentId? }
+ */
+router.post(
+    '/:id/comments',
+    canWriteIssues,
+    createCommentValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    asyncHandler(CommentController.createComment)
+);
+
+/**
+ * @route   PUT /api/issues/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (comment author or admin)
+ * @body    { body }
+ */
+router.put(
+    '/:id/comments/:commentId',
+    canWriteIssues,
+    updateCommentValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    asyncHandler(CommentController.updateComment)
+);
+
+/**
+ * @route   DELETE /api/issues/:id/comments/:commentId
+ * @desc    Delete a comment
+ * @access  Private (comment author or admin)
+ */
+router.delete(
+    '/:id/comments/:commentId',
+    canWriteIssues,
+    commentIdValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    asyncHandler(CommentController.deleteComment)
+);
+
+// ========================================
+// Attachments
+// ========================================
+
+/**
+ * @route   GET /api/issues/:id/attachments
+ * @desc    List the attachments of an issue
+ * @access  Private
+ */
+router.get(
+    '/:id/attachments',
+    issueIdValidation,
+    validateRequest,
+    asyncHandler(AttachmentController.getAttachments)
+);
+
+/**
+ * @route   POST /api/issues/:id/attachments
+ * @desc    Upload an attachment (multipart/form-data, size and MIME type limited)
+ * @access  Private (admin, member)
+ * @body    file
+ */
+router.post(
+    '/:id/attachments',
+    canWriteIssues,
+    issueIdValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    singleFileUpload('file'),
+    asyncHandler(AttachmentController.uploadAttachment)
+);
+
+/**
+ * @route   GET /api/issues/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private
+ */
+router.get(
+    '/:id/attachments/:attachmentId',
+    attachmentIdValidation,
+    validateRequest,
+    asyncHandler(AttachmentController.downloadAttachment)
+);
+
+/**
+ * @route   DELETE /api/issues/:id/attachments/:attachmentId
+ * @desc    Delete an attachment
+ * @access  Private (uploader or admin)
+ */
+router.delete(
+    '/:id/attachments/:attachmentId',
+    canWriteIssues,
+    attachmentIdValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    asyncHandler(AttachmentController.deleteAttachment)
+);
+
+// ========================================
+// Links
+// ========================================
+
+/**
+ * @route   GET /api/issues/:id/links
+ * @desc    List the links of an issue (blocks, duplicates, relates to) in both directions
+ * @access  Private
+ */
+router.get(
+    '/:id/links',
+    issueIdValidation,
+    validateRequest,
+    asyncHandler(IssueLinkController.getLinks)
+);
+
+/**
+ * @route   POST /api/issues/:id/links
+ * @desc    Link this issue to another ("this issue blocks / duplicates / relates to target")
+ * @access  Private (admin, member)
+ * @body    { type, targetIssueId, closeDuplicate? } - closeDuplicate closes this issue as a duplicate
+ */
+router.post(
+    '/:id/links',
+    canWriteIssues,
+    createLinkValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    asyncHandler(IssueLinkController.createLink)
+);
+
+/**
+ * @route   DELETE /api/issues/:id/links/:linkId
+ * @desc    Remove a link
+ * @access  Private (admin, member)
+ */
+router.delete(
+    '/:id/links/:linkId',
+    canWriteIssues,
+    linkIdValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    asyncHandler(IssueLinkController.deleteLink)
+);
+
+// ========================================
+// Worklogs (time tracking)
+// ========================================
+
+/**
+ * @route   GET /api/issues/:id/worklogs
+ * @desc    List the time logged on an issue
+ * @access  Private
+ */
+router.get(
+    '/:id/worklogs',
+    issueIdValidation,
+    validateRequest,
+    asyncHandler(WorklogController.getWorklogs)
+);
+
+/**
+ * @route   POST /api/issues/:id/worklogs
+ * @desc    Log time spent on an issue (lowers its remaining estimate)
+ * @access  Private (admin, member)
+ * @body    { durationMinutes, date?, note? } - date defaults to today
+ */
+router.post(
+    '/:id/worklogs',
+    canWriteIssues,
+    createWorklogValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    asyncHandler(WorklogController.createWorklog)
+);
+
+/**
+ * @route   DELETE /api/issues/:id/worklogs/:worklogId
+ * @desc    Delete a worklog
+ * @access  Private (worklog author or admin)
+ */
+router.delete(
+    '/:id/worklogs/:worklogId',
+    canWriteIssues,
+    worklogIdValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    asyncHandler(WorklogController.deleteWorklog)
+);
+
+// ========================================
+// Watchers
+// ========================================
+
+/**
+ * @route   GET /api/issues/:id/watchers
+ * @desc    List the users watching an issue
+ * @access  Private
+ */
+router.get(
+    '/:id/watchers',
+    issueIdValidation,
+    validateRequest,
+    asyncHandler(IssueWatcherController.getWatchers)
+);
+
+/**
+ * @route   POST /api/issues/:id/watchers
+ * @desc    Watch an issue (creators and assignees watch automatically)
+ * @access  Private (adding another user: admin, member)
+ * @body    { userId? } - defaults to the current user
+ */
+router.post(
+    '/:id/watchers',
+    canWatchIssues,
+    addWatcherValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    asyncHandler(IssueWatcherController.addWatcher)
+);
+
+/**
+ * @route   DELETE /api/issues/:id/watchers/:userId
+ * @desc    Stop watching an issue
+ * @access  Private (the watcher themselves or admin)
+ */
+router.delete(
+    '/:id/watchers/:userId',
+    canWatchIssues,
+    watcherUserIdValidation,
+    validateRequest,
+    requireIssueProjectAccess,
+    asyncHandler(IssueWatcherController.removeWatcher)
+);
+
 module.exports = router;
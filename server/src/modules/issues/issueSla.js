@@ -0,0 +1,186 @@
+/**
+ * Issue SLA
+ * =========
+ * Computes the SLA status of an issue from the targets declared in
+ * config/sla.js (or the JSON file named by SLA_FILE): time to first response
+ * and time to resolution, by priority and severity.
+ *
+ * Tests and custom integrations can swap the targets with setSlaConfig()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    SLA_STATUS,
+    VALID_PRIORITIES,
+    VALID_SEVERITIES
+} = require('../../shared/constants/issueConstants');
+
+// Issue fields targets can be set by, with their allowed values
+const TARGET_FIELDS = {
+    priority: VALID_PRIORITIES,
+    severity: VALID_SEVERITIES
+};
+
+const TARGET_KEYS = ['firstResponseHours', 'resolveHours'];
+
+// Worst status wins when combining targets
+const STATUS_RANK = [SLA_STATUS.OK, SLA_STATUS.AT_RISK, SLA_STATUS.BREACHED];
+
+let slaConfig = null;
+
+/**
+ * Check an SLA definition and fill in defaults
+ * @param {Object} definition - { atRiskRatio, targets }
+ * @returns {Object} - Normalized configuration
+ * @throws {Error} - Invalid definition
+ */
+const normalizeSlaConfig = (definition) => {
+    const atRiskRatio = definition.atRiskRatio !== undefined ? Number(definition.atRiskRatio) : 0.75;
+    if (!(atRiskRatio > 0 && atRiskRatio <= 1)) {
+        throw new Error('Invalid SLA configuration: atRiskRatio must be between 0 and 1');
+    }
+
+    const targets = {};
+
+    Object.entries(definition.targets || {}).forEach(([field, byValue]) => {
+        if (!TARGET_FIELDS[field]) {
+            throw new Error(`Invalid SLA configuration: targets cannot be set by "${field}"`);
+        }
+
+        targets[field] = {};
+
+        Object.entries(byValue).forEach(([value, target]) => {
+            if (!TARGET_FIELDS[field].includes(value)) {
+                throw new Error(`Invalid SLA configuration: unknown ${field} "${value}"`);
+            }
+
+            Object.entries(target).forEach(([key, hours]) => {
+                if (!TARGET_KEYS.includes(key)) {
+                    throw new Error(`Invalid SLA configuration: unknown target "${key}" for ${field} ${value}`);
+                }
+                if (!(Number(hours) > 0)) {
+                    throw new Error(`Invalid SLA configuration: ${key} for ${field} ${value} must be a positive number`);
+                }
+            });
+
+            targets[field][value] = target;
+        });
+    });
+
+    return { atRiskRatio, targets };
+};
+
+/**
+ * Load the SLA configuration named in the environment
+ * @returns {Object} - Normalized configuration
+ */
+const loadSlaConfigFromEnv = () => {
+    const slaFile = process.env.SLA_FILE;
+
+    const definition = slaFile
+        ? JSON.parse(fs.readFileSync(path.resolve(slaFile), 'utf8'))
+        : require('../../config/sla');
+
+    return normalizeSlaConfig(definition);
+};
+
+/**
+ * Get the active SLA configuration (loaded lazily)
+ * @returns {Object} - { atRiskRatio, targets }
+ */
+const getSlaConfig = () => {
+    if (!slaConfig) {
+        slaConfig = loadSlaConfigFromEnv();
+    }
+    return slaConfig;
+};
+
+/**
+ * Replace the active SLA configuration
+ * @param {Object|null} definition - SLA definition, or null to reload from the environment
+ */
+const setSlaConfig = (definition) => {
+    slaConfig = definition ? normalizeSlaConfig(definition) : null;
+};
+
+/**
+ * Get the targets that apply to an issue (the shorter one when priority and severity both set one)
+ * @param {Object} issue - Issue row
+ * @returns {Object} - { firstResponseHours, resolveHours } (undefined when there is no target)
+ */
+const getSlaTargets = (issue) => {
+    const { targets } = getSlaConfig();
+    const result = {};
+
+    Object.keys(TARGET_FIELDS).forEach(field => {
+        const target = (targets[field] || {})[issue[field]] || {};
+
+        TARGET_KEYS.forEach(key => {
+            if (target[key] !== undefined) {
+                result[key] = result[key] !== undefined ? Math.min(result[key], Number(target[key])) : Number(target[key]);
+            }
+        });
+    });
+
+    return result;
+};
+
+/**
+ * Evaluate one target
+ * @returns {Object|null} - { targetHours, dueAt, metAt, status }, or null without a target
+ */
+const evaluateTarget = (hours, startedAt, metAt, now, atRiskRatio) => {
+    if (hours === undefined) {
+        return null;
+    }
+
+    const start = new Date(startedAt).getTime();
+    const limit = hours * 60 * 60 * 1000;
+    const dueAt = new Date(start + limit);
+
+    let status;
+    if (metAt) {
+        status = new Date(metAt) <= dueAt ? SLA_STATUS.OK : SLA_STATUS.BREACHED;
+    } else if (now > dueAt) {
+        status = SLA_STATUS.BREACHED;
+    } else if (now.getTime() - start >= limit * atRiskRatio) {
+        status = SLA_STATUS.AT_RISK;
+    } else {
+        status = SLA_STATUS.OK;
+    }
+
+    return { targetHours: hours, dueAt, metAt: metAt || null, status };
+};
+
+/**
+ * Compute the SLA of an issue
+ * @param {Object} issue - Issue row (with first_response_at)
+ * @param {Date} [now] - Moment to evaluate at
+ * @returns {Object|null} - { status, firstResponse, resolution }, or null when no target applies
+ */
+const getIssueSla = (issue, now = new Date()) => {
+    const { atRiskRatio } = getSlaConfig();
+    const { firstResponseHours, resolveHours } = getSlaTargets(issue);
+
+    const firstResponse = evaluateTarget(firstResponseHours, issue.created_at, issue.first_response_at, now, atRiskRatio);
+    const resolution = evaluateTarget(resolveHours, issue.created_at, issue.resolved_at, now, atRiskRatio);
+
+    const evaluated = [firstResponse, resolution].filter(Boolean);
+    if (evaluated.length === 0) {
+        return null;
+    }
+
+    const status = evaluated
+        .map(target => target.status)
+        .reduce((worst, current) => (STATUS_RANK.indexOf(current) > STATUS_RANK.indexOf(worst) ? current : worst));
+
+    return { status, firstResponse, resolution };
+};
+
+module.exports = {
+    getSlaConfig,
+    setSlaConfig,
+    getSlaTargets,
+    getIssueSla
+};
@@ -0,0 +1,122 @@
+/**
+ * Issue Watcher Controller
+ * ========================
+ * Handles who watches an issue (and is notified of its changes)
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const IssueWatcherModel = require('./issueWatcherModel');
+const IssueModel = require('./issueModel');
+const AuthModel = require('../auth/authModel');
+const {
+    successResponse,
+    notFoundResponse,
+    badRequestResponse,
+    forbiddenResponse
+} = require('../../shared/utils/responseHelper');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+
+class IssueWatcherController {
+    /**
+     * GET /api/issues/:id/watchers
+     * List the watchers of an issue
+     */
+    static async getWatchers(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const issueExists = await IssueModel.issueExists(id);
+            if (!issueExists) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            const watchers = await IssueWatcherModel.getWatchers(id);
+
+            return successResponse(
+                res,
+                watchers.map(watcher => formatWatcherResponse(watcher)),
+                'Watchers retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/issues/:id/watchers
+     * Watch an issue, or (admin, member) add another user as a watcher
+     */
+    static async addWatcher(req, res, next) {
+        try {
+            const { id } = req.params;
+            const userId = req.body.userId ? parseInt(req.body.userId) : req.user.userId;
+
+            if (userId !== req.user.userId && ![USER_ROLE.ADMIN, USER_ROLE.MEMBER].includes(req.user.role)) {
+                return forbiddenResponse(res, 'Only admins and members can add other users as watchers');
+            }
+
+            const issueExists = await IssueModel.issueExists(id);
+            if (!issueExists) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            const user = await AuthModel.getUserById(userId);
+            if (!user || !user.is_enabled) {
+                return badRequestResponse(res, 'User not found or disabled');
+            }
+
+            const result = await IssueWatcherModel.addWatcher(id, userId);
+
+            return successResponse(
+                res,
+                null,
+                result.affectedRows > 0 ? 'Watcher added successfully' : 'User is already watching this issue'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/issues/:id/watchers/:userId
+     * Stop watching an issue, or (admin) remove another user's watch
+     */
+    static async removeWatcher(req, res, next) {
+        try {
+            const { id } = req.params;
+            const userId = parseInt(req.params.userId);
+
+            if (userId !== req.user.userId && req.user.role !== USER_ROLE.ADMIN) {
+                return forbiddenResponse(res, 'Only admins can remove other users from the watchers');
+            }
+
+            const result = await IssueWatcherModel.removeWatcher(id, userId);
+
+            if (result.affectedRows === 0) {
+                return notFoundResponse(res, 'User is not watching this issue');
+            }
+
+            return successResponse(res, null, 'Watcher removed successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to format watcher response
+ */
+function formatWatcherResponse(watcher) {
+    return {
+        id: watcher.user_id,
+        name: watcher.user_name,
+        email: watcher.user_email,
+        watchingSince: watcher.created_at
+    };
+}
+
+module.exports = IssueWatcherController;
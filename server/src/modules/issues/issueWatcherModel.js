@@ -0,0 +1,103 @@
+/**
+ * Issue Watcher Model - Issue Watcher Database Operations (PostgreSQL)
+ * =====================================================================
+ * Users watching an issue are notified of its changes and comments.
+ * Creators and assignees start watching automatically (see
+ * notifications/notificationService.js).
+ */
+
+const { query } = require('../../config/database');
+
+class IssueWatcherModel {
+    /**
+     * Get the watchers of an issue
+     * @param {number} issueId - Issue ID
+     * @returns {Promise<Array>} - Watchers with user info, earliest first
+     */
+    static async getWatchers(issueId) {
+        const sql = `
+            SELECT
+                w.issue_id,
+                w.user_id,
+                w.created_at,
+                u.name as user_name,
+                u.email as user_email
+            FROM issue_watchers w
+            JOIN users u ON u.user_id = w.user_id
+            WHERE w.issue_id = $1
+            ORDER BY w.created_at ASC, w.user_id ASC
+        `;
+
+        return query(sql, [issueId]);
+    }
+
+    /**
+     * Check whether a user watches an issue
+     * @param {number} issueId - Issue ID
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>}
+     */
+    static async isWatching(issueId, userId) {
+        const sql = `SELECT 1 FROM issue_watchers WHERE issue_id = $1 AND user_id = $2`;
+        const results = await query(sql, [issueId, userId]);
+        return results.length > 0;
+    }
+
+    /**
+     * Add a watcher (no-op if already watching)
+     * @param {number} issueId - Issue ID
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - { affectedRows } (0 when already watching)
+     */
+    static async addWatcher(issueId, userId) {
+        const sql = `
+            INSERT INTO issue_watchers (issue_id, user_id, created_at)
+            VALUES ($1, $2, NOW())
+            ON CONFLICT DO NOTHING
+            RETURNING user_id
+        `;
+
+        const results = await query(sql, [issueId, userId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Add watchers inside a transaction (no-op for existing ones)
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {Array<Object>} watchers - [{ issueId, userId }]
+     * @returns {Promise<Object>} - { affectedRows }
+     */
+    static async addWatchers(client, watchers) {
+        if (watchers.length === 0) {
+            return { affectedRows: 0 };
+        }
+
+        const sql = `
+            INSERT INTO issue_watchers (issue_id, user_id, created_at)
+            SELECT *, NOW()
+            FROM UNNEST($1::int[], $2::int[])
+            ON CONFLICT DO NOTHING
+        `;
+
+        const result = await client.query(sql, [
+            watchers.map(watcher => watcher.issueId),
+            watchers.map(watcher => watcher.userId)
+        ]);
+
+        return { affectedRows: result.rowCount };
+    }
+
+    /**
+     * Remove a watcher
+     * @param {number} issueId - Issue ID
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - { affectedRows }
+     */
+    static async removeWatcher(issueId, userId) {
+        const sql = `DELETE FROM issue_watchers WHERE issue_id = $1 AND user_id = $2 RETURNING user_id`;
+        const results = await query(sql, [issueId, userId]);
+        return { affectedRows: results.length };
+    }
+}
+
+module.exports = IssueWatcherModel;
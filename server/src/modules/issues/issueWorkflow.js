@@ -0,0 +1,280 @@
+/**
+ * Issue Workflow
+ * ==============
+ * Enforces the status workflow declared in config/workflow.js (or the JSON
+ * file named by WORKFLOW_FILE): which status changes are allowed, which
+ * fields they require and who may perform them. Resolving an issue that is
+ * still blocked by open issues warns or fails per BLOCKED_RESOLVE_POLICY;
+ * a parent cannot be resolved or closed while it has open sub-tasks.
+ *
+ * Tests and custom integrations can swap the workflow with setWorkflow()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const IssueModel = require('./issueModel');
+const IssueLinkModel = require('./issueLinkModel');
+const { ValidationError, ForbiddenError } = require('../../middleware/errorHandler');
+const { VALID_STATUSES, DONE_STATUSES } = require('../../shared/constants/issueConstants');
+const { VALID_ROLES } = require('../../shared/constants/userConstants');
+
+// Fields a transition may require (API field name -> issue column)
+const REQUIRABLE_FIELDS = {
+    resolution: 'resolution',
+    assignedTo: 'assigned_to',
+    description: 'description'
+};
+
+// Roles that depend on the issue rather than on the user's account
+const ISSUE_ROLES = ['assignee', 'creator'];
+
+let workflow = null;
+
+/**
+ * Check a workflow definition and fill in defaults
+ * @param {Object} definition - { initialStatuses, transitions }
+ * @returns {Object} - Normalized workflow
+ * @throws {Error} - Invalid definition
+ */
+const normalizeWorkflow = (definition) => {
+    const assertStatus = (status, where) => {
+        if (!VALID_STATUSES.includes(status)) {
+            throw new Error(`Invalid workflow: unknown status "${status}" in ${where}`);
+        }
+    };
+
+    const initialStatuses = definition.initialStatuses || [...VALID_STATUSES];
+    initialStatuses.forEach(status => assertStatus(status, 'initialStatuses'));
+
+    if (!Array.isArray(definition.transitions)) {
+        throw new Error('Invalid workflow: transitions must be an array');
+    }
+
+    const transitions = definition.transitions.map((transition, index) => {
+        const where = `transition ${transition.name || index}`;
+        const from = [].concat(transition.from || []);
+        const requiredFields = transition.requiredFields || [];
+        const allowedRoles = transition.allowedRoles || null;
+
+        from.forEach(status => assertStatus(status, where));
+        assertStatus(transition.to, where);
+
+        requiredFields.forEach(field => {
+            if (!REQUIRABLE_FIELDS[field]) {
+                throw new Error(`Invalid workflow: field "${field}" in ${where} cannot be required`);
+            }
+        });
+
+        (allowedRoles || []).forEach(role => {
+            if (!VALID_ROLES.includes(role) && !ISSUE_ROLES.includes(role)) {
+                throw new Error(`Invalid workflow: unknown role "${role}" in ${where}`);
+            }
+        });
+
+        return {
+            name: transition.name || `${from.join('/')} → ${transition.to}`,
+            from,
+            to: transition.to,
+            requiredFields,
+            allowedRoles
+        };
+    });
+
+    return { initialStatuses, transitions };
+};
+
+/**
+ * Load the workflow configured in the environment
+ * @returns {Object} - Normalized workflow
+ */
+const loadWorkflowFromEnv = () => {
+    const workflowFile = process.env.WORKFLOW_FILE;
+
+    const definition = workflowFile
+        ? JSON.parse(fs.readFileSync(path.resolve(workflowFile), 'utf8'))
+        : require('../../config/workflow');
+
+    return normalizeWorkflow(definition);
+};
+
+/**
+ * Get the active workflow (loaded lazily)
+ * @returns {Object} - { initialStatuses, transitions }
+ */
+const getWorkflow = () => {
+    if (!workflow) {
+        workflow = loadWorkflowFromEnv();
+    }
+    return workflow;
+};
+
+/**
+ * Replace the active workflow
+ * @param {Object|null} definition - Workflow definition, or null to reload from the environment
+ */
+const setWorkflow = (definition) => {
+    workflow = definition ? normalizeWorkflow(definition) : null;
+};
+
+/**
+ * Check if a user may perform a transition on an issue
+ * @param {Object} transition - Normalized transition
+ * @param {Object} issue - Issue row
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+const canPerform = (transition, issue, user) => {
+    const roles = transition.allowedRoles;
+
+    if (!roles) {
+        return true;
+    }
+
+    return roles.includes(user.role)
+        || (roles.includes('assignee') && issue.assigned_to === user.userId)
+        || (roles.includes('creator') && issue.created_by === user.userId);
+};
+
+/**
+ * Get the transitions the user can currently perform on an issue
+ * @param {Object} issue - Issue row
+ * @param {Object} user - req.user
+ * @returns {Array<Object>} - Transitions
+ */
+const getAvailableTransitions = (issue, user) => {
+    return getWorkflow().transitions.filter(transition =>
+        transition.from.includes(issue.status) && canPerform(transition, issue, user));
+};
+
+/**
+ * Ensure a new issue starts in an allowed status
+ * @param {string|undefined} status - Requested status (undefined = default)
+ * @throws {ValidationError}
+ */
+const assertInitialStatus = (status) => {
+    const { initialStatuses } = getWorkflow();
+
+    if (status !== undefined && !initialStatuses.includes(status)) {
+        throw new ValidationError(`New issues can only be created as: ${initialStatuses.join(', ')}`);
+    }
+};
+
+/**
+ * Ensure an update follows the workflow
+ * @param {Object} issue - Current issue row
+ * @param {Object} changes - Requested values by API field name (status, resolution, ...)
+ * @param {Object} user - req.user
+ * @throws {ValidationError|ForbiddenError}
+ */
+const assertTransition = (issue, changes, user) => {
+    const targetStatus = changes.status !== undefined ? changes.status : issue.status;
+
+    if (changes.resolution !== undefined && changes.resolution !== null && !DONE_STATUSES.includes(targetStatus)) {
+        throw new ValidationError('A resolution can only be set on resolved or closed issues');
+    }
+
+    if (targetStatus === issue.status) {
+        return;
+    }
+
+    const candidates = getWorkflow().transitions.filter(transition =>
+        transition.from.includes(issue.status) && transition.to === targetStatus);
+
+    if (candidates.length === 0) {
+        const allowedTargets = [...new Set(getAvailableTransitions(issue, user).map(transition => transition.to))];
+        throw new ValidationError(
+            `Cannot move an issue from "${issue.status}" to "${targetStatus}"`,
+            [{
+                field: 'status',
+                message: allowedTargets.length > 0
+                    ? `Allowed next statuses: ${allowedTargets.join(', ')}`
+                    : 'No status changes are allowed from here'
+            }]
+        );
+    }
+
+    const transition = candidates.find(candidate => canPerform(candidate, issue, user));
+    if (!transition) {
+        throw new ForbiddenError(`You are not allowed to perform "${candidates[0].name}" on this issue`);
+    }
+
+    const missingFields = transition.requiredFields.filter(field => {
+        const value = changes[field] !== undefined ? changes[field] : issue[REQUIRABLE_FIELDS[field]];
+        return value === null || value === undefined || String(value).trim() === '';
+    });
+
+    if (missingFields.length > 0) {
+        throw new ValidationError(
+            `"${transition.name}" requires: ${missingFields.join(', ')}`,
+            missingFields.map(field => ({ field, message: `${field} is required for this status change` }))
+        );
+    }
+};
+
+/**
+ * Short reference of an issue for messages: its key, or #id without a project
+ */
+const formatIssueRef = issue => (issue.project_key ? `${issue.project_key}-${issue.issue_number}` : `#${issue.issue_id}`);
+
+/**
+ * Check for unresolved blockers when an issue is being resolved or closed
+ * BLOCKED_RESOLVE_POLICY: warn (default) lets the change through with a warning,
+ * fail rejects it
+ * @param {Object} issue - Current issue row
+ * @param {string|undefined} targetStatus - Requested status
+ * @returns {Promise<Array<string>>} - Warnings for the response
+ * @throws {ValidationError} - Blocked and the policy is fail
+ */
+const checkOpenBlockers = async (issue, targetStatus) => {
+    if (!DONE_STATUSES.includes(targetStatus) || DONE_STATUSES.includes(issue.status)) {
+        return [];
+    }
+
+    const blockers = await IssueLinkModel.getOpenBlockers(issue.issue_id);
+    if (blockers.length === 0) {
+        return [];
+    }
+
+    const blockerList = blockers.map(formatIssueRef).join(', ');
+
+    if (process.env.BLOCKED_RESOLVE_POLICY === 'fail') {
+        throw new ValidationError(`Issue is blocked by unresolved issues: ${blockerList}`);
+    }
+
+    return [`Issue is still blocked by unresolved issues: ${blockerList}`];
+};
+
+/**
+ * Ensure a parent issue is not resolved or closed while sub-tasks are still open
+ * @param {Object} issue - Current issue row
+ * @param {string|undefined} targetStatus - Requested status
+ * @throws {ValidationError} - Open sub-tasks remain
+ */
+const assertChildrenDone = async (issue, targetStatus) => {
+    if (!DONE_STATUSES.includes(targetStatus) || DONE_STATUSES.includes(issue.status)) {
+        return;
+    }
+
+    const openChildren = await IssueModel.getOpenChildren(issue.issue_id);
+    if (openChildren.length === 0) {
+        return;
+    }
+
+    throw new ValidationError(
+        `Cannot move an issue to "${targetStatus}" while it has open sub-tasks`,
+        openChildren.map(child => ({
+            field: 'status',
+            message: `${formatIssueRef(child)} is still ${child.status}`
+        }))
+    );
+};
+
+module.exports = {
+    getWorkflow,
+    setWorkflow,
+    getAvailableTransitions,
+    assertInitialStatus,
+    assertTransition,
+    checkOpenBlockers,
+    assertChildrenDone
+};
@@ -0,0 +1,127 @@
+/**
+ * Worklog Controller
+ * ==================
+ * Handles time logged on issues
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const WorklogModel = require('./worklogModel');
+const IssueModel = require('./issueModel');
+const {
+    successResponse,
+    createdResponse,
+    notFoundResponse,
+    forbiddenResponse
+} = require('../../shared/utils/responseHelper');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+
+class WorklogController {
+    /**
+     * GET /api/issues/:id/worklogs
+     * List the time logged on an issue
+     */
+    static async getWorklogs(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const issueExists = await IssueModel.issueExists(id);
+            if (!issueExists) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            const worklogs = await WorklogModel.getWorklogsByIssue(id);
+
+            return successResponse(
+                res,
+                worklogs.map(worklog => formatWorklogResponse(worklog)),
+                'Worklogs retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/issues/:id/worklogs
+     * Log time spent on an issue (as the current user)
+     */
+    static async createWorklog(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { durationMinutes, date, note } = req.body;
+
+            const issueExists = await IssueModel.issueExists(id);
+            if (!issueExists) {
+                return notFoundResponse(res, 'Issue not found');
+            }
+
+            const result = await WorklogModel.createWorklog({
+                issueId: parseInt(id),
+                userId: req.user.userId,
+                durationMinutes: parseInt(durationMinutes),
+                workDate: date,
+                note
+            });
+
+            const worklog = await WorklogModel.getWorklogById(id, result.insertId);
+
+            return createdResponse(
+                res,
+                formatWorklogResponse(worklog),
+                'Work logged successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/issues/:id/worklogs/:worklogId
+     * Delete a worklog (its author or an admin)
+     */
+    static async deleteWorklog(req, res, next) {
+        try {
+            const { id, worklogId } = req.params;
+
+            const worklog = await WorklogModel.getWorklogById(id, worklogId);
+            if (!worklog) {
+                return notFoundResponse(res, 'Worklog not found');
+            }
+
+            if (req.user.role !== USER_ROLE.ADMIN && worklog.user_id !== req.user.userId) {
+                return forbiddenResponse(res, 'Only the worklog author or an admin can delete this worklog');
+            }
+
+            await WorklogModel.deleteWorklog(worklogId);
+
+            return successResponse(res, null, 'Worklog deleted successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to format worklog response
+ */
+function formatWorklogResponse(worklog) {
+    return {
+        id: worklog.worklog_id,
+        issueId: worklog.issue_id,
+        user: {
+            id: worklog.user_id,
+            name: worklog.user_name,
+            email: worklog.user_email
+        },
+        durationMinutes: worklog.duration_minutes,
+        date: worklog.work_date,
+        note: worklog.note,
+        createdAt: worklog.created_at
+    };
+}
+
+module.exports = WorklogController;
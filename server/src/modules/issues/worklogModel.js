@@ -0,0 +1,189 @@
+/**
+ * Worklog Model - Time Tracking Database Operations (PostgreSQL)
+ * ===============================================================
+ * Time logged on issues (who, how long, which day, note). Logging work
+ * lowers the issue's remaining estimate; the change is kept in its history.
+ */
+
+const { query, withTransaction } = require('../../config/database');
+const IssueEventModel = require('./issueEventModel');
+const { ISSUE_EVENT_TYPE } = require('../../shared/constants/issueConstants');
+
+// Columns selected for every worklog (with user info)
+const WORKLOG_COLUMNS = `
+    w.worklog_id,
+    w.issue_id,
+    w.user_id,
+    w.duration_minutes,
+    to_char(w.work_date, 'YYYY-MM-DD') as work_date,
+    w.note,
+    w.created_at,
+    u.name as user_name,
+    u.email as user_email
+`;
+
+// How the time report can be grouped: selected columns, GROUP BY and ORDER BY
+const REPORT_GROUPS = {
+    user: {
+        columns: 'u.user_id, u.name as user_name, u.email as user_email',
+        groupBy: 'u.user_id',
+        orderBy: 'total_minutes DESC, u.name ASC'
+    },
+    issue: {
+        columns: 'i.issue_id, i.title, i.issue_number, p.project_key',
+        groupBy: 'i.issue_id, p.project_key',
+        orderBy: 'total_minutes DESC, i.issue_id ASC'
+    },
+    date: {
+        columns: `to_char(w.work_date, 'YYYY-MM-DD') as work_date`,
+        groupBy: 'w.work_date',
+        orderBy: 'w.work_date ASC'
+    }
+};
+
+class WorklogModel {
+    /**
+     * Get the worklogs of an issue
+     * @param {number} issueId - Issue ID
+     * @returns {Promise<Array>} - Worklogs, oldest work date first
+     */
+    static async getWorklogsByIssue(issueId) {
+        const sql = `
+            SELECT ${WORKLOG_COLUMNS}
+            FROM worklogs w
+            JOIN users u ON u.user_id = w.user_id
+            WHERE w.issue_id = $1
+            ORDER BY w.work_date ASC, w.created_at ASC, w.worklog_id ASC
+        `;
+
+        return query(sql, [issueId]);
+    }
+
+    /**
+     * Get a worklog of an issue
+     * @param {number} issueId - Issue ID
+     * @param {number} worklogId - Worklog ID
+     * @returns {Promise<Object|null>} - Worklog or null
+     */
+    static async getWorklogById(issueId, worklogId) {
+        const sql = `
+            SELECT ${WORKLOG_COLUMNS}
+            FROM worklogs w
+            JOIN users u ON u.user_id = w.user_id
+            WHERE w.issue_id = $1 AND w.worklog_id = $2
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [issueId, worklogId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Log work on an issue and lower its remaining estimate (not below zero)
+     * @param {Object} worklogData - { issueId, userId, durationMinutes, workDate, note }
+     * @returns {Promise<Object>} - { insertId }
+     */
+    static async createWorklog(worklogData) {
+        const { issueId, userId, durationMinutes, workDate = null, note = null } = worklogData;
+
+        const sql = `
+            INSERT INTO worklogs (issue_id, user_id, duration_minutes, work_date, note, created_at)
+            VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, NOW())
+            RETURNING worklog_id
+        `;
+
+        return withTransaction(async (client) => {
+            const results = await client.query(sql, [issueId, userId, durationMinutes, workDate, note]);
+
+            const before = await client.query(
+                'SELECT remaining_estimate_minutes FROM issues WHERE issue_id = $1 FOR UPDATE',
+                [issueId]
+            );
+            const remaining = before.rows[0].remaining_estimate_minutes;
+
+            if (remaining !== null && remaining > 0) {
+                const newRemaining = Math.max(remaining - durationMinutes, 0);
+
+                await client.query(
+                    'UPDATE issues SET remaining_estimate_minutes = $1, updated_at = NOW() WHERE issue_id = $2',
+                    [newRemaining, issueId]
+                );
+
+                await IssueEventModel.recordEvents(client, [{
+                    issueId,
+                    actorId: userId,
+                    eventType: ISSUE_EVENT_TYPE.UPDATED,
+                    field: 'remainingEstimateMinutes',
+                    oldValue: remaining,
+                    newValue: newRemaining
+                }]);
+            }
+
+            return { insertId: results.rows[0].worklog_id };
+        });
+    }
+
+    /**
+     * Delete a worklog (the remaining estimate is left as it is)
+     * @param {number} worklogId - Worklog ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    static async deleteWorklog(worklogId) {
+        const sql = `DELETE FROM worklogs WHERE worklog_id = $1 RETURNING worklog_id`;
+        const results = await query(sql, [worklogId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Total logged time, grouped by user, issue or day
+     * @param {Object} options - { groupBy, from, to, userId, issueId, projectId } - from/to are inclusive dates
+     * @returns {Promise<Array>} - Group columns plus total_minutes and entry_count
+     */
+    static async getTimeReport(options = {}) {
+        const { groupBy = 'user', from, to, userId, issueId, projectId } = options;
+        const group = REPORT_GROUPS[groupBy] || REPORT_GROUPS.user;
+
+        let conditions = ['1=1'];
+        let params = [];
+        let paramIndex = 1;
+
+        if (from) {
+            conditions.push(`w.work_date >= $${paramIndex++}`);
+            params.push(from);
+        }
+        if (to) {
+            conditions.push(`w.work_date <= $${paramIndex++}`);
+            params.push(to);
+        }
+        if (userId) {
+            conditions.push(`w.user_id = $${paramIndex++}`);
+            params.push(userId);
+        }
+        if (issueId) {
+            conditions.push(`w.issue_id = $${paramIndex++}`);
+            params.push(issueId);
+        }
+        if (projectId) {
+            conditions.push(`i.project_id = $${paramIndex++}`);
+            params.push(projectId);
+        }
+
+        const sql = `
+            SELECT
+                ${group.columns},
+                SUM(w.duration_minutes) as total_minutes,
+                COUNT(*) as entry_count
+            FROM worklogs w
+            JOIN users u ON u.user_id = w.user_id
+            JOIN issues i ON i.issue_id = w.issue_id
+            LEFT JOIN projects p ON p.project_id = i.project_id
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY ${group.groupBy}
+            ORDER BY ${group.orderBy}
+        `;
+
+        return query(sql, params);
+    }
+}
+
+module.exports = WorklogModel;
@@ -0,0 +1,148 @@
+/**
+ * Label Controller
+ * ================
+ * Handles label management (create, list, rename/recolor, delete)
+ * 
+ * Pattern: Class with static methods for request handling
+ */
+
+const LabelModel = require('./labelModel');
+const {
+    successResponse,
+    createdResponse,
+    notFoundResponse,
+    badRequestResponse
+} = require('../../shared/utils/responseHelper');
+
+class LabelController {
+    /**
+     * GET /api/labels
+     * Get all labels
+     */
+    static async getAllLabels(req, res, next) {
+        try {
+            const labels = await LabelModel.getAllLabels({ search: req.query.search });
+
+            return successResponse(
+                res,
+                labels.map(label => formatLabelResponse(label)),
+                'Labels retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/labels/:id
+     * Get single label by ID
+     */
+    static async getLabelById(req, res, next) {
+        try {
+            const label = await LabelModel.getLabelById(req.params.id);
+
+            if (!label) {
+                return notFoundResponse(res, 'Label not found');
+            }
+
+            return successResponse(res, formatLabelResponse(label), 'Label retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/labels
+     * Create a label
+     */
+    static async createLabel(req, res, next) {
+        try {
+            const { name, color, description } = req.body;
+
+            if (await LabelModel.nameExists(name)) {
+                return badRequestResponse(res, 'A label with this name already exists');
+            }
+
+            const result = await LabelModel.createLabel({
+                name,
+                color,
+                description,
+                createdBy: req.user.userId
+            });
+
+            const label = await LabelModel.getLabelById(result.insertId);
+
+            return createdResponse(res, formatLabelResponse(label), 'Label created successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/labels/:id
+     * Rename, recolor or describe a label
+     */
+    static async updateLabel(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { name, color, description } = req.body;
+
+            const existingLabel = await LabelModel.getLabelById(id);
+            if (!existingLabel) {
+                return notFoundResponse(res, 'Label not found');
+            }
+
+            if (name !== undefined && await LabelModel.nameExists(name, id)) {
+                return badRequestResponse(res, 'A label with this name already exists');
+            }
+
+            await LabelModel.updateLabel(id, { name, color, description });
+
+            const label = await LabelModel.getLabelById(id);
+
+            return successResponse(res, formatLabelResponse(label), 'Label updated successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/labels/:id
+     * Delete a label and remove it from every issue
+     */
+    static async deleteLabel(req, res, next) {
+        try {
+            const result = await LabelModel.deleteLabel(req.params.id);
+
+            if (result.affectedRows === 0) {
+                return notFoundResponse(res, 'Label not found');
+            }
+
+            return successResponse(res, null, 'Label deleted successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to format label response
+ */
+function formatLabelResponse(label) {
+    return {
+        id: label.label_id,
+        name: label.name,
+        color: label.color,
+        description: label.description,
+        issueCount: parseInt(label.issue_count),
+        createdAt: label.created_at,
+        updatedAt: label.updated_at
+    };
+}
+
+module.exports = LabelController;
@@ -0,0 +1,181 @@
+/**
+ * Label Model - Label Database Operations (PostgreSQL)
+ * =====================================================
+ * Colored labels that are attached to issues (many-to-many via issue_labels)
+ */
+
+const { query } = require('../../config/database');
+
+class LabelModel {
+    /**
+     * Get all labels with the number of issues using each
+     * @param {Object} options - { search }
+     * @returns {Promise<Array>} - Labels ordered by name
+     */
+    static async getAllLabels(options = {}) {
+        const { search } = options;
+
+        let conditions = ['1=1'];
+        let params = [];
+        let paramIndex = 1;
+
+        if (search) {
+            conditions.push(`l.name ILIKE $${paramIndex++}`);
+            params.push(`%${search}%`);
+        }
+
+        const sql = `
+            SELECT 
+                l.label_id,
+                l.name,
+                l.color,
+                l.description,
+                l.created_at,
+                l.updated_at,
+                COUNT(il.issue_id) as issue_count
+            FROM labels l
+            LEFT JOIN issue_labels il ON il.label_id = l.label_id
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY l.label_id
+            ORDER BY LOWER(l.name) ASC
+        `;
+
+        return query(sql, params);
+    }
+
+    /**
+     * Get a label by ID
+     * @param {number} labelId - Label ID
+     * @returns {Promise<Object|null>} - Label or null
+     */
+    static async getLabelById(labelId) {
+        const sql = `
+            SELECT 
+                l.label_id,
+                l.name,
+                l.color,
+                l.description,
+                l.created_at,
+                l.updated_at,
+                (SELECT COUNT(*) FROM issue_labels il WHERE il.label_id = l.label_id) as issue_count
+            FROM labels l
+            WHERE l.label_id = $1
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [labelId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Check if a label name is taken (case-insensitive)
+     * @param {string} name - Label name
+     * @param {number|null} excludeLabelId - Label to ignore (when renaming)
+     * @returns {Promise<boolean>} - True if taken
+     */
+    static async nameExists(name, excludeLabelId = null) {
+        const sql = `
+            SELECT COUNT(*) as count
+            FROM labels
+            WHERE LOWER(name) = LOWER($1) AND ($2::int IS NULL OR label_id <> $2)
+        `;
+
+        const results = await query(sql, [name, excludeLabelId]);
+        return parseInt(results[0].count) > 0;
+    }
+
+    /**
+     * Create a label
+     * @param {Object} labelData - { name, color, description, createdBy }
+     * @returns {Promise<Object>} - { insertId }
+     */
+    static async createLabel(labelData) {
+        const sql = `
+            INSERT INTO labels (name, color, description, created_by, created_at, updated_at)
+            VALUES ($1, COALESCE($2, '#6b7280'), $3, $4, NOW(), NOW())
+            RETURNING label_id
+        `;
+
+        const results = await query(sql, [
+            labelData.name,
+            labelData.color || null,
+            labelData.description || null,
+            labelData.createdBy
+        ]);
+
+        return { insertId: results[0].label_id };
+    }
+
+    /**
+     * Update a label
+     * @param {number} labelId - Label ID
+     * @param {Object} labelData - { name?, color?, description? }
+     * @returns {Promise<Object>} - Update result
+     */
+    static async updateLabel(labelId, labelData) {
+        const { name, color, description } = labelData;
+
+        let updateFields = [];
+        let params = [];
+        let paramIndex = 1;
+
+        if (name !== undefined) {
+            updateFields.push(`name = $${paramIndex++}`);
+            params.push(name);
+        }
+        if (color !== undefined) {
+            updateFields.push(`color = $${paramIndex++}`);
+            params.push(color);
+        }
+        if (description !== undefined) {
+            updateFields.push(`description = $${paramIndex++}`);
+            params.push(description);
+        }
+
+        if (updateFields.length === 0) {
+            return { affectedRows: 0 };
+        }
+
+        updateFields.push('updated_at = NOW()');
+
+        const sql = `
+            UPDATE labels
+            SET ${updateFields.join(', ')}
+            WHERE label_id = $${paramIndex}
+            RETURNING label_id
+        `;
+
+        params.push(labelId);
+        const results = await query(sql, params);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Delete a label (it is removed from all issues)
+     * @param {number} labelId - Label ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    static async deleteLabel(labelId) {
+        const sql = `DELETE FROM labels WHERE label_id = $1 RETURNING label_id`;
+        const results = await query(sql, [labelId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Find which of the given label IDs do not exist
+     * @param {Array<number>} labelIds - Label IDs
+     * @returns {Promise<Array<number>>} - Unknown IDs
+     */
+    static async findMissingIds(labelIds) {
+        const sql = `
+            SELECT id
+            FROM UNNEST($1::int[]) as id
+            WHERE NOT EXISTS (SELECT 1 FROM labels WHERE label_id = id)
+        `;
+
+        const results = await query(sql, [labelIds]);
+        return results.map(row => row.id);
+    }
+}
+
+module.exports = LabelModel;
@@ -0,0 +1,106 @@
+/**
+ * Label Routes
+ * ============
+ * Handles label management endpoints
+ * Labels are attached to issues through labelIds on the issue endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const LabelController = require('./labelController');
+const {
+    authenticate,
+    authorize,
+    requireVerifiedEmail,
+    acceptPersonalAccessTokens,
+    requireScope
+} = require('../../middleware/auth');
+const {
+    validateRequest,
+    labelIdValidation,
+    createLabelValidation,
+    updateLabelValidation
+} = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+const { TOKEN_SCOPE } = require('../../shared/constants/tokenConstants');
+
+// Labels are part of issue data: same read/write rules as issues
+const canWriteLabels = [
+    authorize(USER_ROLE.ADMIN, USER_ROLE.MEMBER),
+    requireVerifiedEmail,
+    requireScope(TOKEN_SCOPE.ISSUES_WRITE)
+];
+
+// ========================================
+// All routes require authentication
+// (JWT, or personal access token with the issues:read scope)
+// ========================================
+router.use(acceptPersonalAccessTokens, authenticate, requireScope(TOKEN_SCOPE.ISSUES_READ));
+
+/**
+ * @route   GET /api/labels
+ * @desc    Get all labels with their issue counts
+ * @access  Private
+ * @query   search (optional)
+ */
+router.get(
+    '/',
+    asyncHandler(LabelController.getAllLabels)
+);
+
+/**
+ * @route   POST /api/labels
+ * @desc    Create a label
+ * @access  Private (admin, member)
+ * @body    { name, color?, description? }
+ */
+router.post(
+    '/',
+    canWriteLabels,
+    createLabelValidation,
+    validateRequest,
+    asyncHandler(LabelController.createLabel)
+);
+
+/**
+ * @route   GET /api/labels/:id
+ * @desc    Get single label by ID
+ * @access  Private
+ */
+router.get(
+    '/:id',
+    labelIdValidation,
+    validateRequest,
+    asyncHandler(LabelController.getLabelById)
+);
+
+/**
+ * @route   PUT /api/labels/:id
+ * @desc    Update a label
+ * @access  Private (admin, member)
+ * @body    { name?, color?, description? }
+ */
+router.put(
+    '/:id',
+    canWriteLabels,
+    updateLabelValidation,
+    validateRequest,
+    asyncHandler(LabelController.updateLabel)
+);
+
+/**
+ * @route   DELETE /api/labels/:id
+ * @desc    Delete a label (removes it from all issues)
+ * @access  Private (admin)
+ */
+router.delete(
+    '/:id',
+    canWriteLabels,
+    authorize(USER_ROLE.ADMIN),
+    labelIdValidation,
+    validateRequest,
+    asyncHandler(LabelController.deleteLabel)
+);
+
+module.exports = router;
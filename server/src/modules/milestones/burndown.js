@@ -0,0 +1,86 @@
+/**
+ * Milestone Burndown
+ * ==================
+ * Rebuilds day-by-day open issue counts of a milestone from the issue history.
+ *
+ * At the end of each day an issue counts if it existed and was in the
+ * milestone, and is "remaining" if its status was not Resolved/Closed then.
+ * A field's value at a moment is the new value of its last change before it;
+ * without an earlier change, the old value of its first change after it;
+ * without any change, its current value. Deleted issues are left out.
+ */
+
+const { DONE_STATUSES } = require('../../shared/constants/issueConstants');
+
+/**
+ * Value of an issue field at a moment, from its change events
+ * @param {Array<Object>} changes - Events of the field, oldest first ({ old_value, new_value, at })
+ * @param {number} moment - Epoch seconds
+ * @param {*} currentValue - Value now
+ * @returns {string|null}
+ */
+const valueAt = (changes, moment, currentValue) => {
+    const before = changes.filter(change => parseFloat(change.at) < moment);
+
+    if (before.length > 0) {
+        return before[before.length - 1].new_value;
+    }
+    if (changes.length > 0) {
+        return changes[0].old_value;
+    }
+    return currentValue === null || currentValue === undefined ? null : String(currentValue);
+};
+
+/**
+ * Build the burndown series of a milestone
+ * @param {number} milestoneId - Milestone ID
+ * @param {Array<Object>} days - From MilestoneModel.getMilestoneDays
+ * @param {Array<Object>} issues - From MilestoneModel.getBurndownIssues
+ * @returns {Array<Object>} - [{ date, total, remaining, ideal }] - total/remaining are null for future days
+ */
+const buildBurndown = (milestoneId, days, issues) => {
+    const history = issues.map(issue => ({
+        createdAt: parseFloat(issue.created_at),
+        currentStatus: issue.status,
+        currentMilestone: issue.milestone_id,
+        statusChanges: issue.events.filter(event => event.field === 'status'),
+        milestoneChanges: issue.events.filter(event => event.field === 'milestoneId')
+    }));
+
+    const series = days.map(day => {
+        if (day.is_future) {
+            return { date: day.date, total: null, remaining: null };
+        }
+
+        const dayEnd = parseFloat(day.day_end);
+        let total = 0;
+        let remaining = 0;
+
+        history.forEach(issue => {
+            if (issue.createdAt >= dayEnd
+                || valueAt(issue.milestoneChanges, dayEnd, issue.currentMilestone) !== String(milestoneId)) {
+                return;
+            }
+
+            total++;
+            if (!DONE_STATUSES.includes(valueAt(issue.statusChanges, dayEnd, issue.currentStatus))) {
+                remaining++;
+            }
+        });
+
+        return { date: day.date, total, remaining };
+    });
+
+    // Ideal line: straight from the open count of the first day to zero on the due date
+    const start = series.length > 0 && series[0].remaining !== null ? series[0].remaining : 0;
+    const lastIndex = series.length - 1;
+
+    return series.map((point, index) => ({
+        ...point,
+        ideal: lastIndex > 0 ? Math.round(start * (1 - index / lastIndex) * 100) / 100 : 0
+    }));
+};
+
+module.exports = {
+    buildBurndown
+};
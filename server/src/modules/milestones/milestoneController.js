@@ -0,0 +1,188 @@
+/**
+ * Milestone Controller
+ * ====================
+ * Handles milestones (sprints, releases) and their burndown
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const MilestoneModel = require('./milestoneModel');
+const { buildBurndown } = require('./burndown');
+const {
+    successResponse,
+    createdResponse,
+    notFoundResponse,
+    badRequestResponse
+} = require('../../shared/utils/responseHelper');
+
+class MilestoneController {
+    /**
+     * GET /api/milestones
+     * Get all milestones
+     */
+    static async getAllMilestones(req, res, next) {
+        try {
+            const { search, state } = req.query;
+
+            const milestones = await MilestoneModel.getAllMilestones({ search, state });
+
+            return successResponse(
+                res,
+                milestones.map(milestone => formatMilestoneResponse(milestone)),
+                'Milestones retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/milestones/:id
+     * Get single milestone by ID
+     */
+    static async getMilestoneById(req, res, next) {
+        try {
+            const milestone = await MilestoneModel.getMilestoneById(req.params.id);
+
+            if (!milestone) {
+                return notFoundResponse(res, 'Milestone not found');
+            }
+
+            return successResponse(res, formatMilestoneResponse(milestone), 'Milestone retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/milestones
+     * Create a milestone
+     */
+    static async createMilestone(req, res, next) {
+        try {
+            const { name, description, startDate, dueDate } = req.body;
+
+            if (dueDate < startDate) {
+                return badRequestResponse(res, 'The due date cannot be before the start date');
+            }
+
+            const result = await MilestoneModel.createMilestone({
+                name,
+                description,
+                startDate,
+                dueDate,
+                createdBy: req.user.userId
+            });
+
+            const milestone = await MilestoneModel.getMilestoneById(result.insertId);
+
+            return createdResponse(res, formatMilestoneResponse(milestone), 'Milestone created successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/milestones/:id
+     * Rename, describe or reschedule a milestone
+     */
+    static async updateMilestone(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { name, description, startDate, dueDate } = req.body;
+
+            const existingMilestone = await MilestoneModel.getMilestoneById(id);
+            if (!existingMilestone) {
+                return notFoundResponse(res, 'Milestone not found');
+            }
+
+            // Dates are YYYY-MM-DD, so they compare as strings
+            const newStartDate = startDate !== undefined ? startDate : existingMilestone.start_date;
+            const newDueDate = dueDate !== undefined ? dueDate : existingMilestone.due_date;
+            if (newDueDate < newStartDate) {
+                return badRequestResponse(res, 'The due date cannot be before the start date');
+            }
+
+            await MilestoneModel.updateMilestone(id, { name, description, startDate, dueDate });
+
+            const milestone = await MilestoneModel.getMilestoneById(id);
+
+            return successResponse(res, formatMilestoneResponse(milestone), 'Milestone updated successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/milestones/:id
+     * Delete a milestone (its issues go back to the backlog)
+     */
+    static async deleteMilestone(req, res, next) {
+        try {
+            const result = await MilestoneModel.deleteMilestone(req.params.id);
+
+            if (result.affectedRows === 0) {
+                return notFoundResponse(res, 'Milestone not found');
+            }
+
+            return successResponse(res, null, 'Milestone deleted successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/milestones/:id/burndown
+     * Day-by-day open issue counts of a milestone, rebuilt from issue history
+     */
+    static async getBurndown(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const milestone = await MilestoneModel.getMilestoneById(id);
+            if (!milestone) {
+                return notFoundResponse(res, 'Milestone not found');
+            }
+
+            const days = await MilestoneModel.getMilestoneDays(id);
+            const issues = await MilestoneModel.getBurndownIssues(id);
+
+            return successResponse(
+                res,
+                {
+                    milestone: formatMilestoneResponse(milestone),
+                    days: buildBurndown(milestone.milestone_id, days, issues)
+                },
+                'Burndown retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to format milestone response
+ */
+function formatMilestoneResponse(milestone) {
+    return {
+        id: milestone.milestone_id,
+        name: milestone.name,
+        description: milestone.description,
+        startDate: milestone.start_date,
+        dueDate: milestone.due_date,
+        issueCount: parseInt(milestone.issue_count),
+        doneCount: parseInt(milestone.done_count),
+        createdBy: milestone.created_by,
+        createdAt: milestone.created_at,
+        updatedAt: milestone.updated_at
+    };
+}
+
+module.exports = MilestoneController;
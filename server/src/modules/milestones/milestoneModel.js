@@ -0,0 +1,231 @@
+/**
+ * Milestone Model - Milestone Database Operations (PostgreSQL)
+ * =============================================================
+ * Milestones (sprints, releases) with a start and due date; each issue
+ * can be planned into one milestone (issues.milestone_id)
+ */
+
+const { query } = require('../../config/database');
+const { DONE_STATUSES } = require('../../shared/constants/issueConstants');
+
+// Columns selected for every milestone (dates as YYYY-MM-DD, with issue counts)
+const MILESTONE_COLUMNS = `
+    m.milestone_id,
+    m.name,
+    m.description,
+    to_char(m.start_date, 'YYYY-MM-DD') as start_date,
+    to_char(m.due_date, 'YYYY-MM-DD') as due_date,
+    m.created_by,
+    m.created_at,
+    m.updated_at,
+    (SELECT COUNT(*) FROM issues i WHERE i.milestone_id = m.milestone_id) as issue_count,
+    (SELECT COUNT(*) FROM issues i WHERE i.milestone_id = m.milestone_id
+        AND i.status = ANY('{${DONE_STATUSES.join(',')}}'::issue_status[])) as done_count
+`;
+
+class MilestoneModel {
+    /**
+     * Get all milestones with their issue counts
+     * @param {Object} options - { search, state } - state: active, upcoming or past (relative to today)
+     * @returns {Promise<Array>} - Milestones ordered by start date
+     */
+    static async getAllMilestones(options = {}) {
+        const { search, state } = options;
+
+        let conditions = ['1=1'];
+        let params = [];
+        let paramIndex = 1;
+
+        if (search) {
+            conditions.push(`m.name ILIKE $${paramIndex++}`);
+            params.push(`%${search}%`);
+        }
+
+        if (state === 'active') {
+            conditions.push('CURRENT_DATE BETWEEN m.start_date AND m.due_date');
+        } else if (state === 'upcoming') {
+            conditions.push('m.start_date > CURRENT_DATE');
+        } else if (state === 'past') {
+            conditions.push('m.due_date < CURRENT_DATE');
+        }
+
+        const sql = `
+            SELECT ${MILESTONE_COLUMNS}
+            FROM milestones m
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY m.start_date ASC, m.milestone_id ASC
+        `;
+
+        return query(sql, params);
+    }
+
+    /**
+     * Get a milestone by ID
+     * @param {number} milestoneId - Milestone ID
+     * @returns {Promise<Object|null>} - Milestone or null
+     */
+    static async getMilestoneById(milestoneId) {
+        const sql = `
+            SELECT ${MILESTONE_COLUMNS}
+            FROM milestones m
+            WHERE m.milestone_id = $1
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [milestoneId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Check if milestone exists
+     * @param {number} milestoneId - Milestone ID
+     * @returns {Promise<boolean>} - True if exists
+     */
+    static async milestoneExists(milestoneId) {
+        const sql = `SELECT COUNT(*) as count FROM milestones WHERE milestone_id = $1`;
+        const results = await query(sql, [milestoneId]);
+        return parseInt(results[0].count) > 0;
+    }
+
+    /**
+     * Create a milestone
+     * @param {Object} milestoneData - { name, description, startDate, dueDate, createdBy }
+     * @returns {Promise<Object>} - { insertId }
+     */
+    static async createMilestone(milestoneData) {
+        const sql = `
+            INSERT INTO milestones (name, description, start_date, due_date, created_by, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+            RETURNING milestone_id
+        `;
+
+        const results = await query(sql, [
+            milestoneData.name,
+            milestoneData.description || null,
+            milestoneData.startDate,
+            milestoneData.dueDate,
+            milestoneData.createdBy
+        ]);
+
+        return { insertId: results[0].milestone_id };
+    }
+
+    /**
+     * Update a milestone
+     * @param {number} milestoneId - Milestone ID
+     * @param {Object} milestoneData - { name?, description?, startDate?, dueDate? }
+     * @returns {Promise<Object>} - Update result
+     */
+    static async updateMilestone(milestoneId, milestoneData) {
+        const { name, description, startDate, dueDate } = milestoneData;
+
+        let updateFields = [];
+        let params = [];
+        let paramIndex = 1;
+
+        if (name !== undefined) {
+            updateFields.push(`name = $${paramIndex++}`);
+            params.push(name);
+        }
+        if (description !== undefined) {
+            updateFields.push(`description = $${paramIndex++}`);
+            params.push(description);
+        }
+        if (startDate !== undefined) {
+            updateFields.push(`start_date = $${paramIndex++}`);
+            params.push(startDate);
+        }
+        if (dueDate !== undefined) {
+            updateFields.push(`due_date = $${paramIndex++}`);
+            params.push(dueDate);
+        }
+
+        if (updateFields.length === 0) {
+            return { affectedRows: 0 };
+        }
+
+        updateFields.push('updated_at = NOW()');
+
+        const sql = `
+            UPDATE milestones
+            SET ${updateFields.join(', ')}
+            WHERE milestone_id = $${paramIndex}
+            RETURNING milestone_id
+        `;
+
+        params.push(milestoneId);
+        const results = await query(sql, params);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Delete a milestone (its issues go back to the backlog)
+     * @param {number} milestoneId - Milestone ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    static async deleteMilestone(milestoneId) {
+        const sql = `DELETE FROM milestones WHERE milestone_id = $1 RETURNING milestone_id`;
+        const results = await query(sql, [milestoneId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Get the days of a milestone, from its start date to its due date
+     * Times are epoch seconds so they compare directly with the burndown events
+     * @param {number} milestoneId - Milestone ID
+     * @returns {Promise<Array>} - [{ date, day_end (first moment of the next day), is_future }]
+     */
+    static async getMilestoneDays(milestoneId) {
+        const sql = `
+            SELECT
+                to_char(d, 'YYYY-MM-DD') as date,
+                EXTRACT(EPOCH FROM d + INTERVAL '1 day') as day_end,
+                d::date > CURRENT_DATE as is_future
+            FROM milestones m,
+                generate_series(m.start_date::timestamp, m.due_date::timestamp, INTERVAL '1 day') d
+            WHERE m.milestone_id = $1
+            ORDER BY d ASC
+        `;
+
+        return query(sql, [milestoneId]);
+    }
+
+    /**
+     * Get every existing issue that is or was in a milestone, with its
+     * status and milestone changes (oldest first); times are epoch seconds
+     * @param {number} milestoneId - Milestone ID
+     * @returns {Promise<Array>} - [{ issue_id, status, milestone_id, created_at, events: [{ field, old_value, new_value, at }] }]
+     */
+    static async getBurndownIssues(milestoneId) {
+        const sql = `
+            SELECT
+                i.issue_id,
+                i.status,
+                i.milestone_id,
+                EXTRACT(EPOCH FROM i.created_at) as created_at,
+                COALESCE((
+                    SELECT json_agg(json_build_object(
+                        'field', e.field,
+                        'old_value', e.old_value,
+                        'new_value', e.new_value,
+                        'at', EXTRACT(EPOCH FROM e.created_at)
+                    ) ORDER BY e.created_at ASC, e.event_id ASC)
+                    FROM issue_events e
+                    WHERE e.issue_id = i.issue_id AND e.field IN ('status', 'milestoneId')
+                ), '[]'::json) as events
+            FROM issues i
+            WHERE i.milestone_id = $1
+                OR EXISTS (
+                    SELECT 1
+                    FROM issue_events e
+                    WHERE e.issue_id = i.issue_id
+                        AND e.field = 'milestoneId'
+                        AND (e.old_value = $1::text OR e.new_value = $1::text)
+                )
+        `;
+
+        return query(sql, [milestoneId]);
+    }
+}
+
+module.exports = MilestoneModel;
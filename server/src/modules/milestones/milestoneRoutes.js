@@ -0,0 +1,121 @@
+/**
+ * Milestone Routes
+ * ================
+ * Handles milestone (sprint) management and burndown endpoints
+ * Issues are planned into a milestone through milestoneId on the issue endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const MilestoneController = require('./milestoneController');
+const {
+    authenticate,
+    authorize,
+    requireVerifiedEmail,
+    acceptPersonalAccessTokens,
+    requireScope
+} = require('../../middleware/auth');
+const {
+    validateRequest,
+    milestoneIdValidation,
+    listMilestonesValidation,
+    createMilestoneValidation,
+    updateMilestoneValidation
+} = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+const { TOKEN_SCOPE } = require('../../shared/constants/tokenConstants');
+
+// Milestones are part of issue planning: same read/write rules as issues
+const canWriteMilestones = [
+    authorize(USER_ROLE.ADMIN, USER_ROLE.MEMBER),
+    requireVerifiedEmail,
+    requireScope(TOKEN_SCOPE.ISSUES_WRITE)
+];
+
+// ========================================
+// All routes require authentication
+// (JWT, or personal access token with the issues:read scope)
+// ========================================
+router.use(acceptPersonalAccessTokens, authenticate, requireScope(TOKEN_SCOPE.ISSUES_READ));
+
+/**
+ * @route   GET /api/milestones
+ * @desc    Get all milestones with their issue counts
+ * @access  Private
+ * @query   search, state (active | upcoming | past) (optional)
+ */
+router.get(
+    '/',
+    listMilestonesValidation,
+    validateRequest,
+    asyncHandler(MilestoneController.getAllMilestones)
+);
+
+/**
+ * @route   POST /api/milestones
+ * @desc    Create a milestone
+ * @access  Private (admin, member)
+ * @body    { name, description?, startDate, dueDate } - dates as YYYY-MM-DD
+ */
+router.post(
+    '/',
+    canWriteMilestones,
+    createMilestoneValidation,
+    validateRequest,
+    asyncHandler(MilestoneController.createMilestone)
+);
+
+/**
+ * @route   GET /api/milestones/:id
+ * @desc    Get single milestone by ID
+ * @access  Private
+ */
+router.get(
+    '/:id',
+    milestoneIdValidation,
+    validateRequest,
+    asyncHandler(MilestoneController.getMilestoneById)
+);
+
+/**
+ * @route   GET /api/milestones/:id/burndown
+ * @desc    Day-by-day total and open issue counts from start to due date, rebuilt from issue history
+ * @access  Private
+ */
+router.get(
+    '/:id/burndown',
+    milestoneIdValidation,
+    validateRequest,
+    asyncHandler(MilestoneController.getBurndown)
+);
+
+/**
+ * @route   PUT /api/milestones/:id
+ * @desc    Update a milestone
+ * @access  Private (admin, member)
+ * @body    { name?, description?, startDate?, dueDate? }
+ */
+router.put(
+    '/:id',
+    canWriteMilestones,
+    updateMilestoneValidation,
+    validateRequest,
+    asyncHandler(MilestoneController.updateMilestone)
+);
+
+/**
+ * @route   DELETE /api/milestones/:id
+ * @desc    Delete a milestone (its issues go back to the backlog)
+ * @access  Private (admin)
+ */
+router.delete(
+    '/:id',
+    canWriteMilestones,
+    authorize(USER_ROLE.ADMIN),
+    milestoneIdValidation,
+    validateRequest,
+    asyncHandler(MilestoneController.deleteMilestone)
+);
+
+module.exports = router;
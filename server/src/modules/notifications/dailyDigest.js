@@ -0,0 +1,181 @@
+/**
+ * Daily Digest
+ * ============
+ * Emails users who turned the digest on a summary of other users' changes
+ * and comments on the issues they watch or are assigned to.
+ *
+ * Run it once a day with `npm run digest` (e.g. from cron), or set
+ * DAILY_DIGEST_HOUR (0-23, server time) to have the server send it.
+ */
+
+const EmailNotificationModel = require('./emailNotificationModel');
+const { sendDailyDigestEmail } = require('./notificationEmails');
+const { ISSUE_EVENT_TYPE } = require('../../shared/constants/issueConstants');
+const { DIGEST_COMMENT_ACTIVITY } = require('../../shared/constants/notificationConstants');
+
+// A digest covers at most the last day (or the time since the previous one)
+const DIGEST_PERIOD_HOURS = 24;
+
+// At most one digest per user in this time, so a daily run that starts a
+// little early (or the hourly scheduler) does not send a second one
+const DIGEST_MIN_INTERVAL_HOURS = 20;
+
+// How often the scheduler checks whether it is DAILY_DIGEST_HOUR
+const SCHEDULER_INTERVAL_MS = 15 * 60 * 1000;
+
+// Names of the fields shown in digests
+const FIELD_LABELS = {
+    title: 'title',
+    description: 'description',
+    priority: 'priority',
+    severity: 'severity',
+    resolution: 'resolution',
+    labels: 'labels',
+    dueDate: 'due date',
+    projectId: 'project',
+    parentId: 'parent issue',
+    milestoneId: 'milestone',
+    originalEstimateMinutes: 'original estimate (minutes)',
+    remainingEstimateMinutes: 'remaining estimate (minutes)'
+};
+
+// Fields whose values are IDs or long text: the change is mentioned without them
+const FIELDS_WITHOUT_VALUES = ['description', 'projectId', 'parentId', 'milestoneId'];
+
+/**
+ * Format a time for digests ("2024-01-31 14:05 UTC")
+ * @param {Date} date - Time
+ * @returns {string}
+ */
+const formatTime = (date) => {
+    return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+};
+
+/**
+ * Describe one change or comment ("changed the status from Open to In Progress")
+ * @param {Object} activity - Row from EmailNotificationModel.getDigestActivity
+ * @returns {string}
+ */
+const describeActivity = (activity) => {
+    const label = FIELD_LABELS[activity.field] || activity.field;
+    const linkType = activity.field ? activity.field.replace(/_/g, ' ') : '';
+
+    switch (activity.event_type) {
+        case ISSUE_EVENT_TYPE.CREATED:
+            return 'created the issue';
+        case ISSUE_EVENT_TYPE.STATUS_CHANGED:
+            return `changed the status from ${activity.old_value} to ${activity.new_value}`;
+        case ISSUE_EVENT_TYPE.ASSIGNED:
+            return activity.new_value
+                ? `assigned it to ${activity.new_assignee_name || `user #${activity.new_value}`}`
+                : 'unassigned it';
+        case ISSUE_EVENT_TYPE.LINKED:
+            return `added a "${linkType}" link to issue #${activity.new_value}`;
+        case ISSUE_EVENT_TYPE.UNLINKED:
+            return `removed a "${linkType}" link to issue #${activity.old_value}`;
+        case DIGEST_COMMENT_ACTIVITY:
+            return `commented: "${activity.new_value}"`;
+        default:
+            if (FIELDS_WITHOUT_VALUES.includes(activity.field)) {
+                return `changed the ${label}`;
+            }
+            return `changed the ${label} from ${activity.old_value || 'none'} to ${activity.new_value || 'none'}`;
+    }
+};
+
+/**
+ * Group activity rows by issue
+ * @param {Array<Object>} activity - Rows ordered by issue, then time
+ * @returns {Array<Object>} - [{ issueId, projectKey, issueNumber, title, changes }]
+ */
+const groupByIssue = (activity) => {
+    const issues = new Map();
+
+    activity.forEach(row => {
+        if (!issues.has(row.issue_id)) {
+            issues.set(row.issue_id, {
+                issueId: row.issue_id,
+                projectKey: row.project_key,
+                issueNumber: row.issue_number,
+                title: row.issue_title,
+                changes: []
+            });
+        }
+
+        issues.get(row.issue_id).changes.push({
+            time: formatTime(row.created_at),
+            actorName: row.actor_name || 'Someone',
+            description: describeActivity(row)
+        });
+    });
+
+    return [...issues.values()];
+};
+
+/**
+ * Send the daily digest to every user who is due one
+ * Users without activity in their period get no email; their period still ends now.
+ * @param {Date} [now] - Time of the run
+ * @returns {Promise<Object>} - { sent, empty, failed }
+ */
+const sendDailyDigests = async (now = new Date()) => {
+    const summary = { sent: 0, empty: 0, failed: 0 };
+    const recipients = await EmailNotificationModel.getDigestRecipients(now, DIGEST_MIN_INTERVAL_HOURS);
+    const periodStart = new Date(now.getTime() - DIGEST_PERIOD_HOURS * 60 * 60 * 1000);
+
+    for (const recipient of recipients) {
+        const since = recipient.digest_sent_at && recipient.digest_sent_at > periodStart
+            ? recipient.digest_sent_at
+            : periodStart;
+
+        try {
+            const activity = await EmailNotificationModel.getDigestActivity(recipient.user_id, since, now);
+
+            if (activity.length === 0) {
+                summary.empty++;
+            } else {
+                await sendDailyDigestEmail(recipient, groupByIssue(activity), formatTime(since));
+                summary.sent++;
+            }
+
+            await EmailNotificationModel.markDigestSent(recipient.user_id, now);
+        } catch (error) {
+            // Left unmarked: the user is retried on the next run
+            console.error(`Failed to send daily digest to user ${recipient.user_id}:`, error.message);
+            summary.failed++;
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Send digests from the server process at DAILY_DIGEST_HOUR
+ * @returns {Object|null} - Interval handle, or null when DAILY_DIGEST_HOUR is not set
+ */
+const startDigestScheduler = () => {
+    const hour = parseInt(process.env.DAILY_DIGEST_HOUR);
+    if (!(hour >= 0 && hour <= 23)) {
+        return null;
+    }
+
+    const interval = setInterval(() => {
+        if (new Date().getHours() !== hour) {
+            return;
+        }
+
+        sendDailyDigests().catch(error => {
+            console.error('Daily digest run failed:', error.message);
+        });
+    }, SCHEDULER_INTERVAL_MS);
+
+    // Do not keep the process alive just for the digest
+    interval.unref();
+
+    return interval;
+};
+
+module.exports = {
+    sendDailyDigests,
+    startDigestScheduler
+};
@@ -0,0 +1,159 @@
+/**
+ * Email Notification Model - Email Preference and Digest Database Operations (PostgreSQL)
+ * =========================================================================================
+ * Which emails a user receives (assignment emails, daily digest) and the
+ * issue activity a daily digest summarizes.
+ */
+
+const { query } = require('../../config/database');
+const { DIGEST_COMMENT_ACTIVITY } = require('../../shared/constants/notificationConstants');
+
+// Defaults when a user has no email_preferences row
+const DEFAULT_PREFERENCES = {
+    assignment_emails: true,
+    daily_digest: false,
+    digest_sent_at: null
+};
+
+class EmailNotificationModel {
+    /**
+     * Get a user's email preferences
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - { assignment_emails, daily_digest, digest_sent_at }
+     */
+    static async getPreferences(userId) {
+        const sql = `
+            SELECT assignment_emails, daily_digest, digest_sent_at
+            FROM email_preferences
+            WHERE user_id = $1
+        `;
+
+        const results = await query(sql, [userId]);
+        return results.length > 0 ? results[0] : { ...DEFAULT_PREFERENCES };
+    }
+
+    /**
+     * Change a user's email preferences (fields not given are left as they are)
+     * @param {number} userId - User ID
+     * @param {Object} preferences - { assignmentEmails, dailyDigest }
+     * @returns {Promise<Object>} - Update result
+     */
+    static async setPreferences(userId, preferences) {
+        const { assignmentEmails, dailyDigest } = preferences;
+
+        const sql = `
+            INSERT INTO email_preferences (user_id, assignment_emails, daily_digest)
+            VALUES ($1, COALESCE($2, $4::boolean), COALESCE($3, $5::boolean))
+            ON CONFLICT (user_id) DO UPDATE SET
+                assignment_emails = COALESCE($2, email_preferences.assignment_emails),
+                daily_digest = COALESCE($3, email_preferences.daily_digest)
+            RETURNING user_id
+        `;
+
+        const results = await query(sql, [
+            userId,
+            assignmentEmails === undefined ? null : assignmentEmails,
+            dailyDigest === undefined ? null : dailyDigest,
+            DEFAULT_PREFERENCES.assignment_emails,
+            DEFAULT_PREFERENCES.daily_digest
+        ]);
+
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Get the users due a daily digest
+     * @param {Date} now - Time of the run
+     * @param {number} minIntervalHours - Minimum time since a user's last digest
+     * @returns {Promise<Array>} - [{ user_id, name, email, digest_sent_at }]
+     */
+    static async getDigestRecipients(now, minIntervalHours) {
+        const sql = `
+            SELECT u.user_id, u.name, u.email, ep.digest_sent_at
+            FROM email_preferences ep
+            JOIN users u ON u.user_id = ep.user_id
+            WHERE ep.daily_digest = TRUE
+                AND u.is_enabled = TRUE
+                AND (ep.digest_sent_at IS NULL OR ep.digest_sent_at <= $1::timestamp - make_interval(hours => $2))
+            ORDER BY u.user_id ASC
+        `;
+
+        return query(sql, [now, minIntervalHours]);
+    }
+
+    /**
+     * Record the end of the period covered by a user's last digest
+     * @param {number} userId - User ID
+     * @param {Date} sentAt - End of the period
+     * @returns {Promise<Object>} - Update result
+     */
+    static async markDigestSent(userId, sentAt) {
+        const sql = `UPDATE email_preferences SET digest_sent_at = $1 WHERE user_id = $2 RETURNING user_id`;
+        const results = await query(sql, [sentAt, userId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Get other users' activity on the issues a user watches or is assigned to
+     * @param {number} userId - Digest recipient
+     * @param {Date} since - Start of the period (exclusive)
+     * @param {Date} until - End of the period (inclusive)
+     * @returns {Promise<Array>} - Issue events and comments (event_type 'commented'), by issue then time
+     */
+    static async getDigestActivity(userId, since, until) {
+        const sql = `
+            SELECT
+                activity.*,
+                i.title as issue_title,
+                i.issue_number,
+                p.project_key,
+                actor.name as actor_name
+            FROM (
+                SELECT
+                    e.issue_id,
+                    e.actor_id,
+                    e.event_type,
+                    e.field,
+                    e.old_value,
+                    e.new_value,
+                    e.created_at,
+                    CASE WHEN e.field = 'assignedTo' THEN
+                        (SELECT name FROM users WHERE user_id::text = e.old_value)
+                    END as old_assignee_name,
+                    CASE WHEN e.field = 'assignedTo' THEN
+                        (SELECT name FROM users WHERE user_id::text = e.new_value)
+                    END as new_assignee_name
+                FROM issue_events e
+                WHERE e.created_at > $2 AND e.created_at <= $3
+                    AND e.actor_id IS DISTINCT FROM $1
+
+                UNION ALL
+
+                SELECT
+                    c.issue_id,
+                    c.author_id,
+                    '${DIGEST_COMMENT_ACTIVITY}',
+                    NULL,
+                    NULL,
+                    LEFT(c.body, 200),
+                    c.created_at,
+                    NULL,
+                    NULL
+                FROM comments c
+                WHERE c.created_at > $2 AND c.created_at <= $3
+                    AND c.author_id <> $1
+                    AND c.deleted_at IS NULL
+            ) activity
+            JOIN issues i ON i.issue_id = activity.issue_id
+            LEFT JOIN projects p ON p.project_id = i.project_id
+            LEFT JOIN users actor ON actor.user_id = activity.actor_id
+            WHERE i.assigned_to = $1
+                OR EXISTS (SELECT 1 FROM issue_watchers w WHERE w.issue_id = i.issue_id AND w.user_id = $1)
+            ORDER BY activity.issue_id ASC, activity.created_at ASC
+        `;
+
+        return query(sql, [userId, since, until]);
+    }
+}
+
+module.exports = EmailNotificationModel;
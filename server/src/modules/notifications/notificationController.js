@@ -0,0 +1,283 @@
+/**
+ * Notification Controller
+ * =======================
+ * Handles the current user's in-app notifications, notification and email
+ * preferences, and unsubscribe links from notification emails
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const NotificationModel = require('./notificationModel');
+const EmailNotificationModel = require('./emailNotificationModel');
+const AuthModel = require('../auth/authModel');
+const { verifyUnsubscribeToken } = require('./notificationEmails');
+const {
+    successResponse,
+    paginatedResponse,
+    notFoundResponse,
+    badRequestResponse
+} = require('../../shared/utils/responseHelper');
+const { EMAIL_LIST } = require('../../shared/constants/notificationConstants');
+
+class NotificationController {
+    /**
+     * GET /api/notifications
+     * List the current user's notifications, newest first, with the unread count
+     */
+    static async getNotifications(req, res, next) {
+        try {
+            const { page = 1, limit = 20, unread } = req.query;
+
+            const result = await NotificationModel.getNotifications(req.user.userId, {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                unread: unread === 'true'
+            });
+
+            return paginatedResponse(
+                res,
+                result.notifications.map(notification => formatNotificationResponse(notification)),
+                {
+                    page: result.currentPage,
+                    limit: result.perPage,
+                    total: result.total,
+                    totalPages: result.totalPages
+                },
+                'Notifications retrieved successfully',
+                { unreadCount: result.unreadCount }
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/notifications/unread-count
+     * Count the current user's unread notifications
+     */
+    static async getUnreadCount(req, res, next) {
+        try {
+            const unreadCount = await NotificationModel.countUnread(req.user.userId);
+
+            return successResponse(res, { unreadCount }, 'Unread count retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/notifications/:id/read
+     * Mark one notification as read
+     */
+    static async markRead(req, res, next) {
+        try {
+            const result = await NotificationModel.markRead(req.user.userId, req.params.id);
+
+            if (result.affectedRows === 0) {
+                return notFoundResponse(res, 'Notification not found');
+            }
+
+            const unreadCount = await NotificationModel.countUnread(req.user.userId);
+
+            return successResponse(res, { unreadCount }, 'Notification marked as read');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/notifications/read-all
+     * Mark all of the current user's notifications as read
+     */
+    static async markAllRead(req, res, next) {
+        try {
+            const result = await NotificationModel.markAllRead(req.user.userId);
+
+            return successResponse(
+                res,
+                { marked: result.affectedRows, unreadCount: 0 },
+                'All notifications marked as read'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/notifications/preferences
+     * Get which notification types the current user receives
+     */
+    static async getPreferences(req, res, next) {
+        try {
+            const preferences = await NotificationModel.getPreferences(req.user.userId);
+
+            return successResponse(res, preferences, 'Notification preferences retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/notifications/preferences
+     * Turn notification types on or off for the current user
+     */
+    static async updatePreferences(req, res, next) {
+        try {
+            await NotificationModel.setPreferences(req.user.userId, req.body);
+
+            const preferences = await NotificationModel.getPreferences(req.user.userId);
+
+            return successResponse(res, preferences, 'Notification preferences updated successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/notifications/email-preferences
+     * Get which emails the current user receives
+     */
+    static async getEmailPreferences(req, res, next) {
+        try {
+            const preferences = await EmailNotificationModel.getPreferences(req.user.userId);
+
+            return successResponse(
+                res,
+                formatEmailPreferencesResponse(preferences),
+                'Email preferences retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/notifications/email-preferences
+     * Turn assignment emails or the daily digest on or off
+     */
+    static async updateEmailPreferences(req, res, next) {
+        try {
+            const { assignmentEmails, dailyDigest } = req.body;
+
+            await EmailNotificationModel.setPreferences(req.user.userId, { assignmentEmails, dailyDigest });
+
+            const preferences = await EmailNotificationModel.getPreferences(req.user.userId);
+
+            return successResponse(
+                res,
+                formatEmailPreferencesResponse(preferences),
+                'Email preferences updated successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/notifications/unsubscribe?token=...
+     * Show what a signed unsubscribe link is for, so the page can ask for
+     * confirmation (no login needed). Changes nothing: mail scanners and
+     * link prefetchers open these links too.
+     */
+    static async getUnsubscribe(req, res, next) {
+        try {
+            const subscription = verifyUnsubscribeToken(req.query.token);
+            const user = subscription ? await AuthModel.getUserById(subscription.userId) : null;
+
+            if (!user) {
+                return badRequestResponse(res, 'Invalid unsubscribe link');
+            }
+
+            const preferences = await EmailNotificationModel.getPreferences(user.user_id);
+            const subscribed = subscription.list === EMAIL_LIST.DAILY_DIGEST
+                ? preferences.daily_digest
+                : preferences.assignment_emails;
+
+            return successResponse(
+                res,
+                { email: user.email, list: subscription.list, subscribed },
+                'Unsubscribe link is valid'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/notifications/unsubscribe?token=...
+     * Unsubscribe from an email list with the signed link from an email (no login needed)
+     * Also the RFC 8058 one-click target of the List-Unsubscribe header
+     */
+    static async unsubscribe(req, res, next) {
+        try {
+            const subscription = verifyUnsubscribeToken(req.query.token);
+            const user = subscription ? await AuthModel.getUserById(subscription.userId) : null;
+
+            if (!user) {
+                return badRequestResponse(res, 'Invalid unsubscribe link');
+            }
+
+            const isDigest = subscription.list === EMAIL_LIST.DAILY_DIGEST;
+
+            await EmailNotificationModel.setPreferences(
+                user.user_id,
+                isDigest ? { dailyDigest: false } : { assignmentEmails: false }
+            );
+
+            return successResponse(
+                res,
+                { email: user.email, list: subscription.list },
+                isDigest ? 'Unsubscribed from the daily digest' : 'Unsubscribed from assignment emails'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to format notification response
+ */
+function formatNotificationResponse(notification) {
+    return {
+        id: notification.notification_id,
+        type: notification.event_type,
+        issue: {
+            id: notification.issue_id,
+            key: notification.project_key ? `${notification.project_key}-${notification.issue_number}` : null,
+            title: notification.issue_title
+        },
+        actor: notification.actor_id ? {
+            id: notification.actor_id,
+            name: notification.actor_name,
+            email: notification.actor_email
+        } : null,
+        details: notification.details,
+        read: notification.read_at !== null,
+        readAt: notification.read_at,
+        createdAt: notification.created_at
+    };
+}
+
+/**
+ * Helper function to format email preferences response
+ */
+function formatEmailPreferencesResponse(preferences) {
+    return {
+        assignmentEmails: preferences.assignment_emails,
+        dailyDigest: preferences.daily_digest,
+        lastDigestSentAt: preferences.digest_sent_at
+    };
+}
+
+module.exports = NotificationController;
@@ -0,0 +1,157 @@
+/**
+ * Notification Emails
+ * ===================
+ * Builds and sends issue notification emails (assignment, daily digest)
+ * from the templates in shared/mail/templates, each with a signed
+ * unsubscribe link for its list. The link opens a confirmation page; mail
+ * clients can also unsubscribe in one click (RFC 8058) through the headers.
+ */
+
+const { sendMail, getAppUrl, getApiUrl } = require('../../shared/mail/mailer');
+const { renderTemplate } = require('../../shared/mail/templateRenderer');
+const { signValue, verifySignedValue } = require('../../shared/utils/tokenHelper');
+const { VALID_EMAIL_LISTS, EMAIL_LIST } = require('../../shared/constants/notificationConstants');
+
+/**
+ * Helper function to get the secret unsubscribe links are signed with
+ * @returns {string} - Secret
+ */
+const getUnsubscribeSecret = () => {
+    return process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+};
+
+/**
+ * Create the token of an unsubscribe link (it does not expire)
+ * @param {number} userId - Recipient
+ * @param {string} list - Email list (see EMAIL_LIST)
+ * @returns {string} - Signed token
+ */
+const createUnsubscribeToken = (userId, list) => {
+    const value = Buffer.from(`${userId}:${list}`).toString('base64url');
+    return signValue(value, getUnsubscribeSecret());
+};
+
+/**
+ * Read an unsubscribe token
+ * @param {string} token - Token from the link
+ * @returns {Object|null} - { userId, list }, or null when it is invalid or tampered with
+ */
+const verifyUnsubscribeToken = (token) => {
+    const value = verifySignedValue(token, getUnsubscribeSecret());
+    if (!value) {
+        return null;
+    }
+
+    const [userId, list] = Buffer.from(value, 'base64url').toString().split(':');
+    if (!/^[1-9]\d*$/.test(userId) || !VALID_EMAIL_LISTS.includes(list)) {
+        return null;
+    }
+
+    return { userId: parseInt(userId), list };
+};
+
+/**
+ * Helper function to build an unsubscribe link (frontend page that asks
+ * for confirmation) and the List-Unsubscribe headers for one-click
+ * unsubscribe straight against the API
+ * @returns {Object} - { unsubscribeUrl, headers }
+ */
+const getUnsubscribeLinks = (userId, list) => {
+    const token = createUnsubscribeToken(userId, list);
+
+    return {
+        unsubscribeUrl: `${getAppUrl()}/unsubscribe?token=${token}`,
+        headers: {
+            'List-Unsubscribe': `<${getApiUrl()}/api/notifications/unsubscribe?token=${token}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    };
+};
+
+/**
+ * Helper function to get the reference shown for an issue ("WEB-42", or "#17" outside projects)
+ */
+const getIssueRef = (issueId, projectKey, issueNumber) => {
+    return projectKey ? `${projectKey}-${issueNumber}` : `#${issueId}`;
+};
+
+/**
+ * Helper function to get the frontend link to an issue
+ */
+const getIssueUrl = (issueId, projectKey, issueNumber) => {
+    return `${getAppUrl()}/issues/${projectKey ? `${projectKey}-${issueNumber}` : issueId}`;
+};
+
+/**
+ * Email a user that an issue was assigned to them
+ * @param {Object} recipient - User row with user_id, name, email
+ * @param {Object} issue - Issue row (from IssueModel.getIssueById)
+ * @param {Object} actor - { name } of the user who assigned it
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendAssignmentEmail = async (recipient, issue, actor) => {
+    const { unsubscribeUrl, headers } = getUnsubscribeLinks(recipient.user_id, EMAIL_LIST.ASSIGNMENT);
+    const ref = getIssueRef(issue.issue_id, issue.project_key, issue.issue_number);
+
+    const { html, text } = renderTemplate('issueAssigned', {
+        recipientName: recipient.name,
+        actorName: actor.name || 'Someone',
+        issue: {
+            ref,
+            title: issue.title,
+            url: getIssueUrl(issue.issue_id, issue.project_key, issue.issue_number),
+            status: issue.status,
+            priority: issue.priority,
+            dueDate: issue.due_date,
+            description: issue.description
+        },
+        unsubscribeUrl
+    });
+
+    return sendMail({
+        to: recipient.email,
+        subject: `[${ref}] Assigned to you: ${issue.title}`,
+        text,
+        html,
+        headers
+    });
+};
+
+/**
+ * Email a user their daily digest
+ * @param {Object} recipient - User row with user_id, name, email
+ * @param {Array<Object>} issues - [{ issueId, projectKey, issueNumber, title, changes: [{ time, actorName, description }] }]
+ * @param {string} since - Start of the period, as shown to the user
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendDailyDigestEmail = async (recipient, issues, since) => {
+    const { unsubscribeUrl, headers } = getUnsubscribeLinks(recipient.user_id, EMAIL_LIST.DAILY_DIGEST);
+    const changeCount = issues.reduce((count, issue) => count + issue.changes.length, 0);
+
+    const { html, text } = renderTemplate('dailyDigest', {
+        recipientName: recipient.name,
+        since,
+        issues: issues.map(issue => ({
+            ref: getIssueRef(issue.issueId, issue.projectKey, issue.issueNumber),
+            title: issue.title,
+            url: getIssueUrl(issue.issueId, issue.projectKey, issue.issueNumber),
+            changes: issue.changes
+        })),
+        unsubscribeUrl
+    });
+
+    return sendMail({
+        to: recipient.email,
+        subject: `Daily digest: ${changeCount} ${changeCount === 1 ? 'change' : 'changes'} on ${issues.length} ${issues.length === 1 ? 'issue' : 'issues'}`,
+        text,
+        html,
+        headers
+    });
+};
+
+module.exports = {
+    createUnsubscribeToken,
+    verifyUnsubscribeToken,
+    sendAssignmentEmail,
+    sendDailyDigestEmail
+};
@@ -0,0 +1,203 @@
+/**
+ * Notification Model - Notification Database Operations (PostgreSQL)
+ * ===================================================================
+ * In-app notifications for issue watchers, and each user's choice of
+ * which notification types they receive (all of them by default).
+ */
+
+const { query } = require('../../config/database');
+const { VALID_NOTIFICATION_TYPES } = require('../../shared/constants/notificationConstants');
+
+// Columns selected for every notification (with issue and actor info)
+const NOTIFICATION_COLUMNS = `
+    n.notification_id,
+    n.user_id,
+    n.issue_id,
+    n.actor_id,
+    n.event_type,
+    n.details,
+    n.read_at,
+    n.created_at,
+    i.title as issue_title,
+    i.issue_number,
+    p.project_key,
+    actor.name as actor_name,
+    actor.email as actor_email
+`;
+
+class NotificationModel {
+    /**
+     * Get a page of a user's notifications, newest first
+     * @param {number} userId - Recipient
+     * @param {Object} options - { page, limit, unread }
+     * @returns {Promise<Object>} - { notifications, total, unreadCount, totalPages, currentPage, perPage }
+     */
+    static async getNotifications(userId, options = {}) {
+        const { page = 1, limit = 20, unread = false } = options;
+        const offset = (page - 1) * limit;
+
+        const unreadCondition = unread ? 'AND n.read_at IS NULL' : '';
+
+        const countSql = `
+            SELECT
+                COUNT(*) FILTER (WHERE TRUE ${unreadCondition}) as total,
+                COUNT(*) FILTER (WHERE n.read_at IS NULL) as unread_count
+            FROM notifications n
+            WHERE n.user_id = $1
+        `;
+        const countResult = await query(countSql, [userId]);
+        const total = parseInt(countResult[0].total);
+
+        const sql = `
+            SELECT ${NOTIFICATION_COLUMNS}
+            FROM notifications n
+            JOIN issues i ON i.issue_id = n.issue_id
+            LEFT JOIN projects p ON p.project_id = i.project_id
+            LEFT JOIN users actor ON actor.user_id = n.actor_id
+            WHERE n.user_id = $1 ${unreadCondition}
+            ORDER BY n.created_at DESC, n.notification_id DESC
+            LIMIT $2 OFFSET $3
+        `;
+
+        const notifications = await query(sql, [userId, parseInt(limit), parseInt(offset)]);
+
+        return {
+            notifications,
+            total,
+            unreadCount: parseInt(countResult[0].unread_count),
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            perPage: parseInt(limit)
+        };
+    }
+
+    /**
+     * Count a user's unread notifications
+     * @param {number} userId - Recipient
+     * @returns {Promise<number>} - Unread count
+     */
+    static async countUnread(userId) {
+        const sql = `SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND read_at IS NULL`;
+        const results = await query(sql, [userId]);
+        return parseInt(results[0].count);
+    }
+
+    /**
+     * Mark one of a user's notifications as read (keeps the first read time)
+     * @param {number} userId - Recipient
+     * @param {number} notificationId - Notification ID
+     * @returns {Promise<Object>} - { affectedRows } (0 when the user has no such notification)
+     */
+    static async markRead(userId, notificationId) {
+        const sql = `
+            UPDATE notifications
+            SET read_at = COALESCE(read_at, NOW())
+            WHERE notification_id = $1 AND user_id = $2
+            RETURNING notification_id
+        `;
+
+        const results = await query(sql, [notificationId, userId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Mark all of a user's notifications as read
+     * @param {number} userId - Recipient
+     * @returns {Promise<Object>} - { affectedRows } (notifications that were unread)
+     */
+    static async markAllRead(userId) {
+        const sql = `
+            UPDATE notifications
+            SET read_at = NOW()
+            WHERE user_id = $1 AND read_at IS NULL
+            RETURNING notification_id
+        `;
+
+        const results = await query(sql, [userId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Get which notification types a user receives
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - { [type]: enabled } for every notification type
+     */
+    static async getPreferences(userId) {
+        const sql = `SELECT event_type, enabled FROM notification_preferences WHERE user_id = $1`;
+        const results = await query(sql, [userId]);
+
+        const preferences = {};
+        VALID_NOTIFICATION_TYPES.forEach(type => {
+            const row = results.find(result => result.event_type === type);
+            preferences[type] = row ? row.enabled : true;
+        });
+
+        return preferences;
+    }
+
+    /**
+     * Turn notification types on or off for a user (types not given are left as they are)
+     * @param {number} userId - User ID
+     * @param {Object} preferences - { [type]: enabled }
+     * @returns {Promise<Object>} - { affectedRows }
+     */
+    static async setPreferences(userId, preferences) {
+        const types = Object.keys(preferences);
+        if (types.length === 0) {
+            return { affectedRows: 0 };
+        }
+
+        const sql = `
+            INSERT INTO notification_preferences (user_id, event_type, enabled)
+            SELECT $1, *
+            FROM UNNEST($2::varchar[], $3::boolean[])
+            ON CONFLICT (user_id, event_type) DO UPDATE SET enabled = EXCLUDED.enabled
+            RETURNING event_type
+        `;
+
+        const results = await query(sql, [userId, types, types.map(type => preferences[type])]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Notify the watchers of issues, inside a transaction
+     * Each notification goes to every enabled watcher of its issue except the
+     * user who caused it, unless the watcher has turned its type off
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {Array<Object>} notifications - [{ issueId, actorId, eventType, details }]
+     * @returns {Promise<Array>} - Created rows { notification_id, user_id, issue_id, event_type }
+     */
+    static async createForWatchers(client, notifications) {
+        if (notifications.length === 0) {
+            return [];
+        }
+
+        const sql = `
+            INSERT INTO notifications (user_id, issue_id, actor_id, event_type, details, created_at)
+            SELECT w.user_id, n.issue_id, n.actor_id, n.event_type, n.details, NOW()
+            FROM UNNEST($1::int[], $2::int[], $3::varchar[], $4::jsonb[])
+                AS n(issue_id, actor_id, event_type, details)
+            JOIN issue_watchers w ON w.issue_id = n.issue_id
+            JOIN users u ON u.user_id = w.user_id AND u.is_enabled = TRUE
+            WHERE w.user_id IS DISTINCT FROM n.actor_id
+                AND NOT EXISTS (
+                    SELECT 1 FROM notification_preferences np
+                    WHERE np.user_id = w.user_id
+                        AND np.event_type = n.event_type
+                        AND np.enabled = FALSE
+                )
+            RETURNING notification_id, user_id, issue_id, event_type
+        `;
+
+        const result = await client.query(sql, [
+            notifications.map(notification => notification.issueId),
+            notifications.map(notification => notification.actorId || null),
+            notifications.map(notification => notification.eventType),
+            notifications.map(notification => JSON.stringify(notification.details || {}))
+        ]);
+
+        return result.rows;
+    }
+}
+
+module.exports = NotificationModel;
@@ -0,0 +1,166 @@
+/**
+ * Notification Routes
+ * ===================
+ * Handles the current user's notifications (created for the issues they watch)
+ * Watchers are managed through /api/issues/:id/watchers
+ */
+
+const express = require('express');
+const router = express.Router();
+const NotificationController = require('./notificationController');
+const {
+    authenticate,
+    acceptPersonalAccessTokens,
+    requireScope
+} = require('../../middleware/auth');
+const {
+    validateRequest,
+    notificationIdValidation,
+    listNotificationsValidation,
+    updateNotificationPreferencesValidation,
+    updateEmailPreferencesValidation,
+    unsubscribeValidation
+} = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { TOKEN_SCOPE } = require('../../shared/constants/tokenConstants');
+
+// Marking read and changing preferences only touch the user's own data:
+// any role, but personal access tokens need the issues:write scope
+const canUpdateNotifications = [
+    requireScope(TOKEN_SCOPE.ISSUES_WRITE)
+];
+
+// ========================================
+// Public Routes
+// ========================================
+
+/**
+ * @route   GET /api/notifications/unsubscribe
+ * @desc    Check the signed link from an email before unsubscribing (changes nothing)
+ * @access  Public
+ * @query   token
+ */
+router.get(
+    '/unsubscribe',
+    unsubscribeValidation,
+    validateRequest,
+    asyncHandler(NotificationController.getUnsubscribe)
+);
+
+/**
+ * @route   POST /api/notifications/unsubscribe
+ * @desc    Unsubscribe from assignment emails or the daily digest with the signed link from an email
+ *          (confirmation page, or RFC 8058 one-click unsubscribe from the mail client)
+ * @access  Public
+ * @query   token
+ * @body    List-Unsubscribe=One-Click (optional, sent by mail clients)
+ */
+router.post(
+    '/unsubscribe',
+    unsubscribeValidation,
+    validateRequest,
+    asyncHandler(NotificationController.unsubscribe)
+);
+
+// ========================================
+// All other routes require authentication
+// (JWT, or personal access token with the issues:read scope)
+// ========================================
+router.use(acceptPersonalAccessTokens, authenticate, requireScope(TOKEN_SCOPE.ISSUES_READ));
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications, newest first (response includes unreadCount)
+ * @access  Private
+ * @query   page, limit, unread (true to list unread ones only)
+ */
+router.get(
+    '/',
+    listNotificationsValidation,
+    validateRequest,
+    asyncHandler(NotificationController.getNotifications)
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Count the current user's unread notifications
+ * @access  Private
+ */
+router.get(
+    '/unread-count',
+    asyncHandler(NotificationController.getUnreadCount)
+);
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all of the current user's notifications as read
+ * @access  Private
+ */
+router.post(
+    '/read-all',
+    canUpdateNotifications,
+    asyncHandler(NotificationController.markAllRead)
+);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get which notification types the current user receives (all by default)
+ * @access  Private
+ */
+router.get(
+    '/preferences',
+    asyncHandler(NotificationController.getPreferences)
+);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Turn notification types on or off
+ * @access  Private
+ * @body    { issue_updated?, status_changed?, assigned?, comment_added? } - true or false
+ */
+router.put(
+    '/preferences',
+    canUpdateNotifications,
+    updateNotificationPreferencesValidation,
+    validateRequest,
+    asyncHandler(NotificationController.updatePreferences)
+);
+
+/**
+ * @route   GET /api/notifications/email-preferences
+ * @desc    Get which emails the current user receives (assignment emails on, daily digest off by default)
+ * @access  Private
+ */
+router.get(
+    '/email-preferences',
+    asyncHandler(NotificationController.getEmailPreferences)
+);
+
+/**
+ * @route   PUT /api/notifications/email-preferences
+ * @desc    Turn assignment emails or the daily digest on or off
+ * @access  Private
+ * @body    { assignmentEmails?, dailyDigest? } - true or false
+ */
+router.put(
+    '/email-preferences',
+    canUpdateNotifications,
+    updateEmailPreferencesValidation,
+    validateRequest,
+    asyncHandler(NotificationController.updateEmailPreferences)
+);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch(
+    '/:id/read',
+    canUpdateNotifications,
+    notificationIdValidation,
+    validateRequest,
+    asyncHandler(NotificationController.markRead)
+);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+/**
+ * Notification Service - Watchers and Notifications for Issue Activity
+ * =====================================================================
+ * Turns recorded issue events and new comments into notifications for the
+ * issue's watchers. Runs in the transaction of the change, so a change and
+ * its notifications are saved together.
+ *
+ * Creators and assignees start watching an issue here, when the event that
+ * makes them so is recorded.
+ *
+ * Assignment emails are sent once the change is saved (emailNewAssignee).
+ */
+
+const NotificationModel = require('./notificationModel');
+const EmailNotificationModel = require('./emailNotificationModel');
+const IssueWatcherModel = require('../issues/issueWatcherModel');
+const AuthModel = require('../auth/authModel');
+const { sendAssignmentEmail } = require('./notificationEmails');
+const { ISSUE_EVENT_TYPE } = require('../../shared/constants/issueConstants');
+const { NOTIFICATION_TYPE } = require('../../shared/constants/notificationConstants');
+
+/**
+ * Users who start watching because of the events (creator, new assignee)
+ * @param {Array<Object>} events - Issue events
+ * @returns {Array<Object>} - [{ issueId, userId }]
+ */
+const getAutoWatchers = (events) => {
+    const watchers = [];
+
+    events.forEach(event => {
+        if (event.eventType === ISSUE_EVENT_TYPE.CREATED && event.actorId) {
+            watchers.push({ issueId: event.issueId, userId: event.actorId });
+        }
+        if (event.eventType === ISSUE_EVENT_TYPE.ASSIGNED && event.newValue) {
+            watchers.push({ issueId: event.issueId, userId: parseInt(event.newValue) });
+        }
+    });
+
+    return watchers;
+};
+
+/**
+ * Build the notifications for the events of one change
+ * One notification per issue and type: field updates are combined, and the
+ * field values set when an issue is created are not reported as updates.
+ * Creation, deletion and link events do not notify.
+ * @param {Array<Object>} events - Issue events
+ * @returns {Array<Object>} - [{ issueId, actorId, eventType, details }]
+ */
+const buildNotifications = (events) => {
+    const notifications = [];
+    const updates = new Map();
+    const createdIssueIds = new Set(
+        events.filter(event => event.eventType === ISSUE_EVENT_TYPE.CREATED).map(event => event.issueId)
+    );
+
+    events.forEach(event => {
+        const { issueId, actorId = null } = event;
+
+        switch (event.eventType) {
+            case ISSUE_EVENT_TYPE.STATUS_CHANGED:
+                notifications.push({
+                    issueId,
+                    actorId,
+                    eventType: NOTIFICATION_TYPE.STATUS_CHANGED,
+                    details: { from: event.oldValue, to: event.newValue }
+                });
+                break;
+
+            case ISSUE_EVENT_TYPE.ASSIGNED:
+                notifications.push({
+                    issueId,
+                    actorId,
+                    eventType: NOTIFICATION_TYPE.ASSIGNED,
+                    details: {
+                        from: event.oldValue ? parseInt(event.oldValue) : null,
+                        to: event.newValue ? parseInt(event.newValue) : null
+                    }
+                });
+                break;
+
+            case ISSUE_EVENT_TYPE.UPDATED:
+                if (!createdIssueIds.has(issueId)) {
+                    if (!updates.has(issueId)) {
+                        const notification = {
+                            issueId,
+                            actorId,
+                            eventType: NOTIFICATION_TYPE.ISSUE_UPDATED,
+                            details: { fields: [] }
+                        };
+                        updates.set(issueId, notification);
+                        notifications.push(notification);
+                    }
+                    updates.get(issueId).details.fields.push(event.field);
+                }
+                break;
+
+            default:
+                break;
+        }
+    });
+
+    return notifications;
+};
+
+/**
+ * Update watchers and notify them of recorded issue events
+ * @param {Object} client - Transaction client (from withTransaction)
+ * @param {Array<Object>} events - [{ issueId, actorId, eventType, field, oldValue, newValue }]
+ * @returns {Promise<Array>} - Created notifications
+ */
+const notifyIssueEvents = async (client, events) => {
+    await IssueWatcherModel.addWatchers(client, getAutoWatchers(events));
+    return NotificationModel.createForWatchers(client, buildNotifications(events));
+};
+
+/**
+ * Notify the watchers of an issue of a new comment
+ * @param {Object} client - Transaction client (from withTransaction)
+ * @param {Object} comment - { issueId, commentId, parentId, authorId }
+ * @returns {Promise<Array>} - Created notifications
+ */
+const notifyComment = async (client, comment) => {
+    const { issueId, commentId, parentId = null, authorId } = comment;
+
+    return NotificationModel.createForWatchers(client, [{
+        issueId,
+        actorId: authorId,
+        eventType: NOTIFICATION_TYPE.COMMENT_ADDED,
+        details: { commentId, parentId }
+    }]);
+};
+
+/**
+ * Email the new assignee of an issue, unless they assigned it to themselves
+ * or turned assignment emails off
+ * Delivery errors are logged, not thrown: the assignment itself is already saved
+ * @param {Object} issue - Issue row (from IssueModel.getIssueById)
+ * @param {number} assigneeId - New assignee
+ * @param {Object} actor - { userId, name } of the user who assigned it
+ * @returns {Promise<boolean>} - True if an email was handed to the transport
+ */
+const emailNewAssignee = async (issue, assigneeId, actor) => {
+    if (!assigneeId || parseInt(assigneeId) === actor.userId) {
+        return false;
+    }
+
+    const recipient = await AuthModel.getUserById(assigneeId);
+    if (!recipient || !recipient.is_enabled) {
+        return false;
+    }
+
+    const preferences = await EmailNotificationModel.getPreferences(recipient.user_id);
+    if (!preferences.assignment_emails) {
+        return false;
+    }
+
+    try {
+        await sendAssignmentEmail(recipient, issue, actor);
+        return true;
+    } catch (mailError) {
+        console.error('Failed to send assignment email:', mailError.message);
+        return false;
+    }
+};
+
+module.exports = {
+    notifyIssueEvents,
+    notifyComment,
+    emailNewAssignee
+};
@@ -0,0 +1,243 @@
+/**
+ * Project Controller
+ * ==================
+ * Handles projects (key, name, description) and their members
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const ProjectModel = require('./projectModel');
+const AuthModel = require('../auth/authModel');
+const {
+    successResponse,
+    createdResponse,
+    notFoundResponse,
+    badRequestResponse
+} = require('../../shared/utils/responseHelper');
+
+class ProjectController {
+    /**
+     * GET /api/projects
+     * Get all projects
+     */
+    static async getAllProjects(req, res, next) {
+        try {
+            const projects = await ProjectModel.getAllProjects({ search: req.query.search });
+
+            return successResponse(
+                res,
+                projects.map(project => formatProjectResponse(project)),
+                'Projects retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/projects/:id
+     * Get single project by ID or key
+     */
+    static async getProjectById(req, res, next) {
+        try {
+            const project = await ProjectModel.findByIdOrKey(req.params.id);
+
+            if (!project) {
+                return notFoundResponse(res, 'Project not found');
+            }
+
+            return successResponse(res, formatProjectResponse(project), 'Project retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/projects
+     * Create a project (the creator becomes a member)
+     */
+    static async createProject(req, res, next) {
+        try {
+            const { key, name, description } = req.body;
+
+            if (await ProjectModel.keyExists(key)) {
+                return badRequestResponse(res, 'A project with this key already exists');
+            }
+
+            const result = await ProjectModel.createProject({
+                key,
+                name,
+                description,
+                createdBy: req.user.userId
+            });
+
+            const project = await ProjectModel.findByIdOrKey(result.insertId);
+
+            return createdResponse(res, formatProjectResponse(project), 'Project created successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/projects/:id
+     * Rename or describe a project
+     */
+    static async updateProject(req, res, next) {
+        try {
+            const { name, description } = req.body;
+
+            const project = await ProjectModel.findByIdOrKey(req.params.id);
+            if (!project) {
+                return notFoundResponse(res, 'Project not found');
+            }
+
+            await ProjectModel.updateProject(project.project_id, { name, description });
+
+            const updatedProject = await ProjectModel.findByIdOrKey(project.project_id);
+
+            return successResponse(res, formatProjectResponse(updatedProject), 'Project updated successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/projects/:id
+     * Delete a project that has no issues
+     */
+    static async deleteProject(req, res, next) {
+        try {
+            const project = await ProjectModel.findByIdOrKey(req.params.id);
+            if (!project) {
+                return notFoundResponse(res, 'Project not found');
+            }
+
+            if (parseInt(project.issue_count) > 0) {
+                return badRequestResponse(res, 'Cannot delete a project that still has issues');
+            }
+
+            await ProjectModel.deleteProject(project.project_id);
+
+            return successResponse(res, null, 'Project deleted successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/projects/:id/members
+     * Get the members of a project
+     */
+    static async getMembers(req, res, next) {
+        try {
+            const project = await ProjectModel.findByIdOrKey(req.params.id);
+            if (!project) {
+                return notFoundResponse(res, 'Project not found');
+            }
+
+            const members = await ProjectModel.getMembers(project.project_id);
+
+            return successResponse(
+                res,
+                members.map(member => formatMemberResponse(member)),
+                'Project members retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/projects/:id/members
+     * Add a user to a project
+     */
+    static async addMember(req, res, next) {
+        try {
+            const { userId } = req.body;
+
+            const project = await ProjectModel.findByIdOrKey(req.params.id);
+            if (!project) {
+                return notFoundResponse(res, 'Project not found');
+            }
+
+            const user = await AuthModel.getUserById(userId);
+            if (!user || !user.is_enabled) {
+                return badRequestResponse(res, 'User not found or disabled');
+            }
+
+            const result = await ProjectModel.addMember(project.project_id, userId, req.user.userId);
+
+            return successResponse(
+                res,
+                null,
+                result.affectedRows > 0 ? 'Member added successfully' : 'User is already a member'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/projects/:id/members/:userId
+     * Remove a user from a project (their issues stay in the project)
+     */
+    static async removeMember(req, res, next) {
+        try {
+            const project = await ProjectModel.findByIdOrKey(req.params.id);
+            if (!project) {
+                return notFoundResponse(res, 'Project not found');
+            }
+
+            const result = await ProjectModel.removeMember(project.project_id, req.params.userId);
+
+            if (result.affectedRows === 0) {
+                return notFoundResponse(res, 'User is not a member of this project');
+            }
+
+            return successResponse(res, null, 'Member removed successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to format project response
+ */
+function formatProjectResponse(project) {
+    return {
+        id: project.project_id,
+        key: project.project_key,
+        name: project.name,
+        description: project.description,
+        issueCount: parseInt(project.issue_count),
+        memberCount: parseInt(project.member_count),
+        createdBy: project.created_by,
+        createdAt: project.created_at,
+        updatedAt: project.updated_at
+    };
+}
+
+/**
+ * Helper function to format project member response
+ */
+function formatMemberResponse(member) {
+    return {
+        id: member.user_id,
+        name: member.name,
+        email: member.email,
+        role: member.role,
+        addedAt: member.created_at
+    };
+}
+
+module.exports = ProjectController;
@@ -0,0 +1,238 @@
+/**
+ * Project Model - Project Database Operations (PostgreSQL)
+ * =========================================================
+ * Projects group issues under a short key (e.g. "WEB") and number them
+ * per project (WEB-1, WEB-2, ...). Members may file issues in the project.
+ */
+
+const { query, withTransaction } = require('../../config/database');
+
+// Columns selected for every project (with issue and member counts)
+const PROJECT_COLUMNS = `
+    p.project_id,
+    p.project_key,
+    p.name,
+    p.description,
+    p.created_by,
+    p.created_at,
+    p.updated_at,
+    (SELECT COUNT(*) FROM issues i WHERE i.project_id = p.project_id) as issue_count,
+    (SELECT COUNT(*) FROM project_members pm WHERE pm.project_id = p.project_id) as member_count
+`;
+
+class ProjectModel {
+    /**
+     * Get all projects
+     * @param {Object} options - { search }
+     * @returns {Promise<Array>} - Projects ordered by key
+     */
+    static async getAllProjects(options = {}) {
+        const { search } = options;
+
+        let conditions = ['1=1'];
+        let params = [];
+        let paramIndex = 1;
+
+        if (search) {
+            conditions.push(`(p.name ILIKE $${paramIndex} OR p.project_key ILIKE $${paramIndex})`);
+            paramIndex++;
+            params.push(`%${search}%`);
+        }
+
+        const sql = `
+            SELECT ${PROJECT_COLUMNS}
+            FROM projects p
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY p.project_key ASC
+        `;
+
+        return query(sql, params);
+    }
+
+    /**
+     * Get a project by numeric ID or by key (case-insensitive)
+     * @param {string|number} projectRef - Project ID or key
+     * @returns {Promise<Object|null>} - Project or null
+     */
+    static async findByIdOrKey(projectRef) {
+        const isId = /^\d+$/.test(String(projectRef));
+
+        const sql = `
+            SELECT ${PROJECT_COLUMNS}
+            FROM projects p
+            WHERE ${isId ? 'p.project_id = $1' : 'p.project_key = UPPER($1)'}
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [isId ? parseInt(projectRef) : String(projectRef)]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Check if a project key is taken
+     * @param {string} projectKey - Project key
+     * @returns {Promise<boolean>} - True if taken
+     */
+    static async keyExists(projectKey) {
+        const sql = `SELECT COUNT(*) as count FROM projects WHERE project_key = UPPER($1)`;
+        const results = await query(sql, [projectKey]);
+        return parseInt(results[0].count) > 0;
+    }
+
+    /**
+     * Create a project; the creator becomes its first member
+     * @param {Object} projectData - { key, name, description, createdBy }
+     * @returns {Promise<Object>} - { insertId }
+     */
+    static async createProject(projectData) {
+        const { key, name, description = null, createdBy } = projectData;
+
+        return withTransaction(async (client) => {
+            const results = await client.query(
+                `INSERT INTO projects (project_key, name, description, created_by, created_at, updated_at)
+                 VALUES (UPPER($1), $2, $3, $4, NOW(), NOW())
+                 RETURNING project_id`,
+                [key, name, description, createdBy]
+            );
+
+            const projectId = results.rows[0].project_id;
+
+            await client.query(
+                `INSERT INTO project_members (project_id, user_id, added_by, created_at)
+                 VALUES ($1, $2, $2, NOW())`,
+                [projectId, createdBy]
+            );
+
+            return { insertId: projectId };
+        });
+    }
+
+    /**
+     * Update a project's name or description (the key never changes)
+     * @param {number} projectId - Project ID
+     * @param {Object} projectData - { name?, description? }
+     * @returns {Promise<Object>} - Update result
+     */
+    static async updateProject(projectId, projectData) {
+        const { name, description } = projectData;
+
+        let updateFields = [];
+        let params = [];
+        let paramIndex = 1;
+
+        if (name !== undefined) {
+            updateFields.push(`name = $${paramIndex++}`);
+            params.push(name);
+        }
+        if (description !== undefined) {
+            updateFields.push(`description = $${paramIndex++}`);
+            params.push(description);
+        }
+
+        if (updateFields.length === 0) {
+            return { affectedRows: 0 };
+        }
+
+        updateFields.push('updated_at = NOW()');
+
+        const sql = `
+            UPDATE projects
+            SET ${updateFields.join(', ')}
+            WHERE project_id = $${paramIndex}
+            RETURNING project_id
+        `;
+
+        params.push(projectId);
+        const results = await query(sql, params);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Delete a project (only possible once it has no issues)
+     * @param {number} projectId - Project ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    static async deleteProject(projectId) {
+        const sql = `DELETE FROM projects WHERE project_id = $1 RETURNING project_id`;
+        const results = await query(sql, [projectId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Get the members of a project
+     * @param {number} projectId - Project ID
+     * @returns {Promise<Array>} - Members ordered by name
+     */
+    static async getMembers(projectId) {
+        const sql = `
+            SELECT
+                pm.project_id,
+                pm.user_id,
+                pm.created_at,
+                u.name,
+                u.email,
+                u.role
+            FROM project_members pm
+            JOIN users u ON u.user_id = pm.user_id
+            WHERE pm.project_id = $1
+            ORDER BY u.name ASC
+        `;
+
+        return query(sql, [projectId]);
+    }
+
+    /**
+     * Add a member to a project (no-op if already a member)
+     * @param {number} projectId - Project ID
+     * @param {number} userId - User to add
+     * @param {number} addedBy - User adding them
+     * @returns {Promise<Object>} - { affectedRows } (0 if already a member)
+     */
+    static async addMember(projectId, userId, addedBy) {
+        const sql = `
+            INSERT INTO project_members (project_id, user_id, added_by, created_at)
+            VALUES ($1, $2, $3, NOW())
+            ON CONFLICT DO NOTHING
+            RETURNING user_id
+        `;
+
+        const results = await query(sql, [projectId, userId, addedBy]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Remove a member from a project
+     * @param {number} projectId - Project ID
+     * @param {number} userId - User to remove
+     * @returns {Promise<Object>} - Delete result
+     */
+    static async removeMember(projectId, userId) {
+        const sql = `
+            DELETE FROM project_members
+            WHERE project_id = $1 AND user_id = $2
+            RETURNING user_id
+        `;
+
+        const results = await query(sql, [projectId, userId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Check if a user is a member of a project
+     * @param {number} projectId - Project ID
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} - True if member
+     */
+    static async isMember(projectId, userId) {
+        const sql = `
+            SELECT COUNT(*) as count
+            FROM project_members
+            WHERE project_id = $1 AND user_id = $2
+        `;
+
+        const results = await query(sql, [projectId, userId]);
+        return parseInt(results[0].count) > 0;
+    }
+}
+
+module.exports = ProjectModel;
@@ -0,0 +1,148 @@
+/**
+ * Project Routes
+ * ==============
+ * Handles project and project membership endpoints
+ * Projects are referenced by numeric ID or by key (e.g. /api/projects/WEB)
+ */
+
+const express = require('express');
+const router = express.Router();
+const ProjectController = require('./projectController');
+const {
+    authenticate,
+    authorize,
+    acceptPersonalAccessTokens,
+    requireScope
+} = require('../../middleware/auth');
+const {
+    validateRequest,
+    projectIdValidation,
+    createProjectValidation,
+    updateProjectValidation,
+    addProjectMemberValidation,
+    projectMemberValidation
+} = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+const { TOKEN_SCOPE } = require('../../shared/constants/tokenConstants');
+
+// Projects and their members are managed by admins
+const canManageProjects = [
+    authorize(USER_ROLE.ADMIN),
+    requireScope(TOKEN_SCOPE.ISSUES_WRITE)
+];
+
+// ========================================
+// All routes require authentication
+// (JWT, or personal access token with the issues:read scope)
+// ========================================
+router.use(acceptPersonalAccessTokens, authenticate, requireScope(TOKEN_SCOPE.ISSUES_READ));
+
+/**
+ * @route   GET /api/projects
+ * @desc    Get all projects with issue and member counts
+ * @access  Private
+ * @query   search (optional)
+ */
+router.get(
+    '/',
+    asyncHandler(ProjectController.getAllProjects)
+);
+
+/**
+ * @route   POST /api/projects
+ * @desc    Create a project
+ * @access  Private (admin)
+ * @body    { key, name, description? } - key: 2-10 letters/digits, e.g. "WEB"
+ */
+router.post(
+    '/',
+    canManageProjects,
+    createProjectValidation,
+    validateRequest,
+    asyncHandler(ProjectController.createProject)
+);
+
+/**
+ * @route   GET /api/projects/:id
+ * @desc    Get single project by ID or key
+ * @access  Private
+ */
+router.get(
+    '/:id',
+    projectIdValidation,
+    validateRequest,
+    asyncHandler(ProjectController.getProjectById)
+);
+
+/**
+ * @route   PUT /api/projects/:id
+ * @desc    Update a project's name or description (the key cannot change)
+ * @access  Private (admin)
+ * @body    { name?, description? }
+ */
+router.put(
+    '/:id',
+    canManageProjects,
+    updateProjectValidation,
+    validateRequest,
+    asyncHandler(ProjectController.updateProject)
+);
+
+/**
+ * @route   DELETE /api/projects/:id
+ * @desc    Delete a project (it must have no issues)
+ * @access  Private (admin)
+ */
+router.delete(
+    '/:id',
+    canManageProjects,
+    projectIdValidation,
+    validateRequest,
+    asyncHandler(ProjectController.deleteProject)
+);
+
+// ========================================
+// Members
+// ========================================
+
+/**
+ * @route   GET /api/projects/:id/members
+ * @desc    Get the members of a project
+ * @access  Private
+ */
+router.get(
+    '/:id/members',
+    projectIdValidation,
+    validateRequest,
+    asyncHandler(ProjectController.getMembers)
+);
+
+/**
+ * @route   POST /api/projects/:id/members
+ * @desc    Add a member to a project
+ * @access  Private (admin)
+ * @body    { userId }
+ */
+router.post(
+    '/:id/members',
+    canManageProjects,
+    addProjectMemberValidation,
+    validateRequest,
+    asyncHandler(ProjectController.addMember)
+);
+
+/**
+ * @route   DELETE /api/projects/:id/members/:userId
+ * @desc    Remove a member from a project
+ * @access  Private (admin)
+ */
+router.delete(
+    '/:id/members/:userId',
+    canManageProjects,
+    projectMemberValidation,
+    validateRequest,
+    asyncHandler(ProjectController.removeMember)
+);
+
+module.exports = router;
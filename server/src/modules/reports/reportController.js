@@ -0,0 +1,94 @@
+/**
+ * Report Controller
+ * =================
+ * Handles aggregated reports (time logged on issues)
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const WorklogModel = require('../issues/worklogModel');
+const ProjectModel = require('../projects/projectModel');
+const {
+    successResponse,
+    notFoundResponse,
+    badRequestResponse
+} = require('../../shared/utils/responseHelper');
+
+class ReportController {
+    /**
+     * GET /api/reports/time
+     * Logged time grouped by user, issue or day, within an optional date range
+     */
+    static async getTimeReport(req, res, next) {
+        try {
+            const { groupBy = 'user', from, to, userId, issueId, project } = req.query;
+
+            if (from && to && to < from) {
+                return badRequestResponse(res, 'The end of the date range cannot be before its start');
+            }
+
+            let projectId;
+            if (project) {
+                const foundProject = await ProjectModel.findByIdOrKey(project);
+                if (!foundProject) {
+                    return notFoundResponse(res, 'Project not found');
+                }
+                projectId = foundProject.project_id;
+            }
+
+            const rows = await WorklogModel.getTimeReport({ groupBy, from, to, userId, issueId, projectId });
+            const groups = rows.map(row => formatReportGroup(groupBy, row));
+
+            return successResponse(
+                res,
+                {
+                    groupBy,
+                    from: from || null,
+                    to: to || null,
+                    totalMinutes: groups.reduce((sum, group) => sum + group.totalMinutes, 0),
+                    groups
+                },
+                'Time report retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to format a time report group
+ */
+function formatReportGroup(groupBy, row) {
+    const totals = {
+        totalMinutes: parseInt(row.total_minutes),
+        entryCount: parseInt(row.entry_count)
+    };
+
+    if (groupBy === 'issue') {
+        return {
+            issue: {
+                id: row.issue_id,
+                key: row.project_key ? `${row.project_key}-${row.issue_number}` : null,
+                title: row.title
+            },
+            ...totals
+        };
+    }
+
+    if (groupBy === 'date') {
+        return { date: row.work_date, ...totals };
+    }
+
+    return {
+        user: {
+            id: row.user_id,
+            name: row.user_name,
+            email: row.user_email
+        },
+        ...totals
+    };
+}
+
+module.exports = ReportController;
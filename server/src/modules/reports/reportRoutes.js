@@ -0,0 +1,42 @@
+/**
+ * Report Routes
+ * =============
+ * Handles reporting endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const ReportController = require('./reportController');
+const {
+    authenticate,
+    acceptPersonalAccessTokens,
+    requireScope
+} = require('../../middleware/auth');
+const {
+    validateRequest,
+    timeReportValidation
+} = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { TOKEN_SCOPE } = require('../../shared/constants/tokenConstants');
+
+// ========================================
+// All routes require authentication
+// (JWT, or personal access token with the issues:read scope)
+// ========================================
+router.use(acceptPersonalAccessTokens, authenticate, requireScope(TOKEN_SCOPE.ISSUES_READ));
+
+/**
+ * @route   GET /api/reports/time
+ * @desc    Time logged on issues, aggregated by user, issue or day
+ * @access  Private
+ * @query   groupBy (user | issue | date, default user), from, to (YYYY-MM-DD, inclusive),
+ *          userId, issueId, project (ID or key) (optional filters)
+ */
+router.get(
+    '/time',
+    timeReportValidation,
+    validateRequest,
+    asyncHandler(ReportController.getTimeReport)
+);
+
+module.exports = router;
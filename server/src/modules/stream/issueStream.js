@@ -0,0 +1,244 @@
+/**
+ * Issue Stream - Live Issue Updates Across Server Processes
+ * ==========================================================
+ * Issue activity (see issues/issueActivity.js) is published with Postgres
+ * NOTIFY in the transaction of the change, so it is only sent once the
+ * change is saved. Every server process with connected stream clients
+ * LISTENs on one dedicated connection and passes the messages on to them,
+ * whichever process made the change.
+ *
+ * Messages sent while a listening connection is down are lost: when it is
+ * reopened, clients are told to resync (reload what they show).
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const StreamModel = require('./streamModel');
+const { createDedicatedClient } = require('../../config/database');
+const { buildIssueActivity } = require('../issues/issueActivity');
+
+// Postgres channel of issue activity messages
+const ISSUE_ACTIVITY_CHANNEL = 'issue_activity';
+
+// NOTIFY payloads must stay under 8000 bytes
+const MAX_PAYLOAD_BYTES = 7500;
+
+// Wait before reopening a dropped listening connection
+const RECONNECT_DELAY_MS = 5000;
+
+// Stream clients of this process ('activity' and 'resync' listeners)
+const subscribers = new EventEmitter();
+subscribers.setMaxListeners(0);
+
+let listenerClient = null;
+let connecting = null;
+let reconnectTimer = null;
+
+/**
+ * Serialize a message for NOTIFY
+ * Changed values are left out of messages that would be too large (long descriptions)
+ * @param {Object} message - Stream message
+ * @returns {string}
+ */
+const serializeMessage = (message) => {
+    const payload = JSON.stringify(message);
+    if (Buffer.byteLength(payload) <= MAX_PAYLOAD_BYTES) {
+        return payload;
+    }
+
+    return JSON.stringify({
+        ...message,
+        changes: message.changes.map(change => ({ field: change.field }))
+    });
+};
+
+/**
+ * Publish recorded issue events to the stream clients of every server process
+ * @param {Object} client - Transaction client (from withTransaction)
+ * @param {Array<Object>} events - [{ issueId, actorId, eventType, field, oldValue, newValue }]
+ * @returns {Promise<void>}
+ */
+const publishIssueActivity = async (client, events) => {
+    const activity = buildIssueActivity(events);
+    if (activity.length === 0) {
+        return;
+    }
+
+    const issues = new Map(
+        (await StreamModel.getIssueSummaries(client, activity.map(message => message.issueId)))
+            .map(issue => [issue.issue_id, {
+                id: issue.issue_id,
+                key: issue.project_key ? `${issue.project_key}-${issue.issue_number}` : null,
+                projectId: issue.project_id,
+                title: issue.title,
+                status: issue.status
+            }])
+    );
+
+    const occurredAt = new Date().toISOString();
+
+    await StreamModel.notify(client, ISSUE_ACTIVITY_CHANNEL, activity.map(message => serializeMessage({
+        id: crypto.randomUUID(),
+        type: message.type,
+        occurredAt,
+        actorId: message.actorId,
+        // Deleted issues can no longer be looked up
+        issue: issues.get(message.issueId)
+            || { id: message.issueId, key: null, projectId: message.projectId, title: message.title, status: null },
+        changes: message.changes
+    })));
+};
+
+/**
+ * Close the listening connection (when the last client leaves)
+ */
+const stopListening = () => {
+    const client = listenerClient;
+    listenerClient = null;
+
+    if (client) {
+        client.removeAllListeners();
+        client.on('error', () => {});
+        client.end().catch(() => {});
+    }
+};
+
+/**
+ * Open the listening connection
+ * @returns {Promise<Object>} - Connected client
+ */
+const openListener = async () => {
+    const client = createDedicatedClient();
+
+    client.on('notification', ({ channel, payload }) => {
+        if (channel !== ISSUE_ACTIVITY_CHANNEL) {
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(payload);
+        } catch (error) {
+            console.error('Ignoring invalid issue stream message:', error.message);
+            return;
+        }
+
+        subscribers.emit('activity', message);
+    });
+
+    client.on('error', error => {
+        console.error('Issue stream connection lost:', error.message);
+        handleDisconnect(client);
+    });
+    client.on('end', () => handleDisconnect(client));
+
+    try {
+        await client.connect();
+        await client.query(`LISTEN ${ISSUE_ACTIVITY_CHANNEL}`);
+    } catch (error) {
+        client.removeAllListeners();
+        client.end().catch(() => {});
+        throw error;
+    }
+
+    return client;
+};
+
+/**
+ * Make sure this process is listening
+ * @returns {Promise<void>}
+ */
+const ensureListening = async () => {
+    if (listenerClient) {
+        return;
+    }
+
+    if (!connecting) {
+        connecting = openListener()
+            .then(client => {
+                listenerClient = client;
+            })
+            .finally(() => {
+                connecting = null;
+            });
+    }
+
+    await connecting;
+};
+
+/**
+ * Reopen the listening connection after a while, and tell clients to resync
+ */
+const scheduleReconnect = () => {
+    if (reconnectTimer) {
+        return;
+    }
+
+    reconnectTimer = setTimeout(async () => {
+        reconnectTimer = null;
+
+        if (subscribers.listenerCount('activity') === 0) {
+            return;
+        }
+
+        try {
+            await ensureListening();
+            subscribers.emit('resync');
+        } catch (error) {
+            console.error('Issue stream reconnect failed:', error.message);
+            scheduleReconnect();
+        }
+    }, RECONNECT_DELAY_MS);
+
+    reconnectTimer.unref();
+};
+
+/**
+ * Handle a dropped listening connection
+ * @param {Object} client - Client that dropped
+ */
+const handleDisconnect = (client) => {
+    if (client !== listenerClient) {
+        return;
+    }
+
+    stopListening();
+
+    if (subscribers.listenerCount('activity') > 0) {
+        scheduleReconnect();
+    }
+};
+
+/**
+ * Receive the issue activity of all server processes
+ * Resolves once this process is listening.
+ * @param {Object} handlers - { onActivity(message), onResync() }
+ * @returns {Promise<Function>} - Unsubscribe function
+ */
+const subscribeToIssueActivity = async ({ onActivity, onResync }) => {
+    subscribers.on('activity', onActivity);
+    subscribers.on('resync', onResync);
+
+    const unsubscribe = () => {
+        subscribers.off('activity', onActivity);
+        subscribers.off('resync', onResync);
+
+        if (subscribers.listenerCount('activity') === 0) {
+            stopListening();
+        }
+    };
+
+    try {
+        await ensureListening();
+    } catch (error) {
+        unsubscribe();
+        throw error;
+    }
+
+    return unsubscribe;
+};
+
+module.exports = {
+    publishIssueActivity,
+    subscribeToIssueActivity
+};
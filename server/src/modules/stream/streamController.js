@@ -0,0 +1,124 @@
+/**
+ * Stream Controller
+ * =================
+ * Handles the live issue stream (Server-Sent Events)
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const ProjectModel = require('../projects/projectModel');
+const { subscribeToIssueActivity } = require('./issueStream');
+const { notFoundResponse } = require('../../shared/utils/responseHelper');
+
+// Comment line sent this often so proxies do not close an idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting a dropped stream
+const CLIENT_RETRY_MS = 5000;
+
+class StreamController {
+    /**
+     * GET /api/stream/issues
+     * Stream issue activity as Server-Sent Events, optionally for one project,
+     * one issue or some activity types only
+     */
+    static async streamIssueEvents(req, res, next) {
+        try {
+            const { project, issueId, events } = req.query;
+
+            let projectId = null;
+            if (project) {
+                const foundProject = await ProjectModel.findByIdOrKey(project);
+                if (!foundProject) {
+                    return notFoundResponse(res, 'Project not found');
+                }
+                projectId = foundProject.project_id;
+            }
+
+            const filters = {
+                projectId,
+                issueId: issueId ? parseInt(issueId) : null,
+                events: events ? events.split(',').map(type => type.trim()) : null
+            };
+
+            const send = (event, data, id) => {
+                res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+
+            let closed = false;
+            let heartbeat = null;
+            let unsubscribe = null;
+
+            res.on('close', () => {
+                closed = true;
+                clearInterval(heartbeat);
+                if (unsubscribe) {
+                    unsubscribe();
+                }
+            });
+
+            // Headers go out before subscribing: events can arrive while the
+            // subscription is still being set up
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                Connection: 'keep-alive',
+                // Stop nginx from buffering the stream
+                'X-Accel-Buffering': 'no'
+            });
+            res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+            try {
+                unsubscribe = await subscribeToIssueActivity({
+                    onActivity: message => {
+                        if (matchesFilters(message, filters)) {
+                            send(message.type, message, message.id);
+                        }
+                    },
+                    onResync: () => send('resync', { reason: 'Some updates may have been missed; reload the data shown' })
+                });
+            } catch (error) {
+                // Too late for an error response: end the stream and let the client retry
+                console.error('Issue stream subscription failed:', error.message);
+                return res.end();
+            }
+
+            // The client may have gone while the stream was being set up
+            if (closed) {
+                return unsubscribe();
+            }
+
+            send('ready', { filters });
+
+            heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to check a stream message against the client's filters
+ * An issue moved out of the filtered project still matches, so the client sees it leave.
+ */
+function matchesFilters(message, filters) {
+    if (filters.events && !filters.events.includes(message.type)) {
+        return false;
+    }
+
+    if (filters.issueId && message.issue.id !== filters.issueId) {
+        return false;
+    }
+
+    if (filters.projectId) {
+        const movedFrom = (message.changes || []).some(change =>
+            change.field === 'projectId' && parseInt(change.from) === filters.projectId
+        );
+        return message.issue.projectId === filters.projectId || movedFrom;
+    }
+
+    return true;
+}
+
+module.exports = StreamController;
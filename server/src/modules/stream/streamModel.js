@@ -0,0 +1,48 @@
+/**
+ * Stream Model - Live Update Database Operations (PostgreSQL)
+ * ============================================================
+ * Postgres NOTIFY for the live issue stream: notifications sent in a
+ * transaction are delivered to every listening server process when (and
+ * only if) the transaction commits.
+ */
+
+class StreamModel {
+    /**
+     * Get the issue fields included in stream messages
+     * Reads through the transaction client, so changes not yet committed are seen.
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {Array<number>} issueIds - Issue IDs
+     * @returns {Promise<Array>} - [{ issue_id, title, status, project_id, project_key, issue_number }]
+     */
+    static async getIssueSummaries(client, issueIds) {
+        const sql = `
+            SELECT i.issue_id, i.title, i.status, i.project_id, p.project_key, i.issue_number
+            FROM issues i
+            LEFT JOIN projects p ON p.project_id = i.project_id
+            WHERE i.issue_id = ANY($1::int[])
+        `;
+
+        const results = await client.query(sql, [issueIds]);
+        return results.rows;
+    }
+
+    /**
+     * Send notifications on a channel (delivered when the transaction commits)
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {string} channel - Channel name
+     * @param {Array<string>} payloads - Payloads (under 8000 bytes each)
+     * @returns {Promise<void>}
+     */
+    static async notify(client, channel, payloads) {
+        if (payloads.length === 0) {
+            return;
+        }
+
+        await client.query(
+            'SELECT pg_notify($1, payload) FROM UNNEST($2::text[]) as payload',
+            [channel, payloads]
+        );
+    }
+}
+
+module.exports = StreamModel;
@@ -0,0 +1,46 @@
+/**
+ * Stream Routes
+ * =============
+ * Live updates as Server-Sent Events, so dashboards do not have to poll
+ * Messages reach clients of every server process (Postgres LISTEN/NOTIFY)
+ */
+
+const express = require('express');
+const router = express.Router();
+const StreamController = require('./streamController');
+const {
+    authenticate,
+    acceptPersonalAccessTokens,
+    acceptQueryToken,
+    requireScope
+} = require('../../middleware/auth');
+const {
+    validateRequest,
+    streamIssuesValidation
+} = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { TOKEN_SCOPE } = require('../../shared/constants/tokenConstants');
+
+// ========================================
+// All routes require authentication
+// (JWT, or personal access token with the issues:read scope; browsers'
+// EventSource cannot send headers, so ?access_token= is accepted too)
+// ========================================
+router.use(acceptQueryToken, acceptPersonalAccessTokens, authenticate, requireScope(TOKEN_SCOPE.ISSUES_READ));
+
+/**
+ * @route   GET /api/stream/issues
+ * @desc    Stream issue activity (text/event-stream). Event names: issue.created, issue.updated,
+ *          issue.status_changed, issue.assigned, issue.deleted; "ready" on connect and
+ *          "resync" when updates may have been missed
+ * @access  Private
+ * @query   project (ID or key), issueId, events (comma-separated event names), access_token
+ */
+router.get(
+    '/issues',
+    streamIssuesValidation,
+    validateRequest,
+    asyncHandler(StreamController.streamIssueEvents)
+);
+
+module.exports = router;
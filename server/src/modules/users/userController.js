@@ -0,0 +1,241 @@
+/**
+ * User Controller - Admin User Management
+ * ========================================
+ * Handles listing, enabling/disabling, role changes and forced password resets
+ * 
+ * Pattern: Class with static methods for request handling
+ */
+
+const AuthModel = require('../auth/authModel');
+const { forcePasswordReset, clearAccountLockout, disableUser, changeRole } = require('../auth/authService');
+const {
+    successResponse,
+    paginatedResponse,
+    notFoundResponse,
+    badRequestResponse
+} = require('../../shared/utils/responseHelper');
+
+class UserController {
+    /**
+     * GET /api/users
+     * Get all users with pagination, search and filters
+     */
+    static async getAllUsers(req, res, next) {
+        try {
+            const {
+                page = 1,
+                limit = 10,
+                search,
+                role,
+                status = 'enabled'
+            } = req.query;
+
+            const result = await AuthModel.getAllUsers({
+                page: parseInt(page),
+                limit: parseInt(limit),
+                search,
+                role,
+                status
+            });
+
+            return paginatedResponse(
+                res,
+                result.users.map(user => formatUserResponse(user)),
+                {
+                    page: result.currentPage,
+                    limit: result.perPage,
+                    total: result.total,
+                    totalPages: result.totalPages
+                },
+                'Users retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/users/:id
+     * Get single user by ID (including disabled users)
+     */
+    static async getUserById(req, res, next) {
+        try {
+            const user = await AuthModel.getUserById(req.params.id);
+
+            if (!user) {
+                return notFoundResponse(res, 'User not found');
+            }
+
+            return successResponse(res, formatUserResponse(user), 'User retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/users/:id/status
+     * Enable or disable a user account
+     * When disabling, the user's open assigned issues are reassigned to
+     * `reassignTo` if given, otherwise left unassigned
+     */
+    static async updateStatus(req, res, next) {
+        try {
+            const userId = parseInt(req.params.id);
+            const { enabled } = req.body;
+            const reassignTo = req.body.reassignTo != null ? parseInt(req.body.reassignTo) : null;
+
+            const user = await AuthModel.getUserById(userId);
+            if (!user) {
+                return notFoundResponse(res, 'User not found');
+            }
+
+            if (enabled) {
+                await AuthModel.enableUser(userId);
+                const updatedUser = await AuthModel.getUserById(userId);
+
+                return successResponse(res, {
+                    user: formatUserResponse(updatedUser)
+                }, 'User enabled successfully');
+            }
+
+            if (userId === req.user.userId) {
+                return badRequestResponse(res, 'You cannot disable your own account');
+            }
+
+            if (reassignTo !== null) {
+                if (reassignTo === userId) {
+                    return badRequestResponse(res, 'Cannot reassign issues to the user being disabled');
+                }
+
+                const newAssignee = await AuthModel.findById(reassignTo);
+                if (!newAssignee) {
+                    return badRequestResponse(res, 'Reassign target user not found or disabled');
+                }
+            }
+
+            // Refuses the last active admin (checked under lock, inside the transaction)
+            const reassignment = await disableUser(userId, reassignTo, req.user.userId);
+            const updatedUser = await AuthModel.getUserById(userId);
+
+            return successResponse(res, {
+                user: formatUserResponse(updatedUser),
+                openIssues: {
+                    action: reassignTo !== null ? 'reassigned' : 'unassigned',
+                    reassignedTo: reassignTo,
+                    count: reassignment.affectedRows,
+                    issueIds: reassignment.issueIds
+                }
+            }, 'User disabled successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/users/:id/role
+     * Change a user's role
+     */
+    static async updateRole(req, res, next) {
+        try {
+            const userId = parseInt(req.params.id);
+            const { role } = req.body;
+
+            const user = await AuthModel.getUserById(userId);
+            if (!user) {
+                return notFoundResponse(res, 'User not found');
+            }
+
+            if (userId === req.user.userId) {
+                return badRequestResponse(res, 'You cannot change your own role');
+            }
+
+            // Refuses to demote the last active admin (checked under lock, inside the transaction)
+            await changeRole(userId, role);
+            const updatedUser = await AuthModel.getUserById(userId);
+
+            return successResponse(
+                res,
+                formatUserResponse(updatedUser),
+                `User role updated to "${role}"`
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/users/:id/reset-password
+     * Force a password reset: the current password stops working, all
+     * sessions are ended and the user is emailed a reset link
+     */
+    static async forcePasswordReset(req, res, next) {
+        try {
+            const user = await AuthModel.findById(req.params.id);
+
+            if (!user) {
+                return notFoundResponse(res, 'User not found or disabled');
+            }
+
+            const emailSent = await forcePasswordReset(user);
+
+            return successResponse(
+                res,
+                { emailSent },
+                emailSent
+                    ? 'Password reset forced and reset link sent'
+                    : 'Password reset forced, but the reset email could not be sent'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/users/:id/unlock
+     * Lift a login lockout and reset the failed attempt counter
+     */
+    static async unlockUser(req, res, next) {
+        try {
+            const user = await AuthModel.getUserById(req.params.id);
+
+            if (!user) {
+                return notFoundResponse(res, 'User not found');
+            }
+
+            const wasLocked = await clearAccountLockout(user.email);
+
+            return successResponse(
+                res,
+                { wasLocked },
+                wasLocked ? 'User account unlocked successfully' : 'User account was not locked'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to format user response
+ * Transforms database row to API response format
+ */
+function formatUserResponse(user) {
+    return {
+        userId: user.user_id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEnabled: user.is_enabled,
+        emailVerified: Boolean(user.email_verified_at),
+        createdAt: user.created_at,
+        updatedAt: user.updated_at
+    };
+}
+
+module.exports = UserController;
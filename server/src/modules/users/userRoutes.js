@@ -0,0 +1,101 @@
+/**
+ * User Routes
+ * ===========
+ * Admin-only user management endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const UserController = require('./userController');
+const { authenticate, authorize } = require('../../middleware/auth');
+const {
+    validateRequest,
+    userIdValidation,
+    listUsersValidation,
+    updateUserStatusValidation,
+    updateUserRoleValidation
+} = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+
+// ========================================
+// All routes require an authenticated admin
+// ========================================
+router.use(authenticate, authorize(USER_ROLE.ADMIN));
+
+/**
+ * @route   GET /api/users
+ * @desc    Get all users with pagination and filters
+ * @access  Private (admin)
+ * @query   page, limit, search, role, status (enabled | disabled | all)
+ */
+router.get(
+    '/',
+    listUsersValidation,
+    validateRequest,
+    asyncHandler(UserController.getAllUsers)
+);
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get single user by ID
+ * @access  Private (admin)
+ */
+router.get(
+    '/:id',
+    userIdValidation,
+    validateRequest,
+    asyncHandler(UserController.getUserById)
+);
+
+/**
+ * @route   PATCH /api/users/:id/status
+ * @desc    Enable or disable a user account
+ * @access  Private (admin)
+ * @body    { enabled, reassignTo? } - reassignTo: user ID for open assigned issues, omit/null to unassign them
+ */
+router.patch(
+    '/:id/status',
+    updateUserStatusValidation,
+    validateRequest,
+    asyncHandler(UserController.updateStatus)
+);
+
+/**
+ * @route   PATCH /api/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (admin)
+ * @body    { role }
+ */
+router.patch(
+    '/:id/role',
+    updateUserRoleValidation,
+    validateRequest,
+    asyncHandler(UserController.updateRole)
+);
+
+/**
+ * @route   POST /api/users/:id/reset-password
+ * @desc    Force a password reset and email a reset link
+ * @access  Private (admin)
+ */
+router.post(
+    '/:id/reset-password',
+    userIdValidation,
+    validateRequest,
+    asyncHandler(UserController.forcePasswordReset)
+);
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Unlock an account locked by failed login attempts
+ * @access  Private (admin)
+ */
+router.post(
+    '/:id/unlock',
+    userIdValidation,
+    validateRequest,
+    asyncHandler(UserController.unlockUser)
+);
+
+module.exports = router;
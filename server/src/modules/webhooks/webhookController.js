@@ -0,0 +1,287 @@
+/**
+ * Webhook Controller
+ * ==================
+ * Handles webhook subscriptions (create, list, update, delete), pings, the
+ * delivery log and redeliveries
+ *
+ * Pattern: Class with static methods for request handling
+ */
+
+const WebhookModel = require('./webhookModel');
+const { queuePing, queueRedelivery } = require('./webhookService');
+const { generateRandomToken } = require('../../shared/utils/tokenHelper');
+const {
+    successResponse,
+    createdResponse,
+    paginatedResponse,
+    notFoundResponse
+} = require('../../shared/utils/responseHelper');
+
+class WebhookController {
+    /**
+     * GET /api/webhooks
+     * Get all webhooks
+     */
+    static async getAllWebhooks(req, res, next) {
+        try {
+            const webhooks = await WebhookModel.getAllWebhooks();
+
+            return successResponse(
+                res,
+                webhooks.map(webhook => formatWebhookResponse(webhook)),
+                'Webhooks retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/webhooks/:id
+     * Get single webhook by ID
+     */
+    static async getWebhookById(req, res, next) {
+        try {
+            const webhook = await WebhookModel.getWebhookById(req.params.id);
+
+            if (!webhook) {
+                return notFoundResponse(res, 'Webhook not found');
+            }
+
+            return successResponse(res, formatWebhookResponse(webhook), 'Webhook retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/webhooks
+     * Create a webhook (a secret is generated when none is given)
+     */
+    static async createWebhook(req, res, next) {
+        try {
+            const { url, events, description, active } = req.body;
+            const secret = req.body.secret || generateRandomToken(32);
+
+            const result = await WebhookModel.createWebhook({
+                url,
+                secret,
+                eventTypes: [...new Set(events)],
+                description,
+                isActive: active,
+                createdBy: req.user.userId
+            });
+
+            const webhook = await WebhookModel.getWebhookById(result.insertId);
+
+            return createdResponse(res, {
+                ...formatWebhookResponse(webhook),
+                secret
+            }, 'Webhook created successfully. Store the secret now - it will not be shown again');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/webhooks/:id
+     * Change a webhook's URL, secret, events or description, or turn it on or off
+     */
+    static async updateWebhook(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { url, secret, events, description, active } = req.body;
+
+            const existingWebhook = await WebhookModel.getWebhookById(id);
+            if (!existingWebhook) {
+                return notFoundResponse(res, 'Webhook not found');
+            }
+
+            await WebhookModel.updateWebhook(id, {
+                url,
+                secret,
+                eventTypes: events === undefined ? undefined : [...new Set(events)],
+                description,
+                isActive: active
+            });
+
+            const webhook = await WebhookModel.getWebhookById(id);
+
+            return successResponse(res, formatWebhookResponse(webhook), 'Webhook updated successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/webhooks/:id
+     * Delete a webhook and its delivery log
+     */
+    static async deleteWebhook(req, res, next) {
+        try {
+            const result = await WebhookModel.deleteWebhook(req.params.id);
+
+            if (result.affectedRows === 0) {
+                return notFoundResponse(res, 'Webhook not found');
+            }
+
+            return successResponse(res, null, 'Webhook deleted successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/webhooks/:id/ping
+     * Queue a ping delivery to check that the receiver is reachable and verifies signatures
+     */
+    static async pingWebhook(req, res, next) {
+        try {
+            const webhook = await WebhookModel.getWebhookById(req.params.id);
+
+            if (!webhook) {
+                return notFoundResponse(res, 'Webhook not found');
+            }
+
+            const queued = await queuePing(webhook, req.user);
+            const delivery = await WebhookModel.getDeliveryById(webhook.webhook_id, queued.delivery_id);
+
+            return successResponse(res, formatDeliveryResponse(delivery), 'Ping queued for delivery', 202);
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/webhooks/:id/deliveries
+     * Get a webhook's delivery log, newest first
+     */
+    static async getDeliveries(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { page = 1, limit = 20, status, event } = req.query;
+
+            const webhook = await WebhookModel.getWebhookById(id);
+            if (!webhook) {
+                return notFoundResponse(res, 'Webhook not found');
+            }
+
+            const result = await WebhookModel.getDeliveries(id, {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                status,
+                event
+            });
+
+            return paginatedResponse(
+                res,
+                result.deliveries.map(delivery => formatDeliveryResponse(delivery)),
+                {
+                    page: result.currentPage,
+                    limit: result.perPage,
+                    total: result.total,
+                    totalPages: result.totalPages
+                },
+                'Webhook deliveries retrieved successfully'
+            );
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/webhooks/:id/deliveries/:deliveryId
+     * Get one delivery with its payload and the receiver's response
+     */
+    static async getDeliveryById(req, res, next) {
+        try {
+            const delivery = await WebhookModel.getDeliveryById(req.params.id, req.params.deliveryId);
+
+            if (!delivery) {
+                return notFoundResponse(res, 'Webhook delivery not found');
+            }
+
+            return successResponse(res, formatDeliveryResponse(delivery), 'Webhook delivery retrieved successfully');
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+     * Queue the payload of a logged delivery again, as a new delivery
+     */
+    static async redeliver(req, res, next) {
+        try {
+            const original = await WebhookModel.getDeliveryById(req.params.id, req.params.deliveryId);
+
+            if (!original) {
+                return notFoundResponse(res, 'Webhook delivery not found');
+            }
+
+            const queued = await queueRedelivery(original);
+            const delivery = await WebhookModel.getDeliveryById(original.webhook_id, queued.delivery_id);
+
+            return successResponse(res, formatDeliveryResponse(delivery), 'Redelivery queued', 202);
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper function to format webhook response (the secret is never returned)
+ */
+function formatWebhookResponse(webhook) {
+    return {
+        id: webhook.webhook_id,
+        url: webhook.url,
+        events: webhook.event_types,
+        description: webhook.description,
+        active: webhook.is_active,
+        createdBy: webhook.created_by,
+        lastDelivery: webhook.last_delivery_at ? {
+            status: webhook.last_delivery_status,
+            createdAt: webhook.last_delivery_at
+        } : null,
+        createdAt: webhook.created_at,
+        updatedAt: webhook.updated_at
+    };
+}
+
+/**
+ * Helper function to format webhook delivery response
+ * (payload and response body are only included for single deliveries)
+ */
+function formatDeliveryResponse(delivery) {
+    return {
+        id: delivery.delivery_id,
+        webhookId: delivery.webhook_id,
+        event: delivery.event_type,
+        eventId: delivery.event_id,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.next_attempt_at,
+        lastAttemptAt: delivery.last_attempt_at,
+        response: delivery.response_status !== null ? {
+            status: delivery.response_status,
+            body: delivery.response_body
+        } : null,
+        error: delivery.error,
+        durationMs: delivery.duration_ms,
+        redeliveryOf: delivery.redelivery_of,
+        payload: delivery.payload,
+        createdAt: delivery.created_at
+    };
+}
+
+module.exports = WebhookController;
@@ -0,0 +1,191 @@
+/**
+ * Webhook Dispatcher - Sending Webhook Deliveries
+ * ================================================
+ * Sends queued deliveries as signed JSON POST requests. A delivery succeeds
+ * on any 2xx response; otherwise it is retried with exponential backoff
+ * (WEBHOOK_RETRY_BASE_SECONDS, doubled after every failed attempt) until
+ * WEBHOOK_MAX_ATTEMPTS attempts have failed.
+ *
+ * The signature covers the send time (X-Webhook-Timestamp) as well as the
+ * body. Receivers should reject requests whose timestamp is more than a few
+ * minutes old, so a captured delivery cannot be replayed later.
+ *
+ * The server polls for due deliveries every WEBHOOK_POLL_INTERVAL_MS
+ * (0 turns sending off in that process). Deliveries are claimed in the
+ * database, so several server processes can share the queue.
+ */
+
+const crypto = require('crypto');
+const WebhookModel = require('./webhookModel');
+const { WEBHOOK_DELIVERY_STATUS, WEBHOOK_HEADER } = require('../../shared/constants/webhookConstants');
+
+// Deliveries claimed per query
+const BATCH_SIZE = 20;
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+// Response bodies are kept in the delivery log up to this length
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+/**
+ * Read a positive integer setting
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Value when unset or invalid
+ * @returns {number}
+ */
+const getSetting = (name, defaultValue) => {
+    const value = parseInt(process.env[name]);
+    return value >= 0 ? value : defaultValue;
+};
+
+/**
+ * Sign a request ("sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>",
+ * keyed with the webhook's secret)
+ * @param {number} timestamp - Send time in Unix seconds (X-Webhook-Timestamp)
+ * @param {string} body - Raw request body
+ * @param {string} secret - Webhook secret
+ * @returns {string} - Signature header value
+ */
+const signPayload = (timestamp, body, secret) => {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+/**
+ * Time of the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far, including the failed one
+ * @returns {Date|null} - Null when no attempts are left
+ */
+const getNextAttemptAt = (attempts) => {
+    if (attempts >= getSetting('WEBHOOK_MAX_ATTEMPTS', 8)) {
+        return null;
+    }
+
+    const delaySeconds = Math.min(
+        getSetting('WEBHOOK_RETRY_BASE_SECONDS', 30) * 2 ** (attempts - 1),
+        MAX_RETRY_DELAY_SECONDS
+    );
+
+    return new Date(Date.now() + delaySeconds * 1000);
+};
+
+/**
+ * Send one delivery and record the attempt
+ * Errors reaching the receiver are recorded on the delivery, not thrown.
+ * @param {Object} delivery - Row from WebhookModel.claimDueDeliveries
+ * @returns {Promise<string>} - Status of the delivery after the attempt
+ */
+const sendDelivery = async (delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    const timestamp = Math.floor(startedAt / 1000);
+    const attempt = {};
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Issue-Tracker-Webhooks',
+                [WEBHOOK_HEADER.EVENT]: delivery.event_type,
+                [WEBHOOK_HEADER.DELIVERY]: String(delivery.delivery_id),
+                [WEBHOOK_HEADER.TIMESTAMP]: String(timestamp),
+                [WEBHOOK_HEADER.SIGNATURE]: signPayload(timestamp, body, delivery.secret)
+            },
+            body,
+            // Redirects count as failures rather than being followed
+            redirect: 'manual',
+            signal: AbortSignal.timeout(getSetting('WEBHOOK_TIMEOUT_MS', 10000))
+        });
+
+        attempt.responseStatus = response.status;
+        attempt.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+        if (!response.ok) {
+            attempt.error = `Receiver responded with HTTP ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+
+    if (!attempt.error) {
+        attempt.status = WEBHOOK_DELIVERY_STATUS.SUCCEEDED;
+    } else {
+        attempt.nextAttemptAt = getNextAttemptAt(delivery.attempts + 1);
+        attempt.status = attempt.nextAttemptAt ? WEBHOOK_DELIVERY_STATUS.PENDING : WEBHOOK_DELIVERY_STATUS.FAILED;
+    }
+
+    await WebhookModel.recordAttempt(delivery.delivery_id, attempt);
+
+    return attempt.status;
+};
+
+/**
+ * Send all deliveries that are due
+ * @returns {Promise<Object>} - { succeeded, retrying, failed }
+ */
+const sendDueDeliveries = async () => {
+    const summary = { succeeded: 0, retrying: 0, failed: 0 };
+    // A claim outlasts the request timeout of every delivery in the batch
+    const leaseSeconds = Math.ceil(getSetting('WEBHOOK_TIMEOUT_MS', 10000) / 1000) * BATCH_SIZE + 60;
+
+    let deliveries;
+    do {
+        deliveries = await WebhookModel.claimDueDeliveries(BATCH_SIZE, leaseSeconds);
+
+        for (const delivery of deliveries) {
+            const status = await sendDelivery(delivery);
+
+            if (status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED) {
+                summary.succeeded++;
+            } else if (status === WEBHOOK_DELIVERY_STATUS.PENDING) {
+                summary.retrying++;
+            } else {
+                summary.failed++;
+            }
+        }
+    } while (deliveries.length === BATCH_SIZE);
+
+    return summary;
+};
+
+/**
+ * Send due deliveries from the server process every WEBHOOK_POLL_INTERVAL_MS
+ * @returns {Object|null} - Interval handle, or null when turned off
+ */
+const startWebhookDispatcher = () => {
+    const intervalMs = getSetting('WEBHOOK_POLL_INTERVAL_MS', 5000);
+    if (intervalMs === 0) {
+        return null;
+    }
+
+    let running = false;
+
+    const interval = setInterval(() => {
+        // A slow receiver must not make runs overlap
+        if (running) {
+            return;
+        }
+
+        running = true;
+        sendDueDeliveries()
+            .catch(error => {
+                console.error('Webhook delivery run failed:', error.message);
+            })
+            .finally(() => {
+                running = false;
+            });
+    }, intervalMs);
+
+    // Do not keep the process alive just for webhooks
+    interval.unref();
+
+    return interval;
+};
+
+module.exports = {
+    signPayload,
+    sendDueDeliveries,
+    startWebhookDispatcher
+};
@@ -0,0 +1,401 @@
+/**
+ * Webhook Model - Webhook Database Operations (PostgreSQL)
+ * =========================================================
+ * Webhook subscriptions and their delivery queue / log. Deliveries are
+ * queued in the transaction of the change they report and sent afterwards
+ * by the webhook dispatcher.
+ */
+
+const { query } = require('../../config/database');
+const { WEBHOOK_DELIVERY_STATUS } = require('../../shared/constants/webhookConstants');
+
+// Webhook columns, with the status and time of the latest delivery
+const WEBHOOK_COLUMNS = `
+    w.*,
+    last.status as last_delivery_status,
+    last.created_at as last_delivery_at
+`;
+
+const LAST_DELIVERY_JOIN = `
+    LEFT JOIN LATERAL (
+        SELECT status, created_at
+        FROM webhook_deliveries
+        WHERE webhook_id = w.webhook_id
+        ORDER BY created_at DESC, delivery_id DESC
+        LIMIT 1
+    ) last ON TRUE
+`;
+
+// Delivery columns for lists (the payload is only returned for single deliveries)
+const DELIVERY_COLUMNS = `
+    d.delivery_id,
+    d.webhook_id,
+    d.event_type,
+    d.event_id,
+    d.status,
+    d.attempts,
+    d.next_attempt_at,
+    d.last_attempt_at,
+    d.response_status,
+    d.duration_ms,
+    d.error,
+    d.redelivery_of,
+    d.created_at
+`;
+
+class WebhookModel {
+    /**
+     * Get all webhooks with their latest delivery
+     * @returns {Promise<Array>} - Webhooks, oldest first
+     */
+    static async getAllWebhooks() {
+        const sql = `
+            SELECT ${WEBHOOK_COLUMNS}
+            FROM webhooks w
+            ${LAST_DELIVERY_JOIN}
+            ORDER BY w.webhook_id ASC
+        `;
+
+        return query(sql);
+    }
+
+    /**
+     * Get a webhook by ID with its latest delivery
+     * @param {number} webhookId - Webhook ID
+     * @returns {Promise<Object|null>} - Webhook or null
+     */
+    static async getWebhookById(webhookId) {
+        const sql = `
+            SELECT ${WEBHOOK_COLUMNS}
+            FROM webhooks w
+            ${LAST_DELIVERY_JOIN}
+            WHERE w.webhook_id = $1
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [webhookId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Create a webhook
+     * @param {Object} webhookData - { url, secret, eventTypes, description, isActive, createdBy }
+     * @returns {Promise<Object>} - { insertId }
+     */
+    static async createWebhook(webhookData) {
+        const sql = `
+            INSERT INTO webhooks (url, secret, event_types, description, is_active, created_by, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, COALESCE($5, TRUE), $6, NOW(), NOW())
+            RETURNING webhook_id
+        `;
+
+        const results = await query(sql, [
+            webhookData.url,
+            webhookData.secret,
+            webhookData.eventTypes,
+            webhookData.description || null,
+            webhookData.isActive === undefined ? null : webhookData.isActive,
+            webhookData.createdBy
+        ]);
+
+        return { insertId: results[0].webhook_id };
+    }
+
+    /**
+     * Update a webhook
+     * @param {number} webhookId - Webhook ID
+     * @param {Object} webhookData - { url?, secret?, eventTypes?, description?, isActive? }
+     * @returns {Promise<Object>} - Update result
+     */
+    static async updateWebhook(webhookId, webhookData) {
+        const { url, secret, eventTypes, description, isActive } = webhookData;
+
+        let updateFields = [];
+        let params = [];
+        let paramIndex = 1;
+
+        if (url !== undefined) {
+            updateFields.push(`url = $${paramIndex++}`);
+            params.push(url);
+        }
+        if (secret !== undefined) {
+            updateFields.push(`secret = $${paramIndex++}`);
+            params.push(secret);
+        }
+        if (eventTypes !== undefined) {
+            updateFields.push(`event_types = $${paramIndex++}`);
+            params.push(eventTypes);
+        }
+        if (description !== undefined) {
+            updateFields.push(`description = $${paramIndex++}`);
+            params.push(description);
+        }
+        if (isActive !== undefined) {
+            updateFields.push(`is_active = $${paramIndex++}`);
+            params.push(isActive);
+        }
+
+        if (updateFields.length === 0) {
+            return { affectedRows: 0 };
+        }
+
+        updateFields.push('updated_at = NOW()');
+
+        const sql = `
+            UPDATE webhooks
+            SET ${updateFields.join(', ')}
+            WHERE webhook_id = $${paramIndex}
+            RETURNING webhook_id
+        `;
+
+        params.push(webhookId);
+        const results = await query(sql, params);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Delete a webhook and its delivery log
+     * @param {number} webhookId - Webhook ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    static async deleteWebhook(webhookId) {
+        const sql = `DELETE FROM webhooks WHERE webhook_id = $1 RETURNING webhook_id`;
+        const results = await query(sql, [webhookId]);
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Get the active webhooks subscribed to any of the event types
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {Array<string>} eventTypes - Event types
+     * @returns {Promise<Array>} - [{ webhook_id, event_types }]
+     */
+    static async getSubscribers(client, eventTypes) {
+        const sql = `
+            SELECT webhook_id, event_types
+            FROM webhooks
+            WHERE is_active = TRUE AND event_types && $1::text[]
+        `;
+
+        const results = await client.query(sql, [eventTypes]);
+        return results.rows;
+    }
+
+    /**
+     * Queue deliveries, due straight away
+     * @param {Object} client - Transaction client (from withTransaction), or null to use the pool
+     * @param {Array<Object>} deliveries - [{ webhookId, eventType, eventId, payload, redeliveryOf? }]
+     * @returns {Promise<Array>} - Queued deliveries [{ delivery_id, webhook_id }]
+     */
+    static async queueDeliveries(client, deliveries) {
+        if (deliveries.length === 0) {
+            return [];
+        }
+
+        const sql = `
+            INSERT INTO webhook_deliveries
+                (webhook_id, event_type, event_id, payload, redelivery_of, status, next_attempt_at, created_at)
+            SELECT webhook_id, event_type, event_id, payload, redelivery_of, $6, NOW(), NOW()
+            FROM UNNEST($1::int[], $2::varchar[], $3::uuid[], $4::jsonb[], $5::int[])
+                as d(webhook_id, event_type, event_id, payload, redelivery_of)
+            RETURNING delivery_id, webhook_id
+        `;
+
+        const params = [
+            deliveries.map(delivery => delivery.webhookId),
+            deliveries.map(delivery => delivery.eventType),
+            deliveries.map(delivery => delivery.eventId),
+            deliveries.map(delivery => JSON.stringify(delivery.payload)),
+            deliveries.map(delivery => delivery.redeliveryOf || null),
+            WEBHOOK_DELIVERY_STATUS.PENDING
+        ];
+
+        if (client) {
+            const results = await client.query(sql, params);
+            return results.rows;
+        }
+
+        return query(sql, params);
+    }
+
+    /**
+     * Get the delivery log of a webhook, newest first
+     * @param {number} webhookId - Webhook ID
+     * @param {Object} options - { page, limit, status, event }
+     * @returns {Promise<Object>} - { deliveries, total, totalPages, currentPage, perPage }
+     */
+    static async getDeliveries(webhookId, options = {}) {
+        const { page = 1, limit = 20, status, event } = options;
+        const offset = (page - 1) * limit;
+
+        let conditions = ['d.webhook_id = $1'];
+        let params = [webhookId];
+        let paramIndex = 2;
+
+        if (status) {
+            conditions.push(`d.status = $${paramIndex++}`);
+            params.push(status);
+        }
+        if (event) {
+            conditions.push(`d.event_type = $${paramIndex++}`);
+            params.push(event);
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countSql = `SELECT COUNT(*) as total FROM webhook_deliveries d WHERE ${whereClause}`;
+        const countResult = await query(countSql, params);
+        const total = parseInt(countResult[0].total);
+
+        const sql = `
+            SELECT ${DELIVERY_COLUMNS}
+            FROM webhook_deliveries d
+            WHERE ${whereClause}
+            ORDER BY d.created_at DESC, d.delivery_id DESC
+            LIMIT $${paramIndex++} OFFSET $${paramIndex}
+        `;
+
+        const deliveries = await query(sql, [...params, limit, offset]);
+
+        return {
+            deliveries,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            perPage: limit
+        };
+    }
+
+    /**
+     * Get a delivery of a webhook, with its payload and response body
+     * @param {number} webhookId - Webhook ID
+     * @param {number} deliveryId - Delivery ID
+     * @returns {Promise<Object|null>} - Delivery or null
+     */
+    static async getDeliveryById(webhookId, deliveryId) {
+        const sql = `
+            SELECT ${DELIVERY_COLUMNS}, d.payload, d.response_body
+            FROM webhook_deliveries d
+            WHERE d.webhook_id = $1 AND d.delivery_id = $2
+            LIMIT 1
+        `;
+
+        const results = await query(sql, [webhookId, deliveryId]);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Claim due deliveries of active webhooks for sending
+     * Claimed deliveries are not due again until the lease ends, so other
+     * server processes skip them, and they are retried if this one stops
+     * before recording the attempt.
+     * @param {number} limit - Maximum number of deliveries
+     * @param {number} leaseSeconds - How long the claim lasts
+     * @returns {Promise<Array>} - Deliveries with the webhook's url and secret
+     */
+    static async claimDueDeliveries(limit, leaseSeconds) {
+        const sql = `
+            UPDATE webhook_deliveries d
+            SET next_attempt_at = NOW() + make_interval(secs => $3)
+            FROM webhooks w
+            WHERE w.webhook_id = d.webhook_id
+              AND d.delivery_id IN (
+                  SELECT due.delivery_id
+                  FROM webhook_deliveries due
+                  JOIN webhooks active ON active.webhook_id = due.webhook_id AND active.is_active = TRUE
+                  WHERE due.status = $1 AND due.next_attempt_at <= NOW()
+                  ORDER BY due.next_attempt_at ASC, due.delivery_id ASC
+                  LIMIT $2
+                  FOR UPDATE OF due SKIP LOCKED
+              )
+            RETURNING d.delivery_id, d.webhook_id, d.event_type, d.event_id, d.payload, d.attempts, w.url, w.secret
+        `;
+
+        return query(sql, [WEBHOOK_DELIVERY_STATUS.PENDING, limit, leaseSeconds]);
+    }
+
+    /**
+     * Record the outcome of a delivery attempt
+     * @param {number} deliveryId - Delivery ID
+     * @param {Object} attempt - { status, responseStatus, responseBody, error, durationMs, nextAttemptAt }
+     *                           status stays pending with a nextAttemptAt when it will be retried
+     * @returns {Promise<Object>} - Update result
+     */
+    static async recordAttempt(deliveryId, attempt) {
+        const sql = `
+            UPDATE webhook_deliveries
+            SET status = $1,
+                attempts = attempts + 1,
+                last_attempt_at = NOW(),
+                next_attempt_at = $2,
+                response_status = $3,
+                response_body = $4,
+                error = $5,
+                duration_ms = $6
+            WHERE delivery_id = $7
+            RETURNING delivery_id
+        `;
+
+        const results = await query(sql, [
+            attempt.status,
+            attempt.nextAttemptAt || null,
+            attempt.responseStatus || null,
+            attempt.responseBody || null,
+            attempt.error || null,
+            attempt.durationMs,
+            deliveryId
+        ]);
+
+        return { affectedRows: results.length };
+    }
+
+    /**
+     * Get issues as they are included in webhook payloads
+     * Reads through the transaction client, so changes not yet committed are seen.
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {Array<number>} issueIds - Issue IDs
+     * @returns {Promise<Array>} - Issue rows
+     */
+    static async getIssueSnapshots(client, issueIds) {
+        const sql = `
+            SELECT
+                i.issue_id,
+                i.title,
+                i.status,
+                i.resolution,
+                i.priority,
+                i.severity,
+                i.assigned_to,
+                i.created_by,
+                i.project_id,
+                p.project_key,
+                i.issue_number,
+                i.parent_id,
+                i.milestone_id,
+                to_char(i.due_date, 'YYYY-MM-DD') as due_date,
+                i.created_at,
+                i.updated_at
+            FROM issues i
+            LEFT JOIN projects p ON p.project_id = i.project_id
+            WHERE i.issue_id = ANY($1::int[])
+        `;
+
+        const results = await client.query(sql, [issueIds]);
+        return results.rows;
+    }
+
+    /**
+     * Get the names of users (the actors of webhook events)
+     * @param {Object} client - Transaction client (from withTransaction)
+     * @param {Array<number>} userIds - User IDs
+     * @returns {Promise<Array>} - [{ user_id, name }]
+     */
+    static async getUserNames(client, userIds) {
+        const sql = `SELECT user_id, name FROM users WHERE user_id = ANY($1::int[])`;
+
+        const results = await client.query(sql, [userIds]);
+        return results.rows;
+    }
+}
+
+module.exports = WebhookModel;
@@ -0,0 +1,144 @@
+/**
+ * Webhook Routes
+ * ==============
+ * Admin-only management of outgoing webhooks and their delivery log
+ * Payloads are signed with the webhook's secret (X-Webhook-Signature-256,
+ * over X-Webhook-Timestamp and the body; receivers should reject stale timestamps)
+ */
+
+const express = require('express');
+const router = express.Router();
+const WebhookController = require('./webhookController');
+const { authenticate, authorize } = require('../../middleware/auth');
+const {
+    validateRequest,
+    webhookIdValidation,
+    webhookDeliveryIdValidation,
+    createWebhookValidation,
+    updateWebhookValidation,
+    listWebhookDeliveriesValidation
+} = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { USER_ROLE } = require('../../shared/constants/userConstants');
+
+// ========================================
+// All routes require an authenticated admin
+// ========================================
+router.use(authenticate, authorize(USER_ROLE.ADMIN));
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get all webhooks with the status of their latest delivery
+ * @access  Private (admin)
+ */
+router.get(
+    '/',
+    asyncHandler(WebhookController.getAllWebhooks)
+);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a webhook (the secret is returned once; one is generated when omitted)
+ * @access  Private (admin)
+ * @body    { url, events, secret?, description?, active? }
+ *          events: issue.created, issue.updated, issue.status_changed, issue.assigned,
+ *          issue.deleted, comment.created
+ */
+router.post(
+    '/',
+    createWebhookValidation,
+    validateRequest,
+    asyncHandler(WebhookController.createWebhook)
+);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get single webhook by ID
+ * @access  Private (admin)
+ */
+router.get(
+    '/:id',
+    webhookIdValidation,
+    validateRequest,
+    asyncHandler(WebhookController.getWebhookById)
+);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook (inactive webhooks get no new deliveries)
+ * @access  Private (admin)
+ * @body    { url?, events?, secret?, description?, active? }
+ */
+router.put(
+    '/:id',
+    updateWebhookValidation,
+    validateRequest,
+    asyncHandler(WebhookController.updateWebhook)
+);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @access  Private (admin)
+ */
+router.delete(
+    '/:id',
+    webhookIdValidation,
+    validateRequest,
+    asyncHandler(WebhookController.deleteWebhook)
+);
+
+/**
+ * @route   POST /api/webhooks/:id/ping
+ * @desc    Queue a "ping" delivery to test the receiver
+ * @access  Private (admin)
+ */
+router.post(
+    '/:id/ping',
+    webhookIdValidation,
+    validateRequest,
+    asyncHandler(WebhookController.pingWebhook)
+);
+
+// ========================================
+// Delivery Log
+// ========================================
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Get a webhook's deliveries, newest first
+ * @access  Private (admin)
+ * @query   page, limit, status (pending | succeeded | failed), event
+ */
+router.get(
+    '/:id/deliveries',
+    listWebhookDeliveriesValidation,
+    validateRequest,
+    asyncHandler(WebhookController.getDeliveries)
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries/:deliveryId
+ * @desc    Get a delivery with its payload and the receiver's response
+ * @access  Private (admin)
+ */
+router.get(
+    '/:id/deliveries/:deliveryId',
+    webhookDeliveryIdValidation,
+    validateRequest,
+    asyncHandler(WebhookController.getDeliveryById)
+);
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc    Send a delivery's payload again (queued as a new delivery with the same event ID)
+ * @access  Private (admin)
+ */
+router.post(
+    '/:id/deliveries/:deliveryId/redeliver',
+    webhookDeliveryIdValidation,
+    validateRequest,
+    asyncHandler(WebhookController.redeliver)
+);
+
+module.exports = router;
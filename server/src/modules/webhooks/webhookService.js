@@ -0,0 +1,175 @@
+/**
+ * Webhook Service - Queueing Webhook Deliveries
+ * ==============================================
+ * Builds the payloads of issue and comment events and queues a delivery for
+ * every active webhook subscribed to them. Runs in the transaction of the
+ * change, so an event is queued only if the change is saved.
+ *
+ * Queued deliveries are sent by the webhook dispatcher.
+ */
+
+const crypto = require('crypto');
+const WebhookModel = require('./webhookModel');
+const { buildIssueActivity } = require('../issues/issueActivity');
+const { WEBHOOK_EVENT, WEBHOOK_PING_EVENT } = require('../../shared/constants/webhookConstants');
+
+/**
+ * Format an issue for payloads
+ * @param {Object} issue - Row from WebhookModel.getIssueSnapshots
+ * @returns {Object}
+ */
+const formatIssuePayload = (issue) => ({
+    id: issue.issue_id,
+    key: issue.project_key ? `${issue.project_key}-${issue.issue_number}` : null,
+    projectId: issue.project_id,
+    title: issue.title,
+    status: issue.status,
+    resolution: issue.resolution,
+    priority: issue.priority,
+    severity: issue.severity,
+    assignedTo: issue.assigned_to,
+    createdBy: issue.created_by,
+    parentId: issue.parent_id,
+    milestoneId: issue.milestone_id,
+    dueDate: issue.due_date,
+    createdAt: issue.created_at,
+    updatedAt: issue.updated_at
+});
+
+/**
+ * Queue a delivery of each event for every active webhook subscribed to its type
+ * @param {Object} client - Transaction client (from withTransaction)
+ * @param {Array<Object>} events - [{ eventType, issueId, actorId, build(issue, actor) }]
+ *                                 build returns the event-specific part of the payload
+ * @returns {Promise<Array>} - Queued deliveries
+ */
+const queueEvents = async (client, events) => {
+    if (events.length === 0) {
+        return [];
+    }
+
+    const subscribers = await WebhookModel.getSubscribers(client, [...new Set(events.map(event => event.eventType))]);
+    if (subscribers.length === 0) {
+        return [];
+    }
+
+    const issues = new Map(
+        (await WebhookModel.getIssueSnapshots(client, events.map(event => event.issueId)))
+            .map(issue => [issue.issue_id, formatIssuePayload(issue)])
+    );
+    const actors = new Map(
+        (await WebhookModel.getUserNames(client, events.map(event => event.actorId).filter(Boolean)))
+            .map(user => [user.user_id, { id: user.user_id, name: user.name }])
+    );
+
+    const occurredAt = new Date().toISOString();
+    const deliveries = [];
+
+    events.forEach(event => {
+        const eventId = crypto.randomUUID();
+        const payload = {
+            id: eventId,
+            event: event.eventType,
+            occurredAt,
+            actor: actors.get(event.actorId) || null,
+            ...event.build(issues.get(event.issueId))
+        };
+
+        subscribers
+            .filter(webhook => webhook.event_types.includes(event.eventType))
+            .forEach(webhook => {
+                deliveries.push({ webhookId: webhook.webhook_id, eventType: event.eventType, eventId, payload });
+            });
+    });
+
+    return WebhookModel.queueDeliveries(client, deliveries);
+};
+
+/**
+ * Queue webhook deliveries for recorded issue events
+ * @param {Object} client - Transaction client (from withTransaction)
+ * @param {Array<Object>} events - [{ issueId, actorId, eventType, field, oldValue, newValue }]
+ * @returns {Promise<Array>} - Queued deliveries
+ */
+const queueIssueWebhooks = async (client, events) => {
+    return queueEvents(client, buildIssueActivity(events).map(activity => ({
+        eventType: activity.type,
+        issueId: activity.issueId,
+        actorId: activity.actorId,
+        build: issue => ({
+            // Deleted issues can no longer be looked up
+            issue: issue || { id: activity.issueId, projectId: activity.projectId, title: activity.title },
+            changes: activity.changes
+        })
+    })));
+};
+
+/**
+ * Queue webhook deliveries for a new comment
+ * @param {Object} client - Transaction client (from withTransaction)
+ * @param {Object} comment - { issueId, commentId, parentId, authorId, body }
+ * @returns {Promise<Array>} - Queued deliveries
+ */
+const queueCommentWebhooks = async (client, comment) => {
+    const { issueId, commentId, parentId = null, authorId, body } = comment;
+
+    return queueEvents(client, [{
+        eventType: WEBHOOK_EVENT.COMMENT_CREATED,
+        issueId,
+        actorId: authorId,
+        build: issue => ({
+            issue,
+            comment: { id: commentId, parentId, body }
+        })
+    }]);
+};
+
+/**
+ * Queue a ping to a webhook, whatever event types it subscribes to
+ * @param {Object} webhook - Webhook row
+ * @param {Object} actor - { userId, name } of the user sending it
+ * @returns {Promise<Object>} - Queued delivery { delivery_id, webhook_id }
+ */
+const queuePing = async (webhook, actor) => {
+    const eventId = crypto.randomUUID();
+
+    const [delivery] = await WebhookModel.queueDeliveries(null, [{
+        webhookId: webhook.webhook_id,
+        eventType: WEBHOOK_PING_EVENT,
+        eventId,
+        payload: {
+            id: eventId,
+            event: WEBHOOK_PING_EVENT,
+            occurredAt: new Date().toISOString(),
+            actor: { id: actor.userId, name: actor.name },
+            webhook: { id: webhook.webhook_id, url: webhook.url, events: webhook.event_types }
+        }
+    }]);
+
+    return delivery;
+};
+
+/**
+ * Queue a new delivery of a logged delivery's payload (same event ID, so
+ * receivers can tell it is a repeat)
+ * @param {Object} delivery - Row from WebhookModel.getDeliveryById
+ * @returns {Promise<Object>} - Queued delivery { delivery_id, webhook_id }
+ */
+const queueRedelivery = async (delivery) => {
+    const [redelivery] = await WebhookModel.queueDeliveries(null, [{
+        webhookId: delivery.webhook_id,
+        eventType: delivery.event_type,
+        eventId: delivery.event_id,
+        payload: delivery.payload,
+        redeliveryOf: delivery.delivery_id
+    }]);
+
+    return redelivery;
+};
+
+module.exports = {
+    queueIssueWebhooks,
+    queueCommentWebhooks,
+    queuePing,
+    queueRedelivery
+};
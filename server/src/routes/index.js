@@ -12,6 +12,14 @@ const router = express.Router();
 // Import route modules
 const authRoutes = require('../modules/auth/authRoutes');
 const issueRoutes = require('../modules/issues/issueRoutes');
+const userRoutes = require('../modules/users/userRoutes');
+const labelRoutes = require('../modules/labels/labelRoutes');
+const projectRoutes = require('../modules/projects/projectRoutes');
+const milestoneRoutes = require('../modules/milestones/milestoneRoutes');
+const reportRoutes = require('../modules/reports/reportRoutes');
+const notificationRoutes = require('../modules/notifications/notificationRoutes');
+const webhookRoutes = require('../modules/webhooks/webhookRoutes');
+const streamRoutes = require('../modules/stream/streamRoutes');
 
 // ========================================
 // Mount Routes
@@ -23,6 +31,30 @@ router.use('/auth', authRoutes);
 // Issue routes: /api/issues/*
 router.use('/issues', issueRoutes);
 
+// Project routes: /api/projects/*
+router.use('/projects', projectRoutes);
+
+// Milestone routes: /api/milestones/*
+router.use('/milestones', milestoneRoutes);
+
+// Report routes: /api/reports/*
+router.use('/reports', reportRoutes);
+
+// Live update routes (Server-Sent Events): /api/stream/*
+router.use('/stream', streamRoutes);
+
+// Notification routes (current user): /api/notifications/*
+router.use('/notifications', notificationRoutes);
+
+// Label routes: /api/labels/*
+router.use('/labels', labelRoutes);
+
+// User management routes (admin only): /api/users/*
+router.use('/users', userRoutes);
+
+// Webhook routes (admin only): /api/webhooks/*
+router.use('/webhooks', webhookRoutes);
+
 // ========================================
 // Health Check Endpoint
 // ========================================
@@ -6,11 +6,19 @@ const cors = require('cors');
 const { testConnection } = require('./config/database');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const routes = require('./routes');
+const { startDigestScheduler } = require('./modules/notifications/dailyDigest');
+const { startWebhookDispatcher } = require('./modules/webhooks/webhookDispatcher');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Trust X-Forwarded-For from a reverse proxy so req.ip is the real client IP
+// (used by login throttling). Set TRUST_PROXY to the number of proxy hops.
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Enable CORS
 app.use(cors({
     origin: process.env.CORS_ORIGIN || '*',
@@ -52,17 +60,120 @@ app.get('/', (req, res) => {
             auth: {
                 register: 'POST /api/auth/register',
                 login: 'POST /api/auth/login',
+                verifyTwoFactor: 'POST /api/auth/2fa/verify',
+                ssoOptions: 'GET /api/auth/oidc',
+                ssoAuthorize: 'POST /api/auth/oidc/authorize',
+                ssoCallback: 'POST /api/auth/oidc/callback',
+                refresh: 'POST /api/auth/refresh',
+                logout: 'POST /api/auth/logout',
+                logoutAll: 'POST /api/auth/logout-all',
+                listSessions: 'GET /api/auth/sessions',
+                revokeSession: 'DELETE /api/auth/sessions/:id',
+                forgotPassword: 'POST /api/auth/forgot-password',
+                resetPassword: 'POST /api/auth/reset-password',
+                verifyEmail: 'GET /api/auth/verify-email',
+                resendVerification: 'POST /api/auth/resend-verification',
+                twoFactorStatus: 'GET /api/auth/2fa',
+                twoFactorSetup: 'POST /api/auth/2fa/setup',
+                twoFactorEnable: 'POST /api/auth/2fa/enable',
+                twoFactorDisable: 'POST /api/auth/2fa/disable',
+                twoFactorRecoveryCodes: 'POST /api/auth/2fa/recovery-codes',
+                listTokens: 'GET /api/auth/tokens',
+                createToken: 'POST /api/auth/tokens',
+                revokeToken: 'DELETE /api/auth/tokens/:id',
                 profile: 'GET /api/auth/profile'
             },
             issues: {
                 list: 'GET /api/issues',
                 create: 'POST /api/issues',
-                getById: 'GET /api/issues/:id',
+                getById: 'GET /api/issues/:idOrKey',
                 update: 'PUT /api/issues/:id',
                 delete: 'DELETE /api/issues/:id',
+                history: 'GET /api/issues/:id/history',
+                transitions: 'GET /api/issues/:id/transitions',
+                children: 'GET /api/issues/:id/children',
+                listLinks: 'GET /api/issues/:id/links',
+                addLink: 'POST /api/issues/:id/links',
+                removeLink: 'DELETE /api/issues/:id/links/:linkId',
                 statusCounts: 'GET /api/issues/stats/counts',
                 exportCSV: 'GET /api/issues/export/csv',
-                exportJSON: 'GET /api/issues/export/json'
+                exportJSON: 'GET /api/issues/export/json',
+                listComments: 'GET /api/issues/:id/comments',
+                addComment: 'POST /api/issues/:id/comments',
+                updateComment: 'PUT /api/issues/:id/comments/:commentId',
+                deleteComment: 'DELETE /api/issues/:id/comments/:commentId',
+                listAttachments: 'GET /api/issues/:id/attachments',
+                uploadAttachment: 'POST /api/issues/:id/attachments',
+                downloadAttachment: 'GET /api/issues/:id/attachments/:attachmentId',
+                deleteAttachment: 'DELETE /api/issues/:id/attachments/:attachmentId',
+                listWorklogs: 'GET /api/issues/:id/worklogs',
+                addWorklog: 'POST /api/issues/:id/worklogs',
+                removeWorklog: 'DELETE /api/issues/:id/worklogs/:worklogId',
+                listWatchers: 'GET /api/issues/:id/watchers',
+                addWatcher: 'POST /api/issues/:id/watchers',
+                removeWatcher: 'DELETE /api/issues/:id/watchers/:userId'
+            },
+            projects: {
+                list: 'GET /api/projects',
+                create: 'POST /api/projects',
+                getById: 'GET /api/projects/:idOrKey',
+                update: 'PUT /api/projects/:idOrKey',
+                delete: 'DELETE /api/projects/:idOrKey',
+                members: 'GET /api/projects/:idOrKey/members',
+                addMember: 'POST /api/projects/:idOrKey/members',
+                removeMember: 'DELETE /api/projects/:idOrKey/members/:userId'
+            },
+            milestones: {
+                list: 'GET /api/milestones',
+                create: 'POST /api/milestones',
+                getById: 'GET /api/milestones/:id',
+                burndown: 'GET /api/milestones/:id/burndown',
+                update: 'PUT /api/milestones/:id',
+                delete: 'DELETE /api/milestones/:id'
+            },
+            reports: {
+                time: 'GET /api/reports/time'
+            },
+            stream: {
+                issues: 'GET /api/stream/issues (Server-Sent Events)'
+            },
+            notifications: {
+                list: 'GET /api/notifications',
+                unreadCount: 'GET /api/notifications/unread-count',
+                markRead: 'PATCH /api/notifications/:id/read',
+                markAllRead: 'POST /api/notifications/read-all',
+                getPreferences: 'GET /api/notifications/preferences',
+                updatePreferences: 'PUT /api/notifications/preferences',
+                getEmailPreferences: 'GET /api/notifications/email-preferences',
+                updateEmailPreferences: 'PUT /api/notifications/email-preferences',
+                checkUnsubscribe: 'GET /api/notifications/unsubscribe',
+                unsubscribe: 'POST /api/notifications/unsubscribe'
+            },
+            labels: {
+                list: 'GET /api/labels',
+                create: 'POST /api/labels',
+                getById: 'GET /api/labels/:id',
+                update: 'PUT /api/labels/:id',
+                delete: 'DELETE /api/labels/:id'
+            },
+            users: {
+                list: 'GET /api/users',
+                getById: 'GET /api/users/:id',
+                updateStatus: 'PATCH /api/users/:id/status',
+                updateRole: 'PATCH /api/users/:id/role',
+                forcePasswordReset: 'POST /api/users/:id/reset-password',
+                unlock: 'POST /api/users/:id/unlock'
+            },
+            webhooks: {
+                list: 'GET /api/webhooks',
+                create: 'POST /api/webhooks',
+                getById: 'GET /api/webhooks/:id',
+                update: 'PUT /api/webhooks/:id',
+                delete: 'DELETE /api/webhooks/:id',
+                ping: 'POST /api/webhooks/:id/ping',
+                deliveries: 'GET /api/webhooks/:id/deliveries',
+                getDelivery: 'GET /api/webhooks/:id/deliveries/:deliveryId',
+                redeliver: 'POST /api/webhooks/:id/deliveries/:deliveryId/redeliver'
             }
         },
         documentation: 'See README.md for full API documentation'
@@ -92,6 +203,12 @@ const startServer = async () => {
             console.warn('Database connection failed. Server will start but database operations may fail.');
         }
 
+        // Send daily digests from this process when DAILY_DIGEST_HOUR is set
+        startDigestScheduler();
+
+        // Send queued webhook deliveries (WEBHOOK_POLL_INTERVAL_MS=0 turns this off)
+        startWebhookDispatcher();
+
         // Start the server
         app.listen(PORT, () => {
             console.log('\n' + '='.repeat(50));
@@ -28,16 +28,74 @@ const ISSUE_SEVERITY = {
     CRITICAL: 'Critical'
 };
 
+// Issue Resolution Values (why a Resolved/Closed issue was closed)
+const ISSUE_RESOLUTION = {
+    FIXED: 'Fixed',
+    WONT_FIX: "Won't Fix",
+    DUPLICATE: 'Duplicate',
+    CANNOT_REPRODUCE: 'Cannot Reproduce',
+    WORKS_AS_DESIGNED: 'Works as Designed'
+};
+
+// Statuses that count as done (resolved_at and resolution are only kept on these)
+const DONE_STATUSES = [ISSUE_STATUS.RESOLVED, ISSUE_STATUS.CLOSED];
+
+// Issue History Event Types
+const ISSUE_EVENT_TYPE = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    STATUS_CHANGED: 'status_changed',
+    ASSIGNED: 'assigned',
+    LINKED: 'linked',
+    UNLINKED: 'unlinked',
+    DELETED: 'deleted'
+};
+
+// Issue Activity Types (what changed, as published to webhooks and the live issue stream)
+const ISSUE_ACTIVITY = {
+    CREATED: 'issue.created',
+    UPDATED: 'issue.updated',
+    STATUS_CHANGED: 'issue.status_changed',
+    ASSIGNED: 'issue.assigned',
+    DELETED: 'issue.deleted'
+};
+
+// Issue Link Types (stored from the source issue's point of view: A blocks B)
+const ISSUE_LINK_TYPE = {
+    BLOCKS: 'blocks',
+    DUPLICATES: 'duplicates',
+    RELATES_TO: 'relates_to'
+};
+
+// SLA Status Values (computed from the targets in config/sla.js)
+const SLA_STATUS = {
+    OK: 'ok',
+    AT_RISK: 'at-risk',
+    BREACHED: 'breached'
+};
+
 // Valid values for validation
 const VALID_STATUSES = Object.values(ISSUE_STATUS);
 const VALID_PRIORITIES = Object.values(ISSUE_PRIORITY);
 const VALID_SEVERITIES = Object.values(ISSUE_SEVERITY);
+const VALID_RESOLUTIONS = Object.values(ISSUE_RESOLUTION);
+const VALID_LINK_TYPES = Object.values(ISSUE_LINK_TYPE);
+const VALID_ISSUE_ACTIVITY_TYPES = Object.values(ISSUE_ACTIVITY);
 
 module.exports = {
     ISSUE_STATUS,
     ISSUE_PRIORITY,
     ISSUE_SEVERITY,
+    ISSUE_RESOLUTION,
+    DONE_STATUSES,
+    ISSUE_EVENT_TYPE,
+    ISSUE_ACTIVITY,
+    ISSUE_LINK_TYPE,
+    SLA_STATUS,
     VALID_STATUSES,
     VALID_PRIORITIES,
-    VALID_SEVERITIES
+    VALID_SEVERITIES,
+    VALID_RESOLUTIONS,
+    VALID_LINK_TYPES,
+    VALID_ISSUE_ACTIVITY_TYPES
 };
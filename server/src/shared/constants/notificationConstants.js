@@ -0,0 +1,35 @@
+/**
+ * Notification Constants
+ * ======================
+ * Centralized constants for issue watchers and notifications
+ */
+
+// Notification Types (each can be turned off per user)
+const NOTIFICATION_TYPE = {
+    ISSUE_UPDATED: 'issue_updated',
+    STATUS_CHANGED: 'status_changed',
+    ASSIGNED: 'assigned',
+    COMMENT_ADDED: 'comment_added'
+};
+
+// Valid values for validation
+const VALID_NOTIFICATION_TYPES = Object.values(NOTIFICATION_TYPE);
+
+// Email lists a user can unsubscribe from with a signed link
+const EMAIL_LIST = {
+    ASSIGNMENT: 'assignment',
+    DAILY_DIGEST: 'digest'
+};
+
+const VALID_EMAIL_LISTS = Object.values(EMAIL_LIST);
+
+// Activity type of comments in daily digests (issue events keep their own types)
+const DIGEST_COMMENT_ACTIVITY = 'commented';
+
+module.exports = {
+    NOTIFICATION_TYPE,
+    VALID_NOTIFICATION_TYPES,
+    EMAIL_LIST,
+    VALID_EMAIL_LISTS,
+    DIGEST_COMMENT_ACTIVITY
+};
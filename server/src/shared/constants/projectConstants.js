@@ -0,0 +1,20 @@
+/**
+ * Project Constants
+ * =================
+ * Centralized constants for projects and project issue keys
+ */
+
+// Project key: 2-10 uppercase letters/digits, starting with a letter (e.g. "WEB", "API2")
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+// Issue key: project key and per-project number (e.g. "WEB-42"), case-insensitive
+const ISSUE_KEY_PATTERN = /^([A-Za-z][A-Za-z0-9]{1,9})-(\d+)$/;
+
+// Project reference in URLs and filters: numeric ID or project key
+const PROJECT_REF_PATTERN = /^(\d+|[A-Za-z][A-Za-z0-9]{1,9})$/;
+
+module.exports = {
+    PROJECT_KEY_PATTERN,
+    ISSUE_KEY_PATTERN,
+    PROJECT_REF_PATTERN
+};
@@ -0,0 +1,29 @@
+/**
+ * Token Constants
+ * ===============
+ * Centralized constants for personal access tokens
+ */
+
+// Prefix that marks a bearer token as a personal access token (not a JWT)
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'itp_';
+
+// Personal Access Token Scopes
+const TOKEN_SCOPE = {
+    ISSUES_READ: 'issues:read',
+    ISSUES_WRITE: 'issues:write'
+};
+
+// Scopes granted implicitly by another scope
+const IMPLIED_SCOPES = {
+    [TOKEN_SCOPE.ISSUES_WRITE]: [TOKEN_SCOPE.ISSUES_READ]
+};
+
+// Valid values for validation
+const VALID_TOKEN_SCOPES = Object.values(TOKEN_SCOPE);
+
+module.exports = {
+    PERSONAL_ACCESS_TOKEN_PREFIX,
+    TOKEN_SCOPE,
+    IMPLIED_SCOPES,
+    VALID_TOKEN_SCOPES
+};
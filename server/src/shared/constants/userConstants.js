@@ -0,0 +1,21 @@
+/**
+ * User Constants
+ * ==============
+ * Centralized constants for user-related values
+ * Similar to Olympus layers/com.olympus.common.constants
+ */
+
+// User Role Values
+const USER_ROLE = {
+    ADMIN: 'admin',
+    MEMBER: 'member',
+    VIEWER: 'viewer'
+};
+
+// Valid values for validation
+const VALID_ROLES = Object.values(USER_ROLE);
+
+module.exports = {
+    USER_ROLE,
+    VALID_ROLES
+};
@@ -0,0 +1,46 @@
+/**
+ * Webhook Constants
+ * =================
+ * Centralized constants for outgoing webhooks
+ */
+
+const { ISSUE_ACTIVITY } = require('./issueConstants');
+
+// Event types a webhook can subscribe to
+const WEBHOOK_EVENT = {
+    ...ISSUE_ACTIVITY,
+    COMMENT_CREATED: 'comment.created'
+};
+
+// Sent by POST /api/webhooks/:id/ping whatever the webhook subscribes to
+const WEBHOOK_PING_EVENT = 'ping';
+
+// Webhook Delivery Status Values
+const WEBHOOK_DELIVERY_STATUS = {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+// Request headers of every delivery
+const WEBHOOK_HEADER = {
+    EVENT: 'X-Webhook-Event',
+    DELIVERY: 'X-Webhook-Delivery',
+    // Unix time (seconds) the attempt was sent; part of the signed string
+    TIMESTAMP: 'X-Webhook-Timestamp',
+    // "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw request body>", keyed with the webhook's secret
+    SIGNATURE: 'X-Webhook-Signature-256'
+};
+
+// Valid values for validation
+const VALID_WEBHOOK_EVENTS = Object.values(WEBHOOK_EVENT);
+const VALID_WEBHOOK_DELIVERY_STATUSES = Object.values(WEBHOOK_DELIVERY_STATUS);
+
+module.exports = {
+    WEBHOOK_EVENT,
+    WEBHOOK_PING_EVENT,
+    WEBHOOK_DELIVERY_STATUS,
+    WEBHOOK_HEADER,
+    VALID_WEBHOOK_EVENTS,
+    VALID_WEBHOOK_DELIVERY_STATUSES
+};
@@ -0,0 +1,103 @@
+/**
+ * Mailer
+ * ======
+ * Sends mail through a pluggable transport
+ * 
+ * A transport is any object with an async send(message) method.
+ * The built-in transport is selected with MAIL_TRANSPORT:
+ *   - file    (default) writes messages to MAIL_OUTBOX_DIR, works offline
+ *   - console logs messages to stdout
+ *   - smtp    sends via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ * 
+ * Tests and custom integrations can swap it with setTransport()
+ */
+
+const path = require('path');
+const createFileTransport = require('./transports/fileTransport');
+const createConsoleTransport = require('./transports/consoleTransport');
+const createSmtpTransport = require('./transports/smtpTransport');
+
+let transport = null;
+
+/**
+ * Build the transport configured in the environment
+ * @returns {Object} - Transport
+ */
+const createTransportFromEnv = () => {
+    const transportName = process.env.MAIL_TRANSPORT || 'file';
+
+    switch (transportName) {
+        case 'file':
+            return createFileTransport({
+                outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')
+            });
+        case 'console':
+            return createConsoleTransport();
+        case 'smtp':
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            });
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+    }
+};
+
+/**
+ * Get the active transport (created lazily from the environment)
+ * @returns {Object} - Transport
+ */
+const getTransport = () => {
+    if (!transport) {
+        transport = createTransportFromEnv();
+    }
+    return transport;
+};
+
+/**
+ * Replace the active transport
+ * @param {Object|null} newTransport - Object with send(message), or null to reset to the env default
+ */
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+/**
+ * Get the frontend base URL used in email links
+ * @returns {string} - Base URL without trailing slash
+ */
+const getAppUrl = () => {
+    return (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173').replace(/\/$/, '');
+};
+
+/**
+ * Get the public base URL of this API, for links mail clients call directly
+ * (one-click unsubscribe)
+ * @returns {string} - Base URL without trailing slash
+ */
+const getApiUrl = () => {
+    return (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html, headers? }
+ * @returns {Promise<Object>} - Transport result (at least { messageId })
+ */
+const sendMail = async (message) => {
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'Issue Tracker <no-reply@issue-tracker.local>',
+        ...message
+    });
+};
+
+module.exports = {
+    sendMail,
+    getAppUrl,
+    getApiUrl,
+    getTransport,
+    setTransport
+};
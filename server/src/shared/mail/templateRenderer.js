@@ -0,0 +1,123 @@
+/**
+ * Mail Template Renderer
+ * ======================
+ * Renders the HTML and text versions of an email from templates in
+ * ./templates (<name>.html and <name>.txt), using a small Mustache subset:
+ *
+ *   {{name}}            value (HTML-escaped in .html templates), dotted names allowed
+ *   {{#name}}...{{/name}}  repeated for each item of a list, or shown if truthy
+ *   {{^name}}...{{/name}}  shown if the value is missing, false or an empty list
+ *
+ * Inside a list section, names are looked up on the item first, then outside it.
+ * A section tag alone on its line takes the whole line (no blank lines left over).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+
+const SECTION_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{[#^/][^}]*\}\})[ \t]*\r?\n/gm;
+
+// Templates are read once and kept in memory
+const cache = new Map();
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Raw value
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * Read a template file
+ * @param {string} fileName - e.g. 'issueAssigned.html'
+ * @returns {string} - Template source
+ */
+const loadTemplate = (fileName) => {
+    if (!cache.has(fileName)) {
+        const source = fs.readFileSync(path.join(TEMPLATE_DIR, fileName), 'utf8');
+        cache.set(fileName, source.replace(STANDALONE_TAG_PATTERN, '$1'));
+    }
+    return cache.get(fileName);
+};
+
+/**
+ * Look a (dotted) name up in the innermost context that has it
+ * @param {Array<Object>} contexts - Context stack, innermost last
+ * @param {string} name - e.g. 'issue.key'
+ * @returns {*} - Value or undefined
+ */
+const lookup = (contexts, name) => {
+    const [first, ...rest] = name.split('.');
+
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context !== null && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => (value === null || value === undefined ? value : value[key]), context[first]);
+        }
+    }
+
+    return undefined;
+};
+
+/**
+ * Check whether a section value counts as empty
+ */
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Render a template source against a context stack
+ * @param {string} source - Template source
+ * @param {Array<Object>} contexts - Context stack
+ * @param {Function} escape - Escaping for variable output
+ * @returns {string} - Rendered text
+ */
+const render = (source, contexts, escape) => {
+    const withSections = source.replace(SECTION_PATTERN, (match, type, name, inner) => {
+        const value = lookup(contexts, name);
+
+        if (type === '^') {
+            return isEmpty(value) ? render(inner, contexts, escape) : '';
+        }
+        if (isEmpty(value)) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => render(inner, [...contexts, item], escape)).join('');
+        }
+        return render(inner, typeof value === 'object' ? [...contexts, value] : contexts, escape);
+    });
+
+    return withSections.replace(VARIABLE_PATTERN, (match, name) => {
+        const value = lookup(contexts, name);
+        return value === null || value === undefined ? '' : escape(value);
+    });
+};
+
+/**
+ * Render both versions of an email
+ * @param {string} name - Template name (without extension)
+ * @param {Object} data - Template data
+ * @returns {Object} - { html, text }
+ */
+const renderTemplate = (name, data) => {
+    return {
+        html: render(loadTemplate(`${name}.html`), [data], escapeHtml),
+        text: render(loadTemplate(`${name}.txt`), [data], String)
+    };
+};
+
+module.exports = {
+    renderTemplate,
+    escapeHtml
+};
@@ -0,0 +1,33 @@
+/**
+ * Console Mail Transport
+ * ======================
+ * Logs each message to stdout instead of sending it
+ */
+
+/**
+ * Create a console transport
+ * @returns {Object} - Transport with send(message)
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+
+    /**
+     * Log message to the console
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<Object>} - { messageId }
+     */
+    async send(message) {
+        const messageId = `console-${Date.now()}`;
+
+        console.log('='.repeat(50));
+        console.log(`📧 Mail to: ${message.to}`);
+        console.log(`   Subject: ${message.subject}`);
+        console.log('-'.repeat(50));
+        console.log(message.text);
+        console.log('='.repeat(50));
+
+        return { messageId };
+    }
+});
+
+module.exports = createConsoleTransport;
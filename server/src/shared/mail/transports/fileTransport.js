@@ -0,0 +1,41 @@
+/**
+ * File Mail Transport
+ * ===================
+ * Writes each message as a JSON file into an outbox directory instead of sending it
+ * Works offline - intended for development and tests
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a file transport
+ * @param {Object} options - { outboxDir }
+ * @returns {Object} - Transport with send(message)
+ */
+const createFileTransport = ({ outboxDir }) => ({
+    name: 'file',
+
+    /**
+     * Write message to the outbox
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<Object>} - { messageId, path }
+     */
+    async send(message) {
+        await fs.mkdir(outboxDir, { recursive: true });
+
+        const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const filePath = path.join(outboxDir, `${messageId}.json`);
+
+        await fs.writeFile(filePath, JSON.stringify({
+            messageId,
+            ...message,
+            sentAt: new Date().toISOString()
+        }, null, 2));
+
+        return { messageId, path: filePath };
+    }
+});
+
+module.exports = createFileTransport;
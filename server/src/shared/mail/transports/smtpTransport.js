@@ -0,0 +1,37 @@
+/**
+ * SMTP Mail Transport
+ * ===================
+ * Sends messages through an SMTP server using nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP transport
+ * @param {Object} options - { host, port, secure, user, pass }
+ * @returns {Object} - Transport with send(message)
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        /**
+         * Send message via SMTP
+         * @param {Object} message - { from, to, subject, text, html }
+         * @returns {Promise<Object>} - { messageId }
+         */
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,70 @@
+/**
+ * Local Disk Storage Backend
+ * ==========================
+ * Keeps files in a directory on the server's disk
+ * Keys may contain "/" and map to sub-directories of the root directory
+ */
+
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+
+/**
+ * Create a local disk backend
+ * @param {Object} options - { rootDir }
+ * @returns {Object} - Backend with save(key, buffer), read(key), remove(key)
+ */
+const createLocalDiskStorage = ({ rootDir }) => {
+    const root = path.resolve(rootDir);
+
+    // Resolve a key to a path, refusing anything outside the root directory
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        /**
+         * Write a file
+         * @param {string} key - Storage key
+         * @param {Buffer} buffer - File contents
+         */
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+
+            await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+            await fsPromises.writeFile(filePath, buffer, { flag: 'wx' });
+        },
+
+        /**
+         * Open a file for reading
+         * @param {string} key - Storage key
+         * @returns {Promise<ReadableStream>} - File contents
+         */
+        async read(key) {
+            const filePath = resolveKey(key);
+
+            // Fail here (not mid-response) when the file is missing
+            await fsPromises.access(filePath);
+
+            return fs.createReadStream(filePath);
+        },
+
+        /**
+         * Delete a file (missing files are ignored)
+         * @param {string} key - Storage key
+         */
+        async remove(key) {
+            await fsPromises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+module.exports = createLocalDiskStorage;
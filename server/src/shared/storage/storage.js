@@ -0,0 +1,57 @@
+/**
+ * File Storage
+ * ============
+ * Stores uploaded files (issue attachments) through a pluggable backend
+ * 
+ * A backend is any object with async save(key, buffer), read(key) and
+ * remove(key) methods. The built-in backend is selected with ATTACHMENT_STORAGE:
+ *   - local   (default) writes files under ATTACHMENT_DIR
+ * 
+ * Tests and custom integrations (e.g. object storage) can swap it with setStorage()
+ */
+
+const path = require('path');
+const createLocalDiskStorage = require('./backends/localDiskStorage');
+
+let storage = null;
+
+/**
+ * Build the backend configured in the environment
+ * @returns {Object} - Storage backend
+ */
+const createStorageFromEnv = () => {
+    const backendName = process.env.ATTACHMENT_STORAGE || 'local';
+
+    switch (backendName) {
+        case 'local':
+            return createLocalDiskStorage({
+                rootDir: process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'uploads')
+            });
+        default:
+            throw new Error(`Unknown ATTACHMENT_STORAGE: ${backendName}`);
+    }
+};
+
+/**
+ * Get the active backend (created lazily from the environment)
+ * @returns {Object} - Storage backend
+ */
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorageFromEnv();
+    }
+    return storage;
+};
+
+/**
+ * Replace the active backend
+ * @param {Object|null} newStorage - Backend object, or null to reset to the env default
+ */
+const setStorage = (newStorage) => {
+    storage = newStorage;
+};
+
+module.exports = {
+    getStorage,
+    setStorage
+};
@@ -1,11 +1,37 @@
 const { Parser } = require('json2csv');
 
+/**
+ * Build the project issue key (e.g. WEB-42), or null for issues without a project
+ */
+const formatIssueKey = (issue) => (issue.project_key ? `${issue.project_key}-${issue.issue_number}` : null);
+
+/**
+ * Format a duration in minutes as e.g. "1h 30m"
+ */
+const formatMinutes = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+
+    if (hours === 0) {
+        return `${rest}m`;
+    }
+    return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+/**
+ * Format worklogs as one cell: "2024-01-31 Jane Doe 1h 30m: note; ..."
+ */
+const formatWorklogs = (worklogs) => (worklogs || [])
+    .map(worklog => `${worklog.date} ${worklog.user} ${formatMinutes(worklog.minutes)}${worklog.note ? `: ${worklog.note}` : ''}`)
+    .join('; ');
+
 /**
  * Convert issues array to CSV format
  * @param {Array} issues - Array of issue objects
+ * @param {Object} options - { worklogs } - add a column listing each issue's worklogs
  * @returns {string} - CSV formatted string
  */
-const exportToCSV = (issues) => {
+const exportToCSV = (issues, options = {}) => {
     if (!issues || issues.length === 0) {
         return 'No data to export';
     }
@@ -13,18 +39,29 @@ const exportToCSV = (issues) => {
     // Define CSV fields
     const fields = [
         { label: 'Issue ID', value: 'issue_id' },
+        { label: 'Key', value: row => formatIssueKey(row) || '' },
         { label: 'Title', value: 'title' },
         { label: 'Description', value: 'description' },
         { label: 'Status', value: 'status' },
+        { label: 'Resolution', value: 'resolution' },
         { label: 'Priority', value: 'priority' },
         { label: 'Severity', value: 'severity' },
         { label: 'Created By', value: 'created_by_name' },
         { label: 'Assigned To', value: 'assigned_to_name' },
+        { label: 'Labels', value: row => (row.labels || []).join(', ') },
+        { label: 'Due Date', value: 'due_date' },
+        { label: 'Original Estimate (min)', value: 'original_estimate_minutes' },
+        { label: 'Remaining Estimate (min)', value: 'remaining_estimate_minutes' },
+        { label: 'Time Spent (min)', value: 'time_spent_minutes' },
         { label: 'Created At', value: 'created_at' },
         { label: 'Updated At', value: 'updated_at' },
         { label: 'Resolved At', value: 'resolved_at' }
     ];
 
+    if (options.worklogs) {
+        fields.push({ label: 'Worklogs', value: row => formatWorklogs(row.worklogs) });
+    }
+
     const parser = new Parser({ fields });
     const csv = parser.parse(issues);
 
@@ -42,13 +79,20 @@ const exportToJSON = (issues) => {
         totalCount: issues.length,
         issues: issues.map(issue => ({
             id: issue.issue_id,
+            key: formatIssueKey(issue),
             title: issue.title,
             description: issue.description,
             status: issue.status,
+            resolution: issue.resolution,
             priority: issue.priority,
             severity: issue.severity,
             createdBy: issue.created_by_name,
             assignedTo: issue.assigned_to_name,
+            labels: issue.labels || [],
+            dueDate: issue.due_date,
+            originalEstimateMinutes: issue.original_estimate_minutes,
+            remainingEstimateMinutes: issue.remaining_estimate_minutes,
+            timeSpentMinutes: parseInt(issue.time_spent_minutes),
             createdAt: issue.created_at,
             updatedAt: issue.updated_at,
             resolvedAt: issue.resolved_at
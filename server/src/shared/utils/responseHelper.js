@@ -48,8 +48,9 @@ const errorResponse = (res, message = 'An error occurred', statusCode = 500, err
  * @param {Array} data - Array of items
  * @param {Object} pagination - Pagination info { page, limit, total, totalPages }
  * @param {string} message - Success message
+ * @param {Object} extra - Additional top-level fields, e.g. { unreadCount } (optional)
  */
-const paginatedResponse = (res, data, pagination, message = 'Success') => {
+const paginatedResponse = (res, data, pagination, message = 'Success', extra = {}) => {
     return res.status(200).json({
         success: true,
         message,
@@ -62,6 +63,7 @@ const paginatedResponse = (res, data, pagination, message = 'Success') => {
             hasNextPage: pagination.page < pagination.totalPages,
             hasPrevPage: pagination.page > 1
         },
+        ...extra,
         timestamp: new Date().toISOString()
     });
 };
@@ -121,6 +123,32 @@ const badRequestResponse = (res, message = 'Bad request', errors = null) => {
     return errorResponse(res, message, 400, errors);
 };
 
+/**
+ * Locked response (423)
+ * @param {Object} res - Express response object
+ * @param {string} message - Locked message
+ * @param {number} retryAfterSeconds - Seconds until the resource unlocks (sets Retry-After)
+ */
+const lockedResponse = (res, message = 'Resource is locked', retryAfterSeconds = null) => {
+    if (retryAfterSeconds) {
+        res.set('Retry-After', String(retryAfterSeconds));
+    }
+    return errorResponse(res, message, 423);
+};
+
+/**
+ * Too many requests response (429)
+ * @param {Object} res - Express response object
+ * @param {string} message - Rate limit message
+ * @param {number} retryAfterSeconds - Seconds until the client may retry (sets Retry-After)
+ */
+const tooManyRequestsResponse = (res, message = 'Too many requests', retryAfterSeconds = null) => {
+    if (retryAfterSeconds) {
+        res.set('Retry-After', String(retryAfterSeconds));
+    }
+    return errorResponse(res, message, 429);
+};
+
 module.exports = {
     successResponse,
     errorResponse,
@@ -130,5 +158,7 @@ module.exports = {
     notFoundResponse,
     unauthorizedResponse,
     forbiddenResponse,
-    badRequestResponse
+    badRequestResponse,
+    lockedResponse,
+    tooManyRequestsResponse
 };
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a cryptographically random opaque token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} - Hex encoded token
+ */
+const generateRandomToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash an opaque token for storage
+ * Only the hash is persisted, so a database leak does not expose usable tokens
+ * @param {string} token - Plain token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Get an expiry date relative to now
+ * @param {number} ms - Milliseconds from now
+ * @returns {Date} - Expiry date
+ */
+const getExpiryDate = (ms) => {
+    return new Date(Date.now() + ms);
+};
+
+/**
+ * Sign a value so it can be handed out and trusted when it comes back
+ * @param {string} value - Value to sign (must not contain '.')
+ * @param {string} secret - Signing secret
+ * @returns {string} - "value.signature" (HMAC-SHA256, base64url)
+ */
+const signValue = (value, secret) => {
+    const signature = crypto.createHmac('sha256', secret).update(value).digest('base64url');
+    return `${value}.${signature}`;
+};
+
+/**
+ * Check a value signed with signValue()
+ * @param {string} signedValue - "value.signature"
+ * @param {string} secret - Signing secret
+ * @returns {string|null} - The value, or null if the signature does not match
+ */
+const verifySignedValue = (signedValue, secret) => {
+    const separator = String(signedValue).lastIndexOf('.');
+    if (separator <= 0) {
+        return null;
+    }
+
+    const value = signedValue.slice(0, separator);
+    const expected = Buffer.from(signValue(value, secret));
+    const actual = Buffer.from(signedValue);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? value : null;
+};
+
+module.exports = {
+    generateRandomToken,
+    hashToken,
+    getExpiryDate,
+    signValue,
+    verifySignedValue
+};
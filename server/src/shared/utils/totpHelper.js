@@ -0,0 +1,168 @@
+/**
+ * TOTP Helper
+ * ===========
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30s step)
+ * compatible with Google Authenticator, Authy, 1Password, etc.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {number} time - Unix time in milliseconds (default: now)
+ * @returns {number} - Step counter
+ */
+const getTimeStep = (time = Date.now()) => {
+    return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+};
+
+/**
+ * Generate the one-time password for a step counter (RFC 4226 HOTP)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCodeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Unix time in milliseconds (default: now)
+ * @returns {string} - 6-digit code
+ */
+const generateTotp = (secret, time = Date.now()) => {
+    return generateCodeForStep(secret, getTimeStep(time));
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: steps accepted either side (default 1), time }
+ * @returns {number|null} - Matching step counter (for replay protection) or null
+ */
+const verifyTotp = (secret, code, options = {}) => {
+    const { window = 1, time = Date.now() } = options;
+    const normalizedCode = String(code).replace(/\s/g, '');
+
+    if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== TOTP_DIGITS) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(time);
+
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        const expected = generateCodeForStep(secret, step);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri
+};